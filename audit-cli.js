@@ -0,0 +1,45 @@
+/**
+ * Audit CLI - Verify and search the command audit log
+ *
+ * Usage:
+ *   node audit-cli.js verify                      Check the hash chain (exit code 1 when broken)
+ *   node audit-cli.js [--user telegram:123] [--status blocked] [--since 2026-01-01] [--limit 50]
+ *   node audit-cli.js ... --json                  Print entries as JSON
+ */
+
+import { verifyAuditLog, queryAuditLog, formatAuditEntries, formatAuditVerification } from './lib/auditLogger.js';
+
+/**
+ * Parse --name value options
+ */
+function parseOptions(args) {
+  const options = {};
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--json') {
+      options.json = true;
+    } else if (args[i].startsWith('--')) {
+      options[args[i].slice(2)] = args[++i];
+    }
+  }
+  return options;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args[0] === 'verify') {
+    const result = await verifyAuditLog();
+    console.log(formatAuditVerification(result));
+    process.exit(result.ok ? 0 : 1);
+  }
+
+  const { json, ...filter } = parseOptions(args);
+  const entries = await queryAuditLog(filter);
+
+  console.log(json ? JSON.stringify(entries, null, 2) : formatAuditEntries(entries));
+}
+
+main().catch(error => {
+  console.error('❌ Error:', error.message);
+  process.exit(1);
+});
@@ -2,18 +2,39 @@
  * CLI Chat Interface for Agent Orchestrator
  * 
  * Interactive command-line interface to test the agent system
+ * Command output is printed live; Ctrl+C stops a running command.
  */
 
 import readline from 'readline';
 import { orchestrate, orchestrateSimple } from './lib/agentOrchestrator.js';
 import { clearMemory } from './lib/memorySystem.js';
 import { clearNotes } from './lib/notesManager.js';
+import { getUsageSummary, formatUsageSummary } from './lib/usageTracker.js';
+import { getBudgetStatus, formatBudgetStatus, formatBudgetRefusal, BudgetExceededError } from './lib/budgetManager.js';
+import { cancelCommands } from './lib/terminalExecutor.js';
+import { formatArtifactHint, loadOutputArtifact } from './lib/outputArtifacts.js';
+import { formatRedactionHint } from './lib/secretRedactor.js';
+import { queryAuditLog, verifyAuditLog, parseAuditArgs, formatAuditEntries, formatAuditVerification } from './lib/auditLogger.js';
+
+const CLI_CALLER = { channel: 'cli', userId: process.env.USER || 'cli', sessionId: `cli-${process.pid}` };
 
 const rl = readline.createInterface({
   input: process.stdin,
   output: process.stdout
 });
 
+// Ctrl+C stops a running command; with nothing running it exits
+rl.on('SIGINT', () => {
+  const cancelled = cancelCommands(CLI_CALLER);
+  if (cancelled.length > 0) {
+    console.log(`\n🛑 Cancelled: ${cancelled.map(c => c.command).join(', ')}`);
+    return;
+  }
+  console.log('\n👋 Goodbye!');
+  rl.close();
+  process.exit(0);
+});
+
 // Promisify readline question
 function ask(question) {
   return new Promise((resolve) => {
@@ -32,7 +53,15 @@ async function askApproval(command, reasoning) {
   console.log('─────────────────────────────────────────────────────────');
   
   const answer = await ask('Execute this command? (y/n): ');
-  return answer.toLowerCase().trim() === 'y';
+  return { approved: answer.toLowerCase().trim() === 'y', approver: CLI_CALLER };
+}
+
+/**
+ * Answer a question from the agent (tool-calling mode)
+ */
+async function askUser(question) {
+  console.log('\n❓ Agent asks:', question);
+  return ask('Your answer: ');
 }
 
 /**
@@ -42,10 +71,45 @@ function onThinking(iteration) {
   console.log(`\n🤔 Thinking... (iteration ${iteration})`);
 }
 
+// Fields already printed live for the current iteration
+let streamedFields = new Set();
+
+/**
+ * Print response/code text live as the model streams it
+ */
+function onDelta(field, delta) {
+  if (!streamedFields.has(field)) {
+    streamedFields.add(field);
+    process.stdout.write(field === 'code' ? '\n💻 ' : '\n💬 ');
+  }
+  process.stdout.write(delta);
+}
+
+/**
+ * The model call is retried: the text printed so far is discarded
+ */
+function onStreamReset() {
+  streamedFields = new Set();
+  console.log('\n🔁 Retrying, the response starts over:');
+}
+
+/**
+ * Print terminal command output live
+ */
+function onCommandOutput(stream, chunk) {
+  (stream === 'stderr' ? process.stderr : process.stdout).write(chunk);
+}
+
 /**
  * Handle response display
  */
 async function onResponse(response, iteration) {
+  const streamed = streamedFields;
+  streamedFields = new Set();
+  if (streamed.size > 0) {
+    process.stdout.write('\n');
+  }
+  
   console.log('\n═══════════════════════════════════════════════════════════');
   console.log(`📤 Response (iteration ${iteration})`);
   console.log('═══════════════════════════════════════════════════════════');
@@ -53,16 +117,21 @@ async function onResponse(response, iteration) {
   
   switch (response.choice) {
     case 'response':
-      console.log('\n💬 Response:');
-      console.log(response.response);
+      // Already printed live
+      if (!streamed.has('response')) {
+        console.log('\n💬 Response:');
+        console.log(response.response);
+      }
       break;
       
     case 'code':
       console.log('\n💻 Code Generated:');
       console.log(`Language: ${response.language}`);
-      console.log('─────────────────────────────────────────────────────────');
-      console.log(response.code);
-      console.log('─────────────────────────────────────────────────────────');
+      if (!streamed.has('code')) {
+        console.log('─────────────────────────────────────────────────────────');
+        console.log(response.code);
+        console.log('─────────────────────────────────────────────────────────');
+      }
       console.log('Explanation:', response.codeExplanation);
       break;
       
@@ -78,11 +147,34 @@ async function onResponse(response, iteration) {
           console.log('Exit Code:', response.terminalResult.exitCode);
           console.log('Output:');
           console.log(response.terminalResult.output);
+          if (response.terminalResult.artifact) {
+            console.log(formatArtifactHint(response.terminalResult.artifact).trim());
+          }
+          if (response.terminalResult.redactions) {
+            console.log(formatRedactionHint(response.terminalResult.redactions).trim());
+          }
         } else {
           console.log(response.terminalResult.output);
         }
       }
       break;
+      
+    case 'toolCalls':
+      if (response.response) {
+        console.log('\n💬 Response:');
+        console.log(response.response);
+      }
+      console.log('\n🔧 Tool Calls:');
+      response.toolCalls.forEach(call => {
+        console.log(`- ${call.summary}`);
+        if (call.result.executed && call.result.output) {
+          console.log(call.result.output);
+        }
+        if (call.result.redactions) {
+          console.log(formatRedactionHint(call.result.redactions).trim());
+        }
+      });
+      break;
   }
   
   // Show questions if any
@@ -119,7 +211,13 @@ function displayHelp() {
   console.log('/clearmemory  - Clear conversation memory only');
   console.log('/clearnotes   - Clear notes only');
   console.log('/simple       - Toggle simple mode (skip landscape/plan)');
+  console.log('/tools        - Toggle native tool-calling mode');
+  console.log('/usage        - Show token usage and cost');
+  console.log('/budget       - Show budget limits and current usage');
+  console.log('/output <id>  - Print the full output of a command');
+  console.log('/audit        - Recent commands (user=, status=, since=, limit=); /audit verify');
   console.log('/exit         - Exit chat');
+  console.log('Ctrl+C       - Stop the running command (exits when idle)');
   console.log('\nJust type your message to chat with the agent.');
   console.log('═══════════════════════════════════════════════════════════\n');
 }
@@ -139,6 +237,7 @@ async function chatLoop() {
   console.log('  - Multi-iteration processing with continue flag\n');
   
   let simpleMode = false;
+  let toolMode = process.env.LUMEN_TOOL_CALLING === 'true';
   
   while (true) {
     try {
@@ -151,6 +250,34 @@ async function chatLoop() {
       if (trimmed.startsWith('/')) {
         const cmd = trimmed.toLowerCase();
         
+        if (cmd === '/audit' || cmd.startsWith('/audit ')) {
+          try {
+            const { verify, filter } = parseAuditArgs(trimmed.slice('/audit'.length));
+            console.log('\n🧾 Audit Log\n' + (verify
+              ? formatAuditVerification(await verifyAuditLog())
+              : formatAuditEntries(await queryAuditLog({ limit: 20, ...filter }))));
+          } catch (error) {
+            console.log(`❌ ${error.message}`);
+          }
+          continue;
+        }
+        
+        if (cmd.startsWith('/output')) {
+          const id = trimmed.split(/\s+/)[1];
+          if (!id) {
+            console.log('Usage: /output <id>');
+            continue;
+          }
+          try {
+            const artifact = await loadOutputArtifact(id, CLI_CALLER);
+            console.log(`\n📦 ${artifact.command} (exit ${artifact.exitCode}, ${artifact.createdAt})\n`);
+            console.log(artifact.content);
+          } catch (error) {
+            console.log(`❌ ${error.message}`);
+          }
+          continue;
+        }
+        
         switch (cmd) {
           case '/help':
             displayHelp();
@@ -185,6 +312,21 @@ async function chatLoop() {
               : '   (Will use landscape and plan for complex queries)');
             continue;
             
+          case '/tools':
+            toolMode = !toolMode;
+            console.log(`✅ Tool-calling mode ${toolMode ? 'enabled' : 'disabled'}`);
+            continue;
+            
+          case '/usage':
+            const usage = await getUsageSummary(CLI_CALLER);
+            console.log('\n' + formatUsageSummary(usage, '📈 CLI Usage'));
+            continue;
+            
+          case '/budget':
+            const status = await getBudgetStatus(CLI_CALLER);
+            console.log('\n💰 Budget\n' + formatBudgetStatus(status));
+            continue;
+            
           default:
             console.log('❌ Unknown command. Type /help for available commands.');
             continue;
@@ -197,8 +339,14 @@ async function chatLoop() {
       const orchestrateFunc = simpleMode ? orchestrateSimple : orchestrate;
       
       const result = await orchestrateFunc(trimmed, {
+        caller: CLI_CALLER,
+        toolCalling: toolMode,
         askApproval,
+        askUser,
         onThinking,
+        onDelta,
+        onStreamReset,
+        onCommandOutput,
         onResponse
       });
       
@@ -218,6 +366,10 @@ async function chatLoop() {
       }
       
     } catch (error) {
+      if (error instanceof BudgetExceededError) {
+        console.log('\n' + formatBudgetRefusal(error.exceeded));
+        continue;
+      }
       console.error('\n❌ Error:', error.message);
       console.error(error.stack);
     }
@@ -7,6 +7,12 @@
 
 import readline from 'readline';
 import { generateResponse, getGroupSummary, clearGroupChat, addMessage } from './lib/groupChatManager.js';
+import { getUsageSummary, formatUsageSummary } from './lib/usageTracker.js';
+import { formatBudgetRefusal, BudgetExceededError } from './lib/budgetManager.js';
+import { formatRedactionHint } from './lib/secretRedactor.js';
+
+// Whoever answers approval prompts at this terminal
+const CLI_APPROVER = { channel: 'cli', userId: process.env.USER || 'cli' };
 
 const rl = readline.createInterface({
   input: process.stdin,
@@ -31,7 +37,7 @@ async function askApproval(command, reasoning) {
   console.log('─────────────────────────────────────────────────────────');
   
   const answer = await ask('Execute this command? (y/n): ');
-  return answer.toLowerCase().trim() === 'y';
+  return { approved: answer.toLowerCase().trim() === 'y', approver: CLI_APPROVER };
 }
 
 /**
@@ -45,6 +51,7 @@ function displayHelp() {
   console.log('/summary      - Show current conversation summary');
   console.log('/clear        - Clear conversation history');
   console.log('/simulate     - Simulate another user speaking');
+  console.log('/usage        - Show token usage and cost for this group');
   console.log('/exit         - Exit chat');
   console.log('\nJust type your message to chat with the bot.');
   console.log('═══════════════════════════════════════════════════════════\n');
@@ -121,6 +128,11 @@ async function chatLoop() {
             console.log(`✅ Added message from ${simUser}`);
             continue;
             
+          case '/usage':
+            const usage = await getUsageSummary({ groupId });
+            console.log('\n' + formatUsageSummary(usage, '📈 Group Usage'));
+            continue;
+            
           default:
             console.log('❌ Unknown command. Type /help for available commands.');
             continue;
@@ -174,6 +186,9 @@ async function chatLoop() {
               console.log('Exit Code:', response.terminalResult.exitCode);
               console.log('Output:');
               console.log(response.terminalResult.output);
+              if (response.terminalResult.redactions) {
+                console.log(formatRedactionHint(response.terminalResult.redactions).trim());
+              }
             } else {
               console.log(response.terminalResult.output);
             }
@@ -192,6 +207,10 @@ async function chatLoop() {
       console.log('\n💡 Tip: Type /summary to see conversation summary');
       
     } catch (error) {
+      if (error instanceof BudgetExceededError) {
+        console.log('\n' + formatBudgetRefusal(error.exceeded));
+        continue;
+      }
       console.error('\n❌ Error:', error.message);
       if (error.stack) console.error(error.stack);
     }
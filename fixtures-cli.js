@@ -0,0 +1,95 @@
+/**
+ * Fixtures CLI - Record and replay the test-*.js scripts against LLM fixtures
+ *
+ * Usage:
+ *   node fixtures-cli.js record [script...]   Run the scripts against the real model and save
+ *                                             every response in fixtures/llm/ (needs OPENAI_API_KEY)
+ *   node fixtures-cli.js replay [script...]   Run the scripts from fixtures/llm/, offline
+ *
+ * Without script names every test-*.js in the working directory is run.
+ * Each script gets its own empty memory, notes, usage and audit files in a
+ * temp directory, so the prompts it builds are the same when recording and
+ * replaying and no files are left in the working directory.
+ */
+
+import dotenv from 'dotenv';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { spawn } from 'child_process';
+import { getFixtureDir } from './lib/llmFixtures.js';
+
+dotenv.config();
+
+/**
+ * Run one script with LLM_FIXTURE_MODE set and its data files in a temp directory
+ * @returns {Promise<number>} Exit code
+ */
+async function runScript(script, mode) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'lumen-fixtures-'));
+  const env = {
+    ...process.env,
+    LLM_FIXTURE_MODE: mode,
+    LLM_FIXTURE_DIR: getFixtureDir(),
+    USER_MEMORY_FILE: path.join(dir, 'memory.json'),
+    USER_NOTES_FILE: path.join(dir, 'notes.md'),
+    USER_GROUPCHAT_FILE: path.join(dir, 'groupchat.json'),
+    USER_STORAGE_DIR: dir,
+    USAGE_LOG_FILE: path.join(dir, 'usage.log'),
+    AUDIT_LOG_FILE: path.join(dir, 'audit.log'),
+    STORAGE_SQLITE_FILE: path.join(dir, 'lumen.db')
+  };
+
+  try {
+    return await new Promise((resolve, reject) => {
+      const child = spawn(process.execPath, [script], { env, stdio: 'inherit' });
+      child.on('error', reject);
+      child.on('close', code => resolve(code ?? 1));
+    });
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+async function main() {
+  const [mode, ...names] = process.argv.slice(2);
+
+  if (!['record', 'replay'].includes(mode)) {
+    console.error('❌ Usage: node fixtures-cli.js record|replay [script...]');
+    process.exit(1);
+  }
+  if (mode === 'record' && !process.env.OPENAI_API_KEY) {
+    console.error('❌ Recording calls the real model: set OPENAI_API_KEY');
+    process.exit(1);
+  }
+  if (mode === 'replay') {
+    const recorded = await fs.readdir(getFixtureDir()).catch(() => []);
+    if (!recorded.some(name => name.endsWith('.json'))) {
+      console.error(`❌ No fixtures in ${getFixtureDir()}: run npm run fixtures:record with OPENAI_API_KEY set and commit the result`);
+      process.exit(1);
+    }
+  }
+
+  const scripts = names.length > 0
+    ? names
+    : (await fs.readdir(process.cwd())).filter(name => /^test-.+\.js$/.test(name)).sort();
+
+  const failed = [];
+  for (const script of scripts) {
+    console.log(`\n📼 ${mode === 'record' ? 'Recording' : 'Replaying'} ${script}`);
+    if (await runScript(script, mode) !== 0) {
+      failed.push(script);
+    }
+  }
+
+  if (failed.length > 0) {
+    console.error(`\n❌ ${failed.length}/${scripts.length} script(s) failed: ${failed.join(', ')}`);
+    process.exit(1);
+  }
+  console.log(`\n✅ ${scripts.length} script(s) ${mode === 'record' ? 'recorded into' : 'replayed from'} ${getFixtureDir()}`);
+}
+
+main().catch(error => {
+  console.error('❌ Error:', error.message);
+  process.exit(1);
+});
@@ -5,19 +5,30 @@
  * 1. Landscape Agent (optional - for complex queries)
  * 2. Plan Steps Agent (optional - for high priority tasks)
  * 3. Base Agent iteration loop with continue support
+ *    (or, in tool-calling mode, a loop over native tool calls - see agentTools.js)
  * 4. Memory tracking
  * 5. Notes management
  */
 
-import { queryOpenAI } from './openaiWrapper.js';
+import { queryOpenAI, queryOpenAIWithTools } from './openaiWrapper.js';
 import { baseAgentExtendedResponseSchema } from '../schemas/baseAgent.js';
 import { landscapeAgentResponseSchema } from '../schemas/landscapeAgent.js';
 import { planStepsAgentResponseSchema } from '../schemas/planStepsAgent.js';
 import { addInteraction, getMemoryContextString } from './memorySystem.js';
 import { loadNotes, updateCurrentTask, setPlan, addContext, addCompleted, addBlocker, completeStep } from './notesManager.js';
 import { executeCommand } from './terminalExecutor.js';
+import { logSecurityEvent, readApproval } from './auditLogger.js';
+import { redactSecrets, redactValue } from './secretRedactor.js';
+import { describeShellSession } from './shellSessions.js';
+import { runWithStorage, getStorageContext, withStorageCaller } from './storageContext.js';
+import { evaluateCommand, formatPolicyReport, withPolicyReasoning } from './policyEngine.js';
+import { getToolDefinitions, runToolCall } from './toolRegistry.js';
+import './agentTools.js'; // registers the built-in tools
+
 
 const MAX_CONTINUE_ITERATIONS = 5;
+const MAX_TOOL_ITERATIONS = 10; // Model turns per request in tool-calling mode
+const MAX_TOOL_RESULT_MEMORY = 300; // chars of each tool result kept in memory
 const MAX_DENIAL_RETRIES = 2; // Prevent infinite decline loops
 
 /**
@@ -42,7 +53,7 @@ function shouldUseLandscape(query) {
 /**
  * Run landscape analysis
  */
-async function runLandscapeAnalysis(query, contextInfo) {
+async function runLandscapeAnalysis(query, contextInfo, provider, caller) {
   const landscapePrompt = `Analyze this user query to understand overall intent and approach:
 
 User Query: ${query}
@@ -52,7 +63,11 @@ ${contextInfo ? `Additional Context: ${contextInfo}` : ''}
 Provide a meta-analysis of what the user wants to accomplish.`;
 
   const landscape = await queryOpenAI(landscapePrompt, {
-    schema: landscapeAgentResponseSchema
+    schema: landscapeAgentResponseSchema,
+    schemaName: 'landscape',
+    role: 'landscape',
+    provider,
+    caller
   });
   
   return landscape;
@@ -61,7 +76,7 @@ Provide a meta-analysis of what the user wants to accomplish.`;
 /**
  * Create plan steps for complex tasks
  */
-async function createPlanSteps(query, landscape, contextInfo) {
+async function createPlanSteps(query, landscape, contextInfo, provider, caller) {
   const planPrompt = `Break down this task into clear, actionable steps:
 
 User Request: ${query}
@@ -74,7 +89,11 @@ ${contextInfo ? `Additional Context: ${contextInfo}` : ''}
 Create a detailed step-by-step plan.`;
 
   const plan = await queryOpenAI(planPrompt, {
-    schema: planStepsAgentResponseSchema
+    schema: planStepsAgentResponseSchema,
+    schemaName: 'planSteps',
+    role: 'plan',
+    provider,
+    caller
   });
   
   return plan;
@@ -82,47 +101,92 @@ Create a detailed step-by-step plan.`;
 
 /**
  * Execute terminal command with optional approval
+ * @param {object} options - { caller, onOutput(stream, chunk) } passed to the executor
  */
-async function handleTerminalCommand(response, askApproval) {
-  if (response.requiresApproval) {
-    const approved = await askApproval(
+async function handleTerminalCommand(response, askApproval, { caller = null, onOutput = null } = {}) {
+  const policyReport = await evaluateCommand(response.terminalCommand);
+  const event = { command: response.terminalCommand, reasoning: response.commandReasoning, policyReport };
+
+  if (policyReport.blocked) {
+    await logSecurityEvent('command-blocked', event, { caller });
+    return {
+      executed: false,
+      output: `Command blocked by policy: ${formatPolicyReport(policyReport)}`,
+      approved: false,
+      blocked: true,
+      policyReport
+    };
+  }
+
+  let approval = null;
+  if (response.requiresApproval || policyReport.requiresApproval) {
+    approval = readApproval(await askApproval(
       response.terminalCommand,
-      response.commandReasoning
-    );
+      withPolicyReasoning(response.commandReasoning, policyReport)
+    ));
     
-    if (!approved) {
+    if (!approval.approved) {
+      await logSecurityEvent('approval-denied', event, { caller, approval });
       return {
         executed: false,
         output: 'User declined to execute command',
-        approved: false
+        approved: false,
+        policyReport
       };
     }
   }
   
-  // Execute the command
-  const result = await executeCommand(response.terminalCommand);
+  const result = await executeCommand(response.terminalCommand, { policyReport, caller, approval, onOutput, session: true });
   
   return {
     executed: true,
     output: result.output,
     exitCode: result.exitCode,
     error: result.error,
+    cancelled: result.cancelled,
+    artifact: result.artifact,
+    redactions: result.redactions,
     approved: true
   };
 }
 
 /**
  * Main orchestration function
+ * options.storage (storageContext.js) picks the memory and notes files; the
+ * whole request, tools included, runs in it together with options.caller, so
+ * notes are redacted into the caller's vault
+ */
+export async function orchestrate(rawQuery, options = {}) {
+  const storage = withStorageCaller(options.storage || getStorageContext(), options.caller || null);
+  return runWithStorage(storage, () => runOrchestration(rawQuery, options));
+}
+
+/**
+ * orchestrate() inside the request's storage context
  */
-export async function orchestrate(userQuery, options = {}) {
+async function runOrchestration(rawQuery, options) {
   const {
-    userContext = null,
+    userContext: rawContext = null,
     askApproval = null,  // Function to ask user for approval
     onThinking = null,    // Callback when entering continue loop
     onResponse = null,    // Callback for each response
-    skipLandscape = false
+    onDelta = null,       // Streaming callback (field, delta, iteration) for response/code text
+    onStreamReset = null, // Callback (iteration) when a retried model call discards the text streamed so far
+    onCommandOutput = null, // Streaming callback (stream, chunk, command) for terminal command output
+    skipLandscape = false,
+    provider = null,      // LLM provider name or instance (see llmProviders.js)
+    caller = null,        // Who the request is for: { channel, userId, groupId }
+    toolCalling = process.env.LUMEN_TOOL_CALLING === 'true', // Native tool calls instead of the choice schema
+    askUser = null,       // Function to ask the user a question mid-task (tool-calling mode)
+    tools = null          // Registered tool names to expose in tool-calling mode (all when null)
   } = options;
   
+  // Secrets in the request become placeholders of the caller's vault before
+  // they reach memory, notes or the model; commands get the real values back
+  // only when they run (terminalExecutor)
+  const userQuery = redactSecrets(rawQuery, caller);
+  const userContext = redactValue(rawContext, caller);
+  
   const responses = [];
   let continueLoop = false;
   let iteration = 0;
@@ -138,11 +202,11 @@ export async function orchestrate(userQuery, options = {}) {
     
     // Step 1: Landscape analysis (if complex)
     if (!skipLandscape && shouldUseLandscape(userQuery)) {
-      landscape = await runLandscapeAnalysis(userQuery, userContext);
+      landscape = await runLandscapeAnalysis(userQuery, userContext, provider, caller);
       
       // Step 2: Create plan if high priority
       if (landscape.priority === 'high' || landscape.priority === 'critical') {
-        plan = await createPlanSteps(userQuery, landscape, userContext);
+        plan = await createPlanSteps(userQuery, landscape, userContext, provider, caller);
         
         // Update notes with task and plan
         await updateCurrentTask(`${landscape.overallIntent}\n\nPriority: ${landscape.priority}\nApproach: ${landscape.suggestedApproach}`);
@@ -164,9 +228,22 @@ export async function orchestrate(userQuery, options = {}) {
       userContext: userContext,
       landscape: landscape,
       plan: plan,
-      previousOutput: null
+      previousOutput: null,
+      shell: describeShellSession(caller)
     };
     
+    if (toolCalling) {
+      const toolRun = await runToolLoop(userQuery, agentContext, {
+        askApproval, askUser, onThinking, onResponse, onCommandOutput, userContext, plan, provider, caller, tools
+      });
+      return {
+        success: true,
+        ...toolRun,
+        landscape,
+        plan
+      };
+    }
+    
     // Step 3: Base agent iteration loop
     do {
       iteration++;
@@ -181,21 +258,35 @@ export async function orchestrate(userQuery, options = {}) {
       // Query base agent
       const response = await queryOpenAI(userQuery, {
         schema: baseAgentExtendedResponseSchema,
-        context: contextString
+        schemaName: 'baseAgent',
+        role: 'base',
+        context: contextString,
+        provider,
+        caller,
+        onDelta: onDelta ? (field, delta) => onDelta(field, delta, iteration) : null,
+        onStreamReset: onStreamReset ? () => onStreamReset(iteration) : null
       });
       
       responses.push(response);
       
       // Handle terminal commands
       if (response.choice === 'terminalCommand') {
-        const terminalResult = await handleTerminalCommand(response, askApproval);
+        const terminalResult = await handleTerminalCommand(response, askApproval, {
+          caller,
+          onOutput: onCommandOutput ? (stream, chunk) => onCommandOutput(stream, chunk, response.terminalCommand) : null
+        });
         response.terminalResult = terminalResult;
         
-        // Add terminal output to context for next iteration
+        // Add terminal output and the shell's cwd/env to context for next iteration
         agentContext.previousOutput = terminalResult.output;
+        agentContext.shell = describeShellSession(caller);
         
         // Track in notes
-        if (terminalResult.executed) {
+        if (terminalResult.cancelled) {
+          // The user stopped it: record and do not continue on our own
+          await addBlocker(`Command cancelled: ${response.terminalCommand}`);
+          response.continue = false;
+        } else if (terminalResult.executed) {
           await addCompleted(`Executed: ${response.terminalCommand}`);
           
           // Try to match and complete a plan step
@@ -207,7 +298,9 @@ export async function orchestrate(userQuery, options = {}) {
           denialCount = 0;
           lastDeniedCommand = null;
         } else {
-          await addBlocker(`Command declined: ${response.terminalCommand}`);
+          await addBlocker(terminalResult.blocked
+            ? `Command blocked by policy: ${response.terminalCommand}`
+            : `Command declined: ${response.terminalCommand}`);
           
           // Track repeated denials
           if (lastDeniedCommand === response.terminalCommand) {
@@ -251,7 +344,8 @@ export async function orchestrate(userQuery, options = {}) {
       // Save to memory
       await addInteraction(
         { query: userQuery, context: userContext },
-        response
+        response,
+        { provider, caller }
       );
       
       // Update context for next iteration
@@ -277,6 +371,140 @@ export async function orchestrate(userQuery, options = {}) {
   }
 }
 
+/**
+ * Tool-calling mode: let the model call tools until it answers in plain text
+ * Each model turn produces one response object (choice 'toolCalls' while
+ * tools are being called, 'response' for the final answer).
+ */
+async function runToolLoop(userQuery, agentContext, options) {
+  const { askApproval, askUser, onThinking, onResponse, onCommandOutput, userContext, plan, provider, caller } = options;
+  
+  const context = buildContextString(agentContext);
+  const tools = getToolDefinitions(options.tools);
+  const allowedTools = tools.map(t => t.function.name);
+  const messages = [{ role: 'user', content: userQuery }];
+  const responses = [];
+  let iteration = 0;
+  let denialCount = 0;
+  let lastDeniedCall = null;
+  
+  while (iteration < MAX_TOOL_ITERATIONS) {
+    iteration++;
+    
+    if (iteration > 1 && onThinking) {
+      onThinking(iteration);
+    }
+    
+    const turn = await queryOpenAIWithTools(messages, {
+      tools,
+      context,
+      role: 'base',
+      provider,
+      caller
+    });
+    
+    messages.push({
+      role: 'assistant',
+      content: turn.content || null,
+      ...(turn.toolCalls.length > 0 ? {
+        tool_calls: turn.toolCalls.map(call => ({
+          id: call.id,
+          type: 'function',
+          function: { name: call.name, arguments: call.arguments }
+        }))
+      } : {})
+    });
+    
+    const toolResults = [];
+    let stopReason = null;
+    
+    for (const call of turn.toolCalls) {
+      const toolResult = await runToolCall(call, { askApproval, askUser, allowedTools, caller, onCommandOutput });
+      toolResults.push(toolResult);
+      messages.push({ role: 'tool', tool_call_id: call.id, content: JSON.stringify(toolResult.result) });
+      
+      const { name, args, result } = toolResult;
+      
+      if (result.approved === false) {
+        await addBlocker(`Tool call declined: ${toolResult.summary}`);
+        await logSecurityEvent(result.blocked ? 'command-blocked' : 'approval-denied', { command: toolResult.summary, tool: name }, { caller, approval: toolResult.approval });
+        
+        // Track repeated denials of the same call
+        const callKey = `${name}:${JSON.stringify(args)}`;
+        if (lastDeniedCall === callKey) {
+          denialCount++;
+        } else {
+          denialCount = 1;
+          lastDeniedCall = callKey;
+        }
+        
+        if (denialCount >= MAX_DENIAL_RETRIES) {
+          await addBlocker(`Too many command denials - stopping iteration`);
+          stopReason = 'denied';
+        }
+      } else if (result.cancelled) {
+        // The user stopped the command: end the turn instead of calling more tools
+        await addBlocker(`Command cancelled: ${args.command}`);
+        stopReason = 'cancelled';
+      } else if (result.executed) {
+        await addCompleted(`Executed: ${args.command}`);
+        if (plan && plan.steps) {
+          await tryCompleteMatchingStep(plan.steps, args.command, args.reasoning);
+        }
+        denialCount = 0;
+        lastDeniedCall = null;
+      } else if (result.written) {
+        await addCompleted(`Wrote file: ${result.path}`);
+      }
+    }
+    
+    // Questions the user could not answer right away end the turn
+    const pendingQuestions = toolResults
+      .filter(t => t.name === 'ask_user' && t.result.answered === false)
+      .map(t => t.result.question);
+    
+    const isFinal = turn.toolCalls.length === 0;
+    const response = {
+      choice: isFinal ? 'response' : 'toolCalls',
+      response: turn.content || '',
+      toolCalls: toolResults,
+      questionsForUser: pendingQuestions.length > 0,
+      questions: pendingQuestions,
+      missingContext: [],
+      continue: !isFinal && pendingQuestions.length === 0 && !stopReason
+    };
+    
+    responses.push(response);
+    
+    if (onResponse) {
+      await onResponse(response, iteration);
+    }
+    
+    // Memory keeps a summary and an excerpt of each tool result
+    await addInteraction(
+      { query: userQuery, context: userContext },
+      {
+        ...response,
+        toolCalls: toolResults.map(t => ({
+          name: t.name,
+          summary: t.summary,
+          result: JSON.stringify(t.result).substring(0, MAX_TOOL_RESULT_MEMORY)
+        }))
+      },
+      { provider, caller }
+    );
+    
+    if (!response.continue) {
+      break;
+    }
+  }
+  
+  return {
+    responses,
+    iterations: iteration
+  };
+}
+
 /**
  * Build context string for agent
  */
@@ -325,6 +553,11 @@ function buildContextString(agentContext) {
     context += `═══ TERMINAL OUTPUT ═══\n${agentContext.previousOutput}\n\n`;
   }
   
+  // Persistent shell session (commands run here keep cd/export between steps)
+  if (agentContext.shell) {
+    context += `═══ SHELL SESSION ═══\n${agentContext.shell}\n`;
+  }
+  
   // User context
   if (agentContext.userContext) {
     context += `═══ USER CONTEXT ═══\n${agentContext.userContext}\n\n`;
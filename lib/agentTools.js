@@ -0,0 +1,167 @@
+/**
+ * Agent Tools - Built-in tools for the base agent's tool-calling mode
+ *
+ * Registered in toolRegistry.js when this module is imported. Used by
+ * orchestrate() in tool-calling mode instead of the `choice` enum of
+ * baseAgentExtendedResponseSchema.
+ *
+ * Tools:
+ * - run_shell_command: execute a terminal command in the caller's shell session (permission 'ask', plus the command policy)
+ * - read_file: read a text file (permission 'safe')
+ * - write_file: create or overwrite a file (permission 'approve')
+ * - update_notes: add an entry to the agent notes (permission 'safe')
+ * - ask_user: ask the user a question (permission 'safe')
+ *
+ * Commands and file paths go through the caller's executor backend
+ * (executorBackends.js), so restricted callers stay inside their jail
+ * (a mount namespace where the kernel allows it, path checks otherwise).
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { executeCommand } from './terminalExecutor.js';
+import { addContext, addCompleted, addBlocker } from './notesManager.js';
+import { registerTool } from './toolRegistry.js';
+import { evaluateCommand, formatPolicyReport } from './policyEngine.js';
+import { resolveCallerPath } from './executorBackends.js';
+
+const MAX_READ_CHARS = 20000;
+const NOTE_WRITERS = {
+  Context: addContext,
+  Completed: addCompleted,
+  Blockers: addBlocker
+};
+
+export const BUILTIN_TOOLS = [
+  {
+    name: 'run_shell_command',
+    description: 'Run a terminal command on the server and return its output and exit code. Use for listing files, SSH, git, npm, system administration, etc.',
+    parameters: {
+      type: 'object',
+      properties: {
+        command: { type: 'string', description: 'The command to execute' },
+        reasoning: { type: 'string', description: 'Why this command is needed and what it will do' },
+        requiresApproval: { type: 'boolean', description: 'Whether the user must approve the command before it runs' }
+      },
+      required: ['command', 'reasoning', 'requiresApproval'],
+      additionalProperties: false
+    },
+    permission: 'ask',
+    target: (args) => args.command,
+    describe: (args) => ({ action: args.command, reasoning: args.reasoning }),
+    summarize: (args, result) => result.cancelled ? 'cancelled' : `exit ${result.exitCode}`,
+    async policy({ command }) {
+      const report = await evaluateCommand(command);
+      return { blocked: report.blocked, requiresApproval: report.requiresApproval, reason: formatPolicyReport(report) };
+    },
+    async handler({ command }, context = {}) {
+      const result = await executeCommand(command, {
+        caller: context.caller || null,
+        approval: context.approval || null,
+        session: true,
+        onOutput: context.onCommandOutput ? (stream, chunk) => context.onCommandOutput(stream, chunk, command) : null
+      });
+      return {
+        executed: true,
+        output: result.output,
+        exitCode: result.exitCode,
+        error: result.error,
+        cancelled: result.cancelled,
+        cwd: result.cwd,
+        artifact: result.artifact,
+        redactions: result.redactions
+      };
+    }
+  },
+  {
+    name: 'read_file',
+    description: 'Read a text file and return its content (long files are truncated)',
+    parameters: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'File path, absolute or relative to the working directory' }
+      },
+      required: ['path'],
+      additionalProperties: false
+    },
+    permission: 'safe',
+    target: (args) => args.path,
+    summarize: (args, result) => `${result.content.length} chars${result.truncated ? ', truncated' : ''}`,
+    async handler({ path: filePath }, context = {}) {
+      const resolved = await resolveCallerPath(filePath, { caller: context.caller, access: 'read' });
+      const content = await fs.readFile(resolved, 'utf-8');
+      return {
+        path: resolved,
+        content: content.substring(0, MAX_READ_CHARS),
+        truncated: content.length > MAX_READ_CHARS
+      };
+    }
+  },
+  {
+    name: 'write_file',
+    description: 'Create or overwrite a text file. The user is always asked to approve the write.',
+    parameters: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'File path, absolute or relative to the working directory' },
+        content: { type: 'string', description: 'Full file content to write' },
+        reasoning: { type: 'string', description: 'Why the file is being written' }
+      },
+      required: ['path', 'content', 'reasoning'],
+      additionalProperties: false
+    },
+    permission: 'approve',
+    target: (args) => path.resolve(args.path),
+    summarize: (args, result) => `${result.bytes} bytes written`,
+    async handler({ path: filePath, content }, context = {}) {
+      const resolved = await resolveCallerPath(filePath, { caller: context.caller, access: 'write' });
+      await fs.mkdir(path.dirname(resolved), { recursive: true });
+      await fs.writeFile(resolved, content, 'utf-8');
+      return { written: true, path: resolved, bytes: Buffer.byteLength(content) };
+    }
+  },
+  {
+    name: 'update_notes',
+    description: 'Add an entry to the agent notes so it is remembered in later turns',
+    parameters: {
+      type: 'object',
+      properties: {
+        section: { type: 'string', enum: Object.keys(NOTE_WRITERS), description: 'Notes section to add the entry to' },
+        entry: { type: 'string', description: 'Text of the entry' }
+      },
+      required: ['section', 'entry'],
+      additionalProperties: false
+    },
+    permission: 'safe',
+    target: (args) => args.entry,
+    async handler({ section, entry }) {
+      await NOTE_WRITERS[section](entry);
+      return { updated: true, section };
+    }
+  },
+  {
+    name: 'ask_user',
+    description: 'Ask the user a question when information is missing. Ends the turn if the user cannot answer right away.',
+    parameters: {
+      type: 'object',
+      properties: {
+        question: { type: 'string', description: 'The question to ask' }
+      },
+      required: ['question'],
+      additionalProperties: false
+    },
+    permission: 'safe',
+    target: (args) => args.question,
+    summarize: (args, result) => result.answered ? `answer: ${result.answer}` : 'waiting for answer',
+    async handler({ question }, { askUser }) {
+      if (!askUser) {
+        return { answered: false, question };
+      }
+      return { answered: true, question, answer: await askUser(question) };
+    }
+  }
+];
+
+BUILTIN_TOOLS.forEach(registerTool);
+
+export default { BUILTIN_TOOLS };
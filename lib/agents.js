@@ -0,0 +1,145 @@
+/**
+ * Agents - Single-purpose agents used by the class-based AgentOrchestrator
+ *
+ * Every agent has the same signature so it can be used in pipelines,
+ * parallel fan-out or registered under a new name:
+ *
+ *   agent(input, { conversationHistory, environment, provider, caller, model, temperature }) → Promise<object>
+ *
+ * model and temperature are optional per-call overrides (used by pipeline steps).
+ *
+ * Agents:
+ * - processRequest (base): decides between response, code and terminal command
+ * - generateTerminalCommand (terminal): turns a request into one shell command
+ * - createTask (universal): describes a task, its parameters and expected output
+ * - generateSchema (schema): picks which response type fits a request
+ */
+
+import { queryOpenAI } from './openaiWrapper.js';
+import { baseAgentExtendedResponseSchema } from '../schemas/baseAgent.js';
+import { universalAgentResponseSchema } from '../schemas/universalAgent.js';
+import { schemaChoiceAgentResponseSchema } from '../schemas/schemaChoiceAgent.js';
+
+/**
+ * Build the context passed to queryOpenAI from agent options
+ */
+function buildAgentContext({ conversationHistory = '', environment = null } = {}) {
+  let context = '';
+
+  if (conversationHistory) {
+    context += `${conversationHistory}\n\n`;
+  }
+
+  if (environment && Object.keys(environment).length > 0) {
+    context += `═══ ENVIRONMENT ═══\n${JSON.stringify(environment, null, 2)}\n`;
+  }
+
+  return context.trim() || null;
+}
+
+/**
+ * Base agent - full baseAgentExtendedResponseSchema response
+ * @param {string} request - User request
+ * @param {object} options - { conversationHistory, environment, provider, caller, model, temperature }
+ */
+export async function processRequest(request, options = {}) {
+  return queryOpenAI(request, {
+    schema: baseAgentExtendedResponseSchema,
+    schemaName: 'baseAgent',
+    role: 'base',
+    context: buildAgentContext(options),
+    model: options.model,
+    temperature: options.temperature,
+    provider: options.provider,
+    caller: options.caller
+  });
+}
+
+/**
+ * Terminal agent - one shell command for a request
+ * @param {string} request - What the command should accomplish
+ * @param {object} options - { conversationHistory, environment, provider, caller, model, temperature }
+ * @returns {Promise<object>} { command, commandReasoning, requiresApproval, missingContext }
+ *                            command is empty when no command fits the request
+ */
+export async function generateTerminalCommand(request, options = {}) {
+  const prompt = `Produce exactly one terminal command (choice "terminalCommand") that accomplishes this:
+
+${request}
+
+Set requiresApproval to true for anything that modifies files, services or remote hosts.`;
+
+  const response = await queryOpenAI(prompt, {
+    schema: baseAgentExtendedResponseSchema,
+    schemaName: 'terminalAgent',
+    role: 'terminal',
+    context: buildAgentContext(options),
+    model: options.model,
+    temperature: options.temperature ?? 0.2,
+    provider: options.provider,
+    caller: options.caller
+  });
+
+  const isCommand = response.choice === 'terminalCommand' && response.terminalCommand;
+
+  return {
+    command: isCommand ? response.terminalCommand : '',
+    commandReasoning: isCommand ? response.commandReasoning : response.response,
+    requiresApproval: isCommand ? response.requiresApproval : false,
+    missingContext: response.missingContext || []
+  };
+}
+
+/**
+ * Universal agent - structured task description (universalAgentResponseSchema)
+ * parametersDescription is also returned parsed as `parameters` when it is valid JSON.
+ * @param {string} request - Task request
+ * @param {object} options - { conversationHistory, environment, provider, caller, model, temperature }
+ */
+export async function createTask(request, options = {}) {
+  const task = await queryOpenAI(request, {
+    schema: universalAgentResponseSchema,
+    schemaName: 'universalAgent',
+    role: 'universal',
+    context: buildAgentContext(options),
+    model: options.model,
+    temperature: options.temperature,
+    provider: options.provider,
+    caller: options.caller
+  });
+
+  let parameters = null;
+  try {
+    parameters = JSON.parse(task.parametersDescription);
+  } catch (error) {
+    // Free-text parameters - keep only the description
+  }
+
+  return { ...task, parameters };
+}
+
+/**
+ * Schema choice agent - which response type (response, code, terminalCommand) fits
+ * @param {string} request - User request
+ * @param {object} options - { conversationHistory, environment, provider, caller, model, temperature }
+ * @returns {Promise<object>} { choice, reasoning, missingContext }
+ */
+export async function generateSchema(request, options = {}) {
+  return queryOpenAI(request, {
+    schema: schemaChoiceAgentResponseSchema,
+    schemaName: 'schemaChoice',
+    role: 'schemaChoice',
+    context: buildAgentContext(options),
+    model: options.model,
+    temperature: options.temperature ?? 0.2,
+    provider: options.provider,
+    caller: options.caller
+  });
+}
+
+export default {
+  processRequest,
+  generateTerminalCommand,
+  createTask,
+  generateSchema
+};
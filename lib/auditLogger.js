@@ -1,56 +1,613 @@
 /**
- * Audit Logger - Logs all terminal command executions for security and compliance
- * 
+ * Audit Logger - Tamper-evident log of terminal command executions
+ *
  * Tracks:
- * - Commands executed (successful and failed)
- * - Approval decisions
+ * - Commands executed (successful and failed) and who asked for them
+ *   (caller: channel, userId, groupId, chatId, username, sessionId)
+ * - Approval decisions and who made them (approval.approver)
  * - Execution results and timing
  * - Security policy evaluations
+ * - Parsed command structure (each sub-command with how it is reached:
+ *   pipeline, subshell, substitution, sudo, sh -c, ...)
+ *
+ * Entries are JSON lines in audit.log (AUDIT_LOG_FILE overrides). Every
+ * entry has a seq number, the previous entry's hash (prevHash) and its own
+ * hash (sha256 of the entry without hash), so the entries form a chain across
+ * rotated files: editing, removing or reordering lines is reported by
+ * verifyAuditLog() (`npm run audit:verify`).
+ *
+ * A plain sha256 chain can be recomputed by anyone who can write the file, so
+ * it only shows accidents and careless edits. With AUDIT_LOG_HMAC_KEY set,
+ * entries are hashed with HMAC-SHA256 under that key (alg: "hmac-sha256");
+ * rewriting them then needs the key, which should be readable by the service
+ * only and kept out of backups of the log.
+ *
+ * Several processes (web server, Telegram bots, CLIs) may share one log:
+ * every write holds audit.log.lock (fileLock.js) and continues the chain from
+ * the last line on disk, and rotation happens under the same lock.
+ *
+ * Rotation: once the file is larger than AUDIT_LOG_MAX_MB (default 10) or its
+ * first entry is older than AUDIT_LOG_ROTATE_HOURS (default 24), it is gzipped
+ * to audit-<time>.log.gz next to it. The newest AUDIT_LOG_KEEP (default 30)
+ * rotated files are kept.
+ *
+ * Secrets are written as placeholders of the caller's vault (secretRedactor.js).
+ *
+ * Entries keep an excerpt of stdout/stderr; long output lives in output
+ * artifacts (outputArtifacts.js). Writes that fail are kept in memory and
+ * retried with the next entry instead of being dropped (getAuditStatus()).
  */
 
-import { appendFile } from 'fs/promises';
-import { join } from 'path';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { promisify } from 'util';
+import zlib from 'zlib';
+import { excerptOutput } from './outputArtifacts.js';
+import { withFileLock } from './fileLock.js';
+import { redactValue } from './secretRedactor.js';
 
-const LOG_FILE = join(process.cwd(), 'audit.log');
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const MAX_BYTES = (parseFloat(process.env.AUDIT_LOG_MAX_MB) || 10) * 1024 * 1024;
+const ROTATE_MS = (parseFloat(process.env.AUDIT_LOG_ROTATE_HOURS) || 24) * 60 * 60 * 1000;
+const KEEP_FILES = parseInt(process.env.AUDIT_LOG_KEEP, 10) || 30;
+const OUTPUT_CHARS = 1000;
+const MAX_PENDING = 10000;
+const GENESIS_HASH = '0'.repeat(64);
+const HMAC_ALG = 'hmac-sha256';
+const TAIL_CHUNK = 64 * 1024;
+// Entries waiting to be written (kept here while writes fail)
+const pending = [];
+let writeQueue = Promise.resolve();
+const health = { failures: 0, lastError: null, lastErrorAt: null, dropped: 0 };
 
 /**
- * Log a command execution event
- * @param {object} commandResult - Result from executeAgentCommand
- * @returns {Promise<void>}
- */
-export async function logCommand(commandResult) {
-  const timestamp = new Date().toISOString();
-  
-  const logEntry = {
-    timestamp,
-    status: commandResult.status,
-    command: commandResult.command || commandResult.terminalCommand || 'N/A',
-    reasoning: commandResult.reasoning || commandResult.commandReasoning || 'N/A',
-    ...commandResult
-  };
+ * Get audit log file path
+ */
+function getLogFile() {
+  return process.env.AUDIT_LOG_FILE || path.join(process.cwd(), 'audit.log');
+}
+
+/**
+ * Rotated files of the log, oldest first
+ */
+async function listRotatedFiles(file = getLogFile()) {
+  const dir = path.dirname(file);
+  const base = path.basename(file, '.log');
+  let names;
+  try {
+    names = await fs.readdir(dir);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+  return names
+    .filter(name => name.startsWith(`${base}-`) && name.endsWith('.log.gz'))
+    .sort()
+    .map(name => path.join(dir, name));
+}
+
+/**
+ * Lines of a log file (gzipped or not); [] when it does not exist
+ */
+async function readLines(file) {
+  let data;
+  try {
+    data = await fs.readFile(file);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+  if (file.endsWith('.gz')) data = await gunzip(data);
+  return data.toString('utf-8').split('\n').filter(Boolean);
+}
+
+/**
+ * Key for HMAC entry hashes, or null
+ */
+function getHmacKey() {
+  return process.env.AUDIT_LOG_HMAC_KEY || null;
+}
+
+/**
+ * Hash of an entry (every field but hash, in written order)
+ * Keyed entries (alg hmac-sha256) need the key; null when it is not set.
+ */
+function hashEntry(entry) {
+  const { hash, ...rest } = entry;
+  const text = JSON.stringify(rest);
+  if (entry.alg === HMAC_ALG) {
+    const key = getHmacKey();
+    return key ? crypto.createHmac('sha256', key).update(text).digest('hex') : null;
+  }
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+/**
+ * First and last line of a plain log file, reading only its ends
+ * @returns {Promise<object>} { first, last, size } (lines null for an empty or missing file)
+ */
+async function readEnds(file) {
+  let handle;
+  try {
+    handle = await fs.open(file, 'r');
+  } catch (error) {
+    if (error.code === 'ENOENT') return { first: null, last: null, size: 0 };
+    throw error;
+  }
+
+  try {
+    const { size } = await handle.stat();
+    if (size === 0) return { first: null, last: null, size };
+
+    const read = async (position, length) => {
+      const buffer = Buffer.alloc(length);
+      const { bytesRead } = await handle.read(buffer, 0, length, position);
+      return buffer.subarray(0, bytesRead).toString('utf-8');
+    };
+
+    // Grow the window from the end until it holds a whole last line
+    let chunk = Math.min(size, TAIL_CHUNK);
+    let tail = await read(size - chunk, chunk);
+    while (chunk < size && tail.trimEnd().lastIndexOf('\n') === -1) {
+      chunk = Math.min(size, chunk * 2);
+      tail = await read(size - chunk, chunk);
+    }
+    const tailLines = tail.split('\n').filter(Boolean);
+
+    let length = Math.min(size, TAIL_CHUNK);
+    let head = await read(0, length);
+    while (length < size && !head.includes('\n')) {
+      length = Math.min(size, length * 2);
+      head = await read(0, length);
+    }
+
+    return { first: head.split('\n')[0] || null, last: tailLines[tailLines.length - 1] || null, size };
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Find where the chain stands: the last entry of the current file, or of the
+ * newest rotated file when the current file is empty
+ * Read from disk for every write, since other processes may have appended or rotated.
+ */
+async function loadChain() {
+  const file = getLogFile();
+  const ends = await readEnds(file);
+  let last = ends.last;
+
+  if (!last) {
+    const rotated = await listRotatedFiles(file);
+    if (rotated.length > 0) {
+      const previous = await readLines(rotated[rotated.length - 1]);
+      last = previous[previous.length - 1] || null;
+    }
+  }
+
+  let seq = 0;
+  let hash = GENESIS_HASH;
+  if (last) {
+    try {
+      const entry = JSON.parse(last);
+      seq = entry.seq || 0;
+      hash = entry.hash || GENESIS_HASH;
+    } catch {
+      console.error('⚠️  Last audit log line is not valid JSON; continuing the chain from it anyway');
+      hash = crypto.createHash('sha256').update(last).digest('hex');
+    }
+  }
+
+  let openedAt = null;
+  if (ends.first) {
+    try {
+      openedAt = JSON.parse(ends.first).timestamp || null;
+    } catch {
+      openedAt = null;
+    }
+  }
+
+  return { file, seq, hash, openedAt, size: ends.size };
+}
 
-  // Format as JSON line (JSONL)
-  const logLine = JSON.stringify(logEntry) + '\n';
+/**
+ * Gzip the current file away when it is too large or too old
+ * @param {object} chain - From loadChain(); size and openedAt are reset after rotating
+ */
+async function rotateIfNeeded(chain) {
+  const tooLarge = chain.size >= MAX_BYTES;
+  const tooOld = chain.openedAt && Date.now() - new Date(chain.openedAt).getTime() >= ROTATE_MS;
+  if (chain.size === 0 || (!tooLarge && !tooOld)) return;
+
+  const base = path.basename(chain.file, '.log');
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const target = path.join(path.dirname(chain.file), `${base}-${stamp}.log.gz`);
+
+  // Atomic write: temp file then rename, then drop the plain file
+  const compressed = await gzip(await fs.readFile(chain.file));
+  await fs.writeFile(`${target}.tmp`, compressed);
+  await fs.rename(`${target}.tmp`, target);
+  await fs.unlink(chain.file);
+
+  console.log(`🗜️  Rotated audit log to ${path.basename(target)}`);
+  chain.size = 0;
+  chain.openedAt = null;
+
+  const rotated = await listRotatedFiles(chain.file);
+  for (const old of rotated.slice(0, Math.max(0, rotated.length - KEEP_FILES))) {
+    await fs.rm(old, { force: true });
+  }
+}
+
+/**
+ * Write pending entries, chained to the last written one (in any process)
+ */
+async function flush() {
+  if (pending.length === 0) return;
 
   try {
-    await appendFile(LOG_FILE, logLine, 'utf8');
+    await withFileLock(getLogFile(), async () => {
+      const chain = await loadChain();
+      await rotateIfNeeded(chain);
+
+      const keyed = getHmacKey() !== null;
+      let { seq, hash } = chain;
+      const lines = pending.map(record => {
+        const entry = { seq: ++seq, ...record, prevHash: hash };
+        if (keyed) entry.alg = HMAC_ALG;
+        entry.hash = hashEntry(entry);
+        hash = entry.hash;
+        return JSON.stringify(entry) + '\n';
+      });
+
+      await fs.appendFile(chain.file, lines.join(''), 'utf8');
+    });
+    pending.length = 0;
   } catch (error) {
-    // Fail silently on logging errors to not disrupt command execution
-    console.error('⚠️  Audit log write failed:', error.message);
+    health.failures++;
+    health.lastError = error.message;
+    health.lastErrorAt = new Date().toISOString();
+    if (pending.length > MAX_PENDING) {
+      health.dropped += pending.length - MAX_PENDING;
+      pending.splice(0, pending.length - MAX_PENDING);
+    }
+    console.error(`⚠️  Audit log write failed (${pending.length} entries kept for retry):`, error.message);
   }
 }
 
+/**
+ * Identity of a requester or approver as recorded in entries
+ * @param {object} who - { channel, userId, groupId, chatId, username, sessionId }
+ */
+function describeIdentity(who) {
+  if (!who) return null;
+  const identity = {
+    channel: who.channel || null,
+    userId: who.userId != null ? String(who.userId) : null,
+    groupId: who.groupId != null ? String(who.groupId) : null
+  };
+  if (who.chatId != null) identity.chatId = String(who.chatId);
+  if (who.username) identity.username = who.username;
+  if (who.sessionId) identity.sessionId = who.sessionId;
+  return identity;
+}
+
+/**
+ * Read an askApproval() answer
+ * Interfaces answer with a boolean or with { approved, approver, reason }
+ * where approver is the { channel, userId, username, sessionId } who decided.
+ * @returns {object} { approved, approver, reason, decidedAt } (recorded as entry.approval)
+ */
+export function readApproval(answer) {
+  const { approved = false, approver = null, reason = null } = typeof answer === 'object' && answer !== null
+    ? answer
+    : { approved: Boolean(answer) };
+  return { approved: Boolean(approved), approver: describeIdentity(approver), reason, decidedAt: new Date().toISOString() };
+}
+
+/**
+ * Audit record for a command result
+ * Only the fields worth keeping; stdout/stderr are shortened.
+ */
+function buildRecord(commandResult, caller, approval = null) {
+  const {
+    status, command, terminalCommand, reasoning, commandReasoning, message, exitCode,
+    executionTimeMs, cwd, executor, artifact, parsed, remote, policyReport, stdout, stderr,
+    approval: resultApproval,
+    // Dropped: duplicates of the fields above
+    ...rest
+  } = commandResult;
+
+  const record = {
+    timestamp: new Date().toISOString(),
+    status,
+    command: command || terminalCommand || 'N/A',
+    reasoning: reasoning || commandReasoning || 'N/A',
+    caller: describeIdentity(caller)
+  };
+
+  if (message !== undefined) record.message = message;
+  if (exitCode !== undefined) record.exitCode = exitCode;
+  if (executionTimeMs !== undefined) record.executionTimeMs = executionTimeMs;
+  if (cwd !== undefined) record.cwd = cwd;
+  if (stdout) record.stdout = excerptOutput(stdout, { limit: OUTPUT_CHARS });
+  if (stderr) record.stderr = excerptOutput(stderr, { limit: OUTPUT_CHARS });
+  const decision = approval || resultApproval;
+  if (decision) record.approval = { ...decision, approver: describeIdentity(decision.approver) };
+  if (artifact) record.artifact = artifact;
+  if (executor) record.executor = executor;
+  if (policyReport) {
+    record.policy = {
+      name: policyReport.policy?.name,
+      environment: policyReport.policy?.environment,
+      securityLevel: policyReport.securityLevel,
+      categories: policyReport.categories,
+      warnings: policyReport.warnings
+    };
+  }
+  if (parsed) record.parsed = parsed;
+  if (remote?.length) record.remote = remote;
+
+  // Anything else a caller chose to log (security events carry eventType, ...);
+  // secrets are written as the caller's placeholders
+  return redactValue({ ...record, ...rest }, caller);
+}
+
+/**
+ * Log a command execution event
+ * @param {object} commandResult - Result from executeAgentCommand
+ * @param {object} options
+ * @param {object} options.caller - { channel, userId, groupId, chatId, username, sessionId } who asked for the command
+ * @param {object} options.approval - { approved, approver, reason, decidedAt } from readApproval()
+ * @returns {Promise<void>} Resolves once written (or kept for retry)
+ */
+export async function logCommand(commandResult, { caller = null, approval = null } = {}) {
+  pending.push(buildRecord(commandResult, caller, approval));
+
+  const run = writeQueue.then(flush);
+  writeQueue = run.catch(() => {});
+  return run;
+}
+
 /**
  * Log a security event (approval denial, dangerous pattern, etc.)
  * @param {string} eventType - Type of security event
  * @param {object} details - Event details
+ * @param {object} options - { caller, approval } as for logCommand()
  */
-export async function logSecurityEvent(eventType, details) {
+export async function logSecurityEvent(eventType, details, options = {}) {
   await logCommand({
     status: 'security-event',
     eventType,
     ...details
+  }, options);
+}
+
+/**
+ * Write health of the audit log
+ * @returns {object} { pending, failures, lastError, lastErrorAt, dropped }
+ */
+export function getAuditStatus() {
+  return { pending: pending.length, ...health };
+}
+
+/**
+ * Check the hash chain of the audit log and its rotated files
+ * The first kept entry's prevHash can only be checked when nothing was pruned.
+ * @returns {Promise<object>} { ok, entries, files, firstSeq, lastSeq, errors: [{ file, line, seq, reason }] }
+ */
+export async function verifyAuditLog() {
+  await writeQueue;
+
+  const file = getLogFile();
+  const files = [...await listRotatedFiles(file), file];
+  const errors = [];
+  let entries = 0;
+  let firstSeq = null;
+  let lastSeq = null;
+  let prevHash = null;
+  let keyedSeen = false;
+  let lastKeyed = false;
+  let lastLine = null;
+  const key = getHmacKey();
+
+  const report = (name, line, seq, reason) => {
+    if (errors.length < 100) errors.push({ file: path.basename(name), line, seq, reason });
+  };
+
+  for (const name of files) {
+    const lines = await readLines(name);
+    lines.forEach((text, index) => {
+      let entry;
+      try {
+        entry = JSON.parse(text);
+      } catch {
+        report(name, index + 1, null, 'Line is not valid JSON');
+        prevHash = null;
+        return;
+      }
+
+      entries++;
+      if (firstSeq === null) {
+        firstSeq = entry.seq;
+        if (entry.seq === 1 && entry.prevHash !== GENESIS_HASH) {
+          report(name, index + 1, entry.seq, 'First entry does not start the chain');
+        }
+      } else if (entry.seq !== lastSeq + 1) {
+        report(name, index + 1, entry.seq, `Expected seq ${lastSeq + 1}`);
+      }
+
+      const keyed = entry.alg === HMAC_ALG;
+      if (keyed && !key) {
+        report(name, index + 1, entry.seq, 'Keyed entry cannot be checked without AUDIT_LOG_HMAC_KEY');
+      } else if (!entry.hash || hashEntry(entry) !== entry.hash) {
+        report(name, index + 1, entry.seq, 'Entry was modified (hash does not match)');
+      }
+      if (key && keyedSeen && !keyed) {
+        report(name, index + 1, entry.seq, 'Entry is not keyed although earlier entries are');
+      }
+      keyedSeen = keyedSeen || keyed;
+      lastKeyed = keyed;
+      lastLine = { name, line: index + 1 };
+      if (prevHash !== null && entry.prevHash !== prevHash) {
+        report(name, index + 1, entry.seq, 'Chain broken (prevHash does not match the previous entry)');
+      }
+
+      lastSeq = entry.seq;
+      prevHash = entry.hash;
+    });
+  }
+
+  // Rewriting the whole log without the key would leave no keyed entry
+  if (key && entries > 0 && !lastKeyed) {
+    report(lastLine.name, lastLine.line, lastSeq, 'Newest entry is not keyed although AUDIT_LOG_HMAC_KEY is set');
+  }
+
+  return {
+    ok: errors.length === 0,
+    entries,
+    files: files.map(name => path.basename(name)),
+    firstSeq,
+    lastSeq,
+    errors
+  };
+}
+
+/**
+ * Whether an entry was asked for by a user (telegram:42, 42, group:ops)
+ */
+function matchesUser(entry, user) {
+  const caller = entry.caller;
+  if (!caller) return false;
+  return user === `${caller.channel}:${caller.userId}` ||
+    user === caller.userId ||
+    (caller.groupId && user === `group:${caller.groupId}`);
+}
+
+/**
+ * Search the audit log, newest entries first
+ * @param {object} filter
+ * @param {string} filter.user - "<channel>:<userId>", a user id, or "group:<groupId>"
+ * @param {string} filter.status - Result status (success, error, blocked, denied, ...)
+ * @param {string|Date} filter.since - Only entries at or after this time
+ * @param {string|Date} filter.until - Only entries before this time
+ * @param {number} filter.limit - Maximum entries returned (default 50)
+ * @returns {Promise<Array<object>>} Entries
+ */
+export async function queryAuditLog(filter = {}) {
+  await writeQueue;
+
+  const since = filter.since ? new Date(filter.since).getTime() : null;
+  const until = filter.until ? new Date(filter.until).getTime() : null;
+  const limit = Number(filter.limit) || 50;
+  if (Number.isNaN(since) || Number.isNaN(until)) {
+    throw new Error('Invalid date in since/until');
+  }
+
+  const file = getLogFile();
+  const files = [file, ...(await listRotatedFiles(file)).reverse()];
+  const results = [];
+
+  for (const name of files) {
+    const lines = await readLines(name);
+    for (let i = lines.length - 1; i >= 0 && results.length < limit; i--) {
+      let entry;
+      try {
+        entry = JSON.parse(lines[i]);
+      } catch {
+        continue;
+      }
+      const time = new Date(entry.timestamp).getTime();
+      if (until != null && time >= until) continue;
+      if (since != null && time < since) return results;
+      if (filter.status && entry.status !== filter.status) continue;
+      if (filter.user && !matchesUser(entry, String(filter.user))) continue;
+      results.push(entry);
+    }
+    if (results.length >= limit) break;
+  }
+
+  return results;
+}
+
+/**
+ * Parse "/audit" arguments from chat: "verify", or key=value filters
+ * Example: "user=telegram:42 status=blocked since=2026-10-01 limit=20"
+ * @returns {object} { verify, filter }
+ */
+export function parseAuditArgs(text = '') {
+  const words = text.trim().split(/\s+/).filter(Boolean);
+  if (words[0] === 'verify') return { verify: true, filter: {} };
+
+  const filter = {};
+  for (const word of words) {
+    const [key, ...value] = word.split('=');
+    if (['user', 'status', 'since', 'until', 'limit'].includes(key) && value.length > 0) {
+      filter[key] = value.join('=');
+    } else {
+      throw new Error(`Unknown audit filter "${word}" (use user=, status=, since=, until=, limit=)`);
+    }
+  }
+  return { verify: false, filter };
+}
+
+const STATUS_ICONS = {
+  success: '✅',
+  error: '❌',
+  blocked: '🚫',
+  denied: '⛔',
+  cancelled: '🛑',
+  'dry-run': '🧪',
+  'security-event': '🛡️'
+};
+
+/**
+ * Audit entries as text for chat and the CLI, one line each
+ */
+export function formatAuditEntries(entries) {
+  if (entries.length === 0) return 'No audit entries found.';
+
+  return entries.map(entry => {
+    const who = entry.caller
+      ? (entry.caller.groupId ? `group:${entry.caller.groupId}/${entry.caller.userId}` : `${entry.caller.channel}:${entry.caller.userId}`)
+      : 'system';
+    const time = entry.timestamp.replace('T', ' ').substring(0, 16);
+    const command = entry.command.length > 80 ? entry.command.substring(0, 80) + '…' : entry.command;
+    const approver = entry.approval?.approver;
+    const decision = approver
+      ? ` (${entry.approval.approved ? 'approved' : 'denied'} by ${approver.channel}:${approver.userId})`
+      : '';
+    const status = entry.eventType ? `${entry.status}/${entry.eventType}` : entry.status;
+    return `#${entry.seq} ${time} ${STATUS_ICONS[entry.status] || '•'} ${status} ${who}: ${command}${decision}`;
+  }).join('\n');
+}
+
+/**
+ * Verification report as text
+ */
+export function formatAuditVerification(result) {
+  if (result.entries === 0) return 'Audit log is empty.';
+
+  let text = result.ok
+    ? `✅ Audit log intact: ${result.entries} entries (#${result.firstSeq}-#${result.lastSeq}) in ${result.files.length} file(s)`
+    : `❌ Audit log tampered or damaged: ${result.errors.length} problem(s) in ${result.entries} entries`;
+  result.errors.slice(0, 10).forEach(error => {
+    text += `\n- ${error.file}:${error.line}${error.seq != null ? ` (#${error.seq})` : ''} ${error.reason}`;
   });
+  return text;
 }
 
-export default { logCommand, logSecurityEvent };
+export default {
+  logCommand,
+  logSecurityEvent,
+  readApproval,
+  getAuditStatus,
+  verifyAuditLog,
+  queryAuditLog,
+  parseAuditArgs,
+  formatAuditEntries,
+  formatAuditVerification
+};
@@ -0,0 +1,364 @@
+/**
+ * Budget Manager - Daily/monthly token and dollar limits per user and group
+ *
+ * Budgets are read from budgets.json (BUDGET_CONFIG_FILE overrides):
+ *
+ * {
+ *   "defaults": {
+ *     "user":  { "daily": { "tokens": 200000 }, "monthly": { "usd": 5 } },
+ *     "group": { "daily": { "usd": 1 } }
+ *   },
+ *   "overrides": {
+ *     "telegram:123456": { "daily": { "tokens": 500000 } },
+ *     "group:tg_-100123": { "monthly": { "usd": 20 }, "onExceeded": "downgrade" },
+ *     "web:web-user": { "daily": null }
+ *   },
+ *   "onExceeded": "refuse",
+ *   "downgradeModel": "gpt-4o-mini"
+ * }
+ *
+ * Subjects are "<channel>:<userId>" for users and "group:<groupId>" for groups.
+ * A call is checked against every subject it belongs to. When a limit is
+ * reached the call is refused (BudgetExceededError) or, with
+ * onExceeded = "downgrade", served by downgradeModel instead.
+ * No config file means no limits.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { getUsageSummary } from './usageTracker.js';
+
+const PERIODS = ['daily', 'monthly'];
+const UNITS = ['tokens', 'usd'];
+
+/**
+ * Thrown by enforceBudget() when a caller has no budget left
+ */
+export class BudgetExceededError extends Error {
+  constructor(exceeded) {
+    super(`Budget exceeded: ${exceeded.map(describeExceeded).join('; ')}`);
+    this.name = 'BudgetExceededError';
+    this.code = 'BUDGET_EXCEEDED';
+    this.exceeded = exceeded;
+  }
+}
+
+/**
+ * Thrown by setBudget() and parseBudgetArgs() for limits that are not valid
+ */
+export class InvalidBudgetError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidBudgetError';
+    this.code = 'INVALID_BUDGET';
+  }
+}
+
+/**
+ * Check that an amount is a finite, non-negative number
+ */
+function validateAmount(value, label) {
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+    throw new InvalidBudgetError(`Invalid amount for ${label}: ${JSON.stringify(value)} (expected a non-negative number)`);
+  }
+}
+
+/**
+ * Check setBudget() limits before anything is persisted
+ */
+function validateLimits(limits) {
+  if (!limits || typeof limits !== 'object' || Array.isArray(limits)) {
+    throw new InvalidBudgetError('Limits must be an object: { daily, monthly, onExceeded }');
+  }
+  for (const [key, value] of Object.entries(limits)) {
+    if (key === 'onExceeded') {
+      if (!['refuse', 'downgrade'].includes(value)) {
+        throw new InvalidBudgetError(`Invalid onExceeded: ${value} (expected refuse or downgrade)`);
+      }
+      continue;
+    }
+    if (!PERIODS.includes(key)) {
+      throw new InvalidBudgetError(`Unknown budget field: ${key} (expected ${[...PERIODS, 'onExceeded'].join(', ')})`);
+    }
+    if (value === null || value === undefined) continue;
+    if (typeof value !== 'object' || Array.isArray(value)) {
+      throw new InvalidBudgetError(`${key} must be an object like { "tokens": 500000, "usd": 2 } or null`);
+    }
+    for (const [unit, amount] of Object.entries(value)) {
+      if (!UNITS.includes(unit)) {
+        throw new InvalidBudgetError(`Unknown unit in ${key}: ${unit} (expected ${UNITS.join(' or ')})`);
+      }
+      validateAmount(amount, `${key}.${unit}`);
+    }
+  }
+}
+
+/**
+ * Get budget config file path
+ */
+function getBudgetFile() {
+  return process.env.BUDGET_CONFIG_FILE || path.join(process.cwd(), 'budgets.json');
+}
+
+/**
+ * Load budget configuration (empty config if the file does not exist)
+ */
+export async function loadBudgetConfig() {
+  let config = {};
+  try {
+    config = JSON.parse(await fs.readFile(getBudgetFile(), 'utf-8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('⚠️  Could not read budget config:', error.message);
+    }
+  }
+
+  return {
+    defaults: config.defaults || {},
+    overrides: config.overrides || {},
+    onExceeded: config.onExceeded || 'refuse',
+    downgradeModel: config.downgradeModel || 'gpt-4o-mini'
+  };
+}
+
+/**
+ * Save budget configuration (atomic write)
+ */
+async function saveBudgetConfig(config) {
+  const budgetFile = getBudgetFile();
+  const tempFile = budgetFile + '.tmp';
+
+  try {
+    await fs.writeFile(tempFile, JSON.stringify(config, null, 2), 'utf-8');
+    await fs.rename(tempFile, budgetFile);
+  } catch (error) {
+    try {
+      await fs.unlink(tempFile);
+    } catch (unlinkError) {
+      // Ignore - file may not exist
+    }
+    throw error;
+  }
+}
+
+/**
+ * Budget subjects a caller belongs to
+ * @param {object} caller - { channel, userId, groupId }
+ * @returns {Array<{ subject: string, kind: string, filter: object }>}
+ */
+export function getBudgetSubjects(caller) {
+  if (!caller) return [];
+  const subjects = [];
+
+  if (caller.groupId != null) {
+    subjects.push({
+      subject: `group:${caller.groupId}`,
+      kind: 'group',
+      filter: { groupId: caller.groupId }
+    });
+  }
+
+  if (caller.userId != null) {
+    const channel = caller.channel || 'unknown';
+    subjects.push({
+      subject: `${channel}:${caller.userId}`,
+      kind: 'user',
+      filter: { channel, userId: caller.userId }
+    });
+  }
+
+  return subjects;
+}
+
+/**
+ * Start of the current budget period (UTC)
+ */
+function periodStart(period, now = new Date()) {
+  if (period === 'daily') {
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  }
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+}
+
+/**
+ * Limits for a subject: its override if present, otherwise the default for its kind
+ */
+function getLimits(config, { subject, kind }) {
+  const override = config.overrides[subject];
+  const defaults = config.defaults[kind] || {};
+  return { ...defaults, ...override };
+}
+
+function describeExceeded(e) {
+  const used = e.unit === 'usd' ? `$${e.used.toFixed(4)}` : e.used.toLocaleString();
+  const limit = e.unit === 'usd' ? `$${e.limit}` : e.limit.toLocaleString();
+  return `${e.subject} ${e.period} ${e.unit} ${used} of ${limit}`;
+}
+
+/**
+ * Current usage against every limit that applies to a caller
+ * @param {object} caller - { channel, userId, groupId }
+ * @returns {Promise<Array>} One entry per subject/period/unit with limit and used
+ */
+export async function getBudgetStatus(caller) {
+  const config = await loadBudgetConfig();
+  const status = [];
+
+  for (const subject of getBudgetSubjects(caller)) {
+    const limits = getLimits(config, subject);
+
+    for (const period of PERIODS) {
+      const limit = limits[period];
+      if (!limit) continue;
+
+      const usage = await getUsageSummary({ ...subject.filter, since: periodStart(period) });
+
+      if (limit.tokens != null) {
+        status.push({ subject: subject.subject, period, unit: 'tokens', limit: limit.tokens, used: usage.totals.totalTokens });
+      }
+      if (limit.usd != null) {
+        status.push({ subject: subject.subject, period, unit: 'usd', limit: limit.usd, used: usage.totals.costUsd });
+      }
+    }
+  }
+
+  return status;
+}
+
+/**
+ * Decide whether a caller may make an LLM call
+ * @param {object} caller - { channel, userId, groupId }
+ * @param {string} model - Model the call would use
+ * @returns {Promise<object>} { action: 'allow'|'downgrade'|'refuse', model, exceeded }
+ */
+export async function checkBudget(caller, model = null) {
+  if (!caller) {
+    return { action: 'allow', model, exceeded: [] };
+  }
+
+  const config = await loadBudgetConfig();
+  const status = await getBudgetStatus(caller);
+  const exceeded = status.filter(s => s.used >= s.limit);
+
+  if (exceeded.length === 0) {
+    return { action: 'allow', model, exceeded };
+  }
+
+  // Downgrade only if every exhausted subject allows it
+  const canDowngrade = exceeded.every(e =>
+    (config.overrides[e.subject]?.onExceeded || config.onExceeded) === 'downgrade'
+  );
+
+  if (canDowngrade && model !== config.downgradeModel) {
+    return { action: 'downgrade', model: config.downgradeModel, exceeded };
+  }
+
+  return { action: 'refuse', model, exceeded };
+}
+
+/**
+ * Check budget and throw if the call must be refused
+ * @returns {Promise<string>} Model to use (possibly downgraded)
+ */
+export async function enforceBudget(caller, model) {
+  const decision = await checkBudget(caller, model);
+
+  if (decision.action === 'refuse') {
+    throw new BudgetExceededError(decision.exceeded);
+  }
+
+  if (decision.action === 'downgrade') {
+    console.warn(`💸 Budget exceeded, downgrading ${model} → ${decision.model}: ${decision.exceeded.map(describeExceeded).join('; ')}`);
+  }
+
+  return decision.model;
+}
+
+/**
+ * Set limits for a subject at runtime (persisted to the config file)
+ * @param {string} subject - "<channel>:<userId>" or "group:<groupId>"
+ * @param {object} limits - { daily: { tokens, usd }, monthly: { tokens, usd }, onExceeded }
+ *                          A period set to null removes that limit
+ * @returns {Promise<object>} The subject's new override
+ * @throws {InvalidBudgetError} When a limit is not a finite, non-negative number
+ */
+export async function setBudget(subject, limits) {
+  validateLimits(limits);
+  const config = await loadBudgetConfig();
+  const current = config.overrides[subject] || {};
+  const updated = { ...current };
+
+  for (const period of PERIODS) {
+    if (limits[period] === undefined) continue;
+    updated[period] = limits[period] === null ? null : { ...current[period], ...limits[period] };
+  }
+
+  if (limits.onExceeded) {
+    updated.onExceeded = limits.onExceeded;
+  }
+
+  config.overrides[subject] = updated;
+  await saveBudgetConfig(config);
+
+  return updated;
+}
+
+/**
+ * Parse chat/CLI arguments into setBudget() limits
+ * e.g. ('daily', 'tokens', '500000') or ('monthly', 'usd', 'off')
+ */
+export function parseBudgetArgs(period, unit, amount) {
+  if (!PERIODS.includes(period)) {
+    throw new InvalidBudgetError(`Period must be one of: ${PERIODS.join(', ')}`);
+  }
+  if (amount === 'off') {
+    return { [period]: null };
+  }
+  if (!UNITS.includes(unit)) {
+    throw new InvalidBudgetError('Unit must be tokens or usd');
+  }
+  // Number('') and Number('0x10') would pass as 0 and 16
+  const value = /^\d+(\.\d+)?$/.test(amount) ? Number(amount) : NaN;
+  if (!Number.isFinite(value)) {
+    throw new InvalidBudgetError(`Invalid amount: ${amount}`);
+  }
+  return { [period]: { [unit]: value } };
+}
+
+/**
+ * Polite refusal text for chat interfaces
+ * @param {Array} exceeded - Exceeded limits from checkBudget() or BudgetExceededError
+ */
+export function formatBudgetRefusal(exceeded) {
+  const periods = Array.from(new Set(exceeded.map(e => e.period)));
+  const when = periods.includes('monthly') ? 'next month' : 'tomorrow';
+  return `💸 Sorry, the usage budget here has been used up, so I can't process more requests until ${when}. ` +
+    `An admin can raise the limit if this is urgent.`;
+}
+
+/**
+ * Format budget status for chat/CLI display
+ */
+export function formatBudgetStatus(status) {
+  if (status.length === 0) {
+    return 'No budget limits apply.';
+  }
+  return status.map(s => {
+    const fmt = (v) => s.unit === 'usd' ? `$${v.toFixed(4)}` : v.toLocaleString();
+    return `${s.subject} ${s.period}: ${fmt(s.used)} / ${fmt(s.limit)} ${s.unit === 'usd' ? '' : 'tokens'}`.trim();
+  }).join('\n');
+}
+
+export default {
+  BudgetExceededError,
+  InvalidBudgetError,
+  loadBudgetConfig,
+  getBudgetSubjects,
+  getBudgetStatus,
+  checkBudget,
+  enforceBudget,
+  setBudget,
+  parseBudgetArgs,
+  formatBudgetRefusal,
+  formatBudgetStatus
+};
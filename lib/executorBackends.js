@@ -0,0 +1,617 @@
+/**
+ * Executor Backends - Where and how agent terminal commands run
+ *
+ * Backends:
+ * - host: /bin/sh on the host with the server's environment and working directory
+ * - restricted: per-caller jail directory as the working directory, stripped
+ *   environment, ulimit resource limits, optional cgroup limits through a
+ *   systemd scope, and no network where the kernel allows it. The filesystem
+ *   is confined in a mount namespace (unshare -rm, then chroot into a tmpfs
+ *   holding only the jail and read-only readPaths), so interpreters cannot
+ *   read or write anything else either. Path arguments outside the jail are
+ *   also refused up front. Without user namespaces only that path check and
+ *   the limits apply, and describe() says so
+ *
+ * Selection, first match wins (executors.json, EXECUTOR_CONFIG_FILE overrides):
+ * 1. overrides["<channel>:<userId>"]
+ * 2. overrides["group:<groupId>"]
+ * 3. the environment policy's "executor" (policies.json)
+ * 4. "default", then EXECUTOR_BACKEND, then 'host'
+ *
+ * {
+ *   "default": "host",
+ *   "overrides": { "telegram:123": "restricted", "group:tg_-100123": "restricted" },
+ *   "restricted": {
+ *     "jailDir": "./sandbox", "cpuSeconds": 30, "memoryMB": 512, "maxFileMB": 100,
+ *     "maxOpenFiles": 256, "maxProcesses": 64, "network": false, "cgroups": false,
+ *     "filesystem": true, "envAllowlist": ["LANG"], "readPaths": ["/usr", "/bin", "/lib", "/lib64", "/dev/null"]
+ *   }
+ * }
+ *
+ * Custom backends implement run(command, { cwd, timeout, caller, signal, onOutput })
+ * and are added with registerExecutorBackend(); run streams output chunks to
+ * onOutput(stream, chunk), stops the command when signal aborts, and resolves to
+ * { stdout, stderr, exitCode, error, cancelled, cwd, isolation } without rejecting.
+ * The built-in backends start each command in its own process group and kill
+ * the whole group on timeout or cancel. They also implement
+ * spawnShell({ caller, cwd, env }) for persistent shell sessions
+ * (shellSessions.js) and checkCommand(command, { caller, cwd }), which
+ * returns why a command may not run, or null.
+ * The optional resolvePath(filePath, { caller, access }) maps paths used by
+ * the file tools (read_file, write_file) into the backend's filesystem view.
+ */
+
+import { spawn } from 'child_process';
+import fs from 'fs/promises';
+import path from 'path';
+import { parseShell, listCommands, ShellParseError } from './shellParser.js';
+import { loadPolicy } from './policyEngine.js';
+
+const DEFAULT_RESTRICTED = {
+  jailDir: null, // defaults to EXECUTOR_JAIL_DIR, then ./sandbox
+  cpuSeconds: 30,
+  memoryMB: 512,
+  maxFileMB: 100,
+  maxOpenFiles: 256,
+  maxProcesses: 64,
+  network: false,
+  cgroups: false,
+  filesystem: true,
+  envAllowlist: [],
+  readPaths: ['/usr', '/bin', '/lib', '/lib64', '/etc/alternatives', '/dev/null', '/dev/zero', '/dev/urandom']
+};
+
+/**
+ * Filesystem confinement, run by /bin/sh inside `unshare -rm`:
+ *   sh -c CONFINE_SCRIPT sandbox <root> <jail> <readPath>... -- <script>
+ * Mounts a tmpfs on <root>, binds the read paths (read-only) and the jail at
+ * their own paths, then runs the script chrooted there in the same directory.
+ */
+const CONFINE_SCRIPT = `set -e
+root=$1; jail=$2; shift 2
+dir=$(pwd); path=$PATH
+PATH=/usr/sbin:/sbin:$PATH
+mount -t tmpfs -o mode=755 sandbox "$root"
+while [ "$1" != -- ]; do
+  p=$1; shift
+  if [ -L "$p" ]; then
+    mkdir -p "$root$(dirname "$p")"; ln -s "$(readlink "$p")" "$root$p"
+  elif [ -d "$p" ]; then
+    mkdir -p "$root$p"; mount --rbind "$p" "$root$p"; mount -o remount,bind,ro "$root$p"
+  elif [ -e "$p" ]; then
+    mkdir -p "$root$(dirname "$p")"; : > "$root$p"; mount --bind "$p" "$root$p"
+  fi
+done
+shift
+mkdir -p "$root$jail"
+mount --bind "$jail" "$root$jail"
+exec chroot "$root" /bin/sh -c 'PATH=$1; cd "$2" || exit 126; eval "$3"' sandbox "$path" "$dir" "$1"`;
+
+const SAFE_PATH = '/usr/local/bin:/usr/bin:/bin';
+const MAX_BUFFER = 10 * 1024 * 1024;
+// stdin for commands, stdout, stderr, and fd 3 for session state (shellSessions.js)
+const SHELL_STDIO = ['pipe', 'pipe', 'pipe', 'pipe'];
+// Time between SIGTERM and SIGKILL when stopping a command
+const KILL_GRACE_MS = 2000;
+
+// Probe results, cached per process
+const probes = new Map();
+
+/**
+ * Get executor config file path
+ */
+function getExecutorFile() {
+  return process.env.EXECUTOR_CONFIG_FILE || path.join(process.cwd(), 'executors.json');
+}
+
+/**
+ * Load executors.json (empty config when missing)
+ */
+export async function loadExecutorConfig() {
+  try {
+    return JSON.parse(await fs.readFile(getExecutorFile(), 'utf-8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('⚠️  Could not read executor config:', error.message);
+    }
+    return {};
+  }
+}
+
+/**
+ * Send a signal to a child's whole process group
+ */
+function killGroup(child, signal) {
+  try {
+    process.kill(-child.pid, signal);
+  } catch {
+    try { child.kill(signal); } catch { /* already gone */ }
+  }
+}
+
+/**
+ * Stop a child started with detached: true - SIGTERM to its process group,
+ * then SIGKILL if it is still running after a grace period
+ * @returns {Function} Clears the pending SIGKILL
+ */
+export function stopProcessGroup(child) {
+  killGroup(child, 'SIGTERM');
+  const killTimer = setTimeout(() => killGroup(child, 'SIGKILL'), KILL_GRACE_MS);
+  killTimer.unref();
+  return () => clearTimeout(killTimer);
+}
+
+/**
+ * Run a program without a shell in its own process group
+ * Resolves with the outcome instead of rejecting; output is streamed to
+ * onOutput(stream, chunk) as it arrives and kept up to MAX_BUFFER per stream.
+ * @param {string} file - Program to run
+ * @param {Array<string>} args - Arguments
+ * @param {object} options - { cwd, env, timeout, signal, onOutput }
+ */
+function runProcess(file, args, { cwd, env, timeout = 0, signal = null, onOutput = null } = {}) {
+  return new Promise(resolve => {
+    const output = { stdout: '', stderr: '' };
+    let stopReason = null;
+    let cancelKill = () => {};
+
+    const child = spawn(file, args, { cwd, env, detached: true, stdio: ['ignore', 'pipe', 'pipe'] });
+
+    const stop = (reason) => {
+      if (stopReason || child.exitCode !== null || child.signalCode !== null) return;
+      stopReason = reason;
+      cancelKill = stopProcessGroup(child);
+    };
+
+    const timer = timeout ? setTimeout(() => stop('timeout'), timeout) : null;
+    const onAbort = () => stop('cancelled');
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    for (const stream of ['stdout', 'stderr']) {
+      child[stream].setEncoding('utf8');
+      child[stream].on('data', chunk => {
+        if (output[stream].length < MAX_BUFFER) {
+          output[stream] += chunk.substring(0, MAX_BUFFER - output[stream].length);
+        }
+        if (onOutput) {
+          try {
+            onOutput(stream, chunk);
+          } catch (error) {
+            console.error('⚠️  Output listener failed:', error.message);
+          }
+        }
+      });
+    }
+
+    const finish = (exitCode, error) => {
+      clearTimeout(timer);
+      cancelKill();
+      signal?.removeEventListener('abort', onAbort);
+      resolve({
+        stdout: output.stdout.trim(),
+        stderr: output.stderr.trim(),
+        exitCode,
+        error,
+        cancelled: stopReason === 'cancelled'
+      });
+    };
+
+    child.on('error', error => finish(-1, error.message));
+    child.on('close', (code, killedBy) => {
+      if (stopReason === 'timeout') return finish(code ?? -1, `Timed out after ${timeout}ms`);
+      if (stopReason === 'cancelled') return finish(code ?? -1, 'Cancelled');
+      if (killedBy) return finish(-1, `Killed by ${killedBy}`);
+      finish(code, code === 0 ? null : `Command failed with exit code ${code}`);
+    });
+
+    if (signal?.aborted) onAbort();
+  });
+}
+
+/**
+ * Whether a probe command succeeds on this machine (cached)
+ */
+async function probe(key, file, args) {
+  if (!probes.has(key)) {
+    probes.set(key, runProcess(file, args, { timeout: 5000 }).then(result => result.exitCode === 0));
+  }
+  return probes.get(key);
+}
+
+/**
+ * Host backend - the server's shell, environment and working directory
+ */
+export function createHostBackend() {
+  return {
+    name: 'host',
+    describe: () => 'host shell (full access to the server)',
+    resolvePath: (filePath) => path.resolve(filePath),
+    checkCommand: () => null,
+    async run(command, { cwd = process.cwd(), timeout = 30000, signal = null, onOutput = null } = {}) {
+      const result = await runProcess('/bin/sh', ['-c', command], { cwd, timeout, signal, onOutput });
+      return { ...result, cwd, isolation: null };
+    },
+    async spawnShell({ cwd = process.cwd(), env = null } = {}) {
+      const child = spawn('/bin/sh', [], { cwd, env: env || process.env, detached: true, stdio: SHELL_STDIO });
+      return { child, cwd, isolation: null };
+    }
+  };
+}
+
+/**
+ * Jail directory name for a caller
+ */
+function jailName(caller) {
+  if (!caller) return 'default';
+  const id = caller.groupId ? `group-${caller.groupId}` : `${caller.channel || 'user'}-${caller.userId || 'anonymous'}`;
+  return id.replace(/[^a-zA-Z0-9_-]/g, '_');
+}
+
+function isInside(parent, child) {
+  const relative = path.relative(parent, child);
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+/**
+ * Expand a leading ~, $HOME or $PWD the way the jailed shell would
+ * @returns {string|null} Path with the jail or working directory in front, the
+ *   word itself when it has no such prefix, or null for ~user and other variables
+ */
+function expandPathPrefix(word, workDir, jail) {
+  const home = word.match(/^(~|\$HOME|\$\{HOME\})(?=\/|$)/);
+  if (home) return jail + word.slice(home[1].length);
+
+  const pwd = word.match(/^(\$PWD|\$\{PWD\})(?=\/|$)/);
+  if (pwd) return workDir + word.slice(pwd[1].length);
+
+  if (/^~[^/]/.test(word) || /^\$/.test(word)) return null;
+  return word;
+}
+
+/**
+ * First path in a command that escapes the jail, or null
+ * Absolute paths (and ~, $HOME, $PWD, which the shell makes absolute) must be
+ * in the jail or readPaths; relative paths must not climb out of the working
+ * directory. Another user's ~user and paths built from other variables with ..
+ * cannot be checked and count as outside.
+ */
+export function findPathOutsideJail(command, workDir, jail, readPaths = DEFAULT_RESTRICTED.readPaths) {
+  let commands;
+  try {
+    commands = listCommands(parseShell(command));
+  } catch (error) {
+    if (error instanceof ShellParseError) return null; // the policy engine already requires approval
+    throw error;
+  }
+
+  for (const entry of commands) {
+    const words = [...entry.args, ...entry.redirects.map(r => r.target), ...entry.assignments.map(a => a.split('=').slice(1).join('='))];
+    if (entry.program.includes('/')) words.push(entry.program);
+
+    for (const word of words) {
+      // Option values such as --file=/etc/x count too
+      const candidate = word.includes('=') && word.startsWith('-') ? word.split('=').slice(1).join('=') : word;
+      const expanded = expandPathPrefix(candidate, workDir, jail);
+
+      if (expanded === null) {
+        if (candidate.startsWith('~') || candidate.split('/').includes('..')) return candidate;
+      } else if (expanded.startsWith('/')) {
+        const resolved = path.resolve(expanded);
+        if (!isInside(jail, resolved) && !readPaths.some(p => isInside(p, resolved))) return candidate;
+      } else if (candidate.split('/').includes('..')) {
+        if (!isInside(jail, path.resolve(workDir, candidate))) return candidate;
+      }
+    }
+
+    if (['cd', 'pushd'].includes(entry.program) && entry.args[0] === '-') return '-';
+  }
+
+  return null;
+}
+
+/**
+ * ulimit lines for the restricted shell, skipping options /bin/sh lacks
+ */
+async function buildLimits(config) {
+  const limits = [
+    ['-t', config.cpuSeconds],
+    ['-v', config.memoryMB && config.memoryMB * 1024],
+    // POSIX counts file size in 512-byte blocks
+    ['-f', config.maxFileMB && config.maxFileMB * 2048],
+    ['-n', config.maxOpenFiles]
+  ];
+  if (config.maxProcesses) {
+    const flag = await probe('ulimit -u', '/bin/sh', ['-c', 'ulimit -u 4096']) ? '-u' : '-p';
+    limits.push([flag, config.maxProcesses]);
+  }
+
+  const lines = [];
+  for (const [flag, value] of limits) {
+    if (!value) continue;
+    if (await probe(`ulimit ${flag}`, '/bin/sh', ['-c', `ulimit ${flag} ${value}`])) {
+      lines.push(`ulimit ${flag} ${value}`);
+    }
+  }
+  return lines;
+}
+
+/**
+ * Restricted backend - jail directory, stripped environment, resource limits, no network
+ * @param {object} options - Overrides for DEFAULT_RESTRICTED (see module header)
+ */
+export function createRestrictedBackend(options = {}) {
+  const config = { ...DEFAULT_RESTRICTED, ...options };
+  const jailRoot = path.resolve(config.jailDir || process.env.EXECUTOR_JAIL_DIR || path.join(process.cwd(), 'sandbox'));
+  const jailFor = (caller) => path.join(jailRoot, jailName(caller));
+
+  /**
+   * Why a command may not run in the caller's jail, or null
+   */
+  function checkCommand(command, { caller = null, cwd = null } = {}) {
+    const jail = jailFor(caller);
+    const escape = findPathOutsideJail(command, jailDir(jail, cwd), jail, config.readPaths);
+    return escape ? `Path outside the sandbox: ${escape}` : null;
+  }
+
+  return {
+    name: 'restricted',
+    config,
+    async describe() {
+      const confined = config.filesystem && await canConfine();
+      const filesystem = confined
+        ? 'filesystem limited to your working directory and read-only system paths'
+        : 'working directory with path checks only (no filesystem isolation)';
+      return `restricted sandbox (${filesystem}, minimal environment, ${config.cpuSeconds}s CPU, ${config.memoryMB}MB memory${config.network ? '' : ', no network'})`;
+    },
+
+    async resolvePath(filePath, { caller = null, access = 'read' } = {}) {
+      const jail = jailFor(caller);
+      await fs.mkdir(jail, { recursive: true });
+
+      const resolved = path.resolve(jail, filePath.replace(/^~(?=\/|$)/, jail));
+      const readable = access === 'read' && config.readPaths.some(p => isInside(p, resolved));
+      if (!isInside(jail, resolved) && !readable) {
+        throw new Error(`Path outside the sandbox: ${filePath}`);
+      }
+      return resolved;
+    },
+
+    checkCommand,
+
+    async run(command, { cwd = null, timeout = 30000, caller = null, signal = null, onOutput = null } = {}) {
+      const jail = jailFor(caller);
+      const workDir = jailDir(jail, cwd);
+
+      const refusal = checkCommand(command, { caller, cwd: workDir });
+      if (refusal) {
+        return {
+          stdout: '',
+          stderr: '',
+          exitCode: 126,
+          error: refusal,
+          cancelled: false,
+          cwd: workDir,
+          isolation: { jail, network: null, filesystem: false, cgroups: false, limits: [] }
+        };
+      }
+
+      await fs.mkdir(workDir, { recursive: true });
+      const { argv, env, isolation } = await prepare(jail, command);
+      const result = await runProcess(argv[0], argv.slice(1), { cwd: workDir, timeout, env, signal, onOutput });
+      return { ...result, cwd: workDir, isolation };
+    },
+
+    async spawnShell({ caller = null, cwd = null, env = null } = {}) {
+      const jail = jailFor(caller);
+      const workDir = jailDir(jail, cwd);
+
+      // The limits apply to the session shell and everything it starts
+      await fs.mkdir(workDir, { recursive: true });
+      const prepared = await prepare(jail, 'exec /bin/sh');
+      const child = spawn(prepared.argv[0], prepared.argv.slice(1), {
+        cwd: workDir,
+        env: env ? { ...env, HOME: jail, TMPDIR: jail } : prepared.env,
+        detached: true,
+        stdio: SHELL_STDIO
+      });
+      return { child, cwd: workDir, isolation: prepared.isolation };
+    }
+  };
+
+  /**
+   * Working directory inside the jail; directories outside it fall back to the jail itself
+   */
+  function jailDir(jail, cwd) {
+    const requested = cwd ? path.resolve(jail, cwd) : jail;
+    return isInside(jail, requested) ? requested : jail;
+  }
+
+  /**
+   * Whether the mount namespace confinement works on this machine (probed once)
+   */
+  function canConfine() {
+    if (!probes.has('confine')) {
+      const jail = jailFor(null);
+      probes.set('confine', fs.mkdir(jail, { recursive: true })
+        .then(() => runProcess('unshare', ['-rm', '/bin/sh', '-c', CONFINE_SCRIPT, 'sandbox', ...confineArgs(jail), 'true'], { cwd: jail, timeout: 5000 }))
+        .then(result => result.exitCode === 0));
+    }
+    return probes.get('confine');
+  }
+
+  /**
+   * CONFINE_SCRIPT arguments up to the script: root, jail, read paths, --
+   */
+  function confineArgs(jail) {
+    return [path.join(jailRoot, '.root'), jail, ...config.readPaths, '--'];
+  }
+
+  /**
+   * argv (ulimit script wrapped in unshare / systemd-run) and environment for a script
+   */
+  async function prepare(jail, script) {
+    await fs.mkdir(jail, { recursive: true });
+    await fs.mkdir(path.join(jailRoot, '.root'), { recursive: true });
+
+    const isolation = { jail, network: null, filesystem: false, cgroups: false, limits: await buildLimits(config) };
+
+    const env = { PATH: SAFE_PATH, HOME: jail, TMPDIR: jail, USER: 'sandbox', SHELL: '/bin/sh', TERM: 'dumb', LANG: 'C.UTF-8' };
+    for (const name of config.envAllowlist) {
+      if (process.env[name] !== undefined) env[name] = process.env[name];
+    }
+
+    const limited = [...isolation.limits, script].join('\n');
+    let argv = ['/bin/sh', '-c', limited];
+
+    if (!config.network) {
+      isolation.network = await probe('unshare -rn', 'unshare', ['-rn', '/bin/true']);
+      if (!isolation.network) {
+        console.warn('⚠️  Network isolation unavailable (unshare -rn failed); running with network access');
+      }
+    }
+
+    if (config.filesystem) {
+      isolation.filesystem = await canConfine();
+      if (!isolation.filesystem) {
+        console.warn('⚠️  Filesystem isolation unavailable (unshare -rm failed); only path arguments are checked');
+      }
+    }
+
+    if (isolation.filesystem) {
+      argv = ['unshare', isolation.network ? '-rmn' : '-rm', '/bin/sh', '-c', CONFINE_SCRIPT, 'sandbox', ...confineArgs(jail), limited];
+    } else if (isolation.network) {
+      argv = ['unshare', '-rn', ...argv];
+    }
+
+    if (config.cgroups && await probe('systemd-run', 'systemd-run', ['--user', '--scope', '--quiet', '/bin/true'])) {
+      isolation.cgroups = true;
+      argv = [
+        'systemd-run', '--user', '--scope', '--quiet',
+        '-p', `MemoryMax=${config.memoryMB}M`,
+        '-p', `TasksMax=${config.maxProcesses}`,
+        '--', ...argv
+      ];
+    }
+
+    return { argv, env, isolation };
+  }
+}
+
+const backendFactories = {
+  host: createHostBackend,
+  restricted: createRestrictedBackend
+};
+
+// Instances are created on first use and reused afterwards
+const backendInstances = new Map();
+
+/**
+ * Register a backend instance (or replace a built-in) under a name
+ * @param {string} name - Name used in executors.json, policies.json and EXECUTOR_BACKEND
+ * @param {object} backend - Object implementing run()
+ */
+export function registerExecutorBackend(name, backend) {
+  if (!backend || typeof backend.run !== 'function') {
+    throw new Error(`Executor backend "${name}" must implement run()`);
+  }
+  backendInstances.set(name, { name, ...backend });
+  return backendInstances.get(name);
+}
+
+/**
+ * List known backend names (built-in and registered)
+ */
+export function listExecutorBackends() {
+  return Array.from(new Set([...Object.keys(backendFactories), ...backendInstances.keys()]));
+}
+
+/**
+ * Forget cached instances so the next lookup re-reads executors.json
+ */
+export function resetExecutorBackends() {
+  backendInstances.clear();
+}
+
+/**
+ * Name of the backend for a caller
+ * @param {object} caller - { channel, userId, groupId }
+ * @param {object} policyReport - Report from policyEngine.evaluateCommand or a loadPolicy() policy (its executor applies)
+ * @param {object} config - Parsed executors.json (loaded when omitted)
+ */
+export async function selectExecutorName(caller = null, policyReport = null, config = null) {
+  const executors = config || await loadExecutorConfig();
+  const overrides = executors.overrides || {};
+
+  if (caller?.channel && caller.userId && overrides[`${caller.channel}:${caller.userId}`]) {
+    return overrides[`${caller.channel}:${caller.userId}`];
+  }
+  if (caller?.groupId && overrides[`group:${caller.groupId}`]) {
+    return overrides[`group:${caller.groupId}`];
+  }
+  if (policyReport?.executor) {
+    return policyReport.executor;
+  }
+  return executors.default || process.env.EXECUTOR_BACKEND || 'host';
+}
+
+/**
+ * Resolve the backend for a command
+ * @param {object} options
+ * @param {string|object} options.backend - Backend name or instance (skips selection)
+ * @param {object} options.caller - { channel, userId, groupId }
+ * @param {object} options.policyReport - Policy report for the command
+ * @returns {Promise<object>} Backend instance with name, describe() and run()
+ */
+export async function getExecutorBackend({ backend = null, caller = null, policyReport = null } = {}) {
+  if (backend && typeof backend === 'object') {
+    if (typeof backend.run !== 'function') {
+      throw new Error('Executor backend object must implement run()');
+    }
+    return backend;
+  }
+
+  const config = await loadExecutorConfig();
+  const name = backend || await selectExecutorName(caller, policyReport, config);
+
+  if (!backendInstances.has(name)) {
+    const factory = backendFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown executor backend: ${name} (available: ${listExecutorBackends().join(', ')})`);
+    }
+    backendInstances.set(name, factory(config[name] || {}));
+  }
+
+  return backendInstances.get(name);
+}
+
+/**
+ * Resolve a file tool path for a caller through their backend
+ * @param {string} filePath - Path given to read_file/write_file
+ * @param {object} options - { caller, access: 'read' | 'write' }
+ */
+export async function resolveCallerPath(filePath, { caller = null, access = 'read' } = {}) {
+  const backend = await getExecutorBackend({ caller, policyReport: await loadPolicy() });
+  return backend.resolvePath ? backend.resolvePath(filePath, { caller, access }) : path.resolve(filePath);
+}
+
+/**
+ * Short description of where a caller's commands run (for agent prompts)
+ */
+export async function describeExecutor(caller = null) {
+  const backend = await getExecutorBackend({ caller, policyReport: await loadPolicy() });
+  return backend.describe ? backend.describe() : backend.name;
+}
+
+export default {
+  createHostBackend,
+  createRestrictedBackend,
+  findPathOutsideJail,
+  loadExecutorConfig,
+  registerExecutorBackend,
+  listExecutorBackends,
+  resetExecutorBackends,
+  selectExecutorName,
+  getExecutorBackend,
+  resolveCallerPath,
+  describeExecutor
+};
@@ -0,0 +1,79 @@
+/**
+ * File Lock - Exclusive <file>.lock for read-modify-write across processes
+ *
+ * The web server, the Telegram bots and the CLIs run as separate processes
+ * that share data files (group chats, audit.log). A write that reads the file
+ * first (to continue a hash chain, to append to a chat) holds <file>.lock,
+ * created with O_EXCL, so the processes take turns:
+ *
+ *   await withFileLock(file, async () => { ...read, then write file... });
+ *
+ * A lock older than LOCK_STALE_MS was left by a crashed process and is taken over.
+ * Waiters take turns removing it (under <file>.lock.lock) and re-check it first,
+ * so a lock another waiter has just created in its place is never removed.
+ * Each lock holds a token, and a holder only removes a lock that still has its own.
+ */
+
+import fs from 'fs/promises';
+import { randomBytes } from 'crypto';
+
+const LOCK_RETRY_MS = 20;
+const LOCK_TIMEOUT_MS = 5000;
+const LOCK_STALE_MS = 10000; // Locked writes take milliseconds; older locks are left by crashed processes
+
+/**
+ * Run fn while holding <file>.lock (created exclusively, removed afterwards)
+ * @param {string} file - File the lock protects
+ * @param {Function} fn - Async function run under the lock
+ * @returns {Promise<*>} What fn returns
+ */
+export async function withFileLock(file, fn) {
+  const lockFile = file + '.lock';
+  const token = `${process.pid} ${randomBytes(8).toString('hex')}`;
+  const started = Date.now();
+
+  while (true) {
+    try {
+      await fs.writeFile(lockFile, token, { flag: 'wx' });
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+
+      if (await isStale(lockFile)) {
+        await withFileLock(lockFile, async () => {
+          // Another waiter may have removed it and locked again meanwhile
+          if (await isStale(lockFile)) {
+            console.warn(`⚠️  Removing stale lock ${lockFile}`);
+            await fs.unlink(lockFile).catch(() => {});
+          }
+        });
+        continue;
+      }
+      if (Date.now() - started > LOCK_TIMEOUT_MS) {
+        throw new Error(`Timed out waiting for ${lockFile}`);
+      }
+      await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+    }
+  }
+
+  try {
+    return await fn();
+  } finally {
+    // Taken over as stale while fn ran: the lock is someone else's now
+    if (await fs.readFile(lockFile, 'utf-8').catch(() => null) === token) {
+      await fs.unlink(lockFile).catch(() => {});
+    }
+  }
+}
+
+/**
+ * Whether a lock file exists and is older than LOCK_STALE_MS
+ */
+async function isStale(lockFile) {
+  const stat = await fs.stat(lockFile).catch(() => null);
+  return Boolean(stat) && Date.now() - stat.mtimeMs > LOCK_STALE_MS;
+}
+
+export default {
+  withFileLock
+};
@@ -6,114 +6,80 @@
  * - Maintain running global summary
  * - Respond using baseAgent only
  * - Update summary after every interaction
+ * - Store chats through storageBackends.js (groupchat-<id>.json or SQLite)
+ * 
+ * Writes of one group run one at a time (queueGroupWrite). The summary is
+ * generated outside the queue and saved by merging its fields into the chat
+ * as stored then, so messages that arrive during the summarizer call are kept.
  * 
  * Simpler than full orchestrator - no landscape, no plan steps, no notes
  */
 
-import fs from 'fs/promises';
-import path from 'path';
 import { queryOpenAI } from './openaiWrapper.js';
 import { baseAgentExtendedResponseSchema } from '../schemas/baseAgent.js';
 import { executeCommand } from './terminalExecutor.js';
+import { logSecurityEvent, readApproval } from './auditLogger.js';
+import { redactSecrets } from './secretRedactor.js';
+import { evaluateCommand, formatPolicyReport, withPolicyReasoning } from './policyEngine.js';
+import { getStorageBackend, emptyGroupChat } from './storageBackends.js';
 
 const MAX_MESSAGES_WINDOW = 50; // Keep last 50 messages in active window
 const MAX_SUMMARY_LENGTH = 2000; // Max chars for global summary
 
-/**
- * Get group chat file path (supports per-group files)
- */
-function getGroupChatFile(groupId = 'default') {
-  const filename = `groupchat-${groupId}.json`;
-  return process.env.USER_GROUPCHAT_FILE || path.join(process.cwd(), filename);
-}
+const groupQueues = new Map(); // groupId -> promise of the group's last queued write
 
 /**
- * Load group chat data
+ * Run a write to a group's chat after the group's earlier writes have finished
+ * Other processes are kept apart by the backend (lock file or SQLite transaction).
+ * @param {string} groupId - Group whose writes are serialized
+ * @param {Function} fn - Async write
+ * @returns {Promise<*>} What fn returns
  */
-async function loadGroupChat(groupId) {
-  try {
-    const data = await fs.readFile(getGroupChatFile(groupId), 'utf-8');
-    return JSON.parse(data);
-  } catch (error) {
-    // File doesn't exist, return empty structure
-    return {
-      groupId,
-      globalSummary: 'New conversation started.',
-      messages: [],
-      totalMessages: 0,
-      lastUpdated: new Date().toISOString(),
-      participants: new Set()
-    };
-  }
+function queueGroupWrite(groupId, fn) {
+  const key = String(groupId);
+  const run = (groupQueues.get(key) || Promise.resolve()).then(fn);
+  const tail = run.catch(() => {});
+
+  groupQueues.set(key, tail);
+  tail.then(() => {
+    if (groupQueues.get(key) === tail) groupQueues.delete(key);
+  });
+  return run;
 }
 
 /**
- * Save group chat data (atomic write)
+ * Load group chat data (the last MAX_MESSAGES_WINDOW messages)
  */
-async function saveGroupChat(groupId, chatData) {
-  const chatFile = getGroupChatFile(groupId);
-  const tempFile = chatFile + '.tmp';
-  
-  try {
-    // Convert Set to Array for JSON serialization
-    const dataToSave = {
-      ...chatData,
-      participants: Array.from(chatData.participants)
-    };
-    
-    // Write to temp file first
-    await fs.writeFile(tempFile, JSON.stringify(dataToSave, null, 2), 'utf-8');
-    
-    // Atomic rename
-    await fs.rename(tempFile, chatFile);
-  } catch (error) {
-    // Clean up temp file if it exists
-    try {
-      await fs.unlink(tempFile);
-    } catch (unlinkError) {
-      // Ignore
-    }
-    throw error;
-  }
+async function loadGroupChat(groupId) {
+  const chatData = await getStorageBackend().loadGroupChat(groupId, { window: MAX_MESSAGES_WINDOW });
+  return chatData || emptyGroupChat(groupId);
 }
 
 /**
  * Add message to group chat (from any participant)
+ * Only the message is written (one row with the sqlite backend); secrets are
+ * stored as the group's placeholders.
  */
 export async function addMessage(groupId, message) {
-  const chatData = await loadGroupChat(groupId);
-  
-  // Restore Set from Array
-  chatData.participants = new Set(chatData.participants || []);
-  
-  // Add message
-  const messageEntry = {
-    id: chatData.totalMessages + 1,
-    timestamp: new Date().toISOString(),
+  const entry = {
     userId: message.userId,
     username: message.username,
-    text: message.text,
+    text: redactSecrets(message.text, { groupId }),
     isBot: message.isBot || false
   };
-  
-  chatData.messages.push(messageEntry);
-  chatData.totalMessages += 1;
-  chatData.participants.add(message.username || message.userId);
-  chatData.lastUpdated = messageEntry.timestamp;
-  
-  // Slide window if too many messages
-  if (chatData.messages.length > MAX_MESSAGES_WINDOW) {
-    chatData.messages.shift();
-  }
-  
-  await saveGroupChat(groupId, chatData);
-  return messageEntry;
+
+  return queueGroupWrite(groupId, () => getStorageBackend().appendGroupMessage(groupId, {
+    timestamp: new Date().toISOString(),
+    ...entry
+  }, { window: MAX_MESSAGES_WINDOW }));
 }
 
 /**
  * Update global summary after each interaction
  */
-export async function updateGlobalSummary(groupId) {
+export async function updateGlobalSummary(groupId, options = {}) {
+  const { provider = null, caller = null } = options;
+
   const chatData = await loadGroupChat(groupId);
   
   // Restore Set from Array
@@ -157,16 +123,27 @@ Keep it concise (max ${MAX_SUMMARY_LENGTH} chars) but informative.`;
         required: ["summary"],
         additionalProperties: false
       },
-      temperature: 0.5
+      schemaName: 'groupSummary',
+      role: 'summarizer',
+      temperature: 0.5,
+      provider,
+      caller: { channel: 'group', ...caller, groupId }
     });
     
-    // Update summary (truncate if needed)
-    chatData.globalSummary = summaryResponse.summary.substring(0, MAX_SUMMARY_LENGTH);
-    chatData.lastUpdated = new Date().toISOString();
-    
-    await saveGroupChat(groupId, chatData);
-    
-    return chatData.globalSummary;
+    // Update summary (truncate if needed); only the summary fields are written,
+    // so messages added meanwhile are kept
+    const globalSummary = redactSecrets(summaryResponse.summary.substring(0, MAX_SUMMARY_LENGTH), { groupId });
+    return await queueGroupWrite(groupId, async () => {
+      const current = await loadGroupChat(groupId);
+      
+      // Cleared while the summarizer ran: the summary describes deleted messages
+      if ((current.clearedAt || null) !== (chatData.clearedAt || null)) {
+        return current.globalSummary;
+      }
+      
+      await getStorageBackend().updateGroupChat(groupId, { globalSummary, lastUpdated: new Date().toISOString() });
+      return globalSummary;
+    });
   } catch (error) {
     console.error('Error updating summary:', error.message);
     // Return existing summary on error
@@ -202,30 +179,51 @@ function buildContextString(chatData) {
 
 /**
  * Execute terminal command with approval
+ * @param {object} options - { caller, onOutput(stream, chunk) } passed to the executor
  */
-async function handleTerminalCommand(response, askApproval) {
-  if (response.requiresApproval && askApproval) {
-    const approved = await askApproval(
-      response.terminalCommand,
-      response.commandReasoning
-    );
+async function handleTerminalCommand(response, askApproval, { caller = null, onOutput = null } = {}) {
+  const policyReport = await evaluateCommand(response.terminalCommand);
+  const event = { command: response.terminalCommand, reasoning: response.commandReasoning, policyReport };
+
+  if (policyReport.blocked) {
+    await logSecurityEvent('command-blocked', event, { caller });
+    return {
+      executed: false,
+      output: `Command blocked by policy: ${formatPolicyReport(policyReport)}`,
+      approved: false,
+      blocked: true,
+      policyReport
+    };
+  }
+
+  let approval = null;
+  if (response.requiresApproval || policyReport.requiresApproval) {
+    // Without an approval channel the policy decides: nothing that needs approval runs
+    approval = askApproval
+      ? readApproval(await askApproval(response.terminalCommand, withPolicyReasoning(response.commandReasoning, policyReport)))
+      : readApproval({ approved: !policyReport.requiresApproval, reason: 'No approval channel; policy decides' });
     
-    if (!approved) {
+    if (!approval.approved) {
+      await logSecurityEvent('approval-denied', event, { caller, approval });
       return {
         executed: false,
-        output: 'User declined to execute command',
-        approved: false
+        output: askApproval ? 'User declined to execute command' : 'Command needs approval but no one can approve it here',
+        approved: false,
+        policyReport
       };
     }
   }
   
-  const result = await executeCommand(response.terminalCommand);
+  const result = await executeCommand(response.terminalCommand, { policyReport, caller, approval, onOutput, session: true });
   
   return {
     executed: true,
     output: result.output,
     exitCode: result.exitCode,
     error: result.error,
+    cancelled: result.cancelled,
+    artifact: result.artifact,
+    redactions: result.redactions,
     approved: true
   };
 }
@@ -236,18 +234,20 @@ async function handleTerminalCommand(response, askApproval) {
 export async function generateResponse(groupId, userMessage, options = {}) {
   const {
     askApproval = null,
-    autoUpdateSummary = true
+    autoUpdateSummary = true,
+    provider = null,
+    caller = null,   // { channel, userId } of the member being answered
+    onCommandOutput = null // (stream, chunk, command) for streamed command output
   } = options;
   
+  // Usage is attributed to the group and the member who asked
+  const usageCaller = { channel: 'group', userId: userMessage.userId, ...caller, groupId };
+  
   try {
-    // Load chat data
-    const chatData = await loadGroupChat(groupId);
-    chatData.participants = new Set(chatData.participants || []);
-    
     // Add user message
     await addMessage(groupId, userMessage);
     
-    // Reload to get updated data
+    // Load chat data including the message
     const updatedChatData = await loadGroupChat(groupId);
     updatedChatData.participants = new Set(updatedChatData.participants || []);
     
@@ -257,12 +257,19 @@ export async function generateResponse(groupId, userMessage, options = {}) {
     // Get bot response
     const botResponse = await queryOpenAI(userMessage.text, {
       schema: baseAgentExtendedResponseSchema,
-      context: contextString
+      schemaName: 'baseAgent',
+      role: 'base',
+      context: contextString,
+      provider,
+      caller: usageCaller
     });
     
     // Handle terminal commands
     if (botResponse.choice === 'terminalCommand') {
-      const terminalResult = await handleTerminalCommand(botResponse, askApproval);
+      const terminalResult = await handleTerminalCommand(botResponse, askApproval, {
+        caller: usageCaller,
+        onOutput: onCommandOutput ? (stream, chunk) => onCommandOutput(stream, chunk, botResponse.terminalCommand) : null
+      });
       botResponse.terminalResult = terminalResult;
     }
     
@@ -281,7 +288,7 @@ export async function generateResponse(groupId, userMessage, options = {}) {
     
     // Update global summary
     if (autoUpdateSummary) {
-      await updateGlobalSummary(groupId);
+      await updateGlobalSummary(groupId, { provider, caller: usageCaller });
     }
     
     return {
@@ -311,25 +318,30 @@ export async function getGroupSummary(groupId) {
 
 /**
  * Clear group chat history
+ * clearedAt tells a summary started before the clear that its messages are gone.
  */
 export async function clearGroupChat(groupId) {
-  const emptyChat = {
-    groupId,
-    globalSummary: 'Conversation cleared.',
-    messages: [],
-    totalMessages: 0,
-    lastUpdated: new Date().toISOString(),
-    participants: []
-  };
+  const emptyChat = { ...emptyGroupChat(groupId, 'Conversation cleared.'), clearedAt: new Date().toISOString() };
   
-  await saveGroupChat(groupId, emptyChat);
+  await queueGroupWrite(groupId, () => getStorageBackend().clearGroupChat(groupId, emptyChat));
   return emptyChat;
 }
 
+/**
+ * Search group messages, newest first
+ * The sqlite backend searches the whole history, the file backend the last
+ * MAX_MESSAGES_WINDOW messages.
+ * @param {object} filter - { since, until, user (userId), text, limit }
+ */
+export async function searchGroupMessages(groupId, filter = {}) {
+  return getStorageBackend().searchGroupMessages(groupId, filter);
+}
+
 export default {
   addMessage,
   updateGlobalSummary,
   generateResponse,
   getGroupSummary,
-  clearGroupChat
+  clearGroupChat,
+  searchGroupMessages
 };
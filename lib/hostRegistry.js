@@ -0,0 +1,456 @@
+/**
+ * Host Registry - Inventory of remote hosts the agent may reach over SSH
+ *
+ * Hosts come from hosts.json (HOSTS_CONFIG_FILE overrides):
+ *
+ * {
+ *   "hosts": {
+ *     "web1": {
+ *       "address": "10.0.1.5",
+ *       "user": "deploy",
+ *       "port": 22,
+ *       "key": "~/.ssh/deploy_ed25519",
+ *       "environment": "production",
+ *       "allow": ["read-only", "network"],
+ *       "description": "Public web server"
+ *     }
+ *   }
+ * }
+ *
+ * - key is the path of the identity file (the key itself never goes in hosts.json)
+ * - allow lists the command classes (policyEngine CATEGORIES) that may run on
+ *   the host; all classes when omitted
+ * - environment picks the policy that judges commands run on the host
+ *
+ * ssh, scp, sftp and rsync invocations are found in every parsed sub-command
+ * (findRemoteTargets). Once hosts.json lists at least one host, targets that
+ * are not in it (by alias or address) are refused by the policy engine.
+ * Without hosts.json nothing is refused and targets are only recorded.
+ *
+ * Options that decide where ssh connects or what it runs locally are recorded
+ * per target as `connection`: jump hosts (-J, ProxyJump) become targets of
+ * their own, ProxyCommand, LocalCommand, HostName, -F, scp/sftp -S and a
+ * non-ssh rsync -e are `forbidden`, other -o settings are `overrides`, and
+ * -L/-D (network) and -R/-w/-A (privileged) are `forwards`.
+ *
+ * Aliases work because the executor points ssh at a generated ssh_config
+ * (HOSTS_SSH_CONFIG_FILE, default ./hosts.ssh_config) with one Host block per
+ * entry: `-F <file>` is added to ssh/scp/sftp and `-e 'ssh -F <file>'` to
+ * rsync (applyHostAliases). Only invocations written directly in the command
+ * line (also after sudo, env, timeout, ...) are rewritten; ones inside sh -c
+ * strings or $(...) are still checked but see the user's own ssh config.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { parseShell, listCommands, ShellParseError } from './shellParser.js';
+
+export const REMOTE_PROGRAMS = ['ssh', 'scp', 'sftp', 'rsync'];
+
+// Options that take a value, per program
+const OPTIONS_WITH_VALUE = {
+  ssh: 'BbcDEeFIiJLlmOoPpQRSWw',
+  scp: 'cDFiJlnoPSX',
+  sftp: 'BbcDFiJlnoPRSsX',
+  rsync: 'eBfMT'
+};
+
+// ssh_config settings that change the host reached or run local commands
+const FORBIDDEN_SSH_SETTINGS = ['proxycommand', 'localcommand', 'permitlocalcommand', 'knownhostscommand', 'hostname', 'include', 'match'];
+
+// ssh_config settings that only tune the connection
+const HARMLESS_SSH_SETTINGS = ['batchmode', 'connecttimeout', 'connectionattempts', 'serveraliveinterval', 'serveralivecountmax', 'loglevel', 'compression'];
+
+// ssh forwarding flags and settings, with the command class they add
+const SSH_FORWARDING = {
+  '-L': 'network',
+  '-D': 'network',
+  '-R': 'privileged',
+  '-w': 'privileged',
+  '-A': 'privileged',
+  localforward: 'network',
+  dynamicforward: 'network',
+  remoteforward: 'privileged',
+  tunnel: 'privileged',
+  forwardagent: 'privileged'
+};
+
+// via labels whose commands come from another string than the command line
+const NESTED_VIA = /(^| )-c$|^eval$|substitution$/;
+
+/**
+ * Get hosts config file path
+ */
+function getHostsFile() {
+  return process.env.HOSTS_CONFIG_FILE || path.join(process.cwd(), 'hosts.json');
+}
+
+/**
+ * Get generated ssh_config path
+ */
+export function getSshConfigFile() {
+  return process.env.HOSTS_SSH_CONFIG_FILE || path.join(process.cwd(), 'hosts.ssh_config');
+}
+
+/**
+ * Load the host inventory
+ * @returns {Promise<object>} { hosts: { name: { name, address, user, port, key, environment, allow, description } }, configured }
+ *   configured is false when there is no hosts.json (or it lists no hosts)
+ */
+export async function loadHosts() {
+  let config = {};
+  try {
+    config = JSON.parse(await fs.readFile(getHostsFile(), 'utf-8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('⚠️  Could not read hosts config:', error.message);
+    }
+  }
+
+  const hosts = {};
+  for (const [name, entry] of Object.entries(config.hosts || {})) {
+    if (!/^[A-Za-z0-9][A-Za-z0-9._-]*$/.test(name)) {
+      throw new Error(`Invalid host alias "${name}"`);
+    }
+    if (!entry.address) {
+      throw new Error(`Host ${name} has no address`);
+    }
+    hosts[name] = {
+      name,
+      address: entry.address,
+      user: entry.user || null,
+      port: entry.port || null,
+      key: entry.key || null,
+      environment: entry.environment || null,
+      allow: entry.allow || null,
+      description: entry.description || ''
+    };
+  }
+
+  return { hosts, configured: Object.keys(hosts).length > 0 };
+}
+
+/**
+ * Find a host by alias or address
+ * @returns {object|null} Host entry
+ */
+export function findHost(hosts, name) {
+  if (hosts[name]) return hosts[name];
+  return Object.values(hosts).find(host => host.address === name) || null;
+}
+
+/**
+ * Split "[user@]host[:port]" or "ssh://[user@]host[:port]"
+ */
+function parseDestination(text) {
+  const match = text.match(/^(?:ssh:\/\/)?(?:([^@/]+)@)?(\[[^\]]+\]|[^:/@]+)(?::(\d+))?\/?$/);
+  if (!match) return { user: null, name: text, port: null };
+  return { user: match[1] || null, name: match[2].replace(/^\[|\]$/g, ''), port: match[3] ? Number(match[3]) : null };
+}
+
+/**
+ * Split "[user@]host:path" (scp, sftp, rsync), or null for a local path
+ */
+function parseRemotePath(text) {
+  const url = text.match(/^(?:scp|sftp|rsync):\/\/(?:([^@/]+)@)?([^:/]+)(?::\d+)?(\/.*)?$/);
+  if (url) return { user: url[1] || null, name: url[2], path: url[3] || '' };
+
+  const match = text.match(/^(?:([^@/:]+)@)?(\[[^\]]+\]|[^:/@]+)::?(.*)$/);
+  if (!match) return null;
+  return { user: match[1] || null, name: match[2].replace(/^\[|\]$/g, ''), path: match[3] };
+}
+
+/**
+ * Options and operands of a remote command's arguments
+ * @returns {object} { options (last value per option), operands, entries ([option, value] in order) }
+ */
+function splitArgs(program, args) {
+  const withValue = OPTIONS_WITH_VALUE[program];
+  const options = {};
+  const operands = [];
+  const entries = [];
+  const set = (name, value) => {
+    options[name] = value;
+    entries.push([name, value]);
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (operands.length > 0 && program === 'ssh') {
+      // Everything after the ssh destination is the remote command
+      operands.push(arg);
+    } else if (arg === '--') {
+      operands.push(...args.slice(i + 1));
+      break;
+    } else if (arg.startsWith('--')) {
+      const [name, ...value] = arg.split('=');
+      set(name, value.length > 0 ? value.join('=') : true);
+    } else if (arg.startsWith('-') && arg.length > 1) {
+      for (let j = 1; j < arg.length; j++) {
+        const flag = arg[j];
+        if (withValue.includes(flag)) {
+          set(`-${flag}`, j < arg.length - 1 ? arg.slice(j + 1) : args[++i]);
+          break;
+        }
+        set(`-${flag}`, true);
+      }
+    } else {
+      operands.push(arg);
+    }
+  }
+
+  return { options, operands, entries };
+}
+
+/**
+ * Connection options of an ssh, scp, sftp or rsync invocation
+ * @param {string} program - Remote program
+ * @param {Array} entries - [option, value] pairs from splitArgs()
+ * @returns {object} { jumps, forbidden, overrides, forwards: [{ option, category }] }
+ */
+function connectionOf(program, entries) {
+  const connection = { jumps: [], forbidden: [], overrides: [], forwards: [] };
+  const addJumps = (value) => {
+    if (typeof value === 'string' && value.toLowerCase() !== 'none') connection.jumps.push(...value.split(',').filter(Boolean));
+  };
+
+  for (const [option, value] of entries) {
+    if (option === '-o') {
+      const [name = '', ...rest] = String(value).trim().split(/\s*=\s*|\s+/);
+      const setting = name.toLowerCase();
+      if (setting === 'proxyjump') addJumps(rest.join(' '));
+      else if (FORBIDDEN_SSH_SETTINGS.includes(setting)) connection.forbidden.push(name);
+      else if (program === 'ssh' && SSH_FORWARDING[setting]) connection.forwards.push({ option: name, category: SSH_FORWARDING[setting] });
+      else if (!HARMLESS_SSH_SETTINGS.includes(setting)) connection.overrides.push(name);
+    } else if (option === '-J') {
+      addJumps(value);
+    } else if (option === '-F') {
+      connection.forbidden.push('-F');
+    } else if (option === '-S' && program !== 'ssh') {
+      // scp/sftp -S runs the given program instead of ssh
+      connection.forbidden.push('-S');
+    } else if (program === 'ssh' && SSH_FORWARDING[option]) {
+      connection.forwards.push({ option, category: SSH_FORWARDING[option] });
+    } else if (program === 'rsync' && (option === '-e' || option === '--rsh')) {
+      addRsyncShell(connection, value);
+    }
+  }
+
+  return connection;
+}
+
+/**
+ * Check the remote shell of rsync -e: only ssh, whose options count like ssh's own
+ */
+function addRsyncShell(connection, value) {
+  let commands = [];
+  try {
+    commands = listCommands(parseShell(String(value)));
+  } catch (error) {
+    if (!(error instanceof ShellParseError)) throw error;
+  }
+
+  if (commands.length !== 1 || path.basename(commands[0].program) !== 'ssh') {
+    connection.forbidden.push(`-e ${value}`);
+    return;
+  }
+
+  const nested = connectionOf('ssh', splitArgs('ssh', commands[0].args).entries);
+  for (const key of Object.keys(connection)) {
+    connection[key].push(...nested[key]);
+  }
+}
+
+/**
+ * Targets for the jump hosts of an invocation
+ */
+function jumpTargetsOf(program, connection) {
+  return connection.jumps.map(jump => {
+    const destination = parseDestination(jump);
+    return { program, target: jump, name: destination.name, user: destination.user, port: destination.port, remoteCommand: null, transfer: null, jump: true };
+  });
+}
+
+/**
+ * Remote targets of one parsed simple command
+ * @param {object} command - Entry from shellParser.listCommands()
+ * @returns {Array<object>} [{ program, target, name, user, port, remoteCommand, transfer }]
+ *   remoteCommand is the ssh command line (null for an interactive login);
+ *   transfer is 'upload' or 'download' for scp/rsync
+ */
+function targetsOf(command) {
+  const program = path.basename(command.program);
+  if (!REMOTE_PROGRAMS.includes(program)) return [];
+
+  const { options, operands, entries } = splitArgs(program, command.args);
+  const connection = connectionOf(program, entries);
+  const targets = destinationTargetsOf(program, options, operands);
+  if (targets.length === 0) return [];
+
+  return [...targets.map(target => ({ ...target, connection })), ...jumpTargetsOf(program, connection)];
+}
+
+/**
+ * Destination targets of one invocation (without jump hosts)
+ */
+function destinationTargetsOf(program, options, operands) {
+  if (program === 'ssh') {
+    if (operands.length === 0) return [];
+    const destination = parseDestination(operands[0]);
+    return [{
+      program,
+      target: operands[0],
+      name: destination.name,
+      user: options['-l'] || destination.user,
+      port: Number(options['-p']) || destination.port,
+      remoteCommand: operands.length > 1 ? operands.slice(1).join(' ') : null,
+      transfer: null
+    }];
+  }
+
+  if (program === 'sftp') {
+    if (operands.length === 0) return [];
+    const remote = parseRemotePath(operands[0]) || { ...parseDestination(operands[0]), path: '' };
+    return [{ program, target: operands[0], name: remote.name, user: remote.user, port: Number(options['-P']) || null, remoteCommand: null, transfer: 'upload' }];
+  }
+
+  // scp and rsync: every remote operand, uploading when it is the destination
+  return operands.flatMap((operand, index) => {
+    const remote = parseRemotePath(operand);
+    if (!remote) return [];
+    return [{
+      program,
+      target: operand,
+      name: remote.name,
+      user: remote.user,
+      port: Number(options['-P']) || null,
+      remoteCommand: null,
+      transfer: index === operands.length - 1 && operands.length > 1 ? 'upload' : 'download',
+      deletes: program === 'rsync' && Object.keys(options).some(o => o.startsWith('--delete'))
+    }];
+  });
+}
+
+/**
+ * Remote targets of parsed commands, resolved against the inventory
+ * @param {Array<object>} commands - Entries from shellParser.listCommands()
+ * @param {object} inventory - Result of loadHosts()
+ * @returns {Array<object>} [{ program, target, name, user, port, remoteCommand, transfer, connection, jump, host }]
+ *   host is the inventory entry, or null for unknown hosts; jump targets
+ *   (jump: true) are the hosts an invocation connects through
+ */
+export function findRemoteTargets(commands, inventory) {
+  return commands.flatMap(command => targetsOf(command).map(target => ({
+    ...target,
+    host: findHost(inventory.hosts, target.name)
+  })));
+}
+
+/**
+ * Quote a value for /bin/sh
+ */
+function shellQuote(value) {
+  return /^[A-Za-z0-9_@%+=:,./-]+$/.test(value) ? value : `'${value.replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * ssh_config text for the inventory
+ */
+export function buildSshConfig(hosts) {
+  const blocks = Object.values(hosts).map(host => {
+    const lines = [`Host ${host.name}${host.address !== host.name ? ` ${host.address}` : ''}`, `  HostName ${host.address}`];
+    if (host.user) lines.push(`  User ${host.user}`);
+    if (host.port) lines.push(`  Port ${host.port}`);
+    if (host.key) lines.push(`  IdentityFile ${host.key}`, '  IdentitiesOnly yes');
+    lines.push('  BatchMode yes');
+    return lines.join('\n');
+  });
+  return `# Generated from hosts.json by Lumen - do not edit\n\n${blocks.join('\n\n')}\n`;
+}
+
+/**
+ * Write the generated ssh_config (atomic: temp file then rename)
+ * @returns {Promise<string>} File path
+ */
+async function writeSshConfig(hosts) {
+  const file = getSshConfigFile();
+  const tempFile = `${file}.tmp`;
+  await fs.writeFile(tempFile, buildSshConfig(hosts), { encoding: 'utf-8', mode: 0o600 });
+  await fs.rename(tempFile, file);
+  return file;
+}
+
+/**
+ * Point the ssh, scp, sftp and rsync invocations of a command line at the
+ * generated ssh_config so host aliases resolve
+ * @param {string} command - Command line the report was made for
+ * @param {object} report - Policy report from policyEngine.evaluateCommand
+ * @returns {Promise<string>} Command line to run (unchanged without registered targets)
+ */
+export async function applyHostAliases(command, report) {
+  if (!report.remote?.some(target => target.host)) return command;
+
+  const { hosts } = await loadHosts();
+  const configFile = await writeSshConfig(hosts);
+
+  const insertions = report.commands
+    .filter(c => REMOTE_PROGRAMS.includes(path.basename(c.program)) && c.programEnd !== null)
+    .filter(c => !c.via.some(label => NESTED_VIA.test(label)))
+    // Invocations that already choose their ssh config keep it
+    .filter(c => !c.args.some(a => a === '-F' || a === '-e' || a.startsWith('--rsh')))
+    .map(c => ({
+      at: c.programEnd,
+      text: path.basename(c.program) === 'rsync'
+        ? ` -e ${shellQuote(`ssh -F ${shellQuote(configFile)}`)}`
+        : ` -F ${shellQuote(configFile)}`
+    }))
+    .sort((a, b) => b.at - a.at);
+
+  let rewritten = command;
+  for (const { at, text } of insertions) {
+    rewritten = rewritten.slice(0, at) + text + rewritten.slice(at);
+  }
+  return rewritten;
+}
+
+/**
+ * Audit view of a report's remote targets
+ * @returns {Array<object>} [{ host, target, address, user, environment, program, remoteCommand }]
+ */
+export function describeRemoteTargets(report) {
+  return (report.remote || []).map(target => ({
+    host: target.host?.name || null,
+    target: target.target,
+    address: target.host?.address || target.name,
+    user: target.user || target.host?.user || null,
+    environment: target.host?.environment || null,
+    program: target.program,
+    remoteCommand: target.remoteCommand,
+    categories: target.categories
+  }));
+}
+
+/**
+ * Inventory as text for the system prompt, or '' without hosts.json
+ */
+export async function describeHosts() {
+  const { hosts, configured } = await loadHosts();
+  if (!configured) return '';
+
+  return Object.values(hosts).map(host => {
+    const details = [host.environment, host.allow ? `allows ${host.allow.join(', ')}` : null].filter(Boolean).join('; ');
+    return `- ${host.name}${details ? ` (${details})` : ''}${host.description ? `: ${host.description}` : ''}`;
+  }).join('\n');
+}
+
+export default {
+  REMOTE_PROGRAMS,
+  loadHosts,
+  findHost,
+  findRemoteTargets,
+  buildSshConfig,
+  applyHostAliases,
+  describeRemoteTargets,
+  describeHosts,
+  getSshConfigFile
+};
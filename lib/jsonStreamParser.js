@@ -0,0 +1,139 @@
+/**
+ * JSON Stream Parser - Extracts string fields from a JSON object while it streams
+ *
+ * Structured-output models emit one JSON object token by token. This parser
+ * follows the object character by character and, for the watched top-level
+ * string fields (e.g. "response", "code"), reports decoded text as soon as
+ * it arrives instead of waiting for the closing brace.
+ *
+ * Usage:
+ *   const parser = createJsonFieldStreamer({
+ *     fields: ['response', 'code'],
+ *     onField: (field, delta, value) => process.stdout.write(delta)
+ *   });
+ *   parser.push('{"choice":"response","response":"Hel');
+ *   parser.push('lo\\nworld"}');
+ */
+
+const SIMPLE_ESCAPES = {
+  '"': '"',
+  '\\': '\\',
+  '/': '/',
+  b: '\b',
+  f: '\f',
+  n: '\n',
+  r: '\r',
+  t: '\t'
+};
+
+/**
+ * Create an incremental field extractor
+ * @param {object} options
+ * @param {string[]} options.fields - Top-level string fields to report
+ * @param {Function} options.onField - Called as (field, delta, valueSoFar) once per push() per field
+ */
+export function createJsonFieldStreamer({ fields = ['response', 'code'], onField }) {
+  const watched = new Set(fields);
+  const values = {};
+
+  let depth = 0;
+  let inString = false;
+  let stringIsKey = false;
+  let escape = false;
+  let unicode = null;       // hex digits collected after \u
+  let expectKey = false;    // at depth 1, next string is a key
+  let currentKey = null;    // last key seen at depth 1
+  let keyBuffer = '';
+  let capturing = null;     // field whose value string we are inside
+
+  function append(char, deltas) {
+    if (stringIsKey) {
+      keyBuffer += char;
+    } else if (capturing) {
+      deltas[capturing] = (deltas[capturing] || '') + char;
+    }
+  }
+
+  function push(chunk) {
+    const deltas = {};
+
+    for (const char of chunk) {
+      if (inString) {
+        if (unicode !== null) {
+          unicode += char;
+          if (unicode.length === 4) {
+            append(String.fromCharCode(parseInt(unicode, 16)), deltas);
+            unicode = null;
+          }
+        } else if (escape) {
+          escape = false;
+          if (char === 'u') {
+            unicode = '';
+          } else {
+            append(SIMPLE_ESCAPES[char] ?? char, deltas);
+          }
+        } else if (char === '\\') {
+          escape = true;
+        } else if (char === '"') {
+          inString = false;
+          if (stringIsKey) {
+            currentKey = keyBuffer;
+            stringIsKey = false;
+          }
+          capturing = null;
+        } else {
+          append(char, deltas);
+        }
+        continue;
+      }
+
+      switch (char) {
+        case '"':
+          inString = true;
+          if (depth === 1 && expectKey) {
+            stringIsKey = true;
+            keyBuffer = '';
+          } else if (depth === 1 && watched.has(currentKey)) {
+            capturing = currentKey;
+            values[capturing] = values[capturing] || '';
+          }
+          break;
+        case '{':
+        case '[':
+          depth++;
+          if (depth === 1) expectKey = true;
+          break;
+        case '}':
+        case ']':
+          depth--;
+          break;
+        case ':':
+          if (depth === 1) expectKey = false;
+          break;
+        case ',':
+          if (depth === 1) expectKey = true;
+          break;
+        default:
+          break;
+      }
+    }
+
+    for (const [field, delta] of Object.entries(deltas)) {
+      values[field] += delta;
+      if (onField) onField(field, delta, values[field]);
+    }
+  }
+
+  return {
+    push,
+
+    /**
+     * Text received so far for each watched field
+     */
+    getValues() {
+      return { ...values };
+    }
+  };
+}
+
+export default { createJsonFieldStreamer };
@@ -0,0 +1,153 @@
+/**
+ * LLM Fixtures - Record/replay harness for queryOpenAI calls
+ *
+ * Modes (LLM_FIXTURE_MODE):
+ * - off (default): calls go to the configured provider
+ * - record: calls go to the provider and each request/response is saved
+ * - replay: responses are served from fixture files; a request without a
+ *   fixture fails, and the OpenAI-compatible providers refuse to send anything
+ *
+ * Each fixture file is keyed by a stable hash of the request
+ * (prompt, context, schema name, model, temperature). The context carries
+ * memory, notes and tool results, so a change there is a different request.
+ * ISO timestamps in the prompt and context are normalized before hashing so
+ * time-stamped memory does not change keys.
+ * A file holds every response recorded for that key in call order, so an
+ * orchestrator loop that repeats the same query replays each iteration.
+ *
+ * Fixtures are stored in LLM_FIXTURE_DIR (default: ./fixtures/llm)
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { createHash } from 'crypto';
+
+const ISO_TIMESTAMP = /\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?Z/g;
+
+// Keys already written during this process (record mode starts each key fresh)
+const recordedKeys = new Map();
+
+// Replay position per key
+const replayCursors = new Map();
+
+/**
+ * Current fixture mode: 'off', 'record' or 'replay'
+ */
+export function getFixtureMode() {
+  const mode = (process.env.LLM_FIXTURE_MODE || 'off').toLowerCase();
+  if (!['off', 'record', 'replay'].includes(mode)) {
+    throw new Error(`Invalid LLM_FIXTURE_MODE: ${mode} (expected off, record or replay)`);
+  }
+  return mode;
+}
+
+/**
+ * Directory holding fixture files
+ */
+export function getFixtureDir() {
+  return process.env.LLM_FIXTURE_DIR || path.join(process.cwd(), 'fixtures', 'llm');
+}
+
+/**
+ * Derive a readable name for a schema when the caller did not supply one
+ */
+export function describeSchema(schema) {
+  if (!schema) return 'json_object';
+  if (schema.title) return schema.title;
+  const digest = createHash('sha256').update(JSON.stringify(schema)).digest('hex');
+  return `schema-${digest.substring(0, 8)}`;
+}
+
+/**
+ * Build the request descriptor and its stable hash
+ * @param {object} request
+ * @param {string} request.prompt - User query sent to the model
+ * @param {string|object} request.context - Context for the system prompt (null when none)
+ * @param {string} request.schemaName - Schema name (see describeSchema)
+ * @param {string} request.model - Model name
+ * @param {number} request.temperature - Sampling temperature
+ * @returns {{ key: string, descriptor: object }}
+ */
+export function fixtureKey({ prompt, context = null, schemaName, model, temperature }) {
+  const descriptor = {
+    prompt: String(prompt).replace(ISO_TIMESTAMP, '<timestamp>'),
+    context: context == null
+      ? null
+      : (typeof context === 'string' ? context : JSON.stringify(context)).replace(ISO_TIMESTAMP, '<timestamp>'),
+    schemaName,
+    model,
+    temperature
+  };
+  const key = createHash('sha256').update(JSON.stringify(descriptor)).digest('hex').substring(0, 16);
+  return { key, descriptor };
+}
+
+function fixturePath(key) {
+  return path.join(getFixtureDir(), `${key}.json`);
+}
+
+/**
+ * Save a response for a request (record mode)
+ * @param {object} request - Same fields as fixtureKey()
+ * @param {object} response - Parsed model response
+ */
+export async function recordFixture(request, response) {
+  const { key, descriptor } = fixtureKey(request);
+
+  if (!recordedKeys.has(key)) {
+    recordedKeys.set(key, { ...descriptor, responses: [] });
+  }
+  const fixture = recordedKeys.get(key);
+  fixture.responses.push(response);
+
+  await fs.mkdir(getFixtureDir(), { recursive: true });
+  await fs.writeFile(fixturePath(key), JSON.stringify(fixture, null, 2), 'utf-8');
+}
+
+/**
+ * Load the next recorded response for a request (replay mode)
+ * Once all responses for a key are used the last one is repeated.
+ * @param {object} request - Same fields as fixtureKey()
+ * @returns {Promise<object>} Parsed model response
+ */
+export async function replayFixture(request) {
+  const { key, descriptor } = fixtureKey(request);
+
+  let fixture;
+  try {
+    fixture = JSON.parse(await fs.readFile(fixturePath(key), 'utf-8'));
+  } catch (error) {
+    throw new Error(
+      `No LLM fixture ${key} for schema "${descriptor.schemaName}" (model ${descriptor.model}) ` +
+      `prompt: "${descriptor.prompt.substring(0, 80)}" - run with LLM_FIXTURE_MODE=record first`
+    );
+  }
+
+  if (!Array.isArray(fixture.responses) || fixture.responses.length === 0) {
+    throw new Error(`LLM fixture ${key} has no recorded responses`);
+  }
+
+  const cursor = replayCursors.get(key) || 0;
+  replayCursors.set(key, cursor + 1);
+
+  const index = Math.min(cursor, fixture.responses.length - 1);
+  return structuredClone(fixture.responses[index]);
+}
+
+/**
+ * Reset record/replay state (start of a new test run)
+ */
+export function resetFixtures() {
+  recordedKeys.clear();
+  replayCursors.clear();
+}
+
+export default {
+  getFixtureMode,
+  getFixtureDir,
+  describeSchema,
+  fixtureKey,
+  recordFixture,
+  replayFixture,
+  resetFixtures
+};
@@ -0,0 +1,395 @@
+/**
+ * LLM Providers - Pluggable chat completion backends for openaiWrapper
+ *
+ * Every provider exposes the same shape:
+ * - name: provider identifier
+ * - defaultModel: model used when the caller does not pass one
+ * - complete({ model, temperature, messages, responseFormat, tools, onChunk })
+ *     → { content, toolCalls, usage, model }
+ *   When onChunk is given the provider streams and calls onChunk(text) for
+ *   each piece of content as it arrives; the resolved value is the same.
+ *   When tools are given (Chat Completions format) the model may answer with
+ *   toolCalls: [{ id, name, arguments }] where arguments is a JSON string.
+ *
+ * Built-in providers:
+ * - openai: OpenAI Chat Completions API
+ * - local: Any OpenAI-compatible endpoint (llama.cpp server, Ollama, vLLM)
+ * - fake: Deterministic scripted provider for offline runs and tests
+ *
+ * Selection order: options.provider → LLM_PROVIDER env → 'openai'
+ */
+
+import OpenAI from 'openai';
+import fs from 'fs';
+import { getFixtureMode } from './llmFixtures.js';
+
+const DEFAULT_LOCAL_BASE_URL = 'http://localhost:11434/v1';
+const FAKE_CHUNK_SIZE = 8; // chars per streamed chunk from the fake provider
+
+/**
+ * Create a provider backed by the OpenAI SDK
+ * The client is created lazily so that importing this module never
+ * requires an API key (the fake provider works without one)
+ * @param {object} config
+ * @param {string} config.name - Provider name
+ * @param {string} config.apiKey - API key sent with each request
+ * @param {string} config.baseURL - Endpoint base URL (OpenAI default if omitted)
+ * @param {string} config.defaultModel - Model used when none is requested
+ * @param {boolean} config.structuredOutputs - Whether the endpoint supports json_schema response_format
+ */
+function createOpenAICompatibleProvider(config) {
+  const {
+    name,
+    apiKey,
+    baseURL,
+    defaultModel,
+    structuredOutputs = true
+  } = config;
+
+  let client = null;
+
+  function getClient() {
+    // Replay runs are offline: a request that got here has no fixture
+    if (getFixtureMode() === 'replay') {
+      throw new Error(`LLM_FIXTURE_MODE=replay: refusing to call the ${name} provider - record the fixtures first (npm run fixtures:record)`);
+    }
+    if (!client) {
+      client = new OpenAI({ apiKey, baseURL });
+    }
+    return client;
+  }
+
+  return {
+    name,
+    defaultModel,
+
+    async complete({ model, temperature, messages, responseFormat, tools = null, onChunk = null }) {
+      let requestMessages = messages;
+      let requestFormat = responseFormat;
+
+      // Endpoints without structured outputs still get the schema, via the prompt
+      if (!structuredOutputs && responseFormat?.type === 'json_schema') {
+        const schemaHint = `Respond ONLY with a JSON object matching this JSON schema:\n${JSON.stringify(responseFormat.json_schema.schema)}`;
+        requestMessages = [{ role: 'system', content: schemaHint }, ...messages];
+        requestFormat = { type: 'json_object' };
+      }
+
+      const request = {
+        model: model || defaultModel,
+        temperature,
+        messages: requestMessages,
+        ...(requestFormat ? { response_format: requestFormat } : {}),
+        ...(tools ? { tools } : {})
+      };
+
+      if (onChunk) {
+        const stream = await getClient().chat.completions.create({
+          ...request,
+          stream: true,
+          stream_options: { include_usage: true }
+        });
+
+        let content = '';
+        let usage = null;
+        let streamModel = null;
+        const toolCalls = [];
+
+        for await (const chunk of stream) {
+          const delta = chunk.choices?.[0]?.delta;
+          if (delta?.content) {
+            content += delta.content;
+            onChunk(delta.content);
+          }
+          // Tool calls arrive in pieces keyed by index
+          for (const part of delta?.tool_calls || []) {
+            const call = toolCalls[part.index] ||= { id: '', name: '', arguments: '' };
+            if (part.id) call.id = part.id;
+            if (part.function?.name) call.name += part.function.name;
+            if (part.function?.arguments) call.arguments += part.function.arguments;
+          }
+          if (chunk.usage) usage = chunk.usage;
+          if (chunk.model) streamModel = chunk.model;
+        }
+
+        return { content, toolCalls: toolCalls.filter(Boolean), usage, model: streamModel || request.model };
+      }
+
+      const completion = await getClient().chat.completions.create(request);
+      const message = completion.choices[0].message;
+
+      return {
+        content: message.content,
+        toolCalls: (message.tool_calls || []).map(call => ({
+          id: call.id,
+          name: call.function.name,
+          arguments: call.function.arguments
+        })),
+        usage: completion.usage || null,
+        model: completion.model || model || defaultModel
+      };
+    }
+  };
+}
+
+/**
+ * OpenAI provider
+ * @param {object} config - Overrides for apiKey/baseURL/defaultModel
+ */
+export function createOpenAIProvider(config = {}) {
+  return createOpenAICompatibleProvider({
+    name: 'openai',
+    apiKey: process.env.OPENAI_API_KEY,
+    defaultModel: process.env.OPENAI_DEFAULT_MODEL || 'gpt-4o-mini',
+    ...config
+  });
+}
+
+/**
+ * Local OpenAI-compatible provider (llama.cpp server, Ollama, vLLM, LM Studio)
+ *
+ * Environment:
+ * - LOCAL_LLM_BASE_URL: endpoint base URL (default: Ollama on localhost)
+ * - LOCAL_LLM_API_KEY: key if the endpoint requires one
+ * - LOCAL_LLM_MODEL: model name to request
+ * - LOCAL_LLM_STRUCTURED_OUTPUTS: set to 'false' if the server rejects json_schema
+ * @param {object} config - Overrides for the environment settings
+ */
+export function createLocalProvider(config = {}) {
+  return createOpenAICompatibleProvider({
+    name: 'local',
+    baseURL: process.env.LOCAL_LLM_BASE_URL || DEFAULT_LOCAL_BASE_URL,
+    apiKey: process.env.LOCAL_LLM_API_KEY || 'local',
+    defaultModel: process.env.LOCAL_LLM_MODEL || 'llama3.1',
+    structuredOutputs: process.env.LOCAL_LLM_STRUCTURED_OUTPUTS !== 'false',
+    ...config
+  });
+}
+
+/**
+ * Build a placeholder value that satisfies a JSON schema
+ * Used by the fake provider when its script runs out
+ */
+export function buildSchemaPlaceholder(schema) {
+  if (!schema || typeof schema !== 'object') return null;
+  if (Array.isArray(schema.enum) && schema.enum.length > 0) return schema.enum[0];
+
+  const type = Array.isArray(schema.type) ? schema.type[0] : schema.type;
+
+  switch (type) {
+    case 'object': {
+      const result = {};
+      for (const [key, propSchema] of Object.entries(schema.properties || {})) {
+        result[key] = buildSchemaPlaceholder(propSchema);
+      }
+      return result;
+    }
+    case 'array':
+      return [];
+    case 'string':
+      return '';
+    case 'number':
+    case 'integer':
+      return 0;
+    case 'boolean':
+      return false;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Fake provider - deterministic scripted responses, no network
+ *
+ * Script entries are consumed in order, one per call:
+ * - object: returned as the JSON response
+ * - string: returned as raw message content
+ * - Error: thrown from the call
+ * - function(request): called with the request, may return any of the above
+ * - { toolCalls: [{ name, arguments }], content }: tool calls, when the
+ *   request offers tools (arguments may be an object or a JSON string)
+ *
+ * When the script is exhausted, a placeholder matching the requested schema
+ * is returned (or the result of config.fallback if provided).
+ *
+ * Environment:
+ * - LLM_FAKE_SCRIPT: path to a JSON file containing an array of script entries
+ * @param {object} config
+ * @param {Array} config.script - Initial script entries
+ * @param {Function} config.fallback - Responder used once the script is empty
+ */
+export function createFakeProvider(config = {}) {
+  const {
+    script = loadFakeScript(process.env.LLM_FAKE_SCRIPT),
+    fallback = null,
+    defaultModel = 'fake-model'
+  } = config;
+
+  const queue = [...script];
+  const calls = [];
+
+  function toContent(entry) {
+    if (entry instanceof Error) throw entry;
+    return typeof entry === 'string' ? entry : JSON.stringify(entry);
+  }
+
+  return {
+    name: 'fake',
+    defaultModel,
+    calls,
+
+    async complete(request) {
+      calls.push(request);
+
+      let entry;
+      if (queue.length > 0) {
+        entry = queue.shift();
+      } else if (fallback) {
+        entry = fallback;
+      } else {
+        entry = buildSchemaPlaceholder(request.responseFormat?.json_schema?.schema) || {};
+      }
+
+      if (typeof entry === 'function') {
+        entry = await entry(request);
+      }
+
+      let toolCalls = [];
+      if (request.tools && Array.isArray(entry?.toolCalls)) {
+        toolCalls = entry.toolCalls.map((call, index) => ({
+          id: call.id || `call_${calls.length}_${index}`,
+          name: call.name,
+          arguments: typeof call.arguments === 'string' ? call.arguments : JSON.stringify(call.arguments || {})
+        }));
+        entry = entry.content || '';
+      }
+
+      const content = toContent(entry);
+
+      if (request.onChunk) {
+        for (let i = 0; i < content.length; i += FAKE_CHUNK_SIZE) {
+          request.onChunk(content.substring(i, i + FAKE_CHUNK_SIZE));
+        }
+      }
+
+      const promptChars = request.messages.reduce((sum, m) => sum + (m.content?.length || 0), 0);
+
+      return {
+        content,
+        toolCalls,
+        usage: {
+          prompt_tokens: Math.ceil(promptChars / 4),
+          completion_tokens: Math.ceil(content.length / 4),
+          total_tokens: Math.ceil(promptChars / 4) + Math.ceil(content.length / 4)
+        },
+        model: request.model || defaultModel
+      };
+    },
+
+    /**
+     * Append entries to the script
+     */
+    enqueue(...entries) {
+      queue.push(...entries);
+    },
+
+    /**
+     * Number of scripted entries not yet consumed
+     */
+    remaining() {
+      return queue.length;
+    },
+
+    /**
+     * Drop remaining script entries and recorded calls
+     */
+    reset() {
+      queue.length = 0;
+      calls.length = 0;
+    }
+  };
+}
+
+/**
+ * Load a fake provider script from a JSON file (empty script if unset)
+ */
+function loadFakeScript(scriptPath) {
+  if (!scriptPath) return [];
+  const parsed = JSON.parse(fs.readFileSync(scriptPath, 'utf-8'));
+  if (!Array.isArray(parsed)) {
+    throw new Error(`LLM_FAKE_SCRIPT must contain a JSON array: ${scriptPath}`);
+  }
+  return parsed;
+}
+
+const providerFactories = {
+  openai: createOpenAIProvider,
+  local: createLocalProvider,
+  fake: createFakeProvider
+};
+
+// Instances are created on first use and reused afterwards
+const providerInstances = new Map();
+
+/**
+ * Register a provider instance (or replace a built-in) under a name
+ * @param {string} name - Name used in options.provider / LLM_PROVIDER
+ * @param {object} provider - Object implementing complete()
+ */
+export function registerProvider(name, provider) {
+  if (!provider || typeof provider.complete !== 'function') {
+    throw new Error(`Provider "${name}" must implement complete()`);
+  }
+  providerInstances.set(name, provider);
+  return provider;
+}
+
+/**
+ * Resolve a provider from a name, an instance, or the environment
+ * @param {string|object} provider - Provider name or instance (optional)
+ * @returns {object} Provider instance
+ */
+export function getProvider(provider = null) {
+  if (provider && typeof provider === 'object') {
+    if (typeof provider.complete !== 'function') {
+      throw new Error('Provider object must implement complete()');
+    }
+    return provider;
+  }
+
+  const name = provider || process.env.LLM_PROVIDER || 'openai';
+
+  if (!providerInstances.has(name)) {
+    const factory = providerFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown LLM provider: ${name} (available: ${listProviders().join(', ')})`);
+    }
+    providerInstances.set(name, factory());
+  }
+
+  return providerInstances.get(name);
+}
+
+/**
+ * List known provider names (built-in and registered)
+ */
+export function listProviders() {
+  return Array.from(new Set([...Object.keys(providerFactories), ...providerInstances.keys()]));
+}
+
+/**
+ * Forget cached instances so the next getProvider() re-reads the environment
+ */
+export function resetProviders() {
+  providerInstances.clear();
+}
+
+export default {
+  createOpenAIProvider,
+  createLocalProvider,
+  createFakeProvider,
+  buildSchemaPlaceholder,
+  registerProvider,
+  getProvider,
+  listProviders,
+  resetProviders
+};
@@ -0,0 +1,99 @@
+/**
+ * Memory Manager - Shared in-process memory for the class-based AgentOrchestrator
+ *
+ * Keeps a rolling window of role-tagged entries (user, agent, system) that
+ * every agent in a pipeline or parallel fan-out sees as conversation history.
+ * Unlike memorySystem.js nothing is written to disk; one instance lives as
+ * long as its orchestrator.
+ */
+
+const DEFAULT_MAX_ENTRIES = 50;
+const DEFAULT_MAX_ENTRY_LENGTH = 500; // chars per entry in the context string
+
+export class MemoryManager {
+  /**
+   * @param {object} options
+   * @param {number} options.maxEntries - Entries kept before the oldest is dropped
+   * @param {number} options.maxEntryLength - Characters per entry in getContextString()
+   */
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || DEFAULT_MAX_ENTRIES;
+    this.maxEntryLength = options.maxEntryLength || DEFAULT_MAX_ENTRY_LENGTH;
+    this.entries = [];
+    this.totalCount = 0;
+  }
+
+  /**
+   * Add an entry
+   * @param {object} entry
+   * @param {string} entry.role - 'user' | 'agent' | 'system'
+   * @param {string} entry.text - Entry content
+   * @param {string} entry.agentType - Agent that produced it (agent entries)
+   * @param {object} entry.metadata - Extra data kept with the entry
+   */
+  async addInteraction({ role, text, agentType = null, metadata = {} }) {
+    this.totalCount += 1;
+
+    const entry = {
+      id: this.totalCount,
+      role,
+      agentType,
+      text: String(text ?? ''),
+      metadata,
+      ts: new Date().toISOString()
+    };
+
+    this.entries.push(entry);
+    if (this.entries.length > this.maxEntries) {
+      this.entries.shift();
+    }
+
+    return entry;
+  }
+
+  /**
+   * Formatted history for agent prompts
+   */
+  getContextString() {
+    if (this.entries.length === 0) return '';
+
+    let context = `═══ SHARED MEMORY (Last ${this.entries.length}) ═══\n\n`;
+    this.entries.forEach(entry => {
+      const who = entry.agentType ? `${entry.role}:${entry.agentType}` : entry.role;
+      const text = entry.text.length > this.maxEntryLength
+        ? entry.text.substring(0, this.maxEntryLength) + '...'
+        : entry.text;
+      context += `[${entry.ts}] ${who}: ${text}\n`;
+    });
+
+    return context.trim();
+  }
+
+  /**
+   * Entries currently in the window
+   */
+  getEntries() {
+    return [...this.entries];
+  }
+
+  /**
+   * Memory statistics
+   */
+  getStats() {
+    return {
+      totalCount: this.totalCount,
+      currentEntries: this.entries.length,
+      maxEntries: this.maxEntries
+    };
+  }
+
+  /**
+   * Drop all entries
+   */
+  clear() {
+    this.entries = [];
+    this.totalCount = 0;
+  }
+}
+
+export default MemoryManager;
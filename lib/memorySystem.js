@@ -4,78 +4,56 @@
  * Implements the strategy from MEMORY.md:
  * - Stores last 21 interactions (full JSON request + response)
  * - Maintains up to 3 summaries of previous 21-interaction blocks
- * - Persists to memory.json file
+ * - Persists to memory.json (or the request's file, see storageContext.js) or
+ *   SQLite (storageBackends.js), where past interactions stay searchable
  * - Provides temporal awareness with timestamps
  */
 
-import fs from 'fs/promises';
-import path from 'path';
 import { queryOpenAI } from './openaiWrapper.js';
 import { summarizeAgentResponseSchema } from '../schemas/summarizeAgent.js';
+import { redactValue } from './secretRedactor.js';
+import { getStorageScope } from './storageContext.js';
+import { getStorageBackend } from './storageBackends.js';
 
 const MAX_INTERACTIONS = 21;
 const MAX_SUMMARIES = 3;
 
 /**
- * Get memory file path (supports user-specific files)
- */
-function getMemoryFile() {
-  return process.env.USER_MEMORY_FILE || path.join(process.cwd(), 'memory.json');
-}
-
-/**
- * Load memory from disk
+ * Load memory from the storage backend
  */
 async function loadMemory() {
-  try {
-    const data = await fs.readFile(getMemoryFile(), 'utf-8');
-    return JSON.parse(data);
-  } catch (error) {
-    // File doesn't exist or is invalid, return empty structure
-    return {
-      interactions: [],
-      summaries: [],
-      count: 0
-    };
-  }
+  const memory = await getStorageBackend().loadMemory(getStorageScope());
+  // Nothing stored yet (or an unreadable file): empty structure
+  return memory || {
+    interactions: [],
+    summaries: [],
+    count: 0
+  };
 }
 
 /**
- * Save memory to disk (atomic write for data integrity)
+ * Save memory to the storage backend (files are written atomically)
  */
 async function saveMemory(memory) {
-  const memoryFile = getMemoryFile();
-  const tempFile = memoryFile + '.tmp';
-  
-  try {
-    // Write to temp file first
-    await fs.writeFile(tempFile, JSON.stringify(memory, null, 2), 'utf-8');
-    
-    // Atomic rename (overwrites destination)
-    await fs.rename(tempFile, memoryFile);
-  } catch (error) {
-    // Clean up temp file if it exists
-    try {
-      await fs.unlink(tempFile);
-    } catch (unlinkError) {
-      // Ignore - file may not exist
-    }
-    throw error;
-  }
+  await getStorageBackend().saveMemory(getStorageScope(), memory);
 }
 
 /**
  * Add an interaction to memory
  * @param {object} userRequest - Full JSON request from user
  * @param {object} aiResponse - Full JSON response from AI
+ * @param {object} options
+ * @param {string|object} options.provider - LLM provider used for summarization
+ * @param {object} options.caller - Who the summarization cost is attributed to; their
+ *                                  secret vault turns secrets into placeholders before saving
  */
-export async function addInteraction(userRequest, aiResponse) {
+export async function addInteraction(userRequest, aiResponse, options = {}) {
   const memory = await loadMemory();
   
   // Create interaction with timestamp for temporal awareness
   const interaction = {
-    userRequest,
-    aiResponse,
+    userRequest: redactValue(userRequest, options.caller),
+    aiResponse: redactValue(aiResponse, options.caller),
     ts: new Date().toISOString(),
     id: memory.count + 1
   };
@@ -88,7 +66,7 @@ export async function addInteraction(userRequest, aiResponse) {
   
   // Step 3: Check if we've reached 22 interactions (trigger summarization)
   if (memory.interactions.length > MAX_INTERACTIONS) {
-    await summarizeAndShift(memory);
+    await summarizeAndShift(memory, options.provider, options.caller);
   }
   
   // Save to disk
@@ -100,7 +78,7 @@ export async function addInteraction(userRequest, aiResponse) {
 /**
  * Summarize interactions 2-22, shift window, add summary
  */
-async function summarizeAndShift(memory) {
+async function summarizeAndShift(memory, provider = null, caller = null) {
   // Get interactions to summarize (index 1 to end = interactions 2-22)
   const toSummarize = memory.interactions.slice(1);
   
@@ -112,8 +90,11 @@ async function summarizeAndShift(memory) {
                      interaction.aiResponse?.code || 
                      interaction.aiResponse?.summary ||
                      JSON.stringify(interaction.aiResponse);
+      const toolText = (interaction.aiResponse?.toolCalls || [])
+        .map(call => `\nTool: ${call.summary}`)
+        .join('');
       
-      return `[${interaction.ts}] Interaction ${interaction.id}:\nUser: ${userQuery}\nAI: ${aiText}`;
+      return `[${interaction.ts}] Interaction ${interaction.id}:\nUser: ${userQuery}\nAI: ${aiText}${toolText}`;
     }).join('\n\n');
     
     // Create summary using AI
@@ -121,7 +102,11 @@ async function summarizeAndShift(memory) {
       `Summarize these ${toSummarize.length} conversation interactions. Preserve key facts, decisions, goals, code created, commands executed, and evolving context:\n\n${contextText}`,
       { 
         schema: summarizeAgentResponseSchema,
-        temperature: 0.1
+        schemaName: 'summarize',
+        role: 'summarizer',
+        temperature: 0.1,
+        provider,
+        caller
       }
     );
     
@@ -217,7 +202,11 @@ export async function getMemoryContextString() {
       context += `[${interaction.ts}] Interaction ${interaction.id}:\n`;
       context += `User Query: ${userQuery}\n`;
       context += `AI Response Type: ${aiChoice}\n`;
-      context += `AI Content: ${aiContent}\n\n`;
+      context += `AI Content: ${aiContent}\n`;
+      (interaction.aiResponse?.toolCalls || []).forEach(call => {
+        context += `Tool: ${call.summary}\n`;
+      });
+      context += '\n';
     });
   }
   
@@ -256,10 +245,22 @@ export async function getMemoryStats() {
   };
 }
 
+/**
+ * Search past interactions, newest first
+ * The sqlite backend also finds interactions that left the rolling window;
+ * the file backend only searches the current window.
+ * @param {object} filter - { since, until, text, limit }
+ * @returns {Promise<Array<object>>} Interactions
+ */
+export async function searchMemory(filter = {}) {
+  return getStorageBackend().searchMemory(getStorageScope(), filter);
+}
+
 export default {
   addInteraction,
   getCurrentMemory,
   getMemoryContextString,
   clearMemory,
-  getMemoryStats
+  getMemoryStats,
+  searchMemory
 };
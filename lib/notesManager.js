@@ -1,33 +1,27 @@
 /**
  * Notes Manager - Agent's scratch pad for maintaining context across sessions
  * 
- * Manages notes.md file where the agent can:
+ * Manages notes.md (or the request's notes, see storageContext.js and
+ * storageBackends.js) where the agent can:
  * - Track current task and plan
  * - Store discovered context
  * - Mark completed steps
  * - Record blockers
  */
 
-import fs from 'fs/promises';
-import path from 'path';
-
-/**
- * Get notes file path (supports user-specific files)
- */
-function getNotesFile() {
-  return process.env.USER_NOTES_FILE || path.join(process.cwd(), 'notes.md');
-}
+import { redactSecrets } from './secretRedactor.js';
+import { getStorageScope, getStorageCaller } from './storageContext.js';
+import { getStorageBackend } from './storageBackends.js';
 
 /**
  * Initialize or load notes
  */
 export async function loadNotes() {
-  try {
-    const content = await fs.readFile(getNotesFile(), 'utf-8');
-    return content;
-  } catch (error) {
-    // File doesn't exist, return empty structure
-    return `# Agent Notes
+  const content = await getStorageBackend().loadNotes(getStorageScope());
+  if (content !== null) return content;
+
+  // Nothing stored yet, return empty structure
+  return `# Agent Notes
 
 ## Current Task
 None
@@ -44,31 +38,15 @@ No active plan
 ## Blockers
 None
 `;
-  }
 }
 
 /**
- * Save notes to file (atomic write for data integrity)
+ * Save notes (files are written atomically)
+ * Secrets that reach the notes are stored as placeholders of the request
+ * caller's vault, the same ones the model sees and commands resolve.
  */
 export async function saveNotes(content) {
-  const notesFile = getNotesFile();
-  const tempFile = notesFile + '.tmp';
-  
-  try {
-    // Write to temp file first
-    await fs.writeFile(tempFile, content, 'utf-8');
-    
-    // Atomic rename (overwrites destination)
-    await fs.rename(tempFile, notesFile);
-  } catch (error) {
-    // Clean up temp file if it exists
-    try {
-      await fs.unlink(tempFile);
-    } catch (unlinkError) {
-      // Ignore - file may not exist
-    }
-    throw error;
-  }
+  await getStorageBackend().saveNotes(getStorageScope(), redactSecrets(content, getStorageCaller()));
 }
 
 /**
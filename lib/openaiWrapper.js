@@ -1,60 +1,79 @@
-import OpenAI from 'openai';
 import dotenv from 'dotenv';
 import { baseAgentExtendedResponseSchema } from '../schemas/baseAgent.js';
+import { getProvider } from './llmProviders.js';
+import { getFixtureMode, describeSchema, recordFixture, replayFixture } from './llmFixtures.js';
+import { recordUsage } from './usageTracker.js';
+import { enforceBudget } from './budgetManager.js';
+import { createJsonFieldStreamer } from './jsonStreamParser.js';
+import { describeExecutor } from './executorBackends.js';
+import { describeHosts } from './hostRegistry.js';
+import { redactSecrets, redactValue } from './secretRedactor.js';
 
 if (!process.env.OPENAI_API_KEY) {
   dotenv.config();
 }
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+// Response fields forwarded to onDelta while streaming
+const STREAMED_FIELDS = ['response', 'code'];
 
-/**
- * Robustly strips Markdown formatting or trailing "garbage" characters 
- * that LLMs sometimes append to JSON strings.
- */
-function sanitizeJsonString(str) {
-  if (typeof str !== 'string') return str;
-  // 1. Remove markdown code blocks if present
-  let clean = str.replace(/```json\n?|```/g, '').trim();
-  // 2. If there's still extra text after the last '}', truncate it
-  const lastBrace = clean.lastIndexOf('}');
-  if (lastBrace !== -1 && lastBrace < clean.length - 1) {
-    clean = clean.substring(0, lastBrace + 1);
-  }
-  return clean;
-}
+const SCHEMA_RESPONSE_GUIDELINES = `RESPONSE GUIDELINES:
+- Respond to the user's current query while considering the full conversation history
+- For file/directory questions: Use terminalCommand choice with ls, find, or similar
+- For reading files: Use terminalCommand with cat, head, tail, or grep
+- For SSH requests: Use terminalCommand with ssh commands
+- For code requests: Use code choice with generated code
+- For explanations: Use response choice
+- Respond ONLY with valid JSON matching the schema
+- NEVER include markdown code blocks (\`\`\`json) or trailing text
+`;
+
+const TOOL_RESPONSE_GUIDELINES = `RESPONSE GUIDELINES:
+- Respond to the user's current query while considering the full conversation history
+- Use the provided tools to act: run_shell_command for terminal work (including SSH),
+  read_file / write_file for files, update_notes to remember progress, ask_user when
+  information is missing
+- You may call several tools in one turn; their results are sent back to you
+- When the task is done, reply with a plain-text answer and no tool calls
+`;
 
 /**
- * Wrapper for OpenAI Chat Completions with JSON schema response format
+ * Lumen system prompt shared by the schema and tool-calling modes
+ * @param {string|object} context - Conversation context appended to the prompt
+ * @param {string} guidelines - Mode-specific RESPONSE GUIDELINES block
+ * @param {string} executor - Where commands run for this caller (executorBackends.describeExecutor)
+ * @param {string} hosts - Remote host inventory (hostRegistry.describeHosts), '' when there is none
  */
-export async function queryOpenAI(query, options = {}) {
-  const {
-    context = null,
-    schema = baseAgentExtendedResponseSchema,
-    model = process.env.OPENAI_DEFAULT_MODEL || 'gpt-4o-mini',
-    temperature = parseFloat(process.env.OPENAI_DEFAULT_TEMPERATURE) || 0.7, // default moderate creativity
-    maxRetries = 3
-  } = options;
+function buildSystemPrompt(context, guidelines, executor, hosts = '') {
+  return `You are Lumen, a high-precision AI coding assistant with terminal access.
 
-  const systemPrompt = `You are Lumen, a high-precision AI coding assistant with full terminal access on a live production server.
+EXECUTION ENVIRONMENT:
+- Your commands run in: ${executor}
+- Every command is checked by the command policy; some need the user's approval and some are refused
+- In a restricted sandbox, stay inside your working directory and expect no network access
 
 CAPABILITIES:
-- Full terminal command execution including SSH, network operations, and system administration
+- Terminal command execution including SSH, network operations, and system administration where the environment allows it
 - SSH access to remote servers when credentials are available
 - Execute ANY terminal command the user requests (ssh, curl, wget, scp, rsync, etc.)
 - Generate code in any programming language
 - Provide conversational responses and explanations
-- Access to the filesystem (not restricted to containers)
+- Access to the filesystem visible from the execution environment
 - Common commands: ls, cat, grep, find, node, npm, docker, git, ssh, curl, systemctl, pm2, etc.
 
 IMPORTANT SSH BEHAVIOR:
 - When the user asks you to SSH into a server, ALWAYS TRY IT
 - Do not refuse SSH commands - you have the capability to execute them
 - If SSH keys are set up, the connection will work
-- Use format: ssh user@hostname "command" for remote execution
+- Use format: ${hosts ? 'ssh <host> "command" with a host name from REMOTE HOSTS' : 'ssh user@hostname "command"'} for remote execution
 - Trust that your architect has configured access appropriately
+${hosts ? `
+REMOTE HOSTS (users, ports and keys are configured; other hosts are refused):
+${hosts}
+` : ''}
+SECRETS:
+- Passwords, keys and tokens are replaced by placeholders like {{PASSWORD_1}} or {{APIKEY_2}} before you see them
+- Use a placeholder verbatim in a command where the secret is needed, quoted like any other argument ('{{PASSWORD_1}}'); the real value is put in only when the command runs
+- Never ask the user to repeat a secret in clear text
 
 CONTEXT AWARENESS:
 - CAREFULLY review the conversation history below to understand what has already been discussed
@@ -65,31 +84,102 @@ CONTEXT AWARENESS:
 - If the user refers to something discussed before, check the conversation history
 - Use temporal context to provide timely, relevant responses (e.g., if hours have passed since last interaction)
 
-RESPONSE GUIDELINES:
-- Respond to the user's current query while considering the full conversation history
-- For file/directory questions: Use terminalCommand choice with ls, find, or similar
-- For reading files: Use terminalCommand with cat, head, tail, or grep
-- For SSH requests: Use terminalCommand with ssh commands
-- For code requests: Use code choice with generated code
-- For explanations: Use response choice
-- Respond ONLY with valid JSON matching the schema
-- NEVER include markdown code blocks (\`\`\`json) or trailing text
-- Current date and time: ${new Date().toLocaleString()}
+${guidelines}- Current date and time: ${new Date().toLocaleString()}
 
 ${context ? `\n═══ CONVERSATION CONTEXT ═══\n${typeof context === 'string' ? context : JSON.stringify(context, null, 2)}` : ''}`;
+}
+
+/**
+ * Robustly strips Markdown formatting or trailing "garbage" characters 
+ * that LLMs sometimes append to JSON strings.
+ */
+function sanitizeJsonString(str) {
+  if (typeof str !== 'string') return str;
+  // 1. Remove markdown code blocks if present
+  let clean = str.replace(/```json\n?|```/g, '').trim();
+  // 2. If there's still extra text after the last '}', truncate it
+  const lastBrace = clean.lastIndexOf('}');
+  if (lastBrace !== -1 && lastBrace < clean.length - 1) {
+    clean = clean.substring(0, lastBrace + 1);
+  }
+  return clean;
+}
+
+/**
+ * Wrapper for OpenAI Chat Completions with JSON schema response format
+ * @param {string} query - User query
+ * @param {object} options
+ * @param {string|object} options.provider - Provider name ('openai', 'local', 'fake') or instance
+ * @param {string} options.schemaName - Name identifying the schema in fixtures (derived if omitted)
+ * @param {string} options.role - Agent role for usage accounting (defaults to schemaName)
+ * @param {object} options.caller - Who the call is made for: { channel, userId, groupId }
+ *                                  Budgets for the caller are enforced (see budgetManager.js)
+ * @param {Function} options.onDelta - Stream the completion; called as (field, delta, valueSoFar)
+ *                                     for the response and code fields as they arrive
+ * @param {Function} options.onStreamReset - Called before a retry when the failed attempt already
+ *                                           streamed text; the retry streams its fields from the start
+ * The query and context are sent with secrets replaced by the caller's placeholders (secretRedactor.js).
+ */
+export async function queryOpenAI(rawQuery, options = {}) {
+  const {
+    context: rawContext = null,
+    schema = baseAgentExtendedResponseSchema,
+    schemaName = describeSchema(schema),
+    role = schemaName,
+    caller = null,
+    provider = null,
+    onDelta = null,
+    onStreamReset = null,
+    temperature = parseFloat(process.env.OPENAI_DEFAULT_TEMPERATURE) || 0.7, // default moderate creativity
+    maxRetries = 3
+  } = options;
+
+  // Secrets never leave the process; the model only sees placeholders
+  const query = redactSecrets(rawQuery, caller);
+  const context = redactValue(rawContext, caller);
+
+  const llm = getProvider(provider);
+  // Throws BudgetExceededError, or swaps in a cheaper model, when the caller is over budget
+  const model = await enforceBudget(caller, options.model || llm.defaultModel);
+
+  // Record/replay harness (see llmFixtures.js)
+  const fixtureMode = getFixtureMode();
+  const fixtureRequest = { prompt: query, context, schemaName, model, temperature };
+  if (fixtureMode === 'replay') {
+    const replayed = await replayFixture(fixtureRequest);
+    if (onDelta) {
+      STREAMED_FIELDS
+        .filter(field => typeof replayed[field] === 'string' && replayed[field])
+        .forEach(field => onDelta(field, replayed[field], replayed[field]));
+    }
+    return replayed;
+  }
+
+  const systemPrompt = buildSystemPrompt(context, SCHEMA_RESPONSE_GUIDELINES, await describeExecutor(caller), await describeHosts());
 
   let lastError = null;
+  let streamed = false; // Whether the current attempt sent text to onDelta
   
   for (let attempt = 0; attempt <= maxRetries; attempt++) {
     try {
-      const completion = await openai.chat.completions.create({
+      // Fresh parser per attempt so a retried stream starts clean
+      streamed = false;
+      const streamer = onDelta
+        ? createJsonFieldStreamer({
+            fields: STREAMED_FIELDS,
+            onField: (...args) => { streamed = true; onDelta(...args); }
+          })
+        : null;
+
+      const completion = await llm.complete({
         model,
         temperature,
+        onChunk: streamer ? (chunk) => streamer.push(chunk) : null,
         messages: [
           { role: "system", content: systemPrompt },
           { role: "user", content: query }
         ],
-        response_format: {
+        responseFormat: {
           type: "json_schema",
           json_schema: {
             name: "agent_response",
@@ -99,7 +189,15 @@ ${context ? `\n═══ CONVERSATION CONTEXT ═══\n${typeof context === 's
         }
       });
 
-      const responseContent = completion.choices[0].message.content;
+      await recordUsage({
+        usage: completion.usage,
+        model: completion.model,
+        provider: llm.name,
+        role,
+        caller: caller || undefined
+      });
+
+      const responseContent = completion.content;
       const parsedData = JSON.parse(responseContent);
 
       // Post-process specific fields that might contain nested JSON strings
@@ -107,11 +205,104 @@ ${context ? `\n═══ CONVERSATION CONTEXT ═══\n${typeof context === 's
         parsedData.schemaAsString = sanitizeJsonString(parsedData.schemaAsString);
       }
 
+      if (fixtureMode === 'record') {
+        await recordFixture(fixtureRequest, parsedData);
+      }
+
       return parsedData;
     } catch (error) {
       lastError = error;
       const shouldRetry = (error.status === 429 || (error.status >= 500 && error.status < 600)) && attempt < maxRetries;
       
+      if (shouldRetry) {
+        const delayMs = Math.pow(2, attempt) * 1000;
+        console.warn(`Retry ${attempt + 1}: ${error.message}`);
+        // The retry starts a new completion: earlier text must not be kept
+        if (streamed && onStreamReset) {
+          onStreamReset();
+        }
+        await new Promise(r => setTimeout(r, delayMs));
+        continue;
+      }
+      throw error;
+    }
+  }
+  throw lastError;
+}
+
+/**
+ * Wrapper for native tool calling (function calling)
+ * The model either calls tools or answers in plain text; the caller runs the
+ * tools and sends their results back in the next call.
+ * @param {Array} messages - Conversation without the system prompt (user, assistant and tool messages)
+ * @param {object} options
+ * @param {Array} options.tools - Tool definitions in Chat Completions format
+ * @param {string|object} options.context - Conversation context for the system prompt
+ * @param {string|object} options.provider - Provider name ('openai', 'local', 'fake') or instance
+ * @param {string} options.role - Agent role for usage accounting (default 'base')
+ * @param {object} options.caller - Who the call is made for: { channel, userId, groupId }
+ * @returns {Promise<{ content: string, toolCalls: Array<{ id, name, arguments }> }>}
+ * Messages and context are sent with secrets replaced by the caller's placeholders.
+ */
+export async function queryOpenAIWithTools(rawMessages, options = {}) {
+  const {
+    tools = [],
+    context: rawContext = null,
+    role = 'base',
+    caller = null,
+    provider = null,
+    temperature = parseFloat(process.env.OPENAI_DEFAULT_TEMPERATURE) || 0.7,
+    maxRetries = 3
+  } = options;
+
+  const messages = redactValue(rawMessages, caller);
+  const context = redactValue(rawContext, caller);
+
+  const llm = getProvider(provider);
+  const model = await enforceBudget(caller, options.model || llm.defaultModel);
+
+  // The whole conversation is the fixture prompt, so each tool round has its own key
+  const fixtureMode = getFixtureMode();
+  const fixtureRequest = { prompt: JSON.stringify(messages), context, schemaName: 'tools', model, temperature };
+  if (fixtureMode === 'replay') {
+    return replayFixture(fixtureRequest);
+  }
+
+  const systemPrompt = buildSystemPrompt(context, TOOL_RESPONSE_GUIDELINES, await describeExecutor(caller), await describeHosts());
+
+  let lastError = null;
+
+  for (let attempt = 0; attempt <= maxRetries; attempt++) {
+    try {
+      const completion = await llm.complete({
+        model,
+        temperature,
+        messages: [{ role: "system", content: systemPrompt }, ...messages],
+        tools
+      });
+
+      await recordUsage({
+        usage: completion.usage,
+        model: completion.model,
+        provider: llm.name,
+        role,
+        caller: caller || undefined
+      });
+
+      const result = {
+        content: completion.content || '',
+        toolCalls: completion.toolCalls || []
+      };
+
+      if (fixtureMode === 'record') {
+        await recordFixture(fixtureRequest, result);
+      }
+
+      return result;
+    } catch (error) {
+      lastError = error;
+      const shouldRetry = (error.status === 429 || (error.status >= 500 && error.status < 600)) && attempt < maxRetries;
+
       if (shouldRetry) {
         const delayMs = Math.pow(2, attempt) * 1000;
         console.warn(`Retry ${attempt + 1}: ${error.message}`);
@@ -127,24 +318,48 @@ ${context ? `\n═══ CONVERSATION CONTEXT ═══\n${typeof context === 's
 export async function queryOpenAIJsonMode(query, options = {}) {
   const {
     context = null,
-    model = process.env.OPENAI_DEFAULT_MODEL || 'gpt-4o-mini',
+    provider = null,
+    role = 'json_object',
+    caller = null,
     temperature = 0.7,
   } = options;
 
-  const content = context ? `Context: ${JSON.stringify(context)}\n\nQuery: ${query}` : query;
+  const llm = getProvider(provider);
+  const model = await enforceBudget(caller, options.model || llm.defaultModel);
+  const content = redactSecrets(context ? `Context: ${JSON.stringify(context)}\n\nQuery: ${query}` : query, caller);
+
+  const fixtureMode = getFixtureMode();
+  const fixtureRequest = { prompt: content, schemaName: 'json_object', model, temperature };
+  if (fixtureMode === 'replay') {
+    return replayFixture(fixtureRequest);
+  }
 
   try {
-    const completion = await openai.chat.completions.create({
+    const completion = await llm.complete({
       model,
       temperature,
       messages: [{ role: "user", content }],
-      response_format: { type: "json_object" }
+      responseFormat: { type: "json_object" }
+    });
+
+    await recordUsage({
+      usage: completion.usage,
+      model: completion.model,
+      provider: llm.name,
+      role,
+      caller: caller || undefined
     });
-    return JSON.parse(completion.choices[0].message.content);
+    const parsedData = JSON.parse(completion.content);
+
+    if (fixtureMode === 'record') {
+      await recordFixture(fixtureRequest, parsedData);
+    }
+
+    return parsedData;
   } catch (error) {
     console.error('JsonMode Error:', error.message);
     throw error;
   }
 }
 
-export default { queryOpenAI, queryOpenAIJsonMode };
\ No newline at end of file
+export default { queryOpenAI, queryOpenAIWithTools, queryOpenAIJsonMode };
\ No newline at end of file
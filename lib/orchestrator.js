@@ -2,21 +2,34 @@
  * Agent Orchestrator - Coordinates multiple agents working together
  * 
  * Features:
- * - Sequential agent pipelines
+ * - Sequential agent pipelines (agent name lists or declarative definitions, see pipelineRunner.js)
  * - Parallel agent execution
  * - Shared memory context
  * - Result synthesis
  * - Error recovery
  */
 
-import { processRequest as baseAgent } from '../baseAgent.js';
-import { generateTerminalCommand } from '../terminalAgent.js';
-import { createTask as universalAgent } from '../universalAgent.js';
-import { generateSchema } from '../generateSchema.js';
+import {
+  processRequest as baseAgent,
+  generateTerminalCommand,
+  createTask as universalAgent,
+  generateSchema
+} from './agents.js';
 import { executeAgentCommand } from './terminalExecutor.js';
 import { MemoryManager } from './memoryManager.js';
+import { runPipeline } from './pipelineRunner.js';
 
 export class AgentOrchestrator {
+  /**
+   * @param {object} options
+   * @param {MemoryManager} options.memory - Shared memory (new one if omitted)
+   * @param {object} options.envContext - Environment details passed to agents (cwd, os, ...)
+   * @param {string|object} options.provider - LLM provider name or instance (see llmProviders.js)
+   * @param {object} options.caller - Who the calls are made for: { channel, userId, groupId }
+   * @param {boolean} options.autoExecuteCommands - Run terminal commands from processRequest()
+   * @param {boolean} options.autoApprove - Skip approval prompts when executing
+   * @param {boolean} options.verbose - Log progress (default true)
+   */
   constructor(options = {}) {
     this.memory = options.memory || new MemoryManager();
     this.agents = {
@@ -26,6 +39,8 @@ export class AgentOrchestrator {
       schema: generateSchema
     };
     this.envContext = options.envContext || {};
+    this.provider = options.provider || null;
+    this.caller = options.caller || null;
     this.config = {
       autoExecuteCommands: options.autoExecuteCommands || false,
       autoApprove: options.autoApprove || false,
@@ -55,10 +70,7 @@ export class AgentOrchestrator {
         console.log('🧠 Consulting base agent...\n');
       }
 
-      const decision = await this.agents.base(userRequest, {
-        conversationHistory: memoryContext,
-        environment: this.envContext
-      });
+      const decision = await this.agents.base(userRequest, this._agentOptions(memoryContext));
 
       // Handle based on agent decision
       let result;
@@ -101,10 +113,19 @@ export class AgentOrchestrator {
 
   /**
    * Execute a multi-agent pipeline
-   * @param {string[]} agentNames - Array of agent names to execute in sequence
-   * @param {string} initialRequest - Starting request
+   * @param {string[]|object} agentNames - Agent names to execute in sequence, or a
+   *                                       pipeline definition (see pipelineRunner.js)
+   * @param {string|object} initialRequest - Starting request
+   * @param {object} options - { onStep } for pipeline definitions
    */
-  async pipeline(agentNames, initialRequest) {
+  async pipeline(agentNames, initialRequest, options = {}) {
+    if (!Array.isArray(agentNames)) {
+      if (this.config.verbose) {
+        console.log(`🔄 Starting pipeline: ${agentNames.name || 'unnamed'} (${agentNames.steps?.length || 0} steps)\n`);
+      }
+      return runPipeline(agentNames, initialRequest, { orchestrator: this, onStep: options.onStep });
+    }
+
     if (this.config.verbose) {
       console.log(`🔄 Starting pipeline: ${agentNames.join(' → ')}\n`);
     }
@@ -117,13 +138,9 @@ export class AgentOrchestrator {
         console.log(`📍 Agent: ${agentName}`);
       }
 
-      const agent = this.agents[agentName];
-      if (!agent) {
-        throw new Error(`Unknown agent: ${agentName}`);
-      }
-
+      const agent = this._getAgent(agentName);
       const memoryContext = this.memory.getContextString();
-      const result = await agent(currentInput, { conversationHistory: memoryContext });
+      const result = await agent(currentInput, this._agentOptions(memoryContext));
       
       results.push({
         agent: agentName,
@@ -155,16 +172,14 @@ export class AgentOrchestrator {
       console.log(`⚡ Executing ${agentNames.length} agents in parallel\n`);
     }
 
+    // Resolve every name first so an unknown agent fails before any call is made
+    const agents = agentNames.map(agentName => this._getAgent(agentName));
     const memoryContext = this.memory.getContextString();
     
-    const promises = agentNames.map(agentName => {
-      const agent = this.agents[agentName];
-      if (!agent) {
-        throw new Error(`Unknown agent: ${agentName}`);
-      }
-      return agent(request, { conversationHistory: memoryContext })
-        .then(result => ({ agent: agentName, result }));
-    });
+    const promises = agents.map((agent, idx) =>
+      agent(request, this._agentOptions(memoryContext))
+        .then(result => ({ agent: agentNames[idx], result }))
+    );
 
     const results = await Promise.all(promises);
 
@@ -184,9 +199,19 @@ export class AgentOrchestrator {
    * Register a custom agent
    */
   registerAgent(name, agentFunction) {
+    if (typeof agentFunction !== 'function') {
+      throw new Error(`Agent "${name}" must be a function (input, options) => Promise<object>`);
+    }
     this.agents[name] = agentFunction;
   }
 
+  /**
+   * Names of all available agents
+   */
+  listAgents() {
+    return Object.keys(this.agents);
+  }
+
   /**
    * Get memory manager instance
    */
@@ -196,6 +221,23 @@ export class AgentOrchestrator {
 
   // Internal handlers
 
+  _getAgent(agentName) {
+    const agent = this.agents[agentName];
+    if (!agent) {
+      throw new Error(`Unknown agent: ${agentName} (available: ${this.listAgents().join(', ')})`);
+    }
+    return agent;
+  }
+
+  _agentOptions(conversationHistory) {
+    return {
+      conversationHistory,
+      environment: this.envContext,
+      provider: this.provider,
+      caller: this.caller
+    };
+  }
+
   async _handleResponse(decision) {
     if (this.config.verbose) {
       console.log('💬 Response mode\n');
@@ -238,8 +280,10 @@ export class AgentOrchestrator {
       const execConfig = {
         autoApprove: this.config.autoApprove || options.autoApprove,
         dryRun: options.dryRun || false,
-        cwd: this.envContext.cwd || process.cwd(),
-        timeout: 30000
+        cwd: this.envContext.cwd || undefined,
+        timeout: 30000,
+        caller: this.caller,
+        session: true
       };
 
       const execResult = await executeAgentCommand({
@@ -260,6 +304,7 @@ export class AgentOrchestrator {
     if (result.response) return result.response;
     if (result.code) return result.code;
     if (result.command) return result.command;
+    if (result.taskDescription) return result.taskDescription;
     if (result.summary) return result.summary;
     return JSON.stringify(result);
   }
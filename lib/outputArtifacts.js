@@ -0,0 +1,212 @@
+/**
+ * Output Artifacts - Full command output on disk, excerpts for the model
+ *
+ * When a command's stdout + stderr is longer than OUTPUT_EXCERPT_CHARS
+ * (default 4000), the full output is saved under OUTPUT_ARTIFACTS_DIR
+ * (default ./artifacts) and everything downstream (agent context, chat
+ * replies, tool results, audit log) gets a head/tail excerpt with the byte
+ * count and the artifact id instead:
+ *
+ *   <head>
+ *   … [48213 of 52213 bytes omitted; full output: /output out-lq3k9x-1f2e3d4c5b6a] …
+ *   <tail>
+ *
+ * Each artifact is <id>.json (metadata) and <id>.log (stdout, then stderr).
+ * Artifacts belong to the caller that ran the command ("<channel>:<userId>",
+ * or "group:<groupId>" in group chats) and are fetched with /output <id>,
+ * GET /api/output/:id or as a Telegram document. Artifacts older than
+ * OUTPUT_ARTIFACT_MAX_AGE_DAYS (default 7) are pruned when new ones are saved.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+const EXCERPT_CHARS = parseInt(process.env.OUTPUT_EXCERPT_CHARS, 10) || 4000;
+const MAX_AGE_DAYS = parseFloat(process.env.OUTPUT_ARTIFACT_MAX_AGE_DAYS) || 7;
+const ID_PATTERN = /^out-[a-z0-9]+-[a-f0-9]{12}$/;
+
+/**
+ * Thrown by loadOutputArtifact() for unknown ids and other callers' artifacts
+ */
+export class OutputArtifactNotFoundError extends Error {
+  constructor(id) {
+    super(`No output artifact ${id}`);
+    this.name = 'OutputArtifactNotFoundError';
+    this.code = 'ARTIFACT_NOT_FOUND';
+    this.id = id;
+  }
+}
+
+/**
+ * Get artifacts directory path
+ */
+function getArtifactsDir() {
+  return process.env.OUTPUT_ARTIFACTS_DIR || path.join(process.cwd(), 'artifacts');
+}
+
+/**
+ * Owner key for a caller
+ */
+function ownerOf(caller) {
+  if (!caller) return 'default';
+  if (caller.groupId) return `group:${caller.groupId}`;
+  return `${caller.channel || 'user'}:${caller.userId || 'anonymous'}`;
+}
+
+/**
+ * Head/tail excerpt of a text, or the text itself when it is short enough
+ * @param {string} text - Full text
+ * @param {object} options - { limit (chars kept), artifactId (named in the marker) }
+ */
+export function excerptOutput(text, { limit = EXCERPT_CHARS, artifactId = null } = {}) {
+  if (!text || text.length <= limit) return text || '';
+
+  const headLength = Math.ceil(limit / 2);
+  const tailLength = limit - headLength;
+  const head = text.substring(0, headLength);
+  const tail = text.substring(text.length - tailLength);
+  const omitted = Buffer.byteLength(text) - Buffer.byteLength(head) - Buffer.byteLength(tail);
+  const reference = artifactId ? `; full output: /output ${artifactId}` : '';
+
+  return `${head}\n… [${omitted} of ${Buffer.byteLength(text)} bytes omitted${reference}] …\n${tail}`;
+}
+
+/**
+ * Whether output is long enough to be stored as an artifact
+ */
+export function needsArtifact(stdout = '', stderr = '') {
+  return stdout.length + stderr.length > EXCERPT_CHARS;
+}
+
+/**
+ * Excerpts of a command's stdout and stderr that fit OUTPUT_EXCERPT_CHARS together
+ * stderr gets at most a quarter; at least one of them names the artifact.
+ * @param {object} output - { stdout, stderr }
+ * @param {string} artifactId - Artifact holding the full output
+ */
+export function excerptCommandOutput({ stdout = '', stderr = '' }, artifactId = null) {
+  const stderrLimit = Math.min(stderr.length, Math.floor(EXCERPT_CHARS / 4));
+  return {
+    stdout: excerptOutput(stdout, { limit: EXCERPT_CHARS - stderrLimit, artifactId }),
+    stderr: excerptOutput(stderr, { limit: Math.max(stderrLimit, 1), artifactId })
+  };
+}
+
+/**
+ * One-line pointer to an artifact for chat replies, or '' without one
+ * @param {object} artifact - { id, stdoutBytes, stderrBytes } from a command result
+ */
+export function formatArtifactHint(artifact) {
+  if (!artifact) return '';
+  return `\n📦 Full output (${artifact.stdoutBytes + artifact.stderrBytes} bytes): /output ${artifact.id}\n`;
+}
+
+/**
+ * Save full command output
+ * @param {object} entry - { command, stdout, stderr, exitCode, caller }
+ * @returns {Promise<object>} { id, stdoutBytes, stderrBytes }
+ */
+export async function saveOutputArtifact({ command, stdout = '', stderr = '', exitCode = null, caller = null }) {
+  const dir = getArtifactsDir();
+  await fs.mkdir(dir, { recursive: true });
+
+  const id = `out-${Date.now().toString(36)}-${crypto.randomBytes(6).toString('hex')}`;
+  const meta = {
+    id,
+    owner: ownerOf(caller),
+    command,
+    exitCode,
+    stdoutBytes: Buffer.byteLength(stdout),
+    stderrBytes: Buffer.byteLength(stderr),
+    createdAt: new Date().toISOString()
+  };
+
+  const content = stderr ? `${stdout}\n\n----- stderr -----\n${stderr}\n` : `${stdout}\n`;
+
+  // Atomic write: temp file then rename
+  for (const [file, data] of [[`${id}.log`, content], [`${id}.json`, JSON.stringify(meta, null, 2)]]) {
+    const target = path.join(dir, file);
+    await fs.writeFile(`${target}.tmp`, data, 'utf-8');
+    await fs.rename(`${target}.tmp`, target);
+  }
+
+  console.log(`📦 Saved output artifact ${id} (${meta.stdoutBytes + meta.stderrBytes} bytes)`);
+
+  pruneOutputArtifacts().catch(error => console.error('⚠️  Artifact cleanup failed:', error.message));
+
+  return { id, stdoutBytes: meta.stdoutBytes, stderrBytes: meta.stderrBytes };
+}
+
+/**
+ * Load an artifact the caller owns
+ * @param {string} id - Artifact id
+ * @param {object} caller - { channel, userId, groupId }; null skips the owner check (admin/CLI use)
+ * @returns {Promise<object>} Metadata plus path (the .log file) and content
+ */
+export async function loadOutputArtifact(id, caller = null, { withContent = true } = {}) {
+  if (!ID_PATTERN.test(id || '')) {
+    throw new OutputArtifactNotFoundError(id);
+  }
+
+  const dir = getArtifactsDir();
+  let meta;
+  try {
+    meta = JSON.parse(await fs.readFile(path.join(dir, `${id}.json`), 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') throw new OutputArtifactNotFoundError(id);
+    throw error;
+  }
+
+  // Someone else's artifact looks the same as a missing one
+  if (caller && meta.owner !== ownerOf(caller)) {
+    throw new OutputArtifactNotFoundError(id);
+  }
+
+  const logPath = path.join(dir, `${id}.log`);
+  return {
+    ...meta,
+    path: logPath,
+    content: withContent ? await fs.readFile(logPath, 'utf-8') : undefined
+  };
+}
+
+/**
+ * Delete artifacts older than OUTPUT_ARTIFACT_MAX_AGE_DAYS
+ * @returns {Promise<number>} Number of artifacts removed
+ */
+export async function pruneOutputArtifacts(maxAgeDays = MAX_AGE_DAYS) {
+  const dir = getArtifactsDir();
+  const cutoff = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+
+  let files;
+  try {
+    files = await fs.readdir(dir);
+  } catch (error) {
+    if (error.code === 'ENOENT') return 0;
+    throw error;
+  }
+
+  let removed = 0;
+  for (const file of files.filter(f => f.endsWith('.json'))) {
+    const stat = await fs.stat(path.join(dir, file)).catch(() => null);
+    if (stat && stat.mtimeMs < cutoff) {
+      const id = file.slice(0, -'.json'.length);
+      await fs.rm(path.join(dir, `${id}.log`), { force: true });
+      await fs.rm(path.join(dir, file), { force: true });
+      removed++;
+    }
+  }
+  return removed;
+}
+
+export default {
+  excerptOutput,
+  excerptCommandOutput,
+  needsArtifact,
+  formatArtifactHint,
+  saveOutputArtifact,
+  loadOutputArtifact,
+  pruneOutputArtifacts,
+  OutputArtifactNotFoundError
+};
@@ -0,0 +1,382 @@
+/**
+ * Pipeline Runner - Declarative multi-agent pipelines from JSON/YAML files
+ *
+ * Pipelines live in PIPELINES_DIR (default: ./pipelines) as <name>.json,
+ * <name>.yaml or <name>.yml:
+ *
+ *   name: triage
+ *   description: Turn a request into a task and maybe a command
+ *   steps:
+ *     - name: task
+ *       agent: universal
+ *       input: "{{input}}"
+ *     - name: kind
+ *       agent: schema
+ *       inputs:
+ *         task: steps.task.taskDescription
+ *       input: "What kind of answer does this need? {{task}}"
+ *     - name: command
+ *       agent: terminal
+ *       when: "steps.kind.choice == 'terminalCommand'"
+ *       input: "{{steps.task.taskDescription}}"
+ *       temperature: 0.1
+ *     - name: plan
+ *       schema: planSteps
+ *       when: "steps.kind.choice != 'terminalCommand'"
+ *       input: "Plan this task: {{steps.task.taskDescription}}"
+ *       model: gpt-4o
+ *   output: steps.command
+ *
+ * Step fields:
+ * - name: unique step name, its output is available as steps.<name>
+ * - agent: AgentOrchestrator agent (base, terminal, universal, schema, or registered)
+ * - schema: run the input directly against a named schema (see SCHEMAS) instead of an agent
+ * - inputs: mapping of variable → path (input.*, steps.<name>.<field>...)
+ * - input: template sent to the step; {{var}} uses inputs or any path.
+ *          Defaults to the previous step's main output (or the pipeline input)
+ * - when: condition; the step is skipped when false. Steps with mutually
+ *         exclusive conditions form branches
+ * - model, temperature: per-step overrides
+ *
+ * Conditions support paths, quoted strings, numbers, true/false/null,
+ * ==, !=, ! (not), && and ||.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import YAML from 'yaml';
+import { queryOpenAI } from './openaiWrapper.js';
+import { baseAgentExtendedResponseSchema } from '../schemas/baseAgent.js';
+import { universalAgentResponseSchema } from '../schemas/universalAgent.js';
+import { schemaChoiceAgentResponseSchema } from '../schemas/schemaChoiceAgent.js';
+import { landscapeAgentResponseSchema } from '../schemas/landscapeAgent.js';
+import { planStepsAgentResponseSchema } from '../schemas/planStepsAgent.js';
+import { summarizeAgentResponseSchema } from '../schemas/summarizeAgent.js';
+
+/**
+ * Schemas usable by `schema` steps
+ */
+export const SCHEMAS = {
+  baseAgent: baseAgentExtendedResponseSchema,
+  universalAgent: universalAgentResponseSchema,
+  schemaChoice: schemaChoiceAgentResponseSchema,
+  landscape: landscapeAgentResponseSchema,
+  planSteps: planStepsAgentResponseSchema,
+  summarize: summarizeAgentResponseSchema
+};
+
+const PIPELINE_EXTENSIONS = ['.json', '.yaml', '.yml'];
+const STEP_NAME = /^[a-zA-Z_][a-zA-Z0-9_-]*$/;
+const TEMPLATE = /\{\{\s*([^}]+?)\s*\}\}/g;
+
+/**
+ * Get pipelines directory
+ */
+function getPipelinesDir() {
+  return process.env.PIPELINES_DIR || path.join(process.cwd(), 'pipelines');
+}
+
+/**
+ * Parse pipeline text
+ * @param {string} text - File content
+ * @param {string} format - 'json' or 'yaml'
+ */
+export function parsePipeline(text, format = 'yaml') {
+  const definition = format === 'json' ? JSON.parse(text) : YAML.parse(text);
+  validatePipeline(definition);
+  return definition;
+}
+
+/**
+ * Check a pipeline definition, throwing one error that lists every problem
+ */
+export function validatePipeline(definition) {
+  const problems = [];
+
+  if (!definition || typeof definition !== 'object') {
+    throw new Error('Pipeline must be an object');
+  }
+  if (!Array.isArray(definition.steps) || definition.steps.length === 0) {
+    problems.push('steps must be a non-empty array');
+  }
+
+  const seen = new Set();
+  (definition.steps || []).forEach((step, idx) => {
+    const label = `step ${idx + 1}${step?.name ? ` (${step.name})` : ''}`;
+
+    if (!step || typeof step !== 'object') {
+      problems.push(`${label}: must be an object`);
+      return;
+    }
+    if (!STEP_NAME.test(step.name || '')) {
+      problems.push(`${label}: name must start with a letter or _ and contain only letters, digits, _ and -`);
+    } else if (seen.has(step.name)) {
+      problems.push(`${label}: duplicate step name`);
+    }
+    seen.add(step.name);
+
+    if (!step.agent === !step.schema) {
+      problems.push(`${label}: needs exactly one of agent or schema`);
+    }
+    if (step.schema && !SCHEMAS[step.schema]) {
+      problems.push(`${label}: unknown schema "${step.schema}" (available: ${Object.keys(SCHEMAS).join(', ')})`);
+    }
+    if (step.inputs !== undefined && (typeof step.inputs !== 'object' || Array.isArray(step.inputs))) {
+      problems.push(`${label}: inputs must be a mapping of name → path`);
+    }
+    if (step.input !== undefined && typeof step.input !== 'string') {
+      problems.push(`${label}: input must be a template string`);
+    }
+    if (step.when !== undefined && typeof step.when !== 'string') {
+      problems.push(`${label}: when must be a condition string`);
+    }
+    if (step.temperature !== undefined && (typeof step.temperature !== 'number' || step.temperature < 0 || step.temperature > 2)) {
+      problems.push(`${label}: temperature must be a number between 0 and 2`);
+    }
+  });
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid pipeline${definition.name ? ` "${definition.name}"` : ''}:\n- ${problems.join('\n- ')}`);
+  }
+}
+
+/**
+ * Load a pipeline by name from the pipelines directory, or from a file path
+ * @param {string} nameOrPath - Pipeline name (without extension) or path to a file
+ */
+export async function loadPipeline(nameOrPath) {
+  const candidates = PIPELINE_EXTENSIONS.includes(path.extname(nameOrPath))
+    ? [path.resolve(nameOrPath)]
+    : PIPELINE_EXTENSIONS.map(ext => path.join(getPipelinesDir(), `${nameOrPath}${ext}`));
+
+  for (const file of candidates) {
+    let text;
+    try {
+      text = await fs.readFile(file, 'utf-8');
+    } catch (error) {
+      if (error.code === 'ENOENT') continue;
+      throw error;
+    }
+
+    const definition = parsePipeline(text, path.extname(file) === '.json' ? 'json' : 'yaml');
+    return {
+      name: path.basename(file, path.extname(file)),
+      ...definition
+    };
+  }
+
+  throw new Error(`Pipeline not found: ${nameOrPath}`);
+}
+
+/**
+ * List pipelines in the pipelines directory
+ * @returns {Promise<Array<{ name: string, description: string, steps: number }>>}
+ */
+export async function listPipelines() {
+  let files;
+  try {
+    files = await fs.readdir(getPipelinesDir());
+  } catch (error) {
+    return [];
+  }
+
+  const pipelines = [];
+  for (const file of files.filter(f => PIPELINE_EXTENSIONS.includes(path.extname(f))).sort()) {
+    const name = path.basename(file, path.extname(file));
+    try {
+      const definition = await loadPipeline(name);
+      pipelines.push({ name, description: definition.description || '', steps: definition.steps.length });
+    } catch (error) {
+      pipelines.push({ name, description: '', steps: 0, error: error.message });
+    }
+  }
+  return pipelines;
+}
+
+/**
+ * Resolve a dotted path (steps.task.parameters.0.name) against a scope
+ */
+export function resolvePath(scope, pathExpression) {
+  return String(pathExpression)
+    .replace(/\[(\d+)\]/g, '.$1')
+    .split('.')
+    .filter(Boolean)
+    .reduce((value, key) => (value == null ? undefined : value[key]), scope);
+}
+
+function toText(value) {
+  if (value === undefined || value === null) return '';
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+/**
+ * Fill {{path}} placeholders in a template
+ */
+export function renderTemplate(template, scope) {
+  return template.replace(TEMPLATE, (match, expression) => toText(resolvePath(scope, expression)));
+}
+
+/**
+ * Split on an operator outside '…' and "…" literals
+ * @param {string} text - Expression
+ * @param {RegExp} operator - Sticky regex for the operator
+ * @returns {Array<{ part: string, match: string }>} Parts and the operator that ended each
+ */
+function splitOutside(text, operator) {
+  const parts = [];
+  let start = 0;
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === quote) quote = null;
+      continue;
+    }
+    if (char === "'" || char === '"') {
+      quote = char;
+      continue;
+    }
+    operator.lastIndex = i;
+    const found = operator.exec(text);
+    if (found) {
+      parts.push({ part: text.substring(start, i), match: found[0] });
+      start = i + found[0].length;
+      i = start - 1;
+    }
+  }
+  parts.push({ part: text.substring(start), match: null });
+  return parts;
+}
+
+/**
+ * Evaluate a `when` condition against a scope
+ * && binds tighter than ||; operators inside quoted literals are text
+ */
+export function evaluateCondition(condition, scope) {
+  return splitOutside(condition, /\|\|/y).some(({ part: anyPart }) =>
+    splitOutside(anyPart, /&&/y).every(({ part: allPart }) => evaluateComparison(allPart.trim(), scope))
+  );
+}
+
+function evaluateComparison(expression, scope) {
+  const [{ part: left, match: operator }, ...rest] = splitOutside(expression, /==|!=/y);
+  if (operator) {
+    const right = rest.map(({ part, match }) => part + (match || '')).join('');
+    const equal = evaluateOperand(left.trim(), scope) === evaluateOperand(right.trim(), scope);
+    return operator === '==' ? equal : !equal;
+  }
+  if (expression.startsWith('!')) {
+    return !evaluateOperand(expression.substring(1).trim(), scope);
+  }
+  return Boolean(evaluateOperand(expression, scope));
+}
+
+function evaluateOperand(operand, scope) {
+  const quoted = operand.match(/^(['"])(.*)\1$/);
+  if (quoted) return quoted[2];
+  if (operand === 'true') return true;
+  if (operand === 'false') return false;
+  if (operand === 'null') return null;
+  if (operand !== '' && !Number.isNaN(Number(operand))) return Number(operand);
+  return resolvePath(scope, operand);
+}
+
+/**
+ * Build the text sent to a step
+ */
+function buildStepInput(step, scope, fallback) {
+  const variables = {};
+  for (const [name, pathExpression] of Object.entries(step.inputs || {})) {
+    variables[name] = resolvePath(scope, pathExpression);
+  }
+
+  if (step.input !== undefined) {
+    return renderTemplate(step.input, { ...scope, ...variables });
+  }
+  if (step.inputs) {
+    return Object.entries(variables).map(([name, value]) => `${name}: ${toText(value)}`).join('\n');
+  }
+  return fallback;
+}
+
+/**
+ * Run a pipeline definition on an AgentOrchestrator
+ * @param {object} definition - Parsed pipeline (see module header)
+ * @param {string|object} input - Pipeline input, available as {{input}} / input.*
+ * @param {object} options
+ * @param {AgentOrchestrator} options.orchestrator - Provides agents, shared memory, provider and caller
+ * @param {Function} options.onStep - Called with each step record as it finishes
+ * @returns {Promise<object>} { pipeline, steps, outputs, result }
+ */
+export async function runPipeline(definition, input, { orchestrator, onStep = null }) {
+  validatePipeline(definition);
+
+  const scope = { input, steps: {} };
+  const records = [];
+  let previousOutput = null;
+
+  for (const step of definition.steps) {
+    if (step.when && !evaluateCondition(step.when, scope)) {
+      const record = { name: step.name, status: 'skipped', when: step.when };
+      records.push(record);
+      if (onStep) await onStep(record);
+      continue;
+    }
+
+    const fallback = previousOutput === null
+      ? toText(input)
+      : orchestrator._extractOutputForNextAgent(previousOutput);
+    const stepInput = buildStepInput(step, scope, fallback);
+    const memoryContext = orchestrator.getMemory().getContextString();
+    const overrides = { model: step.model, temperature: step.temperature };
+
+    let output;
+    if (step.agent) {
+      const agent = orchestrator._getAgent(step.agent);
+      output = await agent(stepInput, { ...orchestrator._agentOptions(memoryContext), ...overrides });
+    } else {
+      output = await queryOpenAI(stepInput, {
+        schema: SCHEMAS[step.schema],
+        schemaName: step.schema,
+        role: 'pipeline',
+        context: memoryContext || null,
+        provider: orchestrator.provider,
+        caller: orchestrator.caller,
+        ...overrides
+      });
+    }
+
+    await orchestrator.getMemory().addInteraction({
+      role: 'agent',
+      agentType: step.agent || step.schema,
+      text: JSON.stringify(output),
+      metadata: { pipeline: definition.name, step: step.name }
+    });
+
+    scope.steps[step.name] = output;
+    previousOutput = output;
+
+    const record = { name: step.name, status: 'ok', input: stepInput, output };
+    records.push(record);
+    if (onStep) await onStep(record);
+  }
+
+  return {
+    pipeline: definition.name || null,
+    steps: records,
+    outputs: scope.steps,
+    result: definition.output ? resolvePath(scope, definition.output) : previousOutput
+  };
+}
+
+export default {
+  SCHEMAS,
+  parsePipeline,
+  validatePipeline,
+  loadPipeline,
+  listPipelines,
+  resolvePath,
+  renderTemplate,
+  evaluateCondition,
+  runPipeline
+};
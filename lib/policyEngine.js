@@ -0,0 +1,785 @@
+/**
+ * Policy Engine - Classifies terminal commands and decides approve/block per environment
+ *
+ * Every command line is parsed with shellParser.js into the simple commands
+ * that would run (pipelines, subshells, substitutions, sh -c strings, sudo
+ * and other wrappers); each one is classified into one or more categories:
+ * - read-only: inspects state (ls, cat, grep, git status, ...)
+ * - write: changes files in place (cp, mv, mkdir, output redirection, ...)
+ * - network: talks to other hosts (curl, ssh, git push, npm install, ...)
+ * - privileged: needs or grants elevated rights (sudo, systemctl, chown, ...)
+ * - destructive: deletes or overwrites data irreversibly (rm -r, dd, mkfs, ...)
+ *
+ * Policies come from policies.json (POLICY_CONFIG_FILE overrides), one per
+ * environment (LUMEN_ENV, then NODE_ENV, default 'development'):
+ *
+ * {
+ *   "environments": {
+ *     "production": {
+ *       "name": "prod-strict",
+ *       "rules": { "read-only": "allow", "write": "approve", "network": "approve",
+ *                  "privileged": "approve", "destructive": "block" },
+ *       "allowPatterns": ["^pm2 (status|logs)"],
+ *       "blockPatterns": ["\\bshutdown\\b"],
+ *       "executor": "restricted"
+ *     }
+ *   }
+ * }
+ *
+ * Rule actions: allow (runs without approval), approve (asks first), block.
+ * allowPatterns/blockPatterns are regexes matched against each sub-command
+ * (blockPatterns also against the whole line). A command is allowed by
+ * allowPatterns only when every sub-command matches one, and never when a rule
+ * blocks it; blockPatterns win over the rules and allowPatterns. "executor" names the
+ * executor backend (executorBackends.js) for the environment. Commands matching the
+ * built-in DANGEROUS_PATTERNS or a dangerous structure (recursive rm of /, the
+ * same through find -exec/-delete, copies, moves and redirects into system
+ * directories, downloaded code piped into a shell, ...) are blocked in every
+ * environment.
+ * Commands that cannot be parsed always need approval.
+ * Without a config file the built-in DEFAULT_POLICIES apply.
+ *
+ * ssh/scp/sftp/rsync targets are checked against the host inventory
+ * (hostRegistry.js): unknown hosts and commands outside a host's allowed
+ * classes are blocked, and commands run on a host tagged with an environment
+ * are also judged by that environment's policy. Jump hosts are checked like
+ * destinations; ssh options that pick another host or run local commands
+ * (ProxyCommand, HostName, -F, ...) are blocked once there is an inventory and
+ * need approval without one, other -o overrides need approval, and port or
+ * agent forwarding adds network (-L, -D) or privileged (-R, -w, -A).
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { parseShell, listCommands, ShellParseError } from './shellParser.js';
+import { loadHosts, findRemoteTargets } from './hostRegistry.js';
+
+export const CATEGORIES = ['read-only', 'write', 'network', 'privileged', 'destructive'];
+
+// Security level reported for the most severe category found
+const SECURITY_LEVELS = {
+  'read-only': 'safe',
+  write: 'low',
+  network: 'medium',
+  privileged: 'high',
+  destructive: 'critical'
+};
+
+const LEVEL_ORDER = ['safe', 'low', 'medium', 'high', 'critical'];
+
+const ACTIONS = ['allow', 'approve', 'block'];
+
+export const DEFAULT_POLICIES = {
+  development: {
+    name: 'dev-permissive',
+    rules: { 'read-only': 'allow', write: 'allow', network: 'allow', privileged: 'approve', destructive: 'approve' }
+  },
+  staging: {
+    name: 'staging-guarded',
+    rules: { 'read-only': 'allow', write: 'allow', network: 'approve', privileged: 'approve', destructive: 'approve' }
+  },
+  production: {
+    name: 'prod-strict',
+    rules: { 'read-only': 'allow', write: 'approve', network: 'approve', privileged: 'approve', destructive: 'block' }
+  }
+};
+
+// Dangerous command patterns - always destructive regardless of parsing
+export const DANGEROUS_PATTERNS = [
+  /rm\s+-rf\s+\/($|\s)/,  // rm -rf /
+  /:\(\)\{.*:\|:.*\}/,     // Fork bombs
+  /\/dev\/sda/,            // Direct disk writes
+  /mkfs/,                  // Format commands
+  /dd\s+if=/,              // dd operations
+  /\/etc\/passwd/,         // Password file modification
+  /curl.*\|.*bash/,        // Pipe to bash
+  /wget.*\|.*sh/,          // Pipe to shell
+];
+
+const READ_ONLY_PROGRAMS = new Set([
+  'ls', 'cat', 'head', 'tail', 'less', 'more', 'grep', 'egrep', 'fgrep', 'rg', 'find', 'pwd', 'echo',
+  'printf', 'wc', 'sort', 'uniq', 'cut', 'diff', 'stat', 'file', 'du', 'df', 'ps', 'whoami', 'id',
+  'uname', 'hostname', 'date', 'uptime', 'env', 'printenv', 'which', 'type', 'tree', 'free', 'jq',
+  'true', 'false', 'test', '[', 'basename', 'dirname', 'realpath', 'readlink', 'md5sum', 'sha256sum',
+  'node', 'npm', 'git', 'docker', 'pm2', 'sed', 'xargs', 'tr', 'column', 'cd', 'lsof', 'netstat', 'ss'
+]);
+
+const WRITE_PROGRAMS = new Set(['cp', 'mv', 'mkdir', 'touch', 'tee', 'ln', 'rmdir', 'tar', 'unzip', 'zip', 'gzip', 'gunzip', 'chmod', 'patch']);
+
+const NETWORK_PROGRAMS = new Set(['curl', 'wget', 'ssh', 'scp', 'sftp', 'rsync', 'nc', 'ncat', 'telnet', 'ping', 'dig', 'nslookup', 'ftp']);
+
+const PRIVILEGED_PROGRAMS = new Set([
+  'sudo', 'su', 'doas', 'systemctl', 'service', 'chown', 'chgrp', 'mount', 'umount', 'iptables', 'ufw',
+  'useradd', 'userdel', 'usermod', 'passwd', 'visudo', 'crontab', 'apt', 'apt-get', 'yum', 'dnf', 'apk',
+  'reboot', 'shutdown', 'halt', 'kill', 'killall', 'pkill'
+]);
+
+// Programs that run code given to them (scripts, stdin, strings)
+const INTERPRETERS = new Set(['sh', 'bash', 'zsh', 'dash', 'ksh', 'su', 'eval', 'source', '.', 'python', 'python3', 'perl', 'ruby', 'node', 'awk', 'gawk', 'mawk', 'nawk']);
+
+// Wrappers classified by the command they run (listed separately by the parser)
+const TRANSPARENT_WRAPPERS = new Set(['env', 'nice', 'ionice', 'nohup', 'setsid', 'time', 'timeout', 'stdbuf', 'command', 'builtin', 'exec', 'xargs', 'watch']);
+
+// Programs that fetch remote content
+const DOWNLOADERS = new Set(['curl', 'wget', 'nc', 'ncat', 'fetch']);
+
+const BLOCK_DEVICE = /^\/dev\/(sd|hd|vd|xvd|nvme|mmcblk|disk)/;
+
+// Paths that recursive rm/chmod/chown must never touch
+const PROTECTED_PATH = /^(\/|\/\*|\/\.|~\/?\*?|\$HOME\/?\*?|\$\{HOME\}\/?\*?|\/(bin|boot|dev|etc|home|lib|lib64|opt|proc|root|sbin|srv|sys|usr|var)\/?\*?)$/;
+
+// System directories that files must not be copied, moved or written into
+const SYSTEM_PATH = /^\/(etc|boot|usr|bin|sbin|lib|lib64)(\/|$)/;
+
+// Programs that place files at a destination (cp a b, cp -t dir a, tee file)
+const PLACING_PROGRAMS = new Set(['cp', 'mv', 'ln', 'install', 'tee']);
+
+const DESTRUCTIVE_PROGRAMS = new Set(['mkfs', 'dd', 'shred', 'wipefs', 'fdisk', 'parted', 'truncate']);
+
+// Subcommands that change the category of otherwise read-only tools
+// With a read-only list, other subcommands (git aliases can run anything) count as write
+const SUBCOMMAND_CATEGORIES = {
+  git: {
+    network: ['clone', 'pull', 'push', 'fetch', 'remote', 'ls-remote'],
+    write: ['add', 'commit', 'checkout', 'switch', 'merge', 'rebase', 'stash', 'tag', 'init', 'restore', 'mv', 'rm', 'apply', 'cherry-pick', 'config'],
+    destructive: ['reset', 'clean'],
+    'read-only': ['status', 'log', 'diff', 'show', 'branch', 'blame', 'grep', 'ls-files', 'ls-tree', 'rev-parse',
+      'rev-list', 'describe', 'shortlog', 'reflog', 'cat-file', 'help', 'version', 'whatchanged']
+  },
+  npm: {
+    network: ['install', 'i', 'ci', 'update', 'publish', 'add'],
+    write: ['run', 'start', 'test', 'exec', 'init', 'uninstall']
+  },
+  docker: {
+    network: ['pull', 'push', 'login'],
+    write: ['run', 'build', 'exec', 'start', 'stop', 'restart', 'compose'],
+    destructive: ['rm', 'rmi', 'prune', 'kill']
+  },
+  pm2: {
+    write: ['start', 'stop', 'restart', 'reload'],
+    destructive: ['delete', 'kill']
+  }
+};
+
+// Options before the subcommand that take the next argument as their value
+const GLOBAL_OPTIONS_WITH_VALUE = {
+  git: ['-C', '-c', '--git-dir', '--work-tree', '--namespace', '--super-prefix', '--config-env', '--exec-path'],
+  npm: ['--prefix', '-w', '--workspace', '--userconfig', '--cache'],
+  docker: ['-H', '--host', '-c', '--context', '--config', '-l', '--log-level', '--tlscacert', '--tlscert', '--tlskey'],
+  pm2: []
+};
+
+// git -c settings that cannot make git run other programs
+const HARMLESS_GIT_CONFIG = /^(user\.(name|email)|color\..*|core\.quotepath|init\.defaultbranch|advice\..*|log\..*|diff\.(renames|algorithm)|safe\.directory)$/i;
+
+/**
+ * Subcommand of git, npm, docker or pm2, skipping global options and their values
+ * @returns {object} { sub, configs } configs are git -c / --config-env settings
+ */
+function findSubcommand(name, args) {
+  const withValue = GLOBAL_OPTIONS_WITH_VALUE[name] || [];
+  const configs = [];
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (!arg.startsWith('-')) return { sub: arg, configs };
+
+    if (name === 'git' && /^-c./.test(arg)) {
+      configs.push(arg.slice(2).split('=')[0]);
+      continue;
+    }
+
+    const [option, inlineValue] = arg.split(/=(.*)/s);
+    if (!withValue.includes(option)) continue;
+    const value = inlineValue ?? args[++i];
+    if (name === 'git' && (option === '-c' || option === '--config-env')) {
+      configs.push(String(value ?? '').split('=')[0]);
+    }
+  }
+  return { sub: undefined, configs };
+}
+
+/**
+ * Whether a sed script runs commands or writes files (e, w, W or the s///e, s///w flags)
+ * @param {Array<string>} args - sed arguments
+ */
+function sedRunsOrWrites(args) {
+  const scripts = [];
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '-e' || arg === '--expression') scripts.push(args[++i] ?? '');
+    else if (arg.startsWith('--expression=')) scripts.push(arg.slice('--expression='.length));
+    else if (arg === '-f' || arg.startsWith('--file')) return true; // script file cannot be inspected
+    else if (!arg.startsWith('-') && scripts.length === 0) {
+      scripts.push(arg);
+      break;
+    }
+  }
+
+  return scripts.some(script => {
+    let rest = script;
+    const substitutions = /s(.)(?:\\.|(?!\1)[^\\])*\1(?:\\.|(?!\1)[^\\])*\1([a-zA-Z0-9]*)/g;
+    for (const match of script.matchAll(substitutions)) {
+      if (/[ewW]/.test(match[2])) return true;
+    }
+    rest = rest.replace(substitutions, ' ')
+      .replace(/y(.)(?:\\.|(?!\1)[^\\])*\1(?:\\.|(?!\1)[^\\])*\1/g, ' ')
+      .replace(/\/(?:\\.|[^\/\\])*\//g, ' ');
+    return /(^|[\s;{}!$,0-9])[ewW](?=\s|$|;|})/.test(rest);
+  });
+}
+
+/**
+ * Path as the shell resolves it, for the protected path check
+ * // /./ and /.. are /; a path climbing out of ~ counts as /
+ */
+function normalizeTargetPath(arg) {
+  const home = arg.match(/^(~|\$HOME|\$\{HOME\})(?=\/|$)/);
+  if (home) {
+    return arg.split('/').includes('..') ? '/' : arg;
+  }
+  if (!arg.startsWith('/')) return arg;
+
+  const normalized = path.posix.normalize(arg);
+  return normalized.length > 1 ? normalized.replace(/\/$/, '') : normalized;
+}
+
+/**
+ * Sources and destinations of cp, mv, ln, install or tee
+ * @returns {{ sources: string[], destinations: string[] }}
+ */
+function placedPaths(name, args) {
+  const destinations = [];
+  const operands = [];
+  let optionsDone = false;
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (!optionsDone && arg === '--') optionsDone = true;
+    else if (!optionsDone && (arg === '-t' || arg === '--target-directory')) destinations.push(args[++i] ?? '');
+    else if (!optionsDone && arg.startsWith('--target-directory=')) destinations.push(arg.slice('--target-directory='.length));
+    else if (!optionsDone && /^-[a-zA-Z]*t./.test(arg)) destinations.push(arg.slice(arg.indexOf('t') + 1));
+    else if (optionsDone || !arg.startsWith('-')) operands.push(arg);
+  }
+
+  if (name === 'tee') return { sources: [], destinations: operands };
+  if (destinations.length === 0 && operands.length > 1) destinations.push(operands.pop());
+  return { sources: operands, destinations };
+}
+
+/**
+ * Whether commands in the same pipeline before this one fetch remote content,
+ * directly (curl x | sh) or through a substitution (echo $(curl x) | sh)
+ * @returns {string|null} Downloader name
+ */
+function findDownloadFeeder(command, commands) {
+  for (const other of commands) {
+    if (other.pipeline?.id !== command.pipeline.id || other.pipeline.position >= command.pipeline.position) continue;
+    const name = path.basename(other.program);
+    if (DOWNLOADERS.has(name)) return name;
+    const fetched = other.substitutionPrograms.find(p => DOWNLOADERS.has(p));
+    if (fetched) return fetched;
+  }
+  return null;
+}
+
+/**
+ * Get policy config file path
+ */
+function getPolicyFile() {
+  return process.env.POLICY_CONFIG_FILE || path.join(process.cwd(), 'policies.json');
+}
+
+/**
+ * Current environment name
+ */
+export function getEnvironment() {
+  return process.env.LUMEN_ENV || process.env.NODE_ENV || 'development';
+}
+
+/**
+ * Load the policy for an environment
+ * Environments missing from the file fall back to the built-in policy of the
+ * same name, then to the built-in production policy (strictest).
+ * @param {string} environment - Environment name (current environment if omitted)
+ * @returns {Promise<object>} { name, environment, rules, allowPatterns, blockPatterns }
+ */
+export async function loadPolicy(environment = getEnvironment()) {
+  let config = {};
+  try {
+    config = JSON.parse(await fs.readFile(getPolicyFile(), 'utf-8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('⚠️  Could not read policy config:', error.message);
+    }
+  }
+
+  const base = DEFAULT_POLICIES[environment] || DEFAULT_POLICIES.production;
+  const configured = config.environments?.[environment] || {};
+  const rules = { ...base.rules, ...configured.rules };
+
+  for (const [category, action] of Object.entries(rules)) {
+    if (!CATEGORIES.includes(category) || !ACTIONS.includes(action)) {
+      throw new Error(`Invalid policy rule "${category}: ${action}" for ${environment}`);
+    }
+  }
+
+  return {
+    name: configured.name || base.name,
+    environment,
+    rules,
+    allowPatterns: configured.allowPatterns || [],
+    blockPatterns: configured.blockPatterns || [],
+    executor: configured.executor || null
+  };
+}
+
+/**
+ * Dangerous structure in parsed commands, or null
+ * @param {Array<object>} commands - Entries from listCommands()
+ */
+function findDangerousStructure(commands) {
+  for (const command of commands) {
+    const name = path.basename(command.program);
+    const flags = command.args.filter(a => a.startsWith('-')).join(' ');
+    const recursive = /(^|\s)-[a-zA-Z]*[rR]|--recursive/.test(flags);
+
+    if (['rm', 'chmod', 'chown', 'chgrp'].includes(name) && recursive) {
+      const target = command.args.find(a => !a.startsWith('-') && PROTECTED_PATH.test(normalizeTargetPath(a)));
+      if (target) return `recursive ${name} on ${target}`;
+    }
+
+    // find / -delete, find /etc -exec rm -rf {} +: the same as rm -rf on the start path
+    if (name === 'find') {
+      const firstExpression = command.args.findIndex(a => /^[-(!]/.test(a));
+      const start = firstExpression >= 0 ? command.args.slice(0, firstExpression) : command.args;
+      const root = start.find(a => PROTECTED_PATH.test(normalizeTargetPath(a)));
+      const execAt = command.args.findIndex(a => ['-exec', '-execdir', '-ok', '-okdir'].includes(a));
+      const [payload = '', ...payloadArgs] = execAt >= 0 ? command.args.slice(execAt + 1) : [];
+      const payloadName = path.basename(payload);
+      const payloadFlags = payloadArgs.filter(a => a.startsWith('-')).join(' ');
+      const removes = payloadName === 'rm' && /(^|\s)-[a-zA-Z]*[rRf]|--recursive|--force/.test(payloadFlags);
+      const recursive = ['chmod', 'chown', 'chgrp'].includes(payloadName) && /(^|\s)-[a-zA-Z]*R|--recursive/.test(payloadFlags);
+      if (root && command.args.includes('-delete')) return `find -delete on ${root}`;
+      if (root && (removes || recursive)) return `find -exec ${payloadName} ${payloadFlags} on ${root}`;
+    }
+
+    if (PLACING_PROGRAMS.has(name)) {
+      const { sources, destinations } = placedPaths(name, command.args);
+      const into = destinations.find(a => SYSTEM_PATH.test(normalizeTargetPath(a)) || normalizeTargetPath(a) === '/');
+      if (into) return `${name} into system path ${into}`;
+      const moved = name === 'mv' && sources.find(a => {
+        const normalized = normalizeTargetPath(a);
+        return PROTECTED_PATH.test(normalized) || SYSTEM_PATH.test(normalized);
+      });
+      if (moved) return `mv of system path ${moved}`;
+    }
+
+    const systemWrite = command.redirects.find(r => r.op !== '<' && SYSTEM_PATH.test(normalizeTargetPath(r.target)));
+    if (systemWrite) return `redirect into system path ${systemWrite.target}`;
+
+    if (name === 'dd' && command.args.some(a => a.startsWith('of=') && BLOCK_DEVICE.test(a.slice(3)))) {
+      return 'dd onto a block device';
+    }
+
+    const deviceWrite = command.redirects.find(r => r.op !== '<' && BLOCK_DEVICE.test(r.target));
+    if (deviceWrite) return `redirect onto block device ${deviceWrite.target}`;
+
+    const downloads = command.substitutionPrograms.some(p => DOWNLOADERS.has(p));
+    if (downloads && INTERPRETERS.has(name)) {
+      return `${name} runs code downloaded from the network`;
+    }
+    if (downloads && command.dynamic) {
+      return 'runs a program downloaded from the network';
+    }
+
+    if (INTERPRETERS.has(name) && command.pipeline) {
+      const feeder = findDownloadFeeder(command, commands);
+      if (feeder) return `${feeder} output piped into ${name}`;
+    }
+
+    if (command.pipeline && command.via.includes(`function ${command.program}`)) {
+      return `function ${command.program} pipes into itself (fork bomb)`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check if a command contains dangerous patterns
+ * Matches DANGEROUS_PATTERNS against the whole line, then checks every
+ * parsed sub-command for dangerous structure.
+ * @param {string} command - Command to check
+ * @param {Array<object>} commands - Entries from listCommands() (parsed here when omitted)
+ * @returns {object} Safety check result
+ */
+export function checkCommandSafety(command, commands = null) {
+  for (const pattern of DANGEROUS_PATTERNS) {
+    if (pattern.test(command)) {
+      return {
+        safe: false,
+        reason: `Matches dangerous pattern: ${pattern.source}`
+      };
+    }
+  }
+
+  if (!commands) {
+    try {
+      commands = listCommands(parseShell(command));
+    } catch (error) {
+      if (!(error instanceof ShellParseError)) throw error;
+      return { safe: true };
+    }
+  }
+
+  const danger = findDangerousStructure(commands);
+  return danger ? { safe: false, reason: `Dangerous command: ${danger}` } : { safe: true };
+}
+
+/**
+ * Categories of one simple command
+ * @param {object} command - Entry from shellParser.listCommands()
+ * @returns {{ categories: string[], warnings: string[] }}
+ */
+export function classifySimpleCommand({ program, args, redirects = [], unwrapped = false, dynamic = false }) {
+  const categories = new Set();
+  const warnings = [];
+  const name = path.basename(program);
+  const flags = args.filter(a => a.startsWith('-')).join(' ');
+
+  if (!program) {
+    // Assignments or redirections only (> file)
+  } else if (dynamic) {
+    categories.add('privileged');
+    warnings.push(`${name} runs a command built from expansions that cannot be inspected`);
+  } else if (INTERPRETERS.has(name)) {
+    // sh -c / eval scripts are listed (and classified) as their own commands
+    if (!unwrapped) {
+      categories.add('privileged');
+      warnings.push(`${name} runs a script that cannot be inspected`);
+    }
+  } else if (TRANSPARENT_WRAPPERS.has(name)) {
+    if (!unwrapped) categories.add('read-only');
+  } else if (DESTRUCTIVE_PROGRAMS.has(name) || name.startsWith('mkfs')) {
+    categories.add('destructive');
+  } else if (name === 'rm') {
+    const recursiveOrForced = /(^|\s)-[a-zA-Z]*[rRf]|--recursive|--force/.test(flags);
+    const wildcard = args.find(a => !a.startsWith('-') && /[*?]/.test(a));
+    categories.add(recursiveOrForced || wildcard ? 'destructive' : 'write');
+    if (wildcard) warnings.push(`rm with wildcard ${wildcard}`);
+  } else if (PRIVILEGED_PROGRAMS.has(name)) {
+    categories.add('privileged');
+  } else if (NETWORK_PROGRAMS.has(name)) {
+    categories.add('network');
+    if (redirects.some(r => r.op !== '<') || /(^|\s)-[a-zA-Z]*[oO]/.test(flags)) categories.add('write');
+  } else if (WRITE_PROGRAMS.has(name)) {
+    categories.add('write');
+    if (name === 'chmod' && args.some(a => /777/.test(a))) warnings.push('chmod 777 makes files world-writable');
+  } else if (SUBCOMMAND_CATEGORIES[name]) {
+    const { sub, configs } = findSubcommand(name, args);
+    const match = Object.entries(SUBCOMMAND_CATEGORIES[name]).find(([, subs]) => subs.includes(sub));
+    const fallback = sub && SUBCOMMAND_CATEGORIES[name]['read-only'] ? 'write' : 'read-only';
+    categories.add(match ? match[0] : fallback);
+    if (!match && fallback === 'write') warnings.push(`Unknown ${name} subcommand "${sub}" (may be an alias) treated as write`);
+    if (name === 'git' && sub === 'push' && /--force|-f\b/.test(flags)) categories.add('destructive');
+
+    const risky = configs.filter(key => !HARMLESS_GIT_CONFIG.test(key));
+    if (risky.length > 0) {
+      categories.add('privileged');
+      warnings.push(`git -c ${risky.join(', ')} can make git run other programs`);
+    }
+  } else if (name === 'sed') {
+    if (sedRunsOrWrites(args)) {
+      categories.add('privileged');
+      warnings.push('sed script runs commands or writes files');
+    }
+    categories.add(/(^|\s)-[a-zA-Z]*i/.test(flags) ? 'write' : 'read-only');
+  } else if (name === 'find') {
+    categories.add(args.includes('-delete') ? 'destructive' : 'read-only');
+  } else if (READ_ONLY_PROGRAMS.has(name)) {
+    categories.add('read-only');
+  } else {
+    // Unknown programs may do anything to local files
+    categories.add('write');
+    warnings.push(`Unknown command "${name}" treated as write`);
+  }
+
+  for (const redirect of redirects) {
+    if (redirect.op === '<') continue;
+    if (BLOCK_DEVICE.test(redirect.target)) {
+      categories.add('destructive');
+      warnings.push(`Writes directly to device ${redirect.target}`);
+    } else if (SYSTEM_PATH.test(normalizeTargetPath(redirect.target))) {
+      categories.add('privileged');
+      warnings.push(`Writes to system path ${redirect.target}`);
+    } else if (redirect.target !== '/dev/null' && !/^&\d$/.test(redirect.target)) {
+      categories.add('write');
+    }
+  }
+
+  return { categories: Array.from(categories), warnings };
+}
+
+/**
+ * Categories of what a remote target does on the remote host
+ * @param {object} target - Entry from hostRegistry.findRemoteTargets()
+ * @returns {{ categories: string[], warnings: string[] }}
+ */
+function classifyRemoteTarget(target) {
+  if (target.jump) {
+    return { categories: ['network'], warnings: [`${target.program} connects through ${target.name}`] };
+  }
+
+  const result = classifyRemoteAction(target);
+  for (const { option, category } of target.connection?.forwards || []) {
+    if (!result.categories.includes(category)) result.categories.push(category);
+    result.warnings.push(`${target.program} ${option} forwards ports or credentials to ${target.name}`);
+  }
+  return result;
+}
+
+/**
+ * Categories of the command or transfer a remote target runs
+ */
+function classifyRemoteAction(target) {
+  if (target.program === 'ssh' && target.remoteCommand === null) {
+    return { categories: ['privileged'], warnings: [`ssh ${target.target} opens an interactive shell`] };
+  }
+
+  if (target.program === 'ssh') {
+    try {
+      const results = listCommands(parseShell(target.remoteCommand)).map(classifySimpleCommand);
+      const categories = new Set(results.flatMap(r => r.categories));
+      if (categories.size === 0) categories.add('read-only');
+      return { categories: Array.from(categories), warnings: results.flatMap(r => r.warnings) };
+    } catch (error) {
+      if (!(error instanceof ShellParseError)) throw error;
+      return { categories: ['privileged'], warnings: [`Could not parse remote command for ${target.name}: ${error.message}`] };
+    }
+  }
+
+  if (target.deletes) return { categories: ['destructive'], warnings: [`${target.program} --delete removes files on ${target.name}`] };
+  return { categories: [target.transfer === 'upload' ? 'write' : 'read-only'], warnings: [] };
+}
+
+/**
+ * Check remote targets against the host inventory
+ * @returns {Promise<object>} { remote, refusal, approve, reasoning }
+ *   remote: targets with their categories; refusal: reason to block, or null;
+ *   approve: a host environment's policy or an ssh setting override asks for approval
+ */
+async function evaluateRemoteTargets(commands) {
+  const inventory = await loadHosts();
+  const remote = findRemoteTargets(commands, inventory).map(target => ({ ...target, ...classifyRemoteTarget(target) }));
+  const reasoning = [];
+  let refusal = null;
+  let approve = false;
+  const checkedConnections = new Set(); // targets of one invocation share its connection options
+
+  for (const target of remote) {
+    const host = target.host;
+    const connection = target.connection || { forbidden: [], overrides: [] };
+    const firstOfInvocation = !checkedConnections.has(connection);
+    checkedConnections.add(connection);
+
+    if (firstOfInvocation && connection.forbidden.length > 0) {
+      const reason = `${target.program} option ${connection.forbidden.join(', ')} changes the host reached or runs local commands`;
+      // Without an inventory nothing is refused, but such commands are not run unasked
+      if (inventory.configured) refusal = refusal || reason;
+      else approve = true;
+      reasoning.push(reason);
+    }
+    if (firstOfInvocation && connection.overrides.length > 0) {
+      approve = true;
+      reasoning.push(`${target.program} overrides ssh settings ${connection.overrides.join(', ')}: approve`);
+    }
+
+    if (!host) {
+      if (inventory.configured) {
+        refusal = refusal || `Unknown host ${target.name} (not in the host inventory)`;
+      }
+      continue;
+    }
+
+    const denied = host.allow ? target.categories.filter(c => !host.allow.includes(c)) : [];
+    if (denied.length > 0) {
+      refusal = refusal || `Host ${host.name} does not allow ${denied.join(', ')} commands`;
+    }
+
+    if (host.environment) {
+      const hostPolicy = await loadPolicy(host.environment);
+      for (const category of target.categories) {
+        const hostAction = hostPolicy.rules[category];
+        reasoning.push(`${host.name} (${host.environment}) ${category}: ${hostAction}`);
+        if (hostAction === 'block') refusal = refusal || `Policy ${hostPolicy.name} (${host.environment}) blocks ${category} commands on ${host.name}`;
+        if (hostAction === 'approve') approve = true;
+      }
+    }
+  }
+
+  return { remote, refusal, approve, reasoning };
+}
+
+/**
+ * Evaluate a command line against the environment's policy
+ * @param {string} command - Full command line
+ * @param {object} options
+ * @param {string} options.environment - Environment (current environment if omitted)
+ * @param {object} options.policy - Policy object to use instead of loading one
+ * @returns {Promise<object>} Policy report:
+ *   { command, commands, parseError, categories, securityLevel, warnings, reasoning,
+ *     action, requiresApproval, blocked, executor, remote, policy: { name, environment } }
+ *   commands are the listCommands() entries with their categories and warnings;
+ *   remote are the hostRegistry.findRemoteTargets() entries with their categories
+ */
+export async function evaluateCommand(command, options = {}) {
+  const policy = options.policy || await loadPolicy(options.environment);
+
+  let parsed = [];
+  let parseError = null;
+  try {
+    parsed = listCommands(parseShell(command));
+  } catch (error) {
+    if (!(error instanceof ShellParseError)) throw error;
+    parseError = error.message;
+  }
+
+  const commands = parsed.map(simple => ({
+    ...simple,
+    ...classifySimpleCommand(simple)
+  }));
+
+  const hostCheck = await evaluateRemoteTargets(commands);
+
+  const categories = new Set(commands.flatMap(c => c.categories).concat(hostCheck.remote.flatMap(t => t.categories)));
+  const warnings = commands.flatMap(c => c.warnings).concat(hostCheck.remote.flatMap(t => t.warnings));
+  const reasoning = [];
+
+  const danger = checkCommandSafety(command, parsed);
+  if (!danger.safe) {
+    categories.add('destructive');
+    warnings.push(danger.reason);
+  }
+
+  if (parseError) {
+    warnings.push(`Could not parse command: ${parseError}`);
+  }
+
+  if (categories.size === 0 && !parseError) {
+    categories.add('read-only');
+  }
+
+  const orderedCategories = CATEGORIES.filter(c => categories.has(c));
+  let securityLevel = SECURITY_LEVELS[orderedCategories[orderedCategories.length - 1]] || 'safe';
+  if (parseError && LEVEL_ORDER.indexOf(securityLevel) < LEVEL_ORDER.indexOf('high')) {
+    securityLevel = 'high';
+  }
+
+  let action = 'allow';
+  for (const category of orderedCategories) {
+    const categoryAction = policy.rules[category];
+    reasoning.push(`${category}: ${categoryAction}`);
+    if (ACTIONS.indexOf(categoryAction) > ACTIONS.indexOf(action)) {
+      action = categoryAction;
+    }
+  }
+
+  if (commands.length > 1) {
+    reasoning.unshift(`Checked ${commands.length} sub-commands: ${commands.map(c => c.program || c.text).join(', ')}`);
+  }
+
+  if (parseError && action === 'allow') {
+    action = 'approve';
+    reasoning.push('Commands that cannot be parsed need approval');
+  }
+
+  // An allow pattern must cover every sub-command (`pm2 status; rm -rf x` is not pm2 status)
+  const allowedBy = commands.map(c => policy.allowPatterns.find(p => new RegExp(p).test(c.text)));
+  const allowed = !parseError && commands.length > 0 && allowedBy.every(Boolean) && action !== 'block'
+    ? [...new Set(allowedBy)].join(', ')
+    : null;
+  const blocked = policy.blockPatterns.find(p => [command, ...commands.map(c => c.text)].some(text => new RegExp(p).test(text)));
+
+  reasoning.push(...hostCheck.reasoning);
+
+  if (!danger.safe) {
+    action = 'block';
+    reasoning.push('Matches a built-in dangerous pattern or structure');
+  } else if (hostCheck.refusal) {
+    action = 'block';
+    reasoning.push(hostCheck.refusal);
+  } else if (blocked) {
+    action = 'block';
+    reasoning.push(`Matches block pattern ${blocked}`);
+  } else if (allowed) {
+    action = 'allow';
+    reasoning.push(`Matches allow pattern ${allowed}`);
+  }
+
+  if (action === 'allow' && hostCheck.approve) {
+    action = 'approve';
+  }
+
+  return {
+    command,
+    commands,
+    parseError,
+    categories: orderedCategories,
+    securityLevel,
+    warnings,
+    reasoning,
+    action,
+    requiresApproval: action === 'approve',
+    blocked: action === 'block',
+    executor: policy.executor || null,
+    remote: hostCheck.remote,
+    policy: {
+      name: policy.name,
+      environment: policy.environment
+    }
+  };
+}
+
+/**
+ * One-line description of a report for approval prompts and chat
+ */
+export function formatPolicyReport(report) {
+  let text = `${report.policy.name} (${report.policy.environment}): ${report.securityLevel} [${report.categories.join(', ')}]`;
+  if (report.warnings.length > 0) {
+    text += ` - ${report.warnings.join('; ')}`;
+  }
+  return text;
+}
+
+/**
+ * Parsed structure of a report for the audit log
+ * @returns {object} { commands: [{ text, via, categories }], parseError }
+ */
+export function describeParsedCommands(report) {
+  return {
+    commands: report.commands.map(c => ({ text: c.text, via: c.via, categories: c.categories })),
+    parseError: report.parseError
+  };
+}
+
+/**
+ * Approval prompt reasoning with the policy verdict appended
+ */
+export function withPolicyReasoning(reasoning, report) {
+  const policyLine = `🛡️ ${formatPolicyReport(report)}`;
+  return reasoning ? `${reasoning}\n${policyLine}` : policyLine;
+}
+
+export default {
+  CATEGORIES,
+  DEFAULT_POLICIES,
+  DANGEROUS_PATTERNS,
+  getEnvironment,
+  loadPolicy,
+  checkCommandSafety,
+  classifySimpleCommand,
+  evaluateCommand,
+  describeParsedCommands,
+  formatPolicyReport,
+  withPolicyReasoning
+};
@@ -1,60 +1,386 @@
 /**
  * Secret Redactor - Replaces sensitive data with placeholders before sending to AI
  * and substitutes them back when executing commands
+ *
+ * Each session (caller: "<channel>:<userId>", or "group:<groupId>" in group
+ * chats) has a vault, a SecretRedactor kept for the life of the process:
+ * - redactSecrets()/redactValue() replace secrets with {{TYPE_N}} placeholders
+ *   before prompts reach queryOpenAI and before memory, notes, group chat and
+ *   audit entries are written
+ * - The same secret always gets the same placeholder, so placeholders stay
+ *   valid across iterations and in memory
+ * - revealSecrets() puts the real values back; only terminalExecutor calls it,
+ *   right before a command runs. Each value is shell-quoted for where its
+ *   placeholder stands (bare, '...' or "..."), so a value taken from command
+ *   output can never add shell syntax to the command
+ * - redactOutput() redacts command output (cat .env, printenv, docker inspect)
+ *   before it reaches the model, chat, artifacts, memory or the audit log, and
+ *   counts the secrets replaced; secrets already in the vault are replaced
+ *   wherever they appear
+ *
+ * Placeholders whose secret is not in the vault (e.g. after a restart) are
+ * reported by findUnknownPlaceholders() and the command is refused.
+ *
+ * Detection uses BUILTIN_SECRET_RULES, tuned by secrets.json
+ * (SECRET_RULES_FILE overrides):
+ *
+ * {
+ *   "rules": {
+ *     "genericSecret": { "enabled": true },
+ *     "internalToken": { "pattern": "\\bitk_[A-Za-z0-9]{32}\\b", "description": "Internal API token" },
+ *     "dbPassword": { "pattern": "DB_PASS=(\\S+)", "group": 1 }
+ *   },
+ *   "entropy": { "enabled": true, "minLength": 20, "threshold": 3.5 },
+ *   "allowlist": ["build-[0-9]+-[a-z0-9]+"]
+ * }
+ *
+ * - rules switch built-ins on or off and add new ones; "group" is the capture
+ *   group holding the secret (0 = the whole match); names are letters and digits
+ * - entropy flags other long tokens of letters and digits that look random
+ *   (Shannon entropy in bits per character); names like build_2024_server and
+ *   pure hex strings are skipped (hex is left to genericSecret, which is off by
+ *   default because it also matches git hashes)
+ * - allowlist holds regexes for values that are never secrets; they are added
+ *   to DEFAULT_ALLOWLIST (commit hashes, UUIDs, output artifact ids). Values a
+ *   rule takes from a capture group (password=..., KEY=... lines) are labelled
+ *   as secrets by their context and are always redacted
+ *
+ * The file is read synchronously (and again when it changes) because
+ * redaction runs inline wherever text is built. `npm run secrets:scan` reports
+ * secrets already stored in memory, notes, group chat and audit files.
  */
 
-export class SecretRedactor {
-  constructor() {
-    this.secrets = new Map(); // Store original values
-    this.counter = 0;
+import fs from 'fs';
+import path from 'path';
+import { getMemoryFile, getNotesFile, getUserStorageDir } from './storageContext.js';
+
+const PLACEHOLDER = /\{\{[A-Z0-9]+_\d+\}\}/g;
+const PLACEHOLDER_AT_START = /^\{\{[A-Z0-9]+_\d+\}\}/;
+
+// Values that need no quoting as a bare shell word
+const SHELL_SAFE = /^[A-Za-z0-9_@%+=:,.\/-]+$/;
+const RULE_NAME = /^[A-Za-z][A-Za-z0-9]*$/;
+
+// Shorter vault secrets are only found by the rules (a one-letter password would match everywhere)
+const KNOWN_SECRET_MIN_LENGTH = 6;
+
+/**
+ * Built-in detector rules, applied in this order
+ * group: capture group holding the secret (0 = whole match)
+ */
+export const BUILTIN_SECRET_RULES = {
+  // PEM private keys of any kind (RSA, EC, OPENSSH, ENCRYPTED, ...), also inside JSON strings
+  privateKey: {
+    pattern: /-----BEGIN (?:[A-Z0-9]+ )*PRIVATE KEY(?: BLOCK)?-----[\s\S]+?-----END (?:[A-Z0-9]+ )*PRIVATE KEY(?: BLOCK)?-----/g,
+    description: 'PEM private key'
+  },
+  pemCertificate: {
+    pattern: /-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g,
+    description: 'PEM certificate'
+  },
+  gcpServiceAccount: {
+    pattern: /"private_key_id"\s*:\s*"([a-f0-9]{40})"/g,
+    group: 1,
+    description: 'GCP service account key id'
+  },
+  dbConnection: {
+    pattern: /(?:mongodb(?:\+srv)?|mysql|postgres(?:ql)?|redis|amqps?):\/\/[^:\s/'"`;|&<>()$\\]+:[^@\s'"`;|&<>()$\\]+@[^\s'"`;|&<>()$\\]+/gi,
+    description: 'Database URL with credentials'
+  },
+  jwt: {
+    pattern: /eyJ[a-zA-Z0-9_-]+\.eyJ[a-zA-Z0-9_-]+\.[a-zA-Z0-9_-]+/g,
+    description: 'JSON Web Token'
+  },
+  telegramBotToken: {
+    pattern: /\b\d{8,10}:AA[A-Za-z0-9_-]{33}\b/g,
+    description: 'Telegram bot token'
+  },
+  slackToken: {
+    pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}\b/g,
+    description: 'Slack token'
+  },
+  slackWebhook: {
+    pattern: /https:\/\/hooks\.slack\.com\/services\/[A-Za-z0-9/]+/g,
+    description: 'Slack webhook URL'
+  },
+  stripeKey: {
+    pattern: /\b(?:sk|rk)_(?:live|test)_[A-Za-z0-9]{16,}\b/g,
+    description: 'Stripe secret or restricted key'
+  },
+  apiKey: {
+    pattern: /\b(?:sk-[a-zA-Z0-9_-]{20,}|gh[pousr]_[a-zA-Z0-9]{36}|github_pat_[a-zA-Z0-9_]{22,}|AIza[0-9A-Za-z_-]{35})\b/g,
+    description: 'OpenAI, GitHub or Google API key'
+  },
+  awsKey: {
+    pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g,
+    description: 'AWS access key id'
+  },
+  // KEY=value lines of .env files and shell exports
+  envSecret: {
+    pattern: /^[ \t]*(?:export[ \t]+)?[A-Z][A-Z0-9_]*(?:KEY|SECRET|TOKEN|PASSWORD|PASSWD|PASS|PWD|CREDENTIALS?)[A-Z0-9_]*[ \t]*=[ \t]*['"]?([^'"\s#`;|&<>()$\\]+)/gm,
+    group: 1,
+    description: '.env line with a key, secret, token or password'
+  },
+  password: {
+    pattern: /(?:password|passwd|pwd)\s*[=:]\s*['"]?([^'"\s`;|&<>()$\\]+)/gi,
+    group: 1,
+    description: 'password: value / password=value'
+  },
+  genericSecret: {
+    pattern: /\b[a-f0-9]{32,128}\b/gi,
+    enabled: false,
+    description: 'Long hex string (off by default: also matches hashes)'
+  }
+};
+
+/**
+ * Values that are never treated as secrets
+ */
+export const DEFAULT_ALLOWLIST = [
+  '[0-9a-f]{40}', // git commit hashes
+  '[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}', // UUIDs
+  'out-[a-z0-9]+-[a-f0-9]{12}' // output artifact ids (outputArtifacts.js)
+];
+
+const DEFAULT_ENTROPY = { enabled: true, minLength: 20, threshold: 3.5 };
+
+// Candidate tokens for entropy detection (base64 may end in = padding)
+const ENTROPY_TOKEN = /[A-Za-z0-9+_-]+={0,2}/g;
+
+// Names made of words and numbers (application_server_2024, build-2024-10-19)
+const IDENTIFIER = /^(?:[A-Za-z]+|[0-9]+)(?:[_-](?:[A-Za-z]+|[0-9]+))*$/;
+
+// Vaults by session key
+const vaults = new Map();
+
+// Loaded config, by file and modification time
+let cachedConfig = null;
+
+/**
+ * Get secret rules config file path
+ */
+function getRulesFile() {
+  return process.env.SECRET_RULES_FILE || path.join(process.cwd(), 'secrets.json');
+}
+
+/**
+ * Compile the rule set from the built-ins and a secrets.json object
+ * @param {object} config - Parsed secrets.json ({} for the built-ins)
+ * @returns {object} { rules: [{ name, regex, group, description }], entropy, allowlist: [RegExp] }
+ */
+export function compileSecretRules(config = {}) {
+  const rules = [];
+  const names = new Set([...Object.keys(BUILTIN_SECRET_RULES), ...Object.keys(config.rules || {})]);
+
+  for (const name of names) {
+    if (!RULE_NAME.test(name)) {
+      throw new Error(`Invalid secret rule name "${name}" (letters and digits only)`);
+    }
+    const rule = { ...BUILTIN_SECRET_RULES[name], ...config.rules?.[name] };
+    if (rule.enabled === false) continue;
+    if (!rule.pattern) {
+      throw new Error(`Secret rule ${name} has no pattern`);
+    }
+
+    let regex = rule.pattern;
+    if (!(regex instanceof RegExp)) {
+      try {
+        regex = new RegExp(rule.pattern, rule.flags ?? 'g');
+      } catch (error) {
+        throw new Error(`Secret rule ${name} has an invalid pattern: ${error.message}`);
+      }
+    }
+    if (!regex.global) {
+      regex = new RegExp(regex.source, regex.flags + 'g');
+    }
+
+    rules.push({ name, regex, group: rule.group || 0, description: rule.description || '' });
+  }
+
+  const allowlist = [...DEFAULT_ALLOWLIST, ...(config.allowlist || [])].map(source => {
+    try {
+      return new RegExp(`^(?:${source})$`);
+    } catch (error) {
+      throw new Error(`Invalid secret allowlist entry "${source}": ${error.message}`);
+    }
+  });
+
+  return { rules, entropy: { ...DEFAULT_ENTROPY, ...config.entropy }, allowlist };
+}
+
+/**
+ * Load the rule set from secrets.json (built-ins when there is no file)
+ * A broken file is reported and the built-ins are used, so redaction never stops.
+ * @returns {object} Compiled rules, see compileSecretRules()
+ */
+export function loadSecretRules() {
+  const file = getRulesFile();
+  let mtime = 0;
+  try {
+    mtime = fs.statSync(file).mtimeMs;
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('⚠️  Could not read secret rules:', error.message);
+    }
+  }
+
+  if (cachedConfig && cachedConfig.file === file && cachedConfig.mtime === mtime) {
+    return cachedConfig.compiled;
+  }
+
+  let compiled;
+  try {
+    compiled = compileSecretRules(mtime ? JSON.parse(fs.readFileSync(file, 'utf-8')) : {});
+  } catch (error) {
+    console.error(`⚠️  Invalid secret rules in ${path.basename(file)}, using the built-in rules:`, error.message);
+    compiled = compileSecretRules({});
   }
 
+  cachedConfig = { file, mtime, compiled };
+  return compiled;
+}
+
+/**
+ * Shannon entropy of a string in bits per character
+ */
+export function shannonEntropy(text) {
+  const counts = new Map();
+  for (const char of text) {
+    counts.set(char, (counts.get(char) || 0) + 1);
+  }
+  let entropy = 0;
+  for (const count of counts.values()) {
+    const p = count / text.length;
+    entropy -= p * Math.log2(p);
+  }
+  return entropy;
+}
+
+/**
+ * Whether a token looks like a random secret (entropy detection)
+ */
+function looksRandom(token, entropy) {
+  return token.length >= entropy.minLength &&
+    /[A-Za-z]/.test(token) && /[0-9]/.test(token) &&
+    !/^[0-9a-fA-F]+$/.test(token) &&
+    !IDENTIFIER.test(token) &&
+    shannonEntropy(token) >= entropy.threshold;
+}
+
+/**
+ * Replace every secret in text
+ * @param {string} text - Text to scan
+ * @param {object} ruleSet - Compiled rules (loadSecretRules())
+ * @param {Function} replace - (ruleName, secret) => replacement text
+ * @returns {string} Text with the replacements
+ */
+function replaceSecrets(text, ruleSet, replace) {
+  const allowed = (secret) => ruleSet.allowlist.some(regex => regex.test(secret));
+  let result = text;
+
+  for (const rule of ruleSet.rules) {
+    result = result.replace(rule.regex, (...args) => {
+      const match = args[0];
+      const secret = args[rule.group];
+      // Values labelled as secrets (capture groups) are not checked against the allowlist
+      if (typeof secret !== 'string' || !secret || secret.includes('{{') || (!rule.group && allowed(secret))) {
+        return match;
+      }
+      const replacement = replace(rule.name, secret);
+      return secret === match ? replacement : match.replace(secret, replacement);
+    });
+  }
+
+  if (ruleSet.entropy.enabled) {
+    result = result.replace(ENTROPY_TOKEN, (token, offset, whole) => {
+      // Skip the inside of placeholders
+      if (whole.substring(offset - 2, offset) === '{{' || !looksRandom(token.replace(/=+$/, ''), ruleSet.entropy) || allowed(token)) {
+        return token;
+      }
+      return replace('highEntropy', token);
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Find secrets in text without redacting it
+ * @param {string} text - Text to scan
+ * @param {object} ruleSet - Compiled rules (current rules when omitted)
+ * @returns {Array<object>} [{ rule, value }] in detection order
+ */
+export function detectSecrets(text, ruleSet = loadSecretRules()) {
+  const findings = [];
+  replaceSecrets(text, ruleSet, (rule, value) => {
+    findings.push({ rule, value });
+    return '{{FOUND_0}}';
+  });
+  return findings;
+}
+
+export class SecretRedactor {
   /**
-   * Patterns to detect sensitive data
+   * @param {object} ruleSet - Compiled rules (compileSecretRules()); the current
+   *                           secrets.json rules are used when omitted
    */
-  static PATTERNS = {
-    // SSH private keys
-    sshKey: /-----BEGIN (?:RSA |OPENSSH )?PRIVATE KEY-----[\s\S]+?-----END (?:RSA |OPENSSH )?PRIVATE KEY-----/g,
-    
-    // API keys and tokens
-    apiKey: /\b(?:sk-[a-zA-Z0-9]{20,}|ghp_[a-zA-Z0-9]{36}|xoxb-[a-zA-Z0-9-]+)\b/g,
-    
-    // Passwords in common formats
-    password: /(?:password|passwd|pwd)[\s=:]+['"]?([^'"\s]{8,})['"]?/gi,
-    
-    // JWT tokens
-    jwt: /eyJ[a-zA-Z0-9_-]+\.eyJ[a-zA-Z0-9_-]+\.[a-zA-Z0-9_-]+/g,
-    
-    // AWS keys
-    awsKey: /\b(?:AKIA[0-9A-Z]{16}|aws_[a-z_]+_[a-zA-Z0-9]+)\b/g,
-    
-    // Generic secrets (long alphanumeric strings)
-    genericSecret: /\b[a-f0-9]{32,128}\b/gi,
-    
-    // Database connection strings
-    dbConnection: /(?:mongodb|mysql|postgresql|redis):\/\/[^:\s]+:[^@\s]+@[^\s]+/gi,
-  };
+  constructor(ruleSet = null) {
+    this.ruleSet = ruleSet;
+    this.secrets = new Map(); // Store original values
+    this.placeholders = new Map(); // Secret -> placeholder, so a secret keeps its placeholder
+    this.counter = 0;
+  }
 
   /**
    * Redact secrets from text, replacing them with placeholders
+   * Secrets found earlier keep their placeholder; placeholders are left alone.
+   * Rules with a capture group only replace the group ("password: {{PASSWORD_1}}").
    * @param {string} text - Original text with secrets
    * @returns {string} - Text with placeholders
    */
   redact(text) {
-    let redacted = text;
-    this.secrets.clear();
-    this.counter = 0;
+    return this.redactCounting(text).text;
+  }
+
+  /**
+   * Redact secrets and count the replacements
+   * Secrets already in the vault are also replaced where no rule would find
+   * them (echo of a password), when they are at least KNOWN_SECRET_MIN_LENGTH long.
+   * @param {string} text - Original text with secrets
+   * @returns {object} { text, count }
+   */
+  redactCounting(text) {
+    let count = 0;
+    let result = text;
 
-    // Process each pattern type
-    for (const [type, pattern] of Object.entries(SecretRedactor.PATTERNS)) {
-      redacted = redacted.replace(pattern, (match) => {
-        const placeholder = this.createPlaceholder(type);
-        this.secrets.set(placeholder, match);
-        return placeholder;
-      });
+    const known = Array.from(this.placeholders.keys())
+      .filter(secret => secret.length >= KNOWN_SECRET_MIN_LENGTH)
+      .sort((a, b) => b.length - a.length);
+    for (const secret of known) {
+      const parts = result.split(secret);
+      count += parts.length - 1;
+      result = parts.join(this.placeholders.get(secret));
     }
 
-    return redacted;
+    result = replaceSecrets(result, this.ruleSet || loadSecretRules(), (type, secret) => {
+      count++;
+      return this.placeholderFor(type, secret);
+    });
+
+    return { text: result, count };
+  }
+
+  /**
+   * Placeholder of a secret, created on first sight
+   */
+  placeholderFor(type, secret) {
+    let placeholder = this.placeholders.get(secret);
+    if (!placeholder) {
+      placeholder = this.createPlaceholder(type);
+      this.secrets.set(placeholder, secret);
+      this.placeholders.set(secret, placeholder);
+    }
+    return placeholder;
   }
 
   /**
@@ -83,6 +409,49 @@ export class SecretRedactor {
     return result;
   }
 
+  /**
+   * Substitute placeholders in a shell command line, quoting each value
+   * The quoting follows the placeholder's position: bare words get '...',
+   * values inside '...' or "..." are escaped for that quote.
+   * @param {string} text - Command line with placeholders
+   * @returns {string} - Command line with real secrets restored
+   */
+  substituteShell(text) {
+    let result = '';
+    let quote = null; // null, "'" or '"'
+
+    for (let i = 0; i < text.length; i++) {
+      const placeholder = text[i] === '{' ? text.slice(i).match(PLACEHOLDER_AT_START)?.[0] : null;
+      if (placeholder && this.secrets.has(placeholder)) {
+        result += quoteForShell(this.secrets.get(placeholder), quote);
+        i += placeholder.length - 1;
+        continue;
+      }
+
+      const char = text[i];
+      result += char;
+      if (char === '\\' && quote !== "'") {
+        result += text[++i] ?? '';
+      } else if (quote === null && (char === "'" || char === '"')) {
+        quote = char;
+      } else if (char === quote) {
+        quote = null;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Placeholders in text that this redactor does not know
+   * @param {string} text - Text with placeholders
+   * @returns {string[]} - Unknown placeholders
+   */
+  unknownPlaceholders(text) {
+    const found = text.match(PLACEHOLDER) || [];
+    return Array.from(new Set(found.filter(placeholder => !this.secrets.has(placeholder))));
+  }
+
   /**
    * Check if any secrets have been redacted
    * @returns {boolean} - True if secrets are stored
@@ -117,10 +486,197 @@ export class SecretRedactor {
    */
   clear() {
     this.secrets.clear();
+    this.placeholders.clear();
     this.counter = 0;
   }
 }
 
+/**
+ * Quote a value for a shell word
+ * @param {string} value - Raw value
+ * @param {string|null} quote - Quote the value stands in: null (bare), "'" or '"'
+ */
+function quoteForShell(value, quote) {
+  if (quote === "'") return value.replace(/'/g, "'\\''");
+  if (quote === '"') return value.replace(/[\\"$`]/g, '\\$&');
+  return SHELL_SAFE.test(value) ? value : `'${value.replace(/'/g, "'\\''")}'`;
+}
+
+/**
+ * Vault key for a caller
+ */
+function vaultKey(caller) {
+  if (!caller) return 'default';
+  if (caller.groupId) return `group:${caller.groupId}`;
+  return `${caller.channel || 'user'}:${caller.userId || 'anonymous'}`;
+}
+
+/**
+ * Get (or create) the caller's vault
+ * @param {object} caller - { channel, userId, groupId }
+ * @returns {SecretRedactor}
+ */
+export function getSecretVault(caller) {
+  const key = vaultKey(caller);
+  if (!vaults.has(key)) {
+    vaults.set(key, new SecretRedactor());
+  }
+  return vaults.get(key);
+}
+
+/**
+ * Redact secrets from text with the caller's vault
+ * @param {string} text - Text that may contain secrets
+ * @param {object} caller - { channel, userId, groupId }
+ * @returns {string} Text with placeholders
+ */
+export function redactSecrets(text, caller = null) {
+  if (typeof text !== 'string' || !text) return text;
+  return getSecretVault(caller).redact(text);
+}
+
+/**
+ * Redact every string in a value (objects and arrays are copied)
+ * @param {*} value - String, array, plain object or anything else (returned as is)
+ * @param {object} caller - { channel, userId, groupId }
+ */
+export function redactValue(value, caller = null) {
+  if (typeof value === 'string') return redactSecrets(value, caller);
+  if (Array.isArray(value)) return value.map(item => redactValue(item, caller));
+  if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redactValue(item, caller)]));
+  }
+  return value;
+}
+
+/**
+ * Redact command output with the caller's vault
+ * @param {string} text - stdout, stderr or an output chunk
+ * @param {object} caller - { channel, userId, groupId }
+ * @returns {object} { text, redactions } (number of secrets replaced)
+ */
+export function redactOutput(text, caller = null) {
+  if (typeof text !== 'string' || !text) return { text, redactions: 0 };
+  const { text: redacted, count } = getSecretVault(caller).redactCounting(text);
+  return { text: redacted, redactions: count };
+}
+
+/**
+ * One-line note about secrets redacted from command output for chat replies, or '' without any
+ * @param {number} redactions - result.redactions of a command result
+ */
+export function formatRedactionHint(redactions) {
+  if (!redactions) return '';
+  return `\n🔒 ${redactions} secret${redactions === 1 ? '' : 's'} redacted from the output\n`;
+}
+
+/**
+ * Put the caller's secrets back into a command line, right before it runs
+ * @param {string} text - Command line with placeholders
+ * @param {object} caller - { channel, userId, groupId }
+ * @returns {string} Command line with real values, each quoted for the shell
+ */
+export function revealSecrets(text, caller = null) {
+  const vault = vaults.get(vaultKey(caller));
+  return vault ? vault.substituteShell(text) : text;
+}
+
+/**
+ * Placeholders in text that the caller's vault cannot resolve
+ * @returns {string[]} Unknown placeholders
+ */
+export function findUnknownPlaceholders(text, caller = null) {
+  return getSecretVault(caller).unknownPlaceholders(text);
+}
+
+/**
+ * Forget the caller's secrets; their placeholders stop resolving
+ * @returns {boolean} Whether there was a vault
+ */
+export function clearSecretVault(caller) {
+  return vaults.delete(vaultKey(caller));
+}
+
+/**
+ * Mask a secret for reports: first 4 characters and the length
+ */
+function maskSecret(value) {
+  return `${value.substring(0, 4)}… (${value.length} chars)`;
+}
+
+/**
+ * Files that hold stored conversations: memory and notes (also every user's),
+ * group chats and the audit log
+ */
+async function defaultScanFiles() {
+  const cwd = process.cwd();
+  const userDir = getUserStorageDir();
+  const perUser = (await fs.promises.readdir(userDir))
+    .filter(name => /^memory-.+\.json$|^notes-.+\.md$/.test(name))
+    .map(name => path.join(userDir, name));
+  const groupChats = process.env.USER_GROUPCHAT_FILE ? [] : (await fs.promises.readdir(cwd))
+    .filter(name => /^groupchat-.+\.json$/.test(name))
+    .map(name => path.join(cwd, name));
+
+  const files = [
+    getMemoryFile(),
+    getNotesFile(),
+    ...perUser,
+    ...groupChats,
+    process.env.USER_GROUPCHAT_FILE,
+    process.env.AUDIT_LOG_FILE || path.join(cwd, 'audit.log')
+  ];
+  return Array.from(new Set(files.filter(Boolean)));
+}
+
+/**
+ * Report secrets already stored in files (report mode; nothing is changed)
+ * @param {string[]} files - Files to scan (memory, notes, group chat and audit files when omitted)
+ * @param {object} ruleSet - Compiled rules (current rules when omitted)
+ * @returns {Promise<object>} { files: [{ file, missing, findings: [{ rule, line, preview }] }], total }
+ */
+export async function scanFilesForSecrets(files = null, ruleSet = loadSecretRules()) {
+  const report = { files: [], total: 0 };
+
+  for (const file of files || await defaultScanFiles()) {
+    let content;
+    try {
+      content = await fs.promises.readFile(file, 'utf-8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      report.files.push({ file, missing: true, findings: [] });
+      continue;
+    }
+
+    // Line by line, so .env rules anchored at line starts work and findings have line numbers
+    const findings = [];
+    content.split('\n').forEach((text, index) => {
+      for (const finding of detectSecrets(text, ruleSet)) {
+        findings.push({ rule: finding.rule, line: index + 1, preview: maskSecret(finding.value) });
+      }
+    });
+
+    report.files.push({ file, missing: false, findings });
+    report.total += findings.length;
+  }
+
+  return report;
+}
+
+/**
+ * Scan report as text
+ */
+export function formatSecretScan(report) {
+  const lines = report.files.map(({ file, missing, findings }) => {
+    if (missing) return `➖ ${file}: not found`;
+    if (findings.length === 0) return `✅ ${file}: clean`;
+    return [`⚠️  ${file}: ${findings.length} secret(s)`,
+      ...findings.map(f => `   line ${f.line}: ${f.rule} ${f.preview}`)].join('\n');
+  });
+  lines.push(report.total === 0 ? '\n✅ No secrets found' : `\n⚠️  ${report.total} secret(s) found`);
+  return lines.join('\n');
+}
+
 // Test function
 export function testSecretRedactor() {
   console.log('\n🔒 Testing Secret Redactor\n');
@@ -194,3 +750,23 @@ export function testSecretRedactor() {
 if (import.meta.url === `file://${process.argv[1]}`) {
   testSecretRedactor();
 }
+
+export default {
+  BUILTIN_SECRET_RULES,
+  DEFAULT_ALLOWLIST,
+  SecretRedactor,
+  compileSecretRules,
+  loadSecretRules,
+  detectSecrets,
+  shannonEntropy,
+  scanFilesForSecrets,
+  formatSecretScan,
+  getSecretVault,
+  redactSecrets,
+  redactValue,
+  redactOutput,
+  formatRedactionHint,
+  revealSecrets,
+  findUnknownPlaceholders,
+  clearSecretVault
+};
@@ -0,0 +1,734 @@
+/**
+ * Shell Parser - POSIX shell tokenizer and parser for command safety checks
+ *
+ * parseShell() turns a command line into a syntax tree:
+ * - list: pipelines joined by ; & && || or newlines
+ * - pipeline: commands joined by | or |&
+ * - subshell ( ... ), group { ...; }, function definitions, loop headers
+ * - command: assignments, words and redirections
+ *
+ * Words keep the command substitutions ($(...), `...`) and process
+ * substitutions (<(...), >(...)) they contain, parsed as nested lists.
+ * Here-document bodies with an unquoted delimiter are scanned for
+ * substitutions too.
+ *
+ * listCommands() flattens a tree into every simple command that would run,
+ * including commands hidden in substitutions, `sh -c` strings, eval and
+ * wrappers (sudo, env, nohup, timeout, xargs, find -exec, ...). Each entry
+ * records how it was reached in `via`.
+ *
+ * Parsing is static: variables are not expanded, and case statements are
+ * rejected with ShellParseError.
+ */
+
+import path from 'path';
+
+/**
+ * Thrown when a command line cannot be parsed
+ */
+export class ShellParseError extends Error {
+  constructor(message, position = null) {
+    super(position === null ? message : `${message} (at ${position})`);
+    this.name = 'ShellParseError';
+    this.code = 'SHELL_PARSE_ERROR';
+    this.position = position;
+  }
+}
+
+const OPERATORS = ['&&', '||', ';;', '|&', ';', '&', '|', '(', ')'];
+const REDIRECTS = ['<<<', '<<-', '&>>', '<<', '>>', '>|', '<>', '>&', '<&', '&>', '<', '>'];
+const METACHARS = new Set([' ', '\t', '\r', '\n', ';', '&', '|', '(', ')', '<', '>']);
+
+const PREFIX_KEYWORDS = ['if', 'then', 'elif', 'else', 'while', 'until', 'do'];
+const END_KEYWORDS = ['fi', 'done'];
+const SHELLS = ['sh', 'bash', 'zsh', 'dash', 'ksh', 'su'];
+
+// Programs that run another command; values are the options that take an argument
+const WRAPPERS = {
+  sudo: ['-u', '-g', '-C', '-D', '-h', '-p', '-r', '-t', '-U', '-T'],
+  doas: ['-u', '-C'],
+  env: ['-u', '-C', '-S'],
+  nice: ['-n'],
+  ionice: ['-c', '-n', '-p'],
+  nohup: [],
+  setsid: [],
+  time: ['-f', '-o'],
+  timeout: ['-s', '-k', '--signal', '--kill-after'],
+  stdbuf: ['-i', '-o', '-e'],
+  command: [],
+  builtin: [],
+  exec: ['-a'],
+  xargs: ['-I', '-n', '-P', '-L', '-d', '-s', '-E', '-a', '--max-args', '--max-procs', '--delimiter', '--arg-file'],
+  watch: ['-n', '-d'],
+  chroot: []
+};
+
+// Wrappers whose first operand is not the command (timeout 10 cmd, chroot /root cmd)
+const WRAPPER_OPERANDS = { timeout: 1, chroot: 1 };
+
+const FIND_EXEC = ['-exec', '-execdir', '-ok', '-okdir'];
+
+/**
+ * Index of the matching close bracket, skipping quoted text
+ */
+function findClosing(input, openIndex, open = '(', close = ')') {
+  let depth = 0;
+  for (let i = openIndex; i < input.length; i++) {
+    const char = input[i];
+    if (char === '\\') {
+      i++;
+    } else if (char === "'") {
+      const end = input.indexOf("'", i + 1);
+      if (end === -1) break;
+      i = end;
+    } else if (char === '"') {
+      i++;
+      while (i < input.length && input[i] !== '"') {
+        if (input[i] === '\\') i++;
+        i++;
+      }
+    } else if (char === open) {
+      depth++;
+    } else if (char === close) {
+      depth--;
+      if (depth === 0) return i;
+    }
+  }
+  throw new ShellParseError(`Unterminated ${open === '(' ? '(' : '{'}`, openIndex);
+}
+
+/**
+ * Collect substitutions from text that the shell expands (here-documents, ${...}, $((...)))
+ */
+function scanExpansions(text, substitutions) {
+  let i = 0;
+  while (i < text.length) {
+    if (text[i] === '\\') {
+      i += 2;
+    } else if (text[i] === '$' || text[i] === '`') {
+      i = readExpansion(text, i, substitutions);
+    } else {
+      i++;
+    }
+  }
+}
+
+/**
+ * Read a $ or ` expansion starting at index i
+ * @returns {number} Index after the expansion
+ */
+function readExpansion(input, i, substitutions) {
+  if (input[i] === '`') {
+    let end = i + 1;
+    while (end < input.length && input[end] !== '`') {
+      if (input[end] === '\\') end++;
+      end++;
+    }
+    if (end >= input.length) {
+      throw new ShellParseError('Unterminated backtick substitution', i);
+    }
+    const source = input.slice(i + 1, end).replace(/\\([\\`$])/g, '$1');
+    substitutions.push({ kind: 'command', source, list: parseShell(source) });
+    return end + 1;
+  }
+
+  const next = input[i + 1];
+
+  if (next === '(' && input[i + 2] === '(') {
+    // Arithmetic $((...)) runs nothing itself but may contain substitutions
+    const close = findClosing(input, i + 1);
+    scanExpansions(input.slice(i + 3, close - 1), substitutions);
+    return close + 1;
+  }
+
+  if (next === '(') {
+    const close = findClosing(input, i + 1);
+    const source = input.slice(i + 2, close);
+    substitutions.push({ kind: 'command', source, list: parseShell(source) });
+    return close + 1;
+  }
+
+  if (next === '{') {
+    const close = findClosing(input, i + 1, '{', '}');
+    scanExpansions(input.slice(i + 2, close), substitutions);
+    return close + 1;
+  }
+
+  const name = input.slice(i + 1).match(/^([A-Za-z_][A-Za-z0-9_]*|[0-9@*#?$!-])/);
+  return name ? i + 1 + name[0].length : i + 1;
+}
+
+/**
+ * Read a double-quoted string whose content starts at index i
+ */
+function readDoubleQuoted(input, i, substitutions) {
+  let value = '';
+  let expands = false;
+  while (i < input.length && input[i] !== '"') {
+    const char = input[i];
+    if (char === '\\' && '$`"\\\n'.includes(input[i + 1])) {
+      if (input[i + 1] !== '\n') value += input[i + 1];
+      i += 2;
+    } else if (char === '$' || char === '`') {
+      const end = readExpansion(input, i, substitutions);
+      value += input.slice(i, end);
+      expands = expands || end > i + 1;
+      i = end;
+    } else {
+      value += char;
+      i++;
+    }
+  }
+  if (i >= input.length) {
+    throw new ShellParseError('Unterminated double quote', i);
+  }
+  return { value, end: i + 1, expands };
+}
+
+/**
+ * Read one word starting at index start
+ * @returns {{ token: object, end: number }}
+ */
+function readWord(input, start) {
+  const substitutions = [];
+  let value = '';
+  let quoted = false;
+  let expands = false;
+  let i = start;
+
+  if ((input[i] === '<' || input[i] === '>') && input[i + 1] === '(') {
+    const close = findClosing(input, i + 1);
+    const source = input.slice(i + 2, close);
+    substitutions.push({ kind: input[i] === '<' ? 'process-input' : 'process-output', source, list: parseShell(source) });
+    value = input.slice(i, close + 1);
+    expands = true;
+    i = close + 1;
+  }
+
+  while (i < input.length && !METACHARS.has(input[i])) {
+    const char = input[i];
+
+    if (char === "'") {
+      const close = input.indexOf("'", i + 1);
+      if (close === -1) throw new ShellParseError('Unterminated single quote', i);
+      value += input.slice(i + 1, close);
+      quoted = true;
+      i = close + 1;
+    } else if (char === '$' && input[i + 1] === "'") {
+      let end = i + 2;
+      while (end < input.length && input[end] !== "'") {
+        if (input[end] === '\\') end++;
+        end++;
+      }
+      if (end >= input.length) throw new ShellParseError('Unterminated $\'...\' string', i);
+      value += input.slice(i + 2, end).replace(/\\(.)/g, (match, c) => ({ n: '\n', t: '\t' }[c] ?? c));
+      quoted = true;
+      i = end + 1;
+    } else if (char === '"') {
+      const result = readDoubleQuoted(input, i + 1, substitutions);
+      value += result.value;
+      quoted = true;
+      expands = expands || result.expands;
+      i = result.end;
+    } else if (char === '\\') {
+      if (input[i + 1] !== undefined && input[i + 1] !== '\n') value += input[i + 1];
+      i += 2;
+    } else if (char === '$' || char === '`') {
+      const end = readExpansion(input, i, substitutions);
+      value += input.slice(i, end);
+      expands = expands || end > i + 1;
+      i = end;
+    } else {
+      value += char;
+      i++;
+    }
+  }
+
+  const raw = input.slice(start, i);
+  return {
+    token: { type: 'word', value, raw, quoted, expands, substitutions, start, end: i },
+    end: i
+  };
+}
+
+/**
+ * Read here-document bodies that start at index start (after a newline)
+ */
+function readHeredocBodies(input, start, pending) {
+  let i = start;
+  for (const { token, stripTabs } of pending) {
+    const lines = [];
+    while (i < input.length) {
+      const lineEnd = input.indexOf('\n', i) === -1 ? input.length : input.indexOf('\n', i);
+      let line = input.slice(i, lineEnd);
+      i = lineEnd + 1;
+      if (stripTabs) line = line.replace(/^\t+/, '');
+      if (line === token.value) break;
+      lines.push(line);
+    }
+    token.heredoc = lines.join('\n');
+    // An unquoted delimiter means the body is expanded
+    if (!token.quoted) scanExpansions(token.heredoc, token.substitutions);
+  }
+  return Math.min(i, input.length);
+}
+
+/**
+ * Split a command line into word, operator and redirection tokens
+ */
+export function tokenize(input) {
+  const tokens = [];
+  let pendingHeredocs = [];
+  let i = 0;
+
+  while (i < input.length) {
+    const char = input[i];
+
+    if (char === ' ' || char === '\t' || char === '\r') {
+      i++;
+      continue;
+    }
+    if (char === '\\' && input[i + 1] === '\n') {
+      i += 2;
+      continue;
+    }
+    if (char === '#') {
+      while (i < input.length && input[i] !== '\n') i++;
+      continue;
+    }
+    if (char === '\n') {
+      tokens.push({ type: 'op', value: '\n' });
+      i = readHeredocBodies(input, i + 1, pendingHeredocs);
+      pendingHeredocs = [];
+      continue;
+    }
+
+    const isProcessSubstitution = (char === '<' || char === '>') && input[i + 1] === '(';
+    const redirect = !isProcessSubstitution && REDIRECTS.find(op => input.startsWith(op, i));
+    if (redirect) {
+      tokens.push({ type: 'redirect', op: redirect, fd: null });
+      i += redirect.length;
+      continue;
+    }
+
+    const operator = !isProcessSubstitution && OPERATORS.find(op => input.startsWith(op, i));
+    if (operator) {
+      tokens.push({ type: 'op', value: operator });
+      i += operator.length;
+      continue;
+    }
+
+    const { token, end } = readWord(input, i);
+
+    // A number directly before a redirection is its file descriptor (2>&1)
+    const fdRedirect = /^\d+$/.test(token.raw) && input[end + 1] !== '(' && REDIRECTS.find(op => input.startsWith(op, end));
+    if (fdRedirect) {
+      tokens.push({ type: 'redirect', op: fdRedirect, fd: Number(token.raw) });
+      i = end + fdRedirect.length;
+      continue;
+    }
+
+    const previous = tokens[tokens.length - 1];
+    if (previous?.type === 'redirect' && (previous.op === '<<' || previous.op === '<<-')) {
+      pendingHeredocs.push({ token, stripTabs: previous.op === '<<-' });
+    }
+
+    tokens.push(token);
+    i = end;
+  }
+
+  return tokens;
+}
+
+function describeToken(token) {
+  if (!token) return 'end of command';
+  if (token.type === 'redirect') return `"${token.op}"`;
+  if (token.value === '\n') return 'newline';
+  return `"${token.value}"`;
+}
+
+/**
+ * Parse a command line into a syntax tree
+ * @param {string} input - Command line
+ * @returns {object} { type: 'list', items: [{ node, separator }] }
+ * @throws {ShellParseError} On unbalanced quotes, brackets or unsupported syntax
+ */
+export function parseShell(input) {
+  const tokens = tokenize(String(input));
+  let pos = 0;
+
+  const peek = (offset = 0) => tokens[pos + offset];
+  const isOp = (token, ...values) => token?.type === 'op' && values.includes(token.value);
+  const isWord = (token, ...values) => token?.type === 'word' && !token.quoted && values.includes(token.value);
+  const skipNewlines = () => {
+    while (isOp(peek(), '\n')) pos++;
+  };
+
+  function parseList(terminator) {
+    const items = [];
+
+    while (pos < tokens.length) {
+      while (isOp(peek(), '\n', ';')) pos++;
+      if (pos >= tokens.length || isOp(peek(), ')') || (terminator === '}' && isWord(peek(), '}'))) break;
+
+      const node = parsePipeline();
+      const separator = isOp(peek(), ';', '&', '&&', '||', '\n') ? tokens[pos++].value : null;
+      if (node) items.push({ node, separator });
+      if (!separator) break;
+    }
+
+    return { type: 'list', items };
+  }
+
+  function parsePipeline() {
+    let negated = false;
+    while (isWord(peek(), '!', 'time')) {
+      if (peek().value === '!') negated = !negated;
+      pos++;
+    }
+
+    const commands = [parseCommand()];
+    while (isOp(peek(), '|', '|&')) {
+      pos++;
+      skipNewlines();
+      commands.push(parseCommand());
+    }
+
+    const present = commands.filter(Boolean);
+    if (present.length === 0) return null;
+    return present.length === 1 && !negated ? present[0] : { type: 'pipeline', negated, commands: present };
+  }
+
+  function parseRedirects() {
+    const redirects = [];
+    while (peek()?.type === 'redirect') {
+      redirects.push(parseRedirect());
+    }
+    return redirects;
+  }
+
+  function parseRedirect() {
+    const { op, fd } = tokens[pos++];
+    const target = peek();
+    if (target?.type !== 'word') {
+      throw new ShellParseError(`Missing target for "${op}", found ${describeToken(target)}`);
+    }
+    pos++;
+    return { fd, op, target };
+  }
+
+  // Body of a function definition (a lone fi/done/esac is not one)
+  function parseFunctionBody(name) {
+    const next = peek();
+    const body = parseCommand();
+    if (!body) throw new ShellParseError(`Function ${name} has no body, found ${describeToken(next)}`);
+    return body;
+  }
+
+  function parseCommand() {
+    const token = peek();
+
+    if (!token) {
+      throw new ShellParseError('Unexpected end of command');
+    }
+
+    if (isOp(token, '(')) {
+      pos++;
+      const body = parseList(')');
+      if (!isOp(peek(), ')')) throw new ShellParseError(`Missing ) to close subshell, found ${describeToken(peek())}`);
+      pos++;
+      return { type: 'subshell', body, redirects: parseRedirects() };
+    }
+
+    if (isWord(token, '{')) {
+      pos++;
+      const body = parseList('}');
+      if (!isWord(peek(), '}')) throw new ShellParseError(`Missing } to close group, found ${describeToken(peek())}`);
+      pos++;
+      return { type: 'group', body, redirects: parseRedirects() };
+    }
+
+    if (isWord(token, '[[')) {
+      const words = [];
+      pos++;
+      while (peek() && !isWord(peek(), ']]')) {
+        if (peek().type === 'word') words.push(peek());
+        pos++;
+      }
+      if (!peek()) throw new ShellParseError('Missing ]] to close test');
+      pos++;
+      return { type: 'test', words, redirects: parseRedirects() };
+    }
+
+    if (isWord(token, ...PREFIX_KEYWORDS)) {
+      pos++;
+      skipNewlines();
+      return parseCommand();
+    }
+
+    if (isWord(token, ...END_KEYWORDS)) {
+      pos++;
+      parseRedirects();
+      return null;
+    }
+
+    if (isWord(token, 'for', 'select')) {
+      const words = [];
+      pos++;
+      if (isOp(peek(), '(')) {
+        // for ((i = 0; i < n; i++))
+        let depth = 0;
+        do {
+          if (isOp(peek(), '(')) depth++;
+          if (isOp(peek(), ')')) depth--;
+          pos++;
+        } while (pos < tokens.length && depth > 0);
+      } else {
+        while (peek()?.type === 'word' && !isWord(peek(), 'do')) {
+          words.push(peek());
+          pos++;
+        }
+      }
+      return { type: 'loop', keyword: token.value, words };
+    }
+
+    if (isWord(token, 'case')) {
+      throw new ShellParseError('case statements are not supported');
+    }
+
+    if (isWord(token, 'function') && peek(1)?.type === 'word') {
+      const name = peek(1).value;
+      pos += 2;
+      if (isOp(peek(), '(') && isOp(peek(1), ')')) pos += 2;
+      skipNewlines();
+      return { type: 'function', name, body: parseFunctionBody(name) };
+    }
+
+    const assignments = [];
+    const words = [];
+    const redirects = [];
+
+    while (peek()?.type === 'word' || peek()?.type === 'redirect') {
+      if (peek().type === 'redirect') {
+        redirects.push(parseRedirect());
+      } else if (words.length === 0 && /^[A-Za-z_][A-Za-z0-9_]*\+?=/.test(peek().raw)) {
+        assignments.push(tokens[pos++]);
+      } else {
+        words.push(tokens[pos++]);
+      }
+    }
+
+    // name() { ...; }
+    if (words.length === 1 && assignments.length === 0 && isOp(peek(), '(') && isOp(peek(1), ')')) {
+      pos += 2;
+      skipNewlines();
+      return { type: 'function', name: words[0].value, body: parseFunctionBody(words[0].value) };
+    }
+
+    if (words.length === 0 && assignments.length === 0 && redirects.length === 0) {
+      throw new ShellParseError(`Unexpected ${describeToken(peek())}`);
+    }
+
+    return { type: 'command', assignments, words, redirects };
+  }
+
+  const list = parseList(null);
+  if (pos < tokens.length) {
+    throw new ShellParseError(`Unexpected ${describeToken(peek())}`);
+  }
+  return list;
+}
+
+/**
+ * Index in words where the wrapped command starts, or -1
+ */
+function findWrappedCommand(name, words) {
+  const optionsWithValue = WRAPPERS[name];
+  let i = 1;
+
+  while (i < words.length) {
+    const arg = words[i].value;
+    if (arg === '--') {
+      i++;
+      break;
+    }
+    if (arg.startsWith('-') && arg.length > 1) {
+      i += optionsWithValue.includes(arg) ? 2 : 1;
+    } else if (name === 'env' && /^[A-Za-z_][A-Za-z0-9_]*=/.test(arg)) {
+      i++;
+    } else {
+      break;
+    }
+  }
+
+  i += WRAPPER_OPERANDS[name] || 0;
+  return i < words.length ? i : -1;
+}
+
+/**
+ * Script word passed to sh -c / bash -lc / su -c, or null
+ */
+function findShellScript(words) {
+  for (let i = 1; i < words.length; i++) {
+    const arg = words[i].value;
+    if (/^-[a-zA-Z]*c[a-zA-Z]*$/.test(arg) || arg === '--command') {
+      return words[i + 1] || null;
+    }
+    if (!arg.startsWith('-') && !(words[0].value === 'su' && i === 1)) return null;
+  }
+  return null;
+}
+
+function redirectText({ fd, op, target }) {
+  return `${fd ?? ''}${op}${target.raw}`;
+}
+
+/**
+ * Program names run by the substitutions in some words
+ */
+function substitutionPrograms(words) {
+  return words.flatMap(word => word.substitutions.flatMap(sub => listCommands(sub.list).map(c => path.basename(c.program))));
+}
+
+/**
+ * Flatten a syntax tree into the simple commands that would run
+ * @param {object} node - Tree from parseShell() (or any node in it)
+ * @returns {Array<object>} Entries:
+ *   { program, args, assignments, redirects: [{ fd, op, target }], text, via,
+ *     pipeline, unwrapped, dynamic, substitutionPrograms, programEnd }
+ *   via lists the constructs the command sits in (pipeline, subshell,
+ *   substitution, sudo, sh -c, ...); pipeline is { id, position } for
+ *   commands in a pipeline; unwrapped is true for wrappers whose command
+ *   is listed as its own entry; dynamic is true when the program name or
+ *   the sh -c / eval script comes from an expansion and cannot be
+ *   inspected; substitutionPrograms names the programs run by the
+ *   command's own substitutions (bash <(curl ...) → ['curl']); programEnd
+ *   is the offset just after the program word in the string that was parsed
+ *   (the sh -c / eval script or substitution source for nested commands).
+ */
+export function listCommands(node, via = [], state = { pipelines: 0 }, pipeline = null) {
+  const commands = [];
+
+  const fromWords = (words, path) => {
+    for (const word of words) {
+      for (const sub of word.substitutions) {
+        const kind = sub.kind === 'command' ? 'substitution' : 'process-substitution';
+        commands.push(...listCommands(sub.list, [...path, kind], state));
+      }
+    }
+  };
+
+  const fromRedirects = (redirects, path) => fromWords(redirects.map(r => r.target), path);
+
+  switch (node.type) {
+    case 'list':
+      node.items.forEach(item => commands.push(...listCommands(item.node, via, state)));
+      break;
+
+    case 'pipeline': {
+      const id = ++state.pipelines;
+      node.commands.forEach((command, position) => {
+        commands.push(...listCommands(command, [...via, 'pipeline'], state, { id, position }));
+      });
+      break;
+    }
+
+    case 'subshell':
+    case 'group':
+      commands.push(...listCommands(node.body, [...via, node.type], state, pipeline));
+      fromRedirects(node.redirects, via);
+      break;
+
+    case 'function':
+      commands.push(...listCommands(node.body, [...via, `function ${node.name}`], state));
+      break;
+
+    case 'loop':
+    case 'test':
+      fromWords(node.words, via);
+      if (node.redirects) fromRedirects(node.redirects, via);
+      break;
+
+    case 'command':
+      commands.push(...listSimpleCommand(node.words, node, via, state, pipeline));
+      break;
+
+    default:
+      break;
+  }
+
+  return commands;
+}
+
+/**
+ * Entries for one simple command, its substitutions and anything it wraps
+ * Wrapped commands share the wrapper's words, so their substitutions are
+ * only listed once (withSubstitutions false).
+ */
+function listSimpleCommand(words, node, via, state, pipeline, withSubstitutions = true) {
+  const commands = [];
+  const program = words[0]?.value ?? '';
+  const name = path.basename(program);
+  const entry = {
+    program,
+    args: words.slice(1).map(w => w.value),
+    assignments: node.assignments.map(a => a.value),
+    redirects: node.redirects.map(r => ({ fd: r.fd, op: r.op, target: r.target.value })),
+    text: [...node.assignments, ...words].map(w => w.raw).concat(node.redirects.map(redirectText)).join(' '),
+    via,
+    pipeline,
+    unwrapped: false,
+    dynamic: Boolean(words[0]?.expands),
+    substitutionPrograms: substitutionPrograms([...node.assignments, ...words, ...node.redirects.map(r => r.target)]),
+    programEnd: words[0]?.end ?? null
+  };
+  commands.push(entry);
+
+  const substitutionWords = withSubstitutions ? [...node.assignments, ...words, ...node.redirects.map(r => r.target)] : [];
+  for (const word of substitutionWords) {
+    for (const sub of word.substitutions) {
+      const kind = sub.kind === 'command' ? 'substitution' : 'process-substitution';
+      commands.push(...listCommands(sub.list, [...via, kind], state));
+    }
+  }
+
+  const nested = (list, label) => {
+    entry.unwrapped = true;
+    commands.push(...listCommands(list, [...via, label], state, pipeline));
+  };
+
+  if (SHELLS.includes(name)) {
+    const script = findShellScript(words);
+    if (script?.expands) entry.dynamic = true;
+    else if (script) nested(parseShell(script.value), `${name} -c`);
+  } else if (name === 'eval' && words.length > 1) {
+    if (words.slice(1).some(w => w.expands)) entry.dynamic = true;
+    else nested(parseShell(words.slice(1).map(w => w.value).join(' ')), 'eval');
+  } else if (WRAPPERS[name]) {
+    const start = findWrappedCommand(name, words);
+    if (start !== -1) {
+      entry.unwrapped = true;
+      commands.push(...listSimpleCommand(words.slice(start), { assignments: [], redirects: node.redirects }, [...via, name], state, pipeline, false));
+    }
+  } else if (name === 'find') {
+    for (let i = 1; i < words.length; i++) {
+      if (!FIND_EXEC.includes(words[i].value)) continue;
+      const end = words.findIndex((w, idx) => idx > i && (w.value === ';' || w.value === '+'));
+      const execWords = words.slice(i + 1, end === -1 ? words.length : end);
+      if (execWords.length > 0) {
+        entry.unwrapped = true;
+        commands.push(...listSimpleCommand(execWords, { assignments: [], redirects: [] }, [...via, `find ${words[i].value}`], state, null, false));
+      }
+      i = end === -1 ? words.length : end;
+    }
+  }
+
+  return commands;
+}
+
+export default {
+  ShellParseError,
+  tokenize,
+  parseShell,
+  listCommands
+};
@@ -0,0 +1,405 @@
+/**
+ * Shell Sessions - Persistent per-user shells for agent commands
+ *
+ * Features:
+ * - One long-lived /bin/sh per caller (channel:userId, or group:<groupId>),
+ *   started through the caller's executor backend, so `cd`, exported
+ *   variables and `source venv/bin/activate` carry over between agent steps
+ * - Working directory and exported environment tracked after every command
+ *   and shown in the agent context (describeShellSession), with secrets
+ *   replaced by the caller's placeholders
+ * - Commands in a session run one at a time with stdin from /dev/null
+ * - Timeouts and cancel kill the session's process group; the next command
+ *   starts a new shell in the tracked directory with the tracked environment
+ * - Idle sessions are closed after SHELL_SESSION_IDLE_MINUTES (default 30)
+ *
+ * Shell functions and aliases are not kept across restarts.
+ *
+ * Protocol: each command is followed by a unique marker printed on stdout and
+ * stderr, and by "status\0cwd\0VAR=value\0...marker\0" on fd 3.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import { stopProcessGroup } from './executorBackends.js';
+import { redactOutput } from './secretRedactor.js';
+
+const IDLE_MS = (parseFloat(process.env.SHELL_SESSION_IDLE_MINUTES) || 30) * 60 * 1000;
+const MAX_BUFFER = 10 * 1024 * 1024;
+
+// Shell bookkeeping that is not worth showing as an environment change
+const IGNORED_VARIABLES = new Set(['PWD', 'OLDPWD', '_', 'SHLVL']);
+
+// Sessions by caller key
+const sessions = new Map();
+
+/**
+ * Session key for a caller
+ */
+function sessionKey(caller) {
+  if (!caller) return 'default';
+  if (caller.groupId) return `group:${caller.groupId}`;
+  return `${caller.channel || 'user'}:${caller.userId || 'anonymous'}`;
+}
+
+/**
+ * Get (or create) the caller's session for a backend
+ * A session started on another backend is closed first.
+ * @param {object} caller - { channel, userId, groupId }
+ * @param {object} backend - Executor backend implementing spawnShell()
+ * @param {string} cwd - Starting directory for a new session
+ */
+function getSession(caller, backend, cwd) {
+  const key = sessionKey(caller);
+  let session = sessions.get(key);
+
+  if (session && session.backend.name !== backend.name) {
+    closeSession(session);
+    session = null;
+  }
+
+  if (!session) {
+    session = {
+      key,
+      caller,
+      backend,
+      cwd: cwd || null,
+      env: null,
+      baseEnv: null,
+      child: null,
+      isolation: null,
+      current: null,
+      queue: Promise.resolve(),
+      startedAt: new Date().toISOString(),
+      lastUsed: Date.now()
+    };
+    sessions.set(key, session);
+  }
+
+  return session;
+}
+
+/**
+ * Keep the event loop alive only while a command runs, so an idle session
+ * never stops a script or test run from exiting
+ */
+function setRef(child, active) {
+  const method = active ? 'ref' : 'unref';
+  child[method]();
+  child.stdio.forEach(stream => stream?.[method]?.());
+}
+
+/**
+ * Start the session's shell if it is not running
+ */
+async function ensureShell(session) {
+  if (session.child) return;
+
+  // A tracked directory that was removed falls back to the backend default
+  const cwd = session.cwd && await fs.stat(session.cwd).then(s => s.isDirectory(), () => false) ? session.cwd : undefined;
+
+  const { child, cwd: startedIn, isolation } = await session.backend.spawnShell({
+    caller: session.caller,
+    cwd,
+    env: session.env
+  });
+
+  session.child = child;
+  session.isolation = isolation;
+  session.cwd = startedIn;
+
+  for (const stream of ['stdout', 'stderr']) {
+    child[stream].setEncoding('utf8');
+    child[stream].on('data', chunk => session.current?.onData(stream, chunk));
+  }
+  child.stdio[3].setEncoding('utf8');
+  child.stdio[3].on('data', chunk => session.current?.onState(chunk));
+  child.stdin.on('error', () => { /* the shell exited; handled on close */ });
+
+  setRef(child, false);
+
+  child.on('error', error => session.current?.onExit(null, error.message));
+  child.on('close', (code, signal) => {
+    if (session.child === child) session.child = null;
+    session.current?.onExit(code, signal ? `Shell killed by ${signal}` : null);
+  });
+
+  // Record the starting environment so later changes can be shown
+  if (!session.baseEnv) {
+    const result = await runCommand(session, ':', {});
+    session.baseEnv = session.env;
+    if (result.error) {
+      throw new Error(`Shell session failed to start: ${result.error}`);
+    }
+  }
+}
+
+/**
+ * Parse "status\0cwd\0VAR=value\0...marker\0" from fd 3
+ */
+function parseState(text, marker) {
+  const fields = text.split('\0');
+  const end = fields.indexOf(marker);
+  const env = {};
+  for (const entry of fields.slice(2, end)) {
+    const split = entry.indexOf('=');
+    if (split > 0) env[entry.substring(0, split)] = entry.substring(split + 1);
+  }
+  return { status: Number(fields[0]), cwd: fields[1], env };
+}
+
+/**
+ * Run one command in the session's shell
+ */
+function runCommand(session, command, { timeout = 30000, signal = null, onOutput = null }) {
+  return new Promise(resolve => {
+    const marker = `__LUMEN_${crypto.randomBytes(8).toString('hex')}__`;
+    const fence = `\n${marker}\n`;
+    const output = { stdout: '', stderr: '' };
+    const held = { stdout: '', stderr: '' };
+    const finished = { stdout: false, stderr: false };
+    let stateText = '';
+    let state = null;
+    let stopReason = null;
+    let cancelKill = () => {};
+
+    const emit = (stream, text) => {
+      if (!text) return;
+      if (output[stream].length < MAX_BUFFER) {
+        output[stream] += text.substring(0, MAX_BUFFER - output[stream].length);
+      }
+      if (onOutput) {
+        try {
+          onOutput(stream, text);
+        } catch (error) {
+          console.error('⚠️  Output listener failed:', error.message);
+        }
+      }
+    };
+
+    const finish = (exitCode, error) => {
+      clearTimeout(timer);
+      cancelKill();
+      signal?.removeEventListener('abort', onAbort);
+      session.current = null;
+      if (session.child) setRef(session.child, false);
+      resolve({
+        stdout: output.stdout.trim(),
+        stderr: output.stderr.trim(),
+        exitCode,
+        error,
+        cancelled: stopReason === 'cancelled',
+        cwd: session.cwd,
+        isolation: session.isolation
+      });
+    };
+
+    const maybeDone = () => {
+      if (!state || !finished.stdout || !finished.stderr) return;
+      session.cwd = state.cwd;
+      session.env = state.env;
+      finish(state.status, state.status === 0 ? null : `Command failed with exit code ${state.status}`);
+    };
+
+    session.current = {
+      // Output is held back until it cannot be the start of the marker
+      onData(stream, chunk) {
+        if (finished[stream]) return;
+        held[stream] += chunk;
+        const at = held[stream].indexOf(fence);
+        if (at !== -1) {
+          emit(stream, held[stream].substring(0, at));
+          held[stream] = '';
+          finished[stream] = true;
+          return maybeDone();
+        }
+        const keep = fence.length - 1;
+        emit(stream, held[stream].substring(0, held[stream].length - keep));
+        held[stream] = held[stream].substring(Math.max(0, held[stream].length - keep));
+      },
+
+      onState(chunk) {
+        stateText += chunk;
+        if (stateText.includes(`\0${marker}\0`)) {
+          state = parseState(stateText, marker);
+          maybeDone();
+        }
+      },
+
+      onExit(code, reason) {
+        emit('stdout', held.stdout);
+        emit('stderr', held.stderr);
+        if (stopReason === 'timeout') return finish(code ?? -1, `Timed out after ${timeout}ms`);
+        if (stopReason === 'cancelled') return finish(code ?? -1, 'Cancelled');
+        finish(code ?? -1, reason || `Shell session exited with code ${code}`);
+      }
+    };
+
+    const stop = (reason) => {
+      if (stopReason || !session.child) return;
+      stopReason = reason;
+      cancelKill = stopProcessGroup(session.child);
+    };
+
+    const timer = timeout ? setTimeout(() => stop('timeout'), timeout) : null;
+    const onAbort = () => stop('cancelled');
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    setRef(session.child, true);
+    session.child.stdin.write([
+      '{',
+      command,
+      '} </dev/null',
+      '__lumen_status=$?',
+      `printf '\\n%s\\n' '${marker}'`,
+      `printf '\\n%s\\n' '${marker}' >&2`,
+      `{ printf '%s\\0%s\\0' "$__lumen_status" "$PWD"; env -0; printf '%s\\0' '${marker}'; } >&3`,
+      ''
+    ].join('\n'));
+
+    if (signal?.aborted) onAbort();
+  });
+}
+
+/**
+ * Run a command in the caller's persistent shell session
+ * Resolves like an executor backend's run(): { stdout, stderr, exitCode, error, cancelled, cwd, isolation }
+ * @param {object} caller - { channel, userId, groupId }
+ * @param {object} backend - Executor backend implementing spawnShell()
+ * @param {string} command - Command line
+ * @param {object} options - { cwd (for a new session), timeout, signal, onOutput }
+ */
+export async function runInShellSession(caller, backend, command, options = {}) {
+  const session = getSession(caller, backend, options.cwd);
+
+  // One command at a time per session
+  const run = session.queue.then(async () => {
+    session.lastUsed = Date.now();
+
+    const refusal = backend.checkCommand?.(command, { caller, cwd: session.cwd });
+    if (refusal) {
+      return { stdout: '', stderr: '', exitCode: 126, error: refusal, cancelled: false, cwd: session.cwd, isolation: session.isolation };
+    }
+
+    try {
+      await ensureShell(session);
+    } catch (error) {
+      return { stdout: '', stderr: '', exitCode: -1, error: error.message, cancelled: false, cwd: session.cwd, isolation: session.isolation };
+    }
+    return runCommand(session, command, options);
+  });
+
+  session.queue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Close a session's shell
+ */
+function closeSession(session) {
+  sessions.delete(session.key);
+  if (session.child) {
+    stopProcessGroup(session.child);
+    session.child = null;
+  }
+}
+
+/**
+ * Close the caller's shell session (the next command starts a fresh one)
+ * @returns {boolean} Whether there was a session
+ */
+export function closeShellSession(caller) {
+  const session = sessions.get(sessionKey(caller));
+  if (!session) return false;
+  closeSession(session);
+  return true;
+}
+
+/**
+ * Close every shell session
+ */
+export function closeAllShellSessions() {
+  for (const session of Array.from(sessions.values())) {
+    closeSession(session);
+  }
+}
+
+/**
+ * Working directory and environment changes of the caller's session, or null
+ * @returns {object|null} { cwd, env: { NAME: value } (changed or added since start), unset: [NAME], backend, running }
+ */
+export function getShellSessionState(caller) {
+  const session = sessions.get(sessionKey(caller));
+  if (!session) return null;
+
+  const env = {};
+  const unset = [];
+  const base = session.baseEnv || {};
+  const current = session.env || {};
+  for (const [name, value] of Object.entries(current)) {
+    if (!IGNORED_VARIABLES.has(name) && base[name] !== value) env[name] = value;
+  }
+  for (const name of Object.keys(base)) {
+    if (!IGNORED_VARIABLES.has(name) && !(name in current)) unset.push(name);
+  }
+
+  return { cwd: session.cwd, env, unset, backend: session.backend.name, running: Boolean(session.child) };
+}
+
+/**
+ * Session state as text for the agent context, or '' without a session
+ * Variables often hold revealed secrets (export API_KEY=…), so each one is
+ * redacted with the caller's vault before it is shortened
+ */
+export function describeShellSession(caller) {
+  const state = getShellSessionState(caller);
+  if (!state) return '';
+
+  let text = `Working directory: ${redactOutput(state.cwd, caller).text}\n`;
+  const changes = Object.entries(state.env);
+  if (changes.length > 0) {
+    text += 'Environment changes:\n';
+    changes.forEach(([name, value]) => {
+      const line = redactOutput(`${name}=${value}`, caller).text;
+      text += `  ${line.length > 200 ? line.substring(0, 200) + '…' : line}\n`;
+    });
+  }
+  if (state.unset.length > 0) {
+    text += `Unset: ${state.unset.join(', ')}\n`;
+  }
+  return text;
+}
+
+/**
+ * List open sessions
+ */
+export function listShellSessions() {
+  return Array.from(sessions.values()).map(session => ({
+    key: session.key,
+    backend: session.backend.name,
+    cwd: session.cwd,
+    running: Boolean(session.child),
+    startedAt: session.startedAt,
+    lastUsed: new Date(session.lastUsed).toISOString()
+  }));
+}
+
+// Close idle sessions; unref'd so it never keeps the process alive
+setInterval(() => {
+  const now = Date.now();
+  for (const session of Array.from(sessions.values())) {
+    if (!session.current && now - session.lastUsed > IDLE_MS) {
+      console.log(`🧹 Closing idle shell session ${session.key}`);
+      closeSession(session);
+    }
+  }
+}, Math.min(IDLE_MS, 5 * 60 * 1000)).unref();
+
+export default {
+  runInShellSession,
+  closeShellSession,
+  closeAllShellSessions,
+  getShellSessionState,
+  describeShellSession,
+  listShellSessions
+};
@@ -0,0 +1,462 @@
+/**
+ * Storage Backends - Where memory, notes and group chats are kept
+ *
+ * Backends (STORAGE_BACKEND picks one, default file):
+ * - file: memory-<id>.json, notes-<id>.md and groupchat-<groupId>.json in the
+ *   working directory, each rewritten whole (temp file then rename). Group
+ *   chat writes hold groupchat-<groupId>.json.lock, so processes sharing a
+ *   chat file (Telegram bot and group CLI) take turns instead of overwriting
+ *   each other's messages
+ * - sqlite: one embedded database (STORAGE_SQLITE_FILE, default ./lumen.db,
+ *   through better-sqlite3) in WAL mode. Group messages are single-row
+ *   inserts in a transaction, so concurrent writers never lose messages, and
+ *   every group message and memory interaction is kept for searches after it
+ *   leaves the rolling window
+ *
+ * memorySystem and notesManager pass the request's scope from
+ * storageContext.getStorageScope(): { key, memoryFile, notesFile }. The file
+ * backend uses the files, the sqlite backend the key ("default" or the user id).
+ *
+ * Backends implement (all async):
+ *   loadMemory(scope) / saveMemory(scope, memory)        memory document or null
+ *   searchMemory(scope, filter)                          interactions, newest first
+ *   loadNotes(scope) / saveNotes(scope, content)         notes text or null
+ *   loadGroupChat(groupId, { window })                   chat with the last `window` messages, or null
+ *   appendGroupMessage(groupId, message, { window })     stores one message, returns it with its id
+ *   updateGroupChat(groupId, fields)                     merges top-level fields (globalSummary, lastUpdated)
+ *   clearGroupChat(groupId, chat)                        replaces the chat and drops its messages
+ *   searchGroupMessages(groupId, filter)                 messages, newest first
+ *   close()
+ * filter is { since, until, user, text, limit }. Custom backends are added
+ * with registerStorageBackend(). Existing files are copied into SQLite with
+ * `npm run storage -- import`.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { withFileLock } from './fileLock.js';
+
+const DEFAULT_SEARCH_LIMIT = 50;
+
+/**
+ * Get SQLite database path
+ */
+function getSqliteFile() {
+  return process.env.STORAGE_SQLITE_FILE || path.join(process.cwd(), 'lumen.db');
+}
+
+/**
+ * Get group chat file path (supports per-group files)
+ */
+function getGroupChatFile(groupId = 'default') {
+  return process.env.USER_GROUPCHAT_FILE || path.join(process.cwd(), `groupchat-${groupId}.json`);
+}
+
+/**
+ * Empty group chat document
+ */
+export function emptyGroupChat(groupId, globalSummary = 'New conversation started.') {
+  return {
+    groupId,
+    globalSummary,
+    messages: [],
+    totalMessages: 0,
+    lastUpdated: new Date().toISOString(),
+    participants: []
+  };
+}
+
+/**
+ * Parse a search filter's dates
+ * @returns {object} { since, until (ISO strings or null), user, text, limit }
+ */
+function readFilter({ since = null, until = null, user = null, text = null, limit = DEFAULT_SEARCH_LIMIT } = {}) {
+  const toIso = (value) => {
+    if (!value) return null;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) throw new Error(`Invalid date: ${value}`);
+    return date.toISOString();
+  };
+  return { since: toIso(since), until: toIso(until), user: user ? String(user) : null, text, limit: Number(limit) || DEFAULT_SEARCH_LIMIT };
+}
+
+/**
+ * Filter entries in memory (file backend), newest first
+ * @param {Array<object>} entries - Messages or interactions
+ * @param {object} filter - Parsed filter
+ * @param {Function} fieldsOf - entry => { ts, user, text }
+ */
+function filterEntries(entries, filter, fieldsOf) {
+  const needle = filter.text?.toLowerCase();
+  return entries
+    .filter(entry => {
+      const { ts, user, text } = fieldsOf(entry);
+      if (filter.since && ts < filter.since) return false;
+      if (filter.until && ts > filter.until) return false;
+      if (filter.user && String(user) !== filter.user) return false;
+      if (needle && !text.toLowerCase().includes(needle)) return false;
+      return true;
+    })
+    .reverse()
+    .slice(0, filter.limit);
+}
+
+/**
+ * Write a file atomically (temp file then rename)
+ */
+async function writeAtomic(file, content) {
+  const tempFile = file + '.tmp';
+  try {
+    await fs.writeFile(tempFile, content, 'utf-8');
+    await fs.rename(tempFile, file);
+  } catch (error) {
+    // Clean up temp file if it exists
+    await fs.unlink(tempFile).catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * Read a JSON file, or null when it is missing or invalid
+ */
+async function readJson(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * File backend: whole-document JSON and Markdown files
+ */
+export function createFileBackend() {
+  const loadGroupChat = async (groupId) => readJson(getGroupChatFile(groupId));
+  const saveGroupChat = (groupId, chat) => writeAtomic(getGroupChatFile(groupId), JSON.stringify(chat, null, 2));
+  // Read-modify-write of a chat file under its lock
+  const lockGroupChat = (groupId, fn) => withFileLock(getGroupChatFile(groupId), fn);
+
+  return {
+    name: 'file',
+
+    loadMemory: async (scope) => readJson(scope.memoryFile),
+
+    saveMemory: (scope, memory) => writeAtomic(scope.memoryFile, JSON.stringify(memory, null, 2)),
+
+    async searchMemory(scope, filter) {
+      const memory = await readJson(scope.memoryFile);
+      return filterEntries(memory?.interactions || [], readFilter(filter), interaction => ({
+        ts: interaction.ts,
+        user: scope.key,
+        text: JSON.stringify([interaction.userRequest, interaction.aiResponse])
+      }));
+    },
+
+    async loadNotes(scope) {
+      try {
+        return await fs.readFile(scope.notesFile, 'utf-8');
+      } catch {
+        return null;
+      }
+    },
+
+    saveNotes: (scope, content) => writeAtomic(scope.notesFile, content),
+
+    loadGroupChat,
+
+    appendGroupMessage: (groupId, message, { window = Infinity } = {}) => lockGroupChat(groupId, async () => {
+      const chat = await loadGroupChat(groupId) || emptyGroupChat(groupId);
+      const entry = { id: chat.totalMessages + 1, ...message };
+
+      chat.messages.push(entry);
+      chat.messages = chat.messages.slice(-window);
+      chat.totalMessages += 1;
+      chat.participants = Array.from(new Set([...(chat.participants || []), message.username || message.userId]));
+      chat.lastUpdated = entry.timestamp;
+
+      await saveGroupChat(groupId, chat);
+      return entry;
+    }),
+
+    updateGroupChat: (groupId, fields) => lockGroupChat(groupId, async () => {
+      const chat = await loadGroupChat(groupId) || emptyGroupChat(groupId);
+      await saveGroupChat(groupId, { ...chat, ...fields });
+    }),
+
+    clearGroupChat: (groupId, chat) => lockGroupChat(groupId, () => saveGroupChat(groupId, chat)),
+
+    async searchGroupMessages(groupId, filter) {
+      const chat = await loadGroupChat(groupId);
+      return filterEntries(chat?.messages || [], readFilter(filter), message => ({
+        ts: message.timestamp,
+        user: message.userId,
+        text: message.text || ''
+      }));
+    },
+
+    async close() {}
+  };
+}
+
+const SQLITE_SCHEMA = `
+  CREATE TABLE IF NOT EXISTS memory (
+    key TEXT PRIMARY KEY,
+    data TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS memory_interactions (
+    key TEXT NOT NULL,
+    id INTEGER NOT NULL,
+    ts TEXT NOT NULL,
+    data TEXT NOT NULL,
+    PRIMARY KEY (key, id, ts)
+  );
+  CREATE TABLE IF NOT EXISTS notes (
+    key TEXT PRIMARY KEY,
+    content TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS group_chats (
+    group_id TEXT PRIMARY KEY,
+    data TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS group_messages (
+    group_id TEXT NOT NULL,
+    id INTEGER NOT NULL,
+    timestamp TEXT NOT NULL,
+    user_id TEXT,
+    data TEXT NOT NULL,
+    PRIMARY KEY (group_id, id)
+  );
+  CREATE INDEX IF NOT EXISTS group_messages_time ON group_messages (group_id, timestamp);
+`;
+
+/**
+ * SQLite backend (better-sqlite3, loaded on first use)
+ * @param {object} options - { file } database path (STORAGE_SQLITE_FILE, then ./lumen.db)
+ */
+export function createSqliteBackend(options = {}) {
+  // Open databases by path, so tests and tools can point STORAGE_SQLITE_FILE elsewhere
+  const databases = new Map();
+
+  async function open() {
+    const file = options.file || getSqliteFile();
+    if (!databases.has(file)) {
+      const { default: Database } = await import('better-sqlite3');
+      const db = new Database(file);
+      db.pragma('journal_mode = WAL');
+      db.pragma('busy_timeout = 5000');
+      db.exec(SQLITE_SCHEMA);
+      databases.set(file, db);
+    }
+    return databases.get(file);
+  }
+
+  /**
+   * Group chat row as a document with its last `window` messages
+   */
+  function readGroupChat(db, groupId, window) {
+    const row = db.prepare('SELECT data FROM group_chats WHERE group_id = ?').get(groupId);
+    if (!row) return null;
+    const messages = db.prepare('SELECT data FROM group_messages WHERE group_id = ? ORDER BY id DESC LIMIT ?')
+      .all(groupId, window ?? -1)
+      .reverse()
+      .map(message => JSON.parse(message.data));
+    return { ...JSON.parse(row.data), messages };
+  }
+
+  function writeGroupChat(db, groupId, chat) {
+    const { messages, ...data } = chat;
+    db.prepare('INSERT INTO group_chats (group_id, data) VALUES (?, ?) ON CONFLICT (group_id) DO UPDATE SET data = excluded.data')
+      .run(groupId, JSON.stringify(data));
+  }
+
+  function insertGroupMessage(db, groupId, entry) {
+    db.prepare('INSERT OR REPLACE INTO group_messages (group_id, id, timestamp, user_id, data) VALUES (?, ?, ?, ?, ?)')
+      .run(groupId, entry.id, entry.timestamp, entry.userId == null ? null : String(entry.userId), JSON.stringify(entry));
+  }
+
+  return {
+    name: 'sqlite',
+
+    async loadMemory(scope) {
+      const db = await open();
+      const row = db.prepare('SELECT data FROM memory WHERE key = ?').get(scope.key);
+      return row ? JSON.parse(row.data) : null;
+    },
+
+    async saveMemory(scope, memory) {
+      const db = await open();
+      const now = new Date().toISOString();
+      db.transaction(() => {
+        db.prepare('INSERT INTO memory (key, data, updated_at) VALUES (?, ?, ?) ON CONFLICT (key) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at')
+          .run(scope.key, JSON.stringify(memory), now);
+        // Interactions stay searchable after they leave the rolling window
+        const insert = db.prepare('INSERT OR IGNORE INTO memory_interactions (key, id, ts, data) VALUES (?, ?, ?, ?)');
+        for (const interaction of memory.interactions) {
+          insert.run(scope.key, interaction.id, interaction.ts, JSON.stringify(interaction));
+        }
+      })();
+    },
+
+    async searchMemory(scope, filter) {
+      const db = await open();
+      const { since, until, text, limit } = readFilter(filter);
+      return db.prepare(`
+        SELECT data FROM memory_interactions
+        WHERE key = ? AND (? IS NULL OR ts >= ?) AND (? IS NULL OR ts <= ?) AND (? IS NULL OR instr(lower(data), lower(?)) > 0)
+        ORDER BY ts DESC LIMIT ?
+      `).all(scope.key, since, since, until, until, text, text, limit).map(row => JSON.parse(row.data));
+    },
+
+    async loadNotes(scope) {
+      const db = await open();
+      return db.prepare('SELECT content FROM notes WHERE key = ?').get(scope.key)?.content ?? null;
+    },
+
+    async saveNotes(scope, content) {
+      const db = await open();
+      db.prepare('INSERT INTO notes (key, content, updated_at) VALUES (?, ?, ?) ON CONFLICT (key) DO UPDATE SET content = excluded.content, updated_at = excluded.updated_at')
+        .run(scope.key, content, new Date().toISOString());
+    },
+
+    async loadGroupChat(groupId, { window } = {}) {
+      return readGroupChat(await open(), groupId, window);
+    },
+
+    async appendGroupMessage(groupId, message) {
+      const db = await open();
+      // The id and totals are read and written in one transaction
+      return db.transaction(() => {
+        const chat = readGroupChat(db, groupId, 0) || emptyGroupChat(groupId);
+        const entry = { id: chat.totalMessages + 1, ...message };
+        insertGroupMessage(db, groupId, entry);
+        writeGroupChat(db, groupId, {
+          ...chat,
+          totalMessages: entry.id,
+          participants: Array.from(new Set([...chat.participants, message.username || message.userId])),
+          lastUpdated: entry.timestamp
+        });
+        return entry;
+      })();
+    },
+
+    async updateGroupChat(groupId, fields) {
+      const db = await open();
+      db.transaction(() => {
+        const chat = readGroupChat(db, groupId, 0) || emptyGroupChat(groupId);
+        writeGroupChat(db, groupId, { ...chat, ...fields });
+      })();
+    },
+
+    async clearGroupChat(groupId, chat) {
+      const db = await open();
+      db.transaction(() => {
+        db.prepare('DELETE FROM group_messages WHERE group_id = ?').run(groupId);
+        writeGroupChat(db, groupId, chat);
+        chat.messages.forEach(message => insertGroupMessage(db, groupId, message));
+      })();
+    },
+
+    async searchGroupMessages(groupId, filter) {
+      const db = await open();
+      const { since, until, user, text, limit } = readFilter(filter);
+      return db.prepare(`
+        SELECT data FROM group_messages
+        WHERE group_id = ? AND (? IS NULL OR timestamp >= ?) AND (? IS NULL OR timestamp <= ?)
+          AND (? IS NULL OR user_id = ?) AND (? IS NULL OR instr(lower(json_extract(data, '$.text')), lower(?)) > 0)
+        ORDER BY id DESC LIMIT ?
+      `).all(groupId, since, since, until, until, user, user, text, text, limit).map(row => JSON.parse(row.data));
+    },
+
+    async close() {
+      for (const db of databases.values()) db.close();
+      databases.clear();
+    }
+  };
+}
+
+const backendFactories = {
+  file: createFileBackend,
+  sqlite: createSqliteBackend
+};
+
+// Backend instances by name
+const backendInstances = new Map();
+
+/**
+ * Add (or replace) a storage backend
+ * @param {string} name - Name used in STORAGE_BACKEND
+ * @param {object} backend - Object implementing the methods listed above
+ */
+export function registerStorageBackend(name, backend) {
+  backendInstances.set(name, { name, ...backend });
+}
+
+/**
+ * Storage backend selected by STORAGE_BACKEND (default file)
+ */
+export function getStorageBackend(name = process.env.STORAGE_BACKEND || 'file') {
+  if (!backendInstances.has(name)) {
+    if (!backendFactories[name]) {
+      throw new Error(`Unknown storage backend "${name}" (${Object.keys(backendFactories).join(', ')})`);
+    }
+    backendInstances.set(name, backendFactories[name]());
+  }
+  return backendInstances.get(name);
+}
+
+/**
+ * Close every backend and forget registered ones (tests)
+ */
+export async function resetStorageBackends() {
+  for (const backend of backendInstances.values()) {
+    await backend.close?.();
+  }
+  backendInstances.clear();
+}
+
+/**
+ * Copy memory, notes and group chat files from a directory into another backend
+ * memory.json / notes.md go to the "default" key, memory-<id>.json / notes-<id>.md to <id>.
+ * @param {object} target - Backend to copy into (usually the sqlite one)
+ * @param {string} dir - Directory holding the files (working directory by default)
+ * @returns {Promise<object>} { memory, notes, groupChats } counts
+ */
+export async function importFileStorage(target, dir = process.cwd()) {
+  const counts = { memory: 0, notes: 0, groupChats: 0 };
+
+  for (const name of await fs.readdir(dir)) {
+    const file = path.join(dir, name);
+    const memory = name.match(/^memory(?:-(.+))?\.json$/);
+    const notes = name.match(/^notes(?:-(.+))?\.md$/);
+    const group = name.match(/^groupchat-(.+)\.json$/);
+
+    if (memory) {
+      const data = await readJson(file);
+      if (!data) continue;
+      await target.saveMemory({ key: memory[1] || 'default' }, data);
+      counts.memory++;
+    } else if (notes) {
+      await target.saveNotes({ key: notes[1] || 'default' }, await fs.readFile(file, 'utf-8'));
+      counts.notes++;
+    } else if (group) {
+      const data = await readJson(file);
+      if (!data) continue;
+      await target.clearGroupChat(group[1], { ...emptyGroupChat(group[1]), ...data, participants: Array.from(data.participants || []) });
+      counts.groupChats++;
+    }
+  }
+
+  return counts;
+}
+
+export default {
+  createFileBackend,
+  createSqliteBackend,
+  registerStorageBackend,
+  getStorageBackend,
+  resetStorageBackends,
+  importFileStorage,
+  emptyGroupChat
+};
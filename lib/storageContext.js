@@ -0,0 +1,130 @@
+/**
+ * Storage Context - Which memory and notes files a request works on
+ *
+ * Web and Telegram users each have their own memory-<userId>.json and
+ * notes-<userId>.md. The files are picked per request with an
+ * AsyncLocalStorage context rather than by switching process.env, so requests
+ * of different users that run at the same time never read or write each
+ * other's files:
+ *
+ *   await runWithStorage(userStorage(userId), () => getMemoryStats());
+ *   await orchestrate(query, { storage: userStorage(userId), ... });
+ *
+ * The per-user files live in USER_STORAGE_DIR (default: the working directory).
+ *
+ * Everything awaited inside the context (memorySystem, notesManager, agent
+ * tools) sees the same files. Outside a context USER_MEMORY_FILE and
+ * USER_NOTES_FILE apply (fixed configuration, never changed at runtime), then
+ * ./memory.json and ./notes.md.
+ *
+ * A context also has a key (the user id, "default" outside a context) that
+ * names the user's rows in storage backends without files (storageBackends.js),
+ * and the caller of the request ({ channel, userId, groupId }), whose secret
+ * vault stores secrets written to the notes (orchestrate() sets it).
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import path from 'path';
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Create a storage context
+ * @param {object} options - { key, memoryFile, notesFile, caller } (null keeps the default)
+ * @returns {object} { key, memoryFile, notesFile, caller }
+ */
+export function createStorageContext({ key = null, memoryFile = null, notesFile = null, caller = null } = {}) {
+  return Object.freeze({ key: key === null ? null : String(key), memoryFile, notesFile, caller });
+}
+
+/**
+ * Same storage context for another caller
+ * @param {object} context - Storage context, or null for the default files
+ * @param {object} caller - { channel, userId, groupId }
+ */
+export function withStorageCaller(context, caller) {
+  return createStorageContext({ ...context, caller });
+}
+
+/**
+ * Directory of the per-user memory and notes files
+ */
+export function getUserStorageDir() {
+  return process.env.USER_STORAGE_DIR || process.cwd();
+}
+
+/**
+ * Storage context of one user: memory-<userId>.json and notes-<userId>.md in USER_STORAGE_DIR
+ * @param {string|number} userId - Web or Telegram user id
+ */
+export function userStorage(userId) {
+  const dir = getUserStorageDir();
+  return createStorageContext({
+    key: userId,
+    memoryFile: path.join(dir, `memory-${userId}.json`),
+    notesFile: path.join(dir, `notes-${userId}.md`)
+  });
+}
+
+/**
+ * Run a function with a storage context
+ * @param {object} context - From createStorageContext() or userStorage(); null runs fn as is
+ * @param {Function} fn - Sync or async function
+ * @returns {*} What fn returns
+ */
+export function runWithStorage(context, fn) {
+  return context ? storage.run(context, fn) : fn();
+}
+
+/**
+ * Storage context of the running request, or null
+ */
+export function getStorageContext() {
+  return storage.getStore() || null;
+}
+
+/**
+ * Caller of the running request, or null
+ */
+export function getStorageCaller() {
+  return getStorageContext()?.caller || null;
+}
+
+/**
+ * Memory file of the running request
+ */
+export function getMemoryFile() {
+  return getStorageContext()?.memoryFile || process.env.USER_MEMORY_FILE || path.join(process.cwd(), 'memory.json');
+}
+
+/**
+ * Notes file of the running request
+ */
+export function getNotesFile() {
+  return getStorageContext()?.notesFile || process.env.USER_NOTES_FILE || path.join(process.cwd(), 'notes.md');
+}
+
+/**
+ * Scope handed to storage backends for the running request
+ * @returns {object} { key, memoryFile, notesFile }
+ */
+export function getStorageScope() {
+  return {
+    key: getStorageContext()?.key || 'default',
+    memoryFile: getMemoryFile(),
+    notesFile: getNotesFile()
+  };
+}
+
+export default {
+  createStorageContext,
+  withStorageCaller,
+  getUserStorageDir,
+  userStorage,
+  runWithStorage,
+  getStorageContext,
+  getStorageScope,
+  getStorageCaller,
+  getMemoryFile,
+  getNotesFile
+};
@@ -1,9 +1,18 @@
-import { exec } from 'child_process';
-import { promisify } from 'util';
 import { createInterface } from 'readline';
-import { logCommand } from './auditLogger.js';
+import { logCommand, readApproval } from './auditLogger.js';
+import { evaluateCommand, checkCommandSafety, describeParsedCommands } from './policyEngine.js';
+import { getExecutorBackend } from './executorBackends.js';
+import { runInShellSession } from './shellSessions.js';
+import { applyHostAliases, describeRemoteTargets } from './hostRegistry.js';
+import { needsArtifact, saveOutputArtifact, excerptCommandOutput } from './outputArtifacts.js';
+import { revealSecrets, redactOutput, findUnknownPlaceholders } from './secretRedactor.js';
 
-const execPromise = promisify(exec);
+// Commands currently running, by id, so they can be listed and cancelled
+const runningCommands = new Map();
+let nextCommandId = 1;
+
+// Streamed output without a newline is redacted and sent once it is this long
+const STREAM_HOLD_CHARS = 4096;
 
 /**
  * Terminal Executor - Executes commands generated by agents with safety gates
@@ -11,35 +20,46 @@ const execPromise = promisify(exec);
  * Features:
  * - Permission-based execution (auto-approve vs manual)
  * - Dry-run mode for testing
- * - Command sanitization and blacklisting
+ * - Policy engine evaluation (policyEngine.js) drives approvals and blocks
+ * - Pluggable executor backends (executorBackends.js): host or restricted sandbox
+ * - Persistent per-caller shell sessions (shellSessions.js) that keep cwd and env
  * - Timeout protection
- * - Audit trail integration
+ * - Streaming stdout/stderr (config.onOutput) and cancellation
+ *   (cancelCommands) that kill the command's whole process group
+ * - ssh/scp/sftp/rsync to hosts from the inventory (hostRegistry.js) by alias;
+ *   the target hosts are recorded in result.remote
+ * - Long output saved as an artifact (outputArtifacts.js); results carry a
+ *   head/tail excerpt and result.artifact
+ * - Secret placeholders ({{PASSWORD_1}}) are replaced with the caller's real
+ *   values (secretRedactor.js) only in the command line handed to the backend;
+ *   results, logs and audit entries keep the placeholders
+ * - Output is redacted with the caller's vault before it is streamed, saved
+ *   as an artifact or returned (cat .env, printenv); result.redactions counts
+ *   the secrets replaced
+ * - Audit trail integration: every entry names the caller and, once a
+ *   decision was made, who approved or denied the command (result.approval)
  */
 
-// Dangerous command patterns to block
-const DANGEROUS_PATTERNS = [
-  /rm\s+-rf\s+\/($|\s)/,  // rm -rf /
-  /:\(\)\{.*:\|:.*\}/,     // Fork bombs
-  /\/dev\/sda/,            // Direct disk writes
-  /mkfs/,                  // Format commands
-  /dd\s+if=/,              // dd operations
-  /\/etc\/passwd/,         // Password file modification
-  /curl.*\|.*bash/,        // Pipe to bash
-  /wget.*\|.*sh/,          // Pipe to shell
-];
-
 /**
  * Executes terminal commands generated by agents
  * @param {object} agentResponse - Response from terminalAgent or baseAgentExtended
  * @param {string} agentResponse.command - The terminal command to execute
  * @param {string} agentResponse.commandReasoning - Why this command was chosen
- * @param {boolean} agentResponse.requiresApproval - Whether agent thinks approval is needed
+ * @param {boolean} agentResponse.requiresApproval - Agent asks for approval on top of the policy
  * @param {object} config - Execution configuration
  * @param {boolean} config.autoApprove - Skip manual approval (for CI/CD)
  * @param {boolean} config.dryRun - Don't actually execute, just validate
- * @param {string} config.cwd - Working directory (defaults to project root)
+ * @param {string} config.cwd - Working directory (defaults to project root, or the jail for restricted backends)
  * @param {number} config.timeout - Max execution time in ms
- * @param {object} config.policyReport - Safety policy evaluation report (optional)
+ * @param {object} config.policyReport - Policy report from policyEngine.evaluateCommand (evaluated here when omitted)
+ * @param {string} config.environment - Policy environment used when evaluating here
+ * @param {boolean} config.allowDangerous - Run commands the policy blocks
+ * @param {object} config.caller - { channel, userId, groupId, chatId, username, sessionId } who asked; picks the executor backend and is audited
+ * @param {object} config.approval - Decision made before calling, from auditLogger.readApproval() (audited with the approver)
+ * @param {string|object} config.backend - Executor backend name or instance (overrides selection)
+ * @param {Function} config.onOutput - Called with (stream, chunk) as stdout/stderr arrive (redacted, whole lines)
+ * @param {AbortSignal} config.signal - Aborting it cancels the command
+ * @param {boolean} config.session - Run in the caller's persistent shell session (cwd and env carry over)
  * @returns {Promise<object>} Execution result with status, stdout, stderr
  */
 export async function executeAgentCommand(agentResponse, config = {}) {
@@ -47,62 +67,93 @@ export async function executeAgentCommand(agentResponse, config = {}) {
     command,
     commandReasoning = 'No reasoning provided',
     reasoning = commandReasoning, // Handle both field names
-    requiresApproval = true
+    requiresApproval = false
   } = agentResponse;
 
   const {
     autoApprove = false,
     dryRun = false,
-    cwd = process.cwd(),
+    cwd = undefined,
     timeout = 30000,
     allowDangerous = false,
-    policyReport = null // Safety policy report from policyEngine
+    environment = undefined,
+    caller = null
   } = config;
+  let { policyReport = null, approval = null } = config;
+
+  // Audit entries name the caller and, once decided, the approval
+  const audit = (entry) => logCommand(entry, { caller, approval });
 
   // Validate command exists
   if (!command || command.trim() === '') {
     const error = { status: 'error', message: 'No command provided for execution.' };
-    await logCommand({ command: '', ...error, reasoning });
+    await audit({ command: '', ...error, reasoning });
     return error;
   }
 
   const trimmedCommand = command.trim();
 
+  // Placeholders must resolve in the caller's vault (it is lost on restart)
+  const unknownSecrets = findUnknownPlaceholders(trimmedCommand, caller);
+  if (unknownSecrets.length > 0) {
+    const error = {
+      status: 'error',
+      message: `Unknown secret placeholder ${unknownSecrets.join(', ')}: the secret is no longer known in this session, send it again`,
+      command: trimmedCommand,
+      reasoning
+    };
+    console.error(`🔐 ${error.message}`);
+    await audit(error);
+    return error;
+  }
+
+  if (!policyReport) {
+    policyReport = await evaluateCommand(trimmedCommand, { environment });
+  }
+
+  // Parsed sub-commands, recorded with every audit entry
+  const parsed = describeParsedCommands(policyReport);
+
+  // Remote hosts the command reaches, recorded apart from the command text
+  const remote = describeRemoteTargets(policyReport);
+
+  const backend = await getExecutorBackend({ backend: config.backend, caller, policyReport });
+
   console.log('\n🤖 [Lumen Terminal Executor]');
   console.log(`📝 Reasoning: ${reasoning}`);
   console.log(`💻 Command: ${trimmedCommand}`);
-  console.log(`📂 Working Directory: ${cwd}`);
+  console.log(`📂 Working Directory: ${cwd || (backend.name === 'host' ? process.cwd() : `${backend.name} default`)}`);
+  console.log(`🧱 Executor: ${backend.name}`);
+  remote.forEach(target => console.log(`🌐 Remote: ${target.program} ${target.host || target.address}${target.environment ? ` (${target.environment})` : ''}`));
   
-  // Display policy report if provided
-  if (policyReport) {
-    console.log(`🛡️  Policy: ${policyReport.policy.name} (${policyReport.policy.environment})`);
-    console.log(`   Security Level: ${policyReport.securityLevel}`);
-    
-    if (policyReport.reasoning.length > 0) {
-      console.log(`   Security Thoughts:`);
-      policyReport.reasoning.slice(0, 3).forEach(r => console.log(`     • ${r}`));
-    }
-    
-    if (policyReport.warnings.length > 0) {
-      console.log(`   ⚠️  Warnings:`);
-      policyReport.warnings.forEach(w => console.log(`     • ${w}`));
-    }
+  // Display policy report
+  console.log(`🛡️  Policy: ${policyReport.policy.name} (${policyReport.policy.environment})`);
+  console.log(`   Security Level: ${policyReport.securityLevel}`);
+
+  if (policyReport.reasoning.length > 0) {
+    console.log(`   Security Thoughts:`);
+    policyReport.reasoning.slice(0, 3).forEach(r => console.log(`     • ${r}`));
   }
 
-  // Safety check: Detect dangerous patterns (legacy check - policy engine is primary)
-  if (!allowDangerous && !policyReport) {
-    const dangerCheck = checkCommandSafety(trimmedCommand);
-    if (!dangerCheck.safe) {
-      const error = {
-        status: 'blocked',
-        message: `Command blocked for safety: ${dangerCheck.reason}`,
-        command: trimmedCommand,
-        reasoning
-      };
-      console.error(`🚫 ${error.message}`);
-      await logCommand(error);
-      return error;
-    }
+  if (policyReport.warnings.length > 0) {
+    console.log(`   ⚠️  Warnings:`);
+    policyReport.warnings.forEach(w => console.log(`     • ${w}`));
+  }
+
+  // Policy block
+  if (policyReport.blocked && !allowDangerous) {
+    const error = {
+      status: 'blocked',
+      message: `Command blocked by policy ${policyReport.policy.name} (${policyReport.policy.environment}): ${policyReport.warnings.concat(policyReport.reasoning).join('; ')}`,
+      command: trimmedCommand,
+      reasoning,
+      policyReport,
+      parsed,
+      remote
+    };
+    console.error(`🚫 ${error.message}`);
+    await audit(error);
+    return error;
   }
 
   // Dry run mode
@@ -112,136 +163,277 @@ export async function executeAgentCommand(agentResponse, config = {}) {
       status: 'dry-run',
       command: trimmedCommand,
       reasoning,
-      message: 'Command validated but not executed (dry run mode)'
+      message: 'Command validated but not executed (dry run mode)',
+      parsed,
+      remote
     };
-    await logCommand(result);
+    await audit(result);
     return result;
   }
 
-  // Permission gate: autoApprove overrides requiresApproval
-  const needsManualApproval = autoApprove ? false : (policyReport ? policyReport.requiresApproval : requiresApproval);
+  // Permission gate: the policy (or the agent) asks for approval; autoApprove means the caller already asked
+  const needsManualApproval = autoApprove ? false : (policyReport.requiresApproval || requiresApproval);
 
   if (needsManualApproval) {
     console.log('⚠️  Manual approval required');
     
     // Show policy reasoning if available
-    if (policyReport && policyReport.reasoning.length > 0) {
+    if (policyReport.reasoning.length > 0) {
       console.log('   Policy says:');
       policyReport.reasoning.forEach(r => console.log(`     ${r}`));
     }
     
-    const approved = await promptUserForApproval(trimmedCommand);
+    approval = readApproval(await promptUserForApproval(trimmedCommand));
     
-    if (!approved) {
+    if (!approval.approved) {
       const result = {
         status: 'denied',
         message: 'Execution halted by user',
         command: trimmedCommand,
         reasoning,
-        policyReport
+        policyReport,
+        parsed,
+        remote,
+        approval
       };
       console.log('❌ User denied execution');
-      await logCommand(result);
+      await audit(result);
       return result;
     }
     console.log('✅ User approved execution');
+  } else if (approval) {
+    console.log(`✅ Approved before execution${approval.approver ? ` by ${approval.approver.channel}:${approval.approver.userId}` : ''}`);
   } else {
-    const approvalReason = policyReport 
-      ? `Policy auto-approved (${policyReport.securityLevel})`
-      : 'Legacy auto-approve (autoApprove=true, requiresApproval=false)';
+    const approvalReason = autoApprove
+      ? 'Auto-approved (autoApprove=true)'
+      : `Policy auto-approved (${policyReport.securityLevel})`;
     console.log(`⚡ ${approvalReason}`);
+    approval = readApproval({ approved: true, reason: approvalReason });
   }
 
   // Execute the command
+  const id = `cmd-${nextCommandId++}`;
+  const controller = new AbortController();
+  const forwardAbort = () => controller.abort();
+  config.signal?.addEventListener('abort', forwardAbort, { once: true });
+  if (config.signal?.aborted) controller.abort();
+  runningCommands.set(id, { id, command: trimmedCommand, caller, backend: backend.name, startedAt: new Date().toISOString(), controller });
+
+  console.log(`🚀 Executing command ${id} (${backend.name})...`);
+  const startTime = Date.now();
+
+  const stream = redactStreamedOutput(config.onOutput, caller);
+  let outcome;
   try {
-    console.log('🚀 Executing command...');
-    const startTime = Date.now();
-    
-    const { stdout, stderr } = await execPromise(trimmedCommand, {
-      cwd,
-      timeout,
-      shell: '/bin/sh'
-    });
+    // Host aliases from the inventory resolve through the generated ssh_config;
+    // secrets are put in last so nothing else ever sees them
+    const commandLine = revealSecrets(await applyHostAliases(trimmedCommand, policyReport), caller);
+    const runOptions = { cwd, timeout, caller, signal: controller.signal, onOutput: stream.listener };
+    // Backends without spawnShell() run every command in a fresh shell
+    outcome = config.session && backend.spawnShell
+      ? await runInShellSession(caller, backend, commandLine, runOptions)
+      : await backend.run(commandLine, runOptions);
+  } finally {
+    stream.flush();
+    runningCommands.delete(id);
+    config.signal?.removeEventListener('abort', forwardAbort);
+  }
+  const executionTime = Date.now() - startTime;
+
+  // Secrets the command printed get placeholders before anything else sees the output
+  const stdout = redactOutput(outcome.stdout, caller);
+  const stderr = redactOutput(outcome.stderr, caller);
+  const failure = redactOutput(outcome.error, caller);
+  Object.assign(outcome, { stdout: stdout.text, stderr: stderr.text, error: failure.text });
+  const redactions = stdout.redactions + stderr.redactions + failure.redactions;
+  if (redactions > 0) {
+    console.log(`🔒 Redacted ${redactions} secret(s) from the output`);
+  }
 
-    const executionTime = Date.now() - startTime;
+  const executor = { backend: backend.name, isolation: outcome.isolation || null, session: Boolean(config.session && backend.spawnShell) };
 
+  // Long output is kept in full as an artifact; results carry an excerpt
+  let artifact = null;
+  if (needsArtifact(outcome.stdout, outcome.stderr)) {
+    try {
+      artifact = await saveOutputArtifact({ command: trimmedCommand, stdout: outcome.stdout, stderr: outcome.stderr, exitCode: outcome.exitCode, caller });
+    } catch (error) {
+      console.error('⚠️  Could not save output artifact:', error.message);
+    }
+    Object.assign(outcome, excerptCommandOutput(outcome, artifact?.id));
+  }
+
+  if (outcome.cancelled) {
     const result = {
-      status: 'success',
+      status: 'cancelled',
       command: trimmedCommand,
       reasoning,
-      stdout: stdout.trim(),
-      stderr: stderr.trim(),
+      exitCode: outcome.exitCode,
+      message: `Command cancelled after ${executionTime}ms`,
+      stdout: outcome.stdout,
+      stderr: outcome.stderr,
       executionTimeMs: executionTime,
-      cwd,
-      policyReport: policyReport ? {
-        securityLevel: policyReport.securityLevel,
-        policy: policyReport.policy.name,
-        warnings: policyReport.warnings
-      } : null
+      cwd: outcome.cwd,
+      executor,
+      artifact,
+      redactions,
+      parsed,
+      remote,
+      approval
     };
 
-    console.log(`✅ Command executed successfully (${executionTime}ms)`);
-    if (stdout.trim()) {
-      console.log('\n📤 Output:');
-      console.log(stdout.trim());
-    }
-    if (stderr.trim()) {
-      console.log('\n⚠️  Stderr:');
-      console.log(stderr.trim());
-    }
-
-    await logCommand(result);
+    console.log(`🛑 ${result.message}`);
+    await audit(result);
     return result;
+  }
 
-  } catch (error) {
+  if (outcome.error) {
     const result = {
       status: 'error',
       command: trimmedCommand,
       reasoning,
-      exitCode: error.code || -1,
-      message: error.message,
-      stderr: error.stderr?.trim() || '',
-      stdout: error.stdout?.trim() || '',
-      cwd
+      exitCode: outcome.exitCode,
+      message: outcome.error,
+      stderr: outcome.stderr,
+      stdout: outcome.stdout,
+      cwd: outcome.cwd,
+      executor,
+      artifact,
+      redactions,
+      parsed,
+      remote,
+      approval
     };
 
-    console.error(`❌ Execution failed: ${error.message}`);
-    if (error.stderr) {
-      console.error('Error output:', error.stderr.trim());
+    console.error(`❌ Execution failed: ${outcome.error}`);
+    if (outcome.stderr) {
+      console.error('Error output:', outcome.stderr);
     }
 
-    await logCommand(result);
+    await audit(result);
     return result;
   }
+
+  const result = {
+    status: 'success',
+    command: trimmedCommand,
+    reasoning,
+    stdout: outcome.stdout,
+    stderr: outcome.stderr,
+    executionTimeMs: executionTime,
+    cwd: outcome.cwd,
+    executor,
+    artifact,
+    redactions,
+    parsed,
+    remote,
+    approval,
+    policyReport: {
+      securityLevel: policyReport.securityLevel,
+      policy: policyReport.policy.name,
+      warnings: policyReport.warnings
+    }
+  };
+
+  console.log(`✅ Command executed successfully (${executionTime}ms)`);
+  if (outcome.stdout) {
+    console.log('\n📤 Output:');
+    console.log(outcome.stdout);
+  }
+  if (outcome.stderr) {
+    console.log('\n⚠️  Stderr:');
+    console.log(outcome.stderr);
+  }
+
+  await audit(result);
+  return result;
 }
 
 /**
- * Check if a command contains dangerous patterns
- * @param {string} command - Command to check
- * @returns {object} Safety check result
+ * Wrap an output listener so streamed chunks are redacted with the caller's vault
+ * Chunks are sent line by line, so a secret split across chunks is still found.
+ * @param {Function} onOutput - (stream, chunk) listener, or null
+ * @param {object} caller - { channel, userId, groupId }
+ * @returns {object} { listener (null without onOutput), flush() sends held-back text }
  */
-function checkCommandSafety(command) {
-  for (const pattern of DANGEROUS_PATTERNS) {
-    if (pattern.test(command)) {
-      return {
-        safe: false,
-        reason: `Matches dangerous pattern: ${pattern.source}`
-      };
+function redactStreamedOutput(onOutput, caller) {
+  if (!onOutput) return { listener: null, flush() {} };
+
+  const held = { stdout: '', stderr: '' };
+  const send = (stream, text) => {
+    if (text) onOutput(stream, redactOutput(text, caller).text);
+  };
+
+  return {
+    listener(stream, chunk) {
+      held[stream] += chunk;
+      const end = held[stream].length > STREAM_HOLD_CHARS ? held[stream].length : held[stream].lastIndexOf('\n') + 1;
+      send(stream, held[stream].substring(0, end));
+      held[stream] = held[stream].substring(end);
+    },
+    flush() {
+      for (const stream of Object.keys(held)) {
+        send(stream, held[stream]);
+        held[stream] = '';
+      }
     }
-  }
+  };
+}
+
+// Kept for callers that only need the legacy pattern check
+export { checkCommandSafety };
+
+/**
+ * Whether a running command belongs to a caller
+ * A { groupId } filter matches every command run for that group.
+ */
+function matchesCaller(running, caller) {
+  if (!caller) return true;
+  if (!running.caller) return false;
+  if (caller.groupId) return running.caller.groupId === caller.groupId;
+  return running.caller.channel === caller.channel && String(running.caller.userId) === String(caller.userId);
+}
+
+/**
+ * List running commands
+ * @param {object} caller - Only commands run for this { channel, userId } or { groupId } (all when null)
+ * @returns {Array<object>} { id, command, caller, backend, startedAt }
+ */
+export function listRunningCommands(caller = null) {
+  return Array.from(runningCommands.values())
+    .filter(running => matchesCaller(running, caller))
+    .map(({ controller, ...info }) => info);
+}
 
-  return { safe: true };
+/**
+ * Cancel running commands; each one's process group is killed
+ * @param {object} caller - Only commands run for this caller (all when null)
+ * @param {string} id - Only the command with this id
+ * @returns {Array<object>} The cancelled commands
+ */
+export function cancelCommands(caller = null, id = null) {
+  const cancelled = [];
+  for (const running of runningCommands.values()) {
+    if ((id && running.id !== id) || !matchesCaller(running, caller)) continue;
+    running.controller.abort();
+    const { controller, ...info } = running;
+    cancelled.push(info);
+  }
+  if (cancelled.length > 0) {
+    console.log(`🛑 Cancelling ${cancelled.map(c => c.id).join(', ')}`);
+  }
+  return cancelled;
 }
 
 /**
  * Prompt user for command approval (CLI-based)
  * @param {string} command - Command requiring approval
- * @returns {Promise<boolean>} Whether user approved
+ * @returns {Promise<object>} { approved, approver, reason } for readApproval()
  */
 async function promptUserForApproval(command) {
   // In CI/automated environments, check for ENV var override
   if (process.env.LUMEN_AUTO_APPROVE === 'true') {
-    return true;
+    return { approved: true, reason: 'LUMEN_AUTO_APPROVE=true' };
   }
 
   const rl = createInterface({
@@ -253,7 +445,10 @@ async function promptUserForApproval(command) {
     rl.question(`\n❓ Execute this command? (y/n): ${command}\n> `, (answer) => {
       rl.close();
       const normalized = answer.trim().toLowerCase();
-      resolve(normalized === 'y' || normalized === 'yes');
+      resolve({
+        approved: normalized === 'y' || normalized === 'yes',
+        approver: { channel: 'cli', userId: process.env.USER || 'cli' }
+      });
     });
   });
 }
@@ -285,6 +480,12 @@ export async function executeCommandSequence(agentResponses, config = {}) {
       console.log('⛔ Stopping sequence due to user denial');
       break;
     }
+
+    // Stop if the user cancels
+    if (result.status === 'cancelled') {
+      console.log('🛑 Stopping sequence due to cancellation');
+      break;
+    }
   }
   
   return results;
@@ -299,7 +500,7 @@ export const executeWithPermission = executeAgentCommand;
  * Simple command executor wrapper for orchestrator
  * @param {string} command - Command to execute
  * @param {object} options - Options
- * @returns {Promise<object>} Result with output, exitCode, error
+ * @returns {Promise<object>} Result with output, exitCode, error, cancelled, cwd, artifact, redactions
  */
 export async function executeCommand(command, options = {}) {
   const agentResponse = {
@@ -316,6 +517,10 @@ export async function executeCommand(command, options = {}) {
   return {
     output: result.stdout || result.message || '',
     exitCode: result.exitCode || (result.status === 'success' ? 0 : 1),
-    error: result.stderr || (result.status === 'error' ? result.message : null)
+    error: result.stderr || (result.status === 'error' ? result.message : null),
+    cancelled: result.status === 'cancelled',
+    cwd: result.cwd || null,
+    artifact: result.artifact || null,
+    redactions: result.redactions || 0
   };
 }
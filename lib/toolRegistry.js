@@ -0,0 +1,286 @@
+/**
+ * Tool Registry - Typed abilities the agent can call in tool-calling mode
+ *
+ * Each tool declares:
+ * - name: identifier the model calls (letters, digits, _ and -)
+ * - description: what the tool does, shown to the model
+ * - parameters: JSON schema for the arguments (type "object")
+ * - permission: 'safe' | 'ask' | 'approve' (see PERMISSION_LEVELS)
+ * - handler(args, context): does the work and returns a JSON-serializable result
+ * - target(args): optional short text naming what the call acts on (command, path)
+ * - describe(args): optional { action, reasoning } shown when asking for approval
+ * - summarize(args, result): optional short outcome text for chat and memory
+ * - policy(args, context): optional check run before approval, returning
+ *   { blocked, requiresApproval, reason } (run_shell_command uses the policy engine)
+ *
+ * runToolCall() validates the model's arguments against the schema, applies the
+ * tool's policy, asks for approval according to the permission level (or the
+ * policy), then runs the handler. Every
+ * failure is returned as { error } so the model can see it and recover.
+ */
+
+import { readApproval } from './auditLogger.js';
+
+const TOOL_NAME = /^[a-zA-Z0-9_-]{1,64}$/;
+
+/**
+ * safe: runs without approval
+ * ask: approval when the call sets requiresApproval: true (the model decides, as with terminal commands)
+ * approve: approval is always required
+ */
+export const PERMISSION_LEVELS = ['safe', 'ask', 'approve'];
+
+const registry = new Map();
+
+/**
+ * Register a tool (replaces an existing tool with the same name)
+ * @param {object} tool - See module header for the fields
+ * @returns {object} The registered tool
+ */
+export function registerTool(tool) {
+  const { name, description, parameters, permission = 'safe', handler } = tool || {};
+
+  if (!TOOL_NAME.test(name || '')) {
+    throw new Error(`Invalid tool name: ${name}`);
+  }
+  if (!description) {
+    throw new Error(`Tool "${name}" needs a description`);
+  }
+  if (!parameters || parameters.type !== 'object') {
+    throw new Error(`Tool "${name}" parameters must be a JSON schema of type "object"`);
+  }
+  if (!PERMISSION_LEVELS.includes(permission)) {
+    throw new Error(`Tool "${name}" has invalid permission "${permission}" (expected ${PERMISSION_LEVELS.join(', ')})`);
+  }
+  if (typeof handler !== 'function') {
+    throw new Error(`Tool "${name}" must have a handler function`);
+  }
+
+  const registered = { ...tool, permission };
+  registry.set(name, registered);
+  return registered;
+}
+
+/**
+ * Remove a tool
+ * @returns {boolean} Whether the tool existed
+ */
+export function unregisterTool(name) {
+  return registry.delete(name);
+}
+
+/**
+ * Look up a registered tool
+ */
+export function getTool(name) {
+  return registry.get(name) || null;
+}
+
+/**
+ * Registered tools, optionally limited to some names
+ * @param {string[]} names - Tool names to include (all when omitted)
+ */
+export function listTools(names = null) {
+  const tools = Array.from(registry.values());
+  return names ? tools.filter(tool => names.includes(tool.name)) : tools;
+}
+
+/**
+ * Tool definitions in the Chat Completions `tools` format
+ * Strict mode is used when the schema allows it (every property required,
+ * no additional properties).
+ * @param {string[]} names - Tool names to expose (all when omitted)
+ */
+export function getToolDefinitions(names = null) {
+  return listTools(names).map(tool => ({
+    type: 'function',
+    function: {
+      name: tool.name,
+      description: tool.description,
+      parameters: tool.parameters,
+      strict: isStrictSchema(tool.parameters)
+    }
+  }));
+}
+
+function isStrictSchema(schema) {
+  const properties = Object.keys(schema.properties || {});
+  const required = schema.required || [];
+  return schema.additionalProperties === false && properties.every(p => required.includes(p));
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Validate a value against the JSON schema subset used for tool parameters:
+ * type, enum, properties, required, additionalProperties and items
+ * @param {object} schema - JSON schema
+ * @param {*} value - Value to check
+ * @param {string} at - Path used in error messages
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+export function validateToolArgs(schema, value, at = 'arguments') {
+  if (!schema || typeof schema !== 'object') return [];
+  const errors = [];
+
+  if (schema.type) {
+    const allowed = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const actual = typeOf(value);
+    const matches = allowed.includes(actual) || (actual === 'integer' && allowed.includes('number'));
+    if (!matches) {
+      return [`${at}: expected ${allowed.join(' or ')}, got ${actual}`];
+    }
+  }
+
+  if (Array.isArray(schema.enum) && !schema.enum.includes(value)) {
+    errors.push(`${at}: must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${at}.${key}: is required`);
+      }
+    }
+
+    for (const [key, propValue] of Object.entries(value)) {
+      if (properties[key]) {
+        errors.push(...validateToolArgs(properties[key], propValue, `${at}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${at}.${key}: is not allowed`);
+      }
+    }
+  }
+
+  if (typeOf(value) === 'array' && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateToolArgs(schema.items, item, `${at}[${index}]`));
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Whether a call needs user approval before it runs
+ */
+export function requiresApproval(tool, args) {
+  if (tool.permission === 'approve') return true;
+  if (tool.permission === 'ask') return args.requiresApproval === true;
+  return false;
+}
+
+/**
+ * Run one tool call from the model
+ * @param {object} call - { id, name, arguments } where arguments is a JSON string or object
+ * @param {object} context - Passed to the handler
+ * @param {Function} context.askApproval - (action, reasoning) => Promise<boolean | { approved, approver }>
+ * @param {Function} context.askUser - (question) => Promise<string>, optional
+ * @param {string[]} context.allowedTools - Names the model may call (all when omitted)
+ * @param {object} context.caller - { channel, userId, groupId } the call is made for
+ * @param {Function} context.onCommandOutput - (stream, chunk, command) for streamed command output
+ * @returns {Promise<{ name: string, args: object, result: object, summary: string, approval: object }>}
+ *   approval is the decision from auditLogger.readApproval() when one was asked for (also passed to the handler as context.approval)
+ */
+export async function runToolCall(call, context = {}) {
+  let approval = null;
+  const finish = (args, result) => {
+    const record = { name: call.name, args, result, approval };
+    record.summary = summarizeToolCall(record);
+    return record;
+  };
+
+  const tool = getTool(call.name);
+  if (!tool || (context.allowedTools && !context.allowedTools.includes(call.name))) {
+    return finish({}, { error: `Unknown tool: ${call.name}` });
+  }
+
+  let args;
+  try {
+    args = typeof call.arguments === 'string' ? JSON.parse(call.arguments || '{}') : (call.arguments || {});
+  } catch (error) {
+    return finish({}, { error: `Invalid JSON arguments: ${error.message}` });
+  }
+
+  const errors = validateToolArgs(tool.parameters, args);
+  if (errors.length > 0) {
+    return finish(args, { error: `Invalid arguments: ${errors.join('; ')}` });
+  }
+
+  const verdict = tool.policy ? await tool.policy(args, context) : null;
+  if (verdict?.blocked) {
+    return finish(args, { approved: false, blocked: true, output: `Blocked by policy: ${verdict.reason}` });
+  }
+
+  if (requiresApproval(tool, args) || verdict?.requiresApproval) {
+    const { action, reasoning } = describeToolCall(tool, args);
+    const fullReasoning = verdict?.reason ? `${reasoning ? `${reasoning}\n` : ''}🛡️ ${verdict.reason}` : reasoning;
+    approval = readApproval(context.askApproval ? await context.askApproval(action, fullReasoning) : false);
+    if (!approval.approved) {
+      return finish(args, { approved: false, output: `User declined: ${action}` });
+    }
+  }
+
+  try {
+    return finish(args, await tool.handler(args, { ...context, approval }));
+  } catch (error) {
+    return finish(args, { error: error.message });
+  }
+}
+
+/**
+ * Action and reasoning shown when asking the user to approve a call
+ */
+function describeToolCall(tool, args) {
+  if (tool.describe) {
+    return tool.describe(args);
+  }
+  return {
+    action: `${tool.name} ${tool.target ? tool.target(args) : JSON.stringify(args)}`,
+    reasoning: args.reasoning || ''
+  };
+}
+
+/**
+ * One-line description of a finished tool call for chat, CLI and memory
+ * @param {object} toolResult - { name, args, result } as returned by runToolCall()
+ */
+export function summarizeToolCall({ name, args, result }) {
+  const tool = getTool(name);
+  const target = tool?.target ? tool.target(args) : '';
+  let outcome;
+
+  if (result.error) {
+    outcome = `error: ${result.error}`;
+  } else if (result.blocked) {
+    outcome = 'blocked by policy';
+  } else if (result.approved === false) {
+    outcome = 'declined';
+  } else if (tool?.summarize) {
+    outcome = tool.summarize(args, result);
+  } else {
+    outcome = 'ok';
+  }
+
+  return `${name}${target ? ` ${target}` : ''} → ${outcome}`;
+}
+
+export default {
+  PERMISSION_LEVELS,
+  registerTool,
+  unregisterTool,
+  getTool,
+  listTools,
+  getToolDefinitions,
+  validateToolArgs,
+  requiresApproval,
+  runToolCall,
+  summarizeToolCall
+};
@@ -0,0 +1,257 @@
+/**
+ * Usage Tracker - Token and cost accounting for every LLM call
+ *
+ * Tracks:
+ * - Prompt/completion tokens reported by the provider
+ * - Estimated cost in USD from the model pricing table
+ * - Who caused the call (channel, user id, group id)
+ * - Which agent role made it (landscape, plan, base, summarizer, ...)
+ *
+ * Entries are appended as JSON lines to usage.log (USAGE_LOG_FILE overrides).
+ * Parsed entries are cached and only lines appended since the last read are
+ * parsed, so budget checks before every call do not re-read the whole log.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * USD per 1M tokens. Models are matched by longest prefix, so dated
+ * snapshots (gpt-4o-2024-08-06) use their family's price.
+ */
+export const MODEL_PRICING = {
+  'gpt-4o-mini': { prompt: 0.15, completion: 0.60 },
+  'gpt-4o': { prompt: 2.50, completion: 10.00 },
+  'gpt-4.1-nano': { prompt: 0.10, completion: 0.40 },
+  'gpt-4.1-mini': { prompt: 0.40, completion: 1.60 },
+  'gpt-4.1': { prompt: 2.00, completion: 8.00 },
+  'gpt-4-turbo': { prompt: 10.00, completion: 30.00 },
+  'gpt-3.5-turbo': { prompt: 0.50, completion: 1.50 },
+  'o4-mini': { prompt: 1.10, completion: 4.40 },
+  'o3-mini': { prompt: 1.10, completion: 4.40 }
+};
+
+// Entries parsed from the first `size` bytes of the usage log
+let cache = { file: null, size: 0, mtimeMs: 0, entries: [] };
+
+/**
+ * Get usage log file path
+ */
+function getUsageFile() {
+  return process.env.USAGE_LOG_FILE || path.join(process.cwd(), 'usage.log');
+}
+
+/**
+ * Look up pricing for a model (null when unknown, e.g. local models)
+ */
+function getPricing(model) {
+  if (!model) return null;
+  const match = Object.keys(MODEL_PRICING)
+    .filter(prefix => model.startsWith(prefix))
+    .sort((a, b) => b.length - a.length)[0];
+  return match ? MODEL_PRICING[match] : null;
+}
+
+/**
+ * Estimate cost of a call in USD
+ * @param {string} model - Model name
+ * @param {number} promptTokens - Prompt tokens
+ * @param {number} completionTokens - Completion tokens
+ * @returns {number} Cost in USD (0 for unpriced models)
+ */
+export function estimateCost(model, promptTokens, completionTokens) {
+  const pricing = getPricing(model);
+  if (!pricing) return 0;
+  return (promptTokens * pricing.prompt + completionTokens * pricing.completion) / 1_000_000;
+}
+
+/**
+ * Record usage for one LLM call
+ * @param {object} entry
+ * @param {object} entry.usage - Provider usage ({ prompt_tokens, completion_tokens, total_tokens })
+ * @param {string} entry.model - Model that served the call
+ * @param {string} entry.provider - Provider name
+ * @param {string} entry.role - Agent role (landscape, plan, base, summarizer, ...)
+ * @param {object} entry.caller - { channel, userId, groupId }
+ * @returns {Promise<object|null>} The stored entry, or null when there was no usage
+ */
+export async function recordUsage({ usage, model, provider, role, caller = {} }) {
+  if (!usage) return null;
+
+  const promptTokens = usage.prompt_tokens || 0;
+  const completionTokens = usage.completion_tokens || 0;
+
+  const entry = {
+    timestamp: new Date().toISOString(),
+    channel: caller.channel || 'unknown',
+    userId: caller.userId != null ? String(caller.userId) : null,
+    groupId: caller.groupId != null ? String(caller.groupId) : null,
+    role: role || 'unknown',
+    provider: provider || 'unknown',
+    model,
+    promptTokens,
+    completionTokens,
+    totalTokens: usage.total_tokens || promptTokens + completionTokens,
+    costUsd: estimateCost(model, promptTokens, completionTokens)
+  };
+
+  try {
+    await fs.appendFile(getUsageFile(), JSON.stringify(entry) + '\n', 'utf-8');
+  } catch (error) {
+    // Accounting must never break the actual request
+    console.error('⚠️  Usage log write failed:', error.message);
+  }
+
+  return entry;
+}
+
+/**
+ * Load usage entries, optionally filtered
+ * @param {object} filter
+ * @param {string} filter.userId - Only entries for this user
+ * @param {string} filter.groupId - Only entries for this group
+ * @param {string} filter.channel - Only entries from this channel (web, telegram, cli, ...)
+ * @param {string|Date} filter.since - Only entries at or after this time
+ */
+export async function loadUsage(filter = {}) {
+  const since = filter.since ? new Date(filter.since).getTime() : null;
+
+  return (await readEntries())
+    .filter(entry =>
+      (filter.userId == null || entry.userId === String(filter.userId)) &&
+      (filter.groupId == null || entry.groupId === String(filter.groupId)) &&
+      (filter.channel == null || entry.channel === filter.channel) &&
+      (since == null || new Date(entry.timestamp).getTime() >= since)
+    );
+}
+
+/**
+ * All entries of the usage log, parsing only what was appended since the last call
+ * The log is append-only; a file that shrank or was rewritten is read again from the start.
+ */
+async function readEntries() {
+  const file = getUsageFile();
+
+  let handle;
+  try {
+    handle = await fs.open(file, 'r');
+  } catch (error) {
+    // No usage recorded yet
+    return [];
+  }
+
+  try {
+    const { size, mtimeMs } = await handle.stat();
+    if (cache.file !== file || size < cache.size || (size === cache.size && mtimeMs !== cache.mtimeMs)) {
+      cache = { file, size: 0, mtimeMs: 0, entries: [] };
+    }
+
+    if (size > cache.size) {
+      const buffer = Buffer.alloc(size - cache.size);
+      const { bytesRead } = await handle.read(buffer, 0, buffer.length, cache.size);
+      // A line still being appended is parsed on the next call
+      const complete = buffer.subarray(0, buffer.subarray(0, bytesRead).lastIndexOf(0x0a) + 1);
+
+      complete.toString('utf-8')
+        .split('\n')
+        .filter(line => line.trim())
+        .forEach(line => {
+          try {
+            cache.entries.push(JSON.parse(line));
+          } catch (error) {
+            // Skip corrupt lines
+          }
+        });
+      cache.size += complete.length;
+    }
+    cache.mtimeMs = mtimeMs;
+
+    return cache.entries;
+  } finally {
+    await handle.close();
+  }
+}
+
+function emptyTotals() {
+  return { calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, costUsd: 0 };
+}
+
+function addToTotals(totals, entry) {
+  totals.calls += 1;
+  totals.promptTokens += entry.promptTokens;
+  totals.completionTokens += entry.completionTokens;
+  totals.totalTokens += entry.totalTokens;
+  totals.costUsd += entry.costUsd;
+}
+
+/**
+ * Aggregate usage totals overall and by role, model, user and group
+ * @param {object} filter - Same as loadUsage()
+ */
+export async function getUsageSummary(filter = {}) {
+  const entries = await loadUsage(filter);
+
+  const summary = {
+    totals: emptyTotals(),
+    byRole: {},
+    byModel: {},
+    byUser: {},
+    byGroup: {},
+    firstTimestamp: entries[0]?.timestamp || null,
+    lastTimestamp: entries[entries.length - 1]?.timestamp || null
+  };
+
+  const groupings = [
+    ['byRole', e => e.role],
+    ['byModel', e => e.model],
+    ['byUser', e => e.userId && `${e.channel}:${e.userId}`],
+    ['byGroup', e => e.groupId]
+  ];
+
+  for (const entry of entries) {
+    addToTotals(summary.totals, entry);
+    for (const [field, keyOf] of groupings) {
+      const key = keyOf(entry);
+      if (!key) continue;
+      summary[field][key] = summary[field][key] || emptyTotals();
+      addToTotals(summary[field][key], entry);
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Format a usage summary as plain text for chat/CLI display
+ */
+export function formatUsageSummary(summary, title = 'Usage') {
+  const formatTotals = (t) =>
+    `${t.calls} calls, ${t.totalTokens.toLocaleString()} tokens, $${t.costUsd.toFixed(4)}`;
+
+  let text = `${title}\n`;
+  text += `Total: ${formatTotals(summary.totals)}\n`;
+
+  if (summary.firstTimestamp) {
+    text += `Period: ${summary.firstTimestamp} to ${summary.lastTimestamp}\n`;
+  }
+
+  for (const [label, field] of [['By role', 'byRole'], ['By model', 'byModel']]) {
+    const rows = Object.entries(summary[field]);
+    if (rows.length === 0) continue;
+    text += `\n${label}:\n`;
+    rows.forEach(([key, totals]) => {
+      text += `- ${key}: ${formatTotals(totals)}\n`;
+    });
+  }
+
+  return text.trim();
+}
+
+export default {
+  MODEL_PRICING,
+  estimateCost,
+  recordUsage,
+  loadUsage,
+  getUsageSummary,
+  formatUsageSummary
+};
@@ -0,0 +1,79 @@
+/**
+ * Pipeline CLI - List and run declarative pipelines
+ *
+ * Usage:
+ *   node pipeline-cli.js                          List pipelines in pipelines/
+ *   node pipeline-cli.js <name|file> "<input>"    Run a pipeline
+ *   node pipeline-cli.js <name|file> "<input>" --json   Print the full run as JSON
+ */
+
+import { AgentOrchestrator } from './lib/orchestrator.js';
+import { loadPipeline, listPipelines } from './lib/pipelineRunner.js';
+import { formatBudgetRefusal, BudgetExceededError } from './lib/budgetManager.js';
+
+const CLI_CALLER = { channel: 'cli', userId: process.env.USER || 'cli' };
+
+/**
+ * Print available pipelines
+ */
+async function printPipelines() {
+  const pipelines = await listPipelines();
+
+  if (pipelines.length === 0) {
+    console.log('No pipelines found (add .yaml or .json files to pipelines/ or set PIPELINES_DIR)');
+    return;
+  }
+
+  console.log('📋 Pipelines:');
+  pipelines.forEach(p => {
+    const detail = p.error ? `❌ ${p.error}` : `${p.steps} steps${p.description ? ` - ${p.description}` : ''}`;
+    console.log(`- ${p.name}: ${detail}`);
+  });
+}
+
+/**
+ * Print one finished step
+ */
+function onStep(record) {
+  if (record.status === 'skipped') {
+    console.log(`⏭️  ${record.name} skipped (${record.when})`);
+    return;
+  }
+  console.log(`\n✅ ${record.name}`);
+  console.log(JSON.stringify(record.output, null, 2));
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const asJson = args.includes('--json');
+  const [nameOrPath, ...inputParts] = args.filter(a => a !== '--json');
+
+  if (!nameOrPath) {
+    await printPipelines();
+    return;
+  }
+
+  const definition = await loadPipeline(nameOrPath);
+  const orchestrator = new AgentOrchestrator({ caller: CLI_CALLER, verbose: !asJson });
+
+  const run = await orchestrator.pipeline(definition, inputParts.join(' '), {
+    onStep: asJson ? null : onStep
+  });
+
+  if (asJson) {
+    console.log(JSON.stringify(run, null, 2));
+  } else {
+    console.log('\n═══════════════════════════════════════════════════════════');
+    console.log(`🏁 Pipeline ${run.pipeline} complete`);
+    console.log('═══════════════════════════════════════════════════════════');
+  }
+}
+
+main().catch(error => {
+  if (error instanceof BudgetExceededError) {
+    console.error(formatBudgetRefusal(error.exceeded));
+  } else {
+    console.error('❌ Error:', error.message);
+  }
+  process.exit(1);
+});
@@ -0,0 +1,46 @@
+/**
+ * Secrets CLI - Check the secret detector rules and scan stored data
+ *
+ * Usage:
+ *   node secrets-cli.js scan [file ...]     Report secrets in memory, notes, group chat and audit files
+ *                                           (exit code 1 when any are found; files are not changed)
+ *   node secrets-cli.js rules               List the active rules (built-ins plus secrets.json)
+ *   node secrets-cli.js test "<text>"       Show what would be redacted from a text
+ */
+
+import { loadSecretRules, detectSecrets, scanFilesForSecrets, formatSecretScan, SecretRedactor } from './lib/secretRedactor.js';
+
+async function main() {
+  const [command = 'scan', ...args] = process.argv.slice(2);
+  const ruleSet = loadSecretRules();
+
+  if (command === 'scan') {
+    const report = await scanFilesForSecrets(args.length > 0 ? args : null, ruleSet);
+    console.log(formatSecretScan(report));
+    process.exit(report.total === 0 ? 0 : 1);
+  }
+
+  if (command === 'rules') {
+    ruleSet.rules.forEach(rule => console.log(`🔑 ${rule.name}: ${rule.description || rule.regex.source}`));
+    const { enabled, minLength, threshold } = ruleSet.entropy;
+    console.log(enabled ? `🎲 entropy: tokens of ${minLength}+ chars with ${threshold}+ bits/char` : '🎲 entropy: off');
+    console.log(`✅ allowlist: ${ruleSet.allowlist.map(regex => regex.source).join(', ')}`);
+    return;
+  }
+
+  if (command === 'test') {
+    const text = args.join(' ');
+    const findings = detectSecrets(text, ruleSet);
+    findings.forEach(finding => console.log(`🔑 ${finding.rule}: ${finding.value}`));
+    console.log(new SecretRedactor(ruleSet).redact(text));
+    return;
+  }
+
+  console.error(`❌ Unknown command "${command}" (scan, rules or test)`);
+  process.exit(1);
+}
+
+main().catch(error => {
+  console.error('❌ Error:', error.message);
+  process.exit(1);
+});
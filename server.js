@@ -7,9 +7,15 @@
  * - Per-user memory isolation
  * - WebSocket real-time communication
  * - Orchestrator integration (Landscape + Plan + Base)
+ * - Agent pipelines and parallel fan-out (class-based AgentOrchestrator)
+ * - Declarative pipelines from pipelines/*.yaml|json
  * - Approval flow support
+ * - Live command output (command_output messages) and cancel messages that stop running commands
+ * - Full output of truncated commands via GET /api/output/:id
+ * - Audit log search and hash-chain verification for admins (GET /api/audit)
  */
 
+import crypto from 'crypto';
 import express from 'express';
 import { createServer } from 'http';
 import { WebSocketServer } from 'ws';
@@ -17,9 +23,16 @@ import jwt from 'jsonwebtoken';
 import cors from 'cors';
 import dotenv from 'dotenv';
 import { orchestrate, orchestrateSimple } from './lib/agentOrchestrator.js';
+import { AgentOrchestrator } from './lib/orchestrator.js';
+import { loadPipeline, listPipelines } from './lib/pipelineRunner.js';
 import { getMemoryContextString, clearMemory } from './lib/memorySystem.js';
 import { loadNotes, clearNotes } from './lib/notesManager.js';
-import path from 'path';
+import { runWithStorage, userStorage } from './lib/storageContext.js';
+import { getUsageSummary } from './lib/usageTracker.js';
+import { checkBudget, getBudgetStatus, setBudget, formatBudgetRefusal, BudgetExceededError, InvalidBudgetError } from './lib/budgetManager.js';
+import { cancelCommands } from './lib/terminalExecutor.js';
+import { loadOutputArtifact, OutputArtifactNotFoundError } from './lib/outputArtifacts.js';
+import { queryAuditLog, verifyAuditLog, getAuditStatus } from './lib/auditLogger.js';
 
 dotenv.config();
 
@@ -35,6 +48,9 @@ const wss = new WebSocketServer({ server });
 const userSessions = new Map();
 const pendingApprovals = new Map();
 
+// Class-based orchestrators (pipeline / parallel), one per user for shared memory
+const agentOrchestrators = new Map();
+
 // Middleware
 app.use(cors());
 app.use(express.json());
@@ -57,19 +73,16 @@ function getUserSession(userId) {
 }
 
 /**
- * Set user-specific file paths
- */
-function setUserContext(userId) {
-  process.env.USER_MEMORY_FILE = path.join(process.cwd(), `memory-${userId}.json`);
-  process.env.USER_NOTES_FILE = path.join(process.cwd(), `notes-${userId}.md`);
-}
-
-/**
- * Clear user-specific context
+ * Get the user's pipeline/parallel orchestrator
  */
-function clearUserContext() {
-  delete process.env.USER_MEMORY_FILE;
-  delete process.env.USER_NOTES_FILE;
+function getAgentOrchestrator(userId) {
+  if (!agentOrchestrators.has(userId)) {
+    agentOrchestrators.set(userId, new AgentOrchestrator({
+      caller: { channel: 'web', userId },
+      verbose: false
+    }));
+  }
+  return agentOrchestrators.get(userId);
 }
 
 /**
@@ -107,7 +120,7 @@ async function askApproval(userId, command, reasoning) {
     setTimeout(() => {
       if (pendingApprovals.has(approvalId)) {
         pendingApprovals.delete(approvalId);
-        resolve(false);
+        resolve({ approved: false, reason: 'Timed out' });
       }
     }, 5 * 60 * 1000);
   });
@@ -146,9 +159,7 @@ app.get('/api/memory', async (req, res) => {
     const token = req.headers.authorization?.replace('Bearer ', '');
     const decoded = jwt.verify(token, JWT_SECRET);
     
-    setUserContext(decoded.userId);
-    const memory = await getMemoryContextString();
-    clearUserContext();
+    const memory = await runWithStorage(userStorage(decoded.userId), getMemoryContextString);
     
     res.json({ success: true, memory });
   } catch (error) {
@@ -165,10 +176,10 @@ app.post('/api/clear-memory', async (req, res) => {
     const token = req.headers.authorization?.replace('Bearer ', '');
     const decoded = jwt.verify(token, JWT_SECRET);
     
-    setUserContext(decoded.userId);
-    await clearMemory();
-    await clearNotes();
-    clearUserContext();
+    await runWithStorage(userStorage(decoded.userId), async () => {
+      await clearMemory();
+      await clearNotes();
+    });
     
     res.json({ success: true });
   } catch (error) {
@@ -185,9 +196,7 @@ app.get('/api/notes', async (req, res) => {
     const token = req.headers.authorization?.replace('Bearer ', '');
     const decoded = jwt.verify(token, JWT_SECRET);
     
-    setUserContext(decoded.userId);
-    const notes = await loadNotes();
-    clearUserContext();
+    const notes = await runWithStorage(userStorage(decoded.userId), loadNotes);
     
     res.json({ success: true, notes });
   } catch (error) {
@@ -195,6 +204,259 @@ app.get('/api/notes', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/usage
+ * Get token/cost usage for the current user
+ * Admins may pass userId, groupId, channel or all=true to inspect others
+ * Optional: since (ISO timestamp)
+ */
+app.get('/api/usage', async (req, res) => {
+  try {
+    const token = req.headers.authorization?.replace('Bearer ', '');
+    const decoded = jwt.verify(token, JWT_SECRET);
+    
+    const { userId, groupId, channel, all, since } = req.query;
+    const wantsOthers = userId || groupId || channel || all === 'true';
+    
+    const filter = decoded.role === 'admin' && wantsOthers
+      ? { userId, groupId, channel, since }
+      : { channel: 'web', userId: decoded.userId, since };
+    
+    const usage = await getUsageSummary(filter);
+    
+    res.json({ success: true, usage });
+  } catch (error) {
+    res.status(401).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * GET /api/budget
+ * Get budget limits and current usage for the current user
+ */
+app.get('/api/budget', async (req, res) => {
+  try {
+    const token = req.headers.authorization?.replace('Bearer ', '');
+    const decoded = jwt.verify(token, JWT_SECRET);
+    
+    const budget = await getBudgetStatus({ channel: 'web', userId: decoded.userId });
+    
+    res.json({ success: true, budget });
+  } catch (error) {
+    res.status(401).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * GET /api/audit?user=&status=&since=&until=&limit=
+ * Search the command audit log, newest first (admin only)
+ * user: "<channel>:<userId>", a user id, or "group:<groupId>"
+ */
+app.get('/api/audit', async (req, res) => {
+  let decoded;
+  try {
+    const token = req.headers.authorization?.replace('Bearer ', '');
+    decoded = jwt.verify(token, JWT_SECRET);
+  } catch (error) {
+    return res.status(401).json({ success: false, message: error.message });
+  }
+  
+  if (decoded.role !== 'admin') {
+    return res.status(403).json({ success: false, message: 'Only admins can read the audit log' });
+  }
+  
+  try {
+    const { user, status, since, until, limit } = req.query;
+    const entries = await queryAuditLog({ user, status, since, until, limit: Math.min(Number(limit) || 50, 1000) });
+    
+    res.json({ success: true, entries, health: getAuditStatus() });
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * GET /api/audit/verify
+ * Check the audit log hash chain (admin only)
+ */
+app.get('/api/audit/verify', async (req, res) => {
+  let decoded;
+  try {
+    const token = req.headers.authorization?.replace('Bearer ', '');
+    decoded = jwt.verify(token, JWT_SECRET);
+  } catch (error) {
+    return res.status(401).json({ success: false, message: error.message });
+  }
+  
+  if (decoded.role !== 'admin') {
+    return res.status(403).json({ success: false, message: 'Only admins can read the audit log' });
+  }
+  
+  try {
+    const verification = await verifyAuditLog();
+    res.json({ success: true, verification });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * GET /api/output/:id
+ * Full output of a command whose result was truncated, as text/plain
+ * Admins can read any artifact; other users only their own
+ */
+app.get('/api/output/:id', async (req, res) => {
+  let decoded;
+  try {
+    const token = req.headers.authorization?.replace('Bearer ', '');
+    decoded = jwt.verify(token, JWT_SECRET);
+  } catch (error) {
+    return res.status(401).json({ success: false, message: error.message });
+  }
+  
+  try {
+    const owner = decoded.role === 'admin' ? null : { channel: 'web', userId: decoded.userId };
+    const artifact = await loadOutputArtifact(req.params.id, owner);
+    
+    res.type('text/plain').send(artifact.content);
+  } catch (error) {
+    const status = error instanceof OutputArtifactNotFoundError ? 404 : 500;
+    res.status(status).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * PUT /api/budgets/:subject
+ * Raise or lower limits at runtime (admin only)
+ * Subject: "<channel>:<userId>" (e.g. telegram:123, web:web-user) or "group:<groupId>"
+ * Body: { daily: { tokens, usd }, monthly: { tokens, usd }, onExceeded }
+ * Amounts must be non-negative numbers; anything else is a 400
+ */
+app.put('/api/budgets/:subject', async (req, res) => {
+  let decoded;
+  try {
+    const token = req.headers.authorization?.replace('Bearer ', '');
+    decoded = jwt.verify(token, JWT_SECRET);
+  } catch (error) {
+    return res.status(401).json({ success: false, message: error.message });
+  }
+  
+  if (decoded.role !== 'admin') {
+    return res.status(403).json({ success: false, message: 'Admin role required' });
+  }
+  
+  try {
+    const budget = await setBudget(req.params.subject, req.body || {});
+    res.json({ success: true, subject: req.params.subject, budget });
+  } catch (error) {
+    const status = error instanceof InvalidBudgetError ? 400 : 500;
+    res.status(status).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * GET /api/agents
+ * List agents available to pipelines and parallel runs
+ */
+app.get('/api/agents', (req, res) => {
+  try {
+    const token = req.headers.authorization?.replace('Bearer ', '');
+    const decoded = jwt.verify(token, JWT_SECRET);
+    
+    res.json({ success: true, agents: getAgentOrchestrator(decoded.userId).listAgents() });
+  } catch (error) {
+    res.status(401).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * POST /api/agents/pipeline and /api/agents/parallel
+ * Run agents in sequence (each gets the previous output) or all on the same request
+ * Body: { agents: ['universal', 'terminal'], request: '...' }
+ */
+for (const mode of ['pipeline', 'parallel']) {
+  app.post(`/api/agents/${mode}`, async (req, res) => {
+    let decoded;
+    try {
+      const token = req.headers.authorization?.replace('Bearer ', '');
+      decoded = jwt.verify(token, JWT_SECRET);
+    } catch (error) {
+      return res.status(401).json({ success: false, message: error.message });
+    }
+    
+    const { agents, request } = req.body || {};
+    if (!Array.isArray(agents) || agents.length === 0 || typeof request !== 'string' || !request.trim()) {
+      return res.status(400).json({ success: false, message: 'Body must include agents (non-empty array) and request (string)' });
+    }
+    
+    try {
+      const orchestrator = getAgentOrchestrator(decoded.userId);
+      const results = await orchestrator[mode](agents, request);
+      res.json({ success: true, results });
+    } catch (error) {
+      if (error instanceof BudgetExceededError) {
+        return res.status(402).json({ success: false, message: formatBudgetRefusal(error.exceeded), exceeded: error.exceeded });
+      }
+      const status = error.message.startsWith('Unknown agent') ? 400 : 500;
+      res.status(status).json({ success: false, message: error.message });
+    }
+  });
+}
+
+/**
+ * GET /api/pipelines
+ * List declarative pipelines
+ */
+app.get('/api/pipelines', async (req, res) => {
+  try {
+    const token = req.headers.authorization?.replace('Bearer ', '');
+    jwt.verify(token, JWT_SECRET);
+    
+    res.json({ success: true, pipelines: await listPipelines() });
+  } catch (error) {
+    res.status(401).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * POST /api/pipelines/:name/run
+ * Run a declarative pipeline
+ * Body: { input: string | object }
+ */
+app.post('/api/pipelines/:name/run', async (req, res) => {
+  let decoded;
+  try {
+    const token = req.headers.authorization?.replace('Bearer ', '');
+    decoded = jwt.verify(token, JWT_SECRET);
+  } catch (error) {
+    return res.status(401).json({ success: false, message: error.message });
+  }
+  
+  // Names only - never paths
+  if (!/^[a-zA-Z0-9_-]+$/.test(req.params.name)) {
+    return res.status(400).json({ success: false, message: 'Invalid pipeline name' });
+  }
+  
+  let definition;
+  try {
+    definition = await loadPipeline(req.params.name);
+  } catch (error) {
+    const status = error.message.startsWith('Pipeline not found') ? 404 : 400;
+    return res.status(status).json({ success: false, message: error.message });
+  }
+  
+  try {
+    const run = await getAgentOrchestrator(decoded.userId).pipeline(definition, req.body?.input ?? '');
+    res.json({ success: true, ...run });
+  } catch (error) {
+    if (error instanceof BudgetExceededError) {
+      return res.status(402).json({ success: false, message: formatBudgetRefusal(error.exceeded), exceeded: error.exceeded });
+    }
+    const status = error.message.startsWith('Unknown agent') ? 400 : 500;
+    res.status(status).json({ success: false, message: error.message });
+  }
+});
+
 /**
  * GET /api/status
  * Get server status
@@ -216,6 +478,8 @@ app.get('/api/status', (req, res) => {
 wss.on('connection', (ws) => {
   let userId = null;
   let session = null;
+  // Identifies this connection in audit entries (requests and approvals)
+  const sessionId = `ws-${crypto.randomBytes(6).toString('hex')}`;
   
   console.log('New WebSocket connection');
   
@@ -266,9 +530,19 @@ wss.on('connection', (ws) => {
           return;
         }
         
+        // Refuse before doing any work if the user's budget is used up
+        const budget = await checkBudget({ channel: 'web', userId });
+        if (budget.action === 'refuse') {
+          ws.send(JSON.stringify({
+            type: 'budget_exceeded',
+            message: formatBudgetRefusal(budget.exceeded),
+            exceeded: budget.exceeded
+          }));
+          return;
+        }
+        
         session.processing = true;
         session.lastActivity = Date.now();
-        setUserContext(userId);
         
         try {
           ws.send(JSON.stringify({ type: 'processing' }));
@@ -277,6 +551,8 @@ wss.on('connection', (ws) => {
           
           const result = await orchestrateFunc(message.query, {
             userContext: message.context,
+            caller: { channel: 'web', userId, sessionId },
+            storage: userStorage(userId),
             
             askApproval: async (command, reasoning) => {
               return await askApproval(userId, command, reasoning);
@@ -289,6 +565,31 @@ wss.on('connection', (ws) => {
               }));
             },
             
+            onDelta: (field, delta, iteration) => {
+              ws.send(JSON.stringify({
+                type: 'delta',
+                field,
+                delta,
+                iteration
+              }));
+            },
+            
+            onStreamReset: (iteration) => {
+              ws.send(JSON.stringify({
+                type: 'delta_reset',
+                iteration
+              }));
+            },
+            
+            onCommandOutput: (stream, chunk, command) => {
+              sendToUser(userId, {
+                type: 'command_output',
+                stream,
+                chunk,
+                command
+              });
+            },
+            
             onResponse: async (response, iteration) => {
               ws.send(JSON.stringify({
                 type: 'response',
@@ -306,14 +607,21 @@ wss.on('connection', (ws) => {
           }));
           
         } catch (error) {
-          console.error('Error processing query:', error);
-          ws.send(JSON.stringify({
-            type: 'error',
-            message: error.message
-          }));
+          if (error instanceof BudgetExceededError) {
+            ws.send(JSON.stringify({
+              type: 'budget_exceeded',
+              message: formatBudgetRefusal(error.exceeded),
+              exceeded: error.exceeded
+            }));
+          } else {
+            console.error('Error processing query:', error);
+            ws.send(JSON.stringify({
+              type: 'error',
+              message: error.message
+            }));
+          }
         } finally {
           session.processing = false;
-          clearUserContext();
         }
       }
       
@@ -324,7 +632,7 @@ wss.on('connection', (ws) => {
         if (pendingApprovals.has(approvalId)) {
           const approval = pendingApprovals.get(approvalId);
           pendingApprovals.delete(approvalId);
-          approval.resolve(approved);
+          approval.resolve({ approved: Boolean(approved), approver: { channel: 'web', userId, sessionId } });
           
           ws.send(JSON.stringify({
             type: 'approval_processed',
@@ -334,6 +642,16 @@ wss.on('connection', (ws) => {
         }
       }
       
+      // Handle cancel: stop the user's running commands (or one by commandId)
+      else if (message.type === 'cancel') {
+        const cancelled = cancelCommands({ channel: 'web', userId }, message.commandId || null);
+        
+        ws.send(JSON.stringify({
+          type: 'cancelled',
+          commands: cancelled.map(c => ({ id: c.id, command: c.command }))
+        }));
+      }
+      
       // Handle simple mode toggle
       else if (message.type === 'toggle_simple') {
         session.simpleMode = !session.simpleMode;
@@ -345,10 +663,10 @@ wss.on('connection', (ws) => {
       
       // Handle clear
       else if (message.type === 'clear') {
-        setUserContext(userId);
-        await clearMemory();
-        await clearNotes();
-        clearUserContext();
+        await runWithStorage(userStorage(userId), async () => {
+          await clearMemory();
+          await clearNotes();
+        });
         
         ws.send(JSON.stringify({
           type: 'cleared'
@@ -391,7 +709,7 @@ setInterval(() => {
   // Clean up expired approvals
   for (const [approvalId, approval] of pendingApprovals.entries()) {
     if (now - approval.timestamp > 5 * 60 * 1000) {
-      approval.resolve(false);
+      approval.resolve({ approved: false, reason: 'Timed out' });
       pendingApprovals.delete(approvalId);
     }
   }
@@ -410,6 +728,7 @@ server.listen(PORT, () => {
   console.log(`  - Per-user memory isolation`);
   console.log(`  - Real-time WebSocket communication`);
   console.log(`  - Approval flow support`);
+  console.log(`  - Live command output and cancel`);
   console.log(`  - Landscape + Plan + Base agents`);
   console.log(`\n🔐 Default password: ${ADMIN_PASSWORD === 'admin123' ? '⚠️  CHANGE IN PRODUCTION!' : '✓ Custom'}`);
   console.log();
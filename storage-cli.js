@@ -0,0 +1,83 @@
+/**
+ * Storage CLI - Import files into SQLite and search stored history
+ *
+ * Usage:
+ *   node storage-cli.js import [dir]                   Copy memory, notes and group chat files into
+ *                                                      the sqlite backend (working directory by default)
+ *   node storage-cli.js search memory [key] [options]  Search a user's interactions ("default" by default)
+ *   node storage-cli.js search group <groupId> [options]
+ *                                                      Search a group's messages
+ *
+ * Options: --text <words> --user <userId> --since <date> --until <date> --limit <n>
+ * Searches use STORAGE_BACKEND (default file).
+ */
+
+import path from 'path';
+import { getStorageBackend, importFileStorage, resetStorageBackends } from './lib/storageBackends.js';
+import { runWithStorage, userStorage } from './lib/storageContext.js';
+import { searchMemory } from './lib/memorySystem.js';
+
+/**
+ * Split arguments into positionals and --name value options
+ */
+function parseArgs(args) {
+  const positionals = [];
+  const options = {};
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith('--')) {
+      options[args[i].slice(2)] = args[++i];
+    } else {
+      positionals.push(args[i]);
+    }
+  }
+  return { positionals, options };
+}
+
+async function main() {
+  const [command, ...rest] = process.argv.slice(2);
+  const { positionals, options } = parseArgs(rest);
+
+  if (command === 'import') {
+    const dir = path.resolve(positionals[0] || process.cwd());
+    const counts = await importFileStorage(getStorageBackend('sqlite'), dir);
+    console.log(`✅ Imported ${counts.memory} memory file(s), ${counts.notes} notes file(s) and ${counts.groupChats} group chat(s) from ${dir}`);
+    return;
+  }
+
+  if (command === 'search') {
+    const [kind, id] = positionals;
+    const filter = { ...options, limit: options.limit ? Number(options.limit) : undefined };
+
+    if (kind === 'memory') {
+      const storage = id && id !== 'default' ? userStorage(id) : null;
+      const interactions = await runWithStorage(storage, () => searchMemory(filter));
+      interactions.forEach(interaction => {
+        console.log(`🧠 #${interaction.id} ${interaction.ts} ${interaction.userRequest?.query || ''}`);
+      });
+      console.log(`${interactions.length} interaction(s)`);
+      return;
+    }
+
+    if (kind === 'group' && id) {
+      const messages = await getStorageBackend().searchGroupMessages(id, filter);
+      messages.forEach(message => {
+        console.log(`💬 #${message.id} ${message.timestamp} ${message.username || message.userId}: ${message.text}`);
+      });
+      console.log(`${messages.length} message(s)`);
+      return;
+    }
+
+    console.error('❌ Usage: search memory [key] | search group <groupId>');
+    process.exit(1);
+  }
+
+  console.error(`❌ Unknown command "${command}" (import or search)`);
+  process.exit(1);
+}
+
+main()
+  .then(() => resetStorageBackends())
+  .catch(error => {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+  });
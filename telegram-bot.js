@@ -4,7 +4,7 @@
  * Features:
  * - Per-user memory isolation
  * - Interactive approval flow
- * - Command execution
+ * - Command execution with live output and /cancel
  * - Continue loop support
  * - Landscape and plan steps for complex queries
  */
@@ -13,8 +13,23 @@ import TelegramBot from 'node-telegram-bot-api';
 import { orchestrate, orchestrateSimple } from './lib/agentOrchestrator.js';
 import { addInteraction, getMemoryContextString, clearMemory } from './lib/memorySystem.js';
 import { loadNotes, clearNotes } from './lib/notesManager.js';
+import { runWithStorage, userStorage } from './lib/storageContext.js';
+import { getUsageSummary, formatUsageSummary } from './lib/usageTracker.js';
+import { cancelCommands } from './lib/terminalExecutor.js';
+import { excerptOutput, formatArtifactHint, loadOutputArtifact, OutputArtifactNotFoundError } from './lib/outputArtifacts.js';
+import { formatRedactionHint } from './lib/secretRedactor.js';
+import { queryAuditLog, verifyAuditLog, parseAuditArgs, formatAuditEntries, formatAuditVerification } from './lib/auditLogger.js';
+import {
+  checkBudget,
+  getBudgetStatus,
+  setBudget,
+  parseBudgetArgs,
+  formatBudgetRefusal,
+  formatBudgetStatus,
+  BudgetExceededError,
+  InvalidBudgetError
+} from './lib/budgetManager.js';
 import fs from 'fs/promises';
-import path from 'path';
 
 // Get bot token from environment
 const BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
@@ -24,6 +39,12 @@ if (!BOT_TOKEN) {
   process.exit(1);
 }
 
+// Telegram user ids allowed to change budgets (comma-separated)
+const ADMIN_IDS = (process.env.TELEGRAM_ADMIN_IDS || '')
+  .split(',')
+  .map(id => id.trim())
+  .filter(Boolean);
+
 // Create bot instance
 const bot = new TelegramBot(BOT_TOKEN, { polling: true });
 
@@ -33,6 +54,10 @@ const userSessions = new Map();
 // Pending approvals - stores commands waiting for user approval
 const pendingApprovals = new Map();
 
+// Minimum time between streaming edits (Telegram rate-limits message edits)
+const STREAM_EDIT_INTERVAL_MS = 1200;
+const STREAM_PREVIEW_LENGTH = 3500;
+
 /**
  * Get or create user session
  */
@@ -49,30 +74,10 @@ function getUserSession(userId) {
 }
 
 /**
- * Get user-specific file paths
+ * Check if a Telegram user may run admin commands
  */
-function getUserFiles(userId) {
-  return {
-    memory: path.join(process.cwd(), `memory-${userId}.json`),
-    notes: path.join(process.cwd(), `notes-${userId}.md`)
-  };
-}
-
-/**
- * Set user-specific file paths (temporary override for orchestrator)
- */
-function setUserContext(userId) {
-  const files = getUserFiles(userId);
-  process.env.USER_MEMORY_FILE = files.memory;
-  process.env.USER_NOTES_FILE = files.notes;
-}
-
-/**
- * Clear user-specific context
- */
-function clearUserContext() {
-  delete process.env.USER_MEMORY_FILE;
-  delete process.env.USER_NOTES_FILE;
+function isAdmin(userId) {
+  return ADMIN_IDS.includes(String(userId));
 }
 
 /**
@@ -109,6 +114,42 @@ async function askApproval(userId, chatId, command, reasoning) {
   });
 }
 
+/**
+ * Progressive preview of a streaming response in an existing message
+ * Edits are throttled and never overlap; the final formatted response is
+ * still sent separately by onResponse
+ * @param {string} icon - Prefix for the preview (✍️ model text, 💻 command output)
+ */
+function createStreamPreview(chatId, messageId, icon = '✍️') {
+  let text = '';
+  let lastEditAt = 0;
+  let editing = false;
+  
+  return {
+    append(delta) {
+      text += delta;
+      
+      const now = Date.now();
+      if (editing || now - lastEditAt < STREAM_EDIT_INTERVAL_MS) return;
+      
+      editing = true;
+      lastEditAt = now;
+      const preview = text.length > STREAM_PREVIEW_LENGTH
+        ? '…' + text.substring(text.length - STREAM_PREVIEW_LENGTH)
+        : text;
+      
+      // Plain text: partial Markdown would fail to parse
+      bot.editMessageText(`${icon} ${preview} ▌`, { chat_id: chatId, message_id: messageId })
+        .catch(error => console.error('Stream edit failed:', error.message))
+        .finally(() => { editing = false; });
+    },
+    
+    reset() {
+      text = '';
+    }
+  };
+}
+
 /**
  * Format response for Telegram
  */
@@ -142,14 +183,30 @@ function formatResponse(response, iteration) {
           text += `✅ *Executed*\n`;
           text += `Exit Code: ${response.terminalResult.exitCode}\n\n`;
           if (response.terminalResult.output) {
-            const output = response.terminalResult.output.substring(0, 2000);
+            const output = excerptOutput(response.terminalResult.output, { limit: 2000 });
             text += `*Output:*\n\`\`\`\n${output}\n\`\`\``;
           }
+          text += formatArtifactHint(response.terminalResult.artifact);
+          text += formatRedactionHint(response.terminalResult.redactions);
         } else {
           text += `❌ ${response.terminalResult.output}`;
         }
       }
       break;
+      
+    case 'toolCalls':
+      if (response.response) {
+        text += `${response.response}\n\n`;
+      }
+      response.toolCalls.forEach(call => {
+        text += `🔧 ${call.summary}\n`;
+        if (call.result.executed && call.result.output) {
+          text += `\`\`\`\n${excerptOutput(call.result.output, { limit: 1000 })}\n\`\`\`\n`;
+        }
+        text += formatArtifactHint(call.result.artifact);
+        text += formatRedactionHint(call.result.redactions);
+      });
+      break;
   }
   
   // Add questions if any
@@ -193,6 +250,10 @@ bot.onText(/\/start/, async (msg) => {
     `/clear - Clear memory\n` +
     `/notes - View my notes\n` +
     `/memory - View memory stats\n` +
+    `/usage - View token usage and cost\n` +
+    `/budget - View your usage budget\n` +
+    `/cancel - Stop the running command\n` +
+    `/output <id> - Get the full output of a command\n` +
     `/status - Check bot status\n\n` +
     `Just send me a message to get started!`,
     { parse_mode: 'Markdown' }
@@ -215,6 +276,12 @@ bot.onText(/\/help/, async (msg) => {
     `/clearnotes - Clear your notes only\n` +
     `/notes - View my working notes\n` +
     `/memory - View memory statistics\n` +
+    `/usage - View your token usage and cost\n` +
+    `/budget - View your usage budget\n` +
+    `/setbudget - (admin) Set a budget: subject period unit amount\n` +
+    `/cancel - Stop the running command\n` +
+    `/output <id> - Get the full output of a command as a file\n` +
+    `/audit - (admin) Recent commands; /audit verify checks the log\n` +
     `/status - Check bot status\n\n` +
     `*How it works:*\n` +
     `1. Send me a question or task\n` +
@@ -257,16 +324,14 @@ bot.onText(/\/clear/, async (msg) => {
   const chatId = msg.chat.id;
   const userId = msg.from.id;
   
-  setUserContext(userId);
-  
   try {
-    await clearMemory();
-    await clearNotes();
+    await runWithStorage(userStorage(userId), async () => {
+      await clearMemory();
+      await clearNotes();
+    });
     await bot.sendMessage(chatId, `✅ Your memory and notes have been cleared.`);
   } catch (error) {
     await bot.sendMessage(chatId, `❌ Error clearing data: ${error.message}`);
-  } finally {
-    clearUserContext();
   }
 });
 
@@ -277,15 +342,11 @@ bot.onText(/\/clearnotes/, async (msg) => {
   const chatId = msg.chat.id;
   const userId = msg.from.id;
   
-  setUserContext(userId);
-  
   try {
-    await clearNotes();
+    await runWithStorage(userStorage(userId), clearNotes);
     await bot.sendMessage(chatId, `✅ Your notes have been cleared.`);
   } catch (error) {
     await bot.sendMessage(chatId, `❌ Error clearing notes: ${error.message}`);
-  } finally {
-    clearUserContext();
   }
 });
 
@@ -296,10 +357,8 @@ bot.onText(/\/notes/, async (msg) => {
   const chatId = msg.chat.id;
   const userId = msg.from.id;
   
-  setUserContext(userId);
-  
   try {
-    const notes = await loadNotes();
+    const notes = await runWithStorage(userStorage(userId), loadNotes);
     const preview = notes.substring(0, 3000);
     await bot.sendMessage(chatId, 
       `📝 *My Working Notes:*\n\n\`\`\`\n${preview}\n\`\`\``,
@@ -307,8 +366,6 @@ bot.onText(/\/notes/, async (msg) => {
     );
   } catch (error) {
     await bot.sendMessage(chatId, `❌ Error loading notes: ${error.message}`);
-  } finally {
-    clearUserContext();
   }
 });
 
@@ -319,10 +376,8 @@ bot.onText(/\/memory/, async (msg) => {
   const chatId = msg.chat.id;
   const userId = msg.from.id;
   
-  setUserContext(userId);
-  
   try {
-    const context = await getMemoryContextString();
+    const context = await runWithStorage(userStorage(userId), getMemoryContextString);
     const lines = context.split('\n');
     const preview = lines.slice(0, 50).join('\n');
     
@@ -332,8 +387,136 @@ bot.onText(/\/memory/, async (msg) => {
     );
   } catch (error) {
     await bot.sendMessage(chatId, `❌ Error loading memory: ${error.message}`);
-  } finally {
-    clearUserContext();
+  }
+});
+
+/**
+ * Handle /usage command
+ */
+bot.onText(/\/usage/, async (msg) => {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id;
+  
+  try {
+    const summary = await getUsageSummary({ channel: 'telegram', userId });
+    const text = formatUsageSummary(summary, '📈 Your Usage');
+    
+    await bot.sendMessage(chatId, `\`\`\`\n${text}\n\`\`\``, { parse_mode: 'Markdown' });
+  } catch (error) {
+    await bot.sendMessage(chatId, `❌ Error loading usage: ${error.message}`);
+  }
+});
+
+/**
+ * Handle /budget command
+ */
+bot.onText(/\/budget/, async (msg) => {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id;
+  
+  try {
+    const status = await getBudgetStatus({ channel: 'telegram', userId });
+    await bot.sendMessage(chatId, `💰 *Your Budget*\n\n\`\`\`\n${formatBudgetStatus(status)}\n\`\`\``, { parse_mode: 'Markdown' });
+  } catch (error) {
+    await bot.sendMessage(chatId, `❌ Error loading budget: ${error.message}`);
+  }
+});
+
+/**
+ * Handle /setbudget command (admins only)
+ * Usage: /setbudget <subject> <daily|monthly> <tokens|usd> <amount|off>
+ * Example: /setbudget telegram:123456 daily tokens 500000
+ */
+bot.onText(/\/setbudget(?:\s+(.*))?/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id;
+  
+  if (!isAdmin(userId)) {
+    await bot.sendMessage(chatId, '⛔ Only admins can change budgets.');
+    return;
+  }
+  
+  const usage = 'Usage: /setbudget <subject> <daily|monthly> <tokens|usd> <amount|off>\n' +
+    'Subjects: telegram:<userId>, web:<userId>, group:<groupId>';
+  const args = (match[1] || '').trim().split(/\s+/);
+  if (args.length < 3) {
+    await bot.sendMessage(chatId, usage);
+    return;
+  }
+  
+  try {
+    const [subject, period, unit, amount = unit] = args;
+    const budget = await setBudget(subject, parseBudgetArgs(period, unit, amount));
+    await bot.sendMessage(chatId, `✅ Budget for ${subject} updated:\n${JSON.stringify(budget, null, 2)}`);
+  } catch (error) {
+    await bot.sendMessage(chatId, error instanceof InvalidBudgetError
+      ? `❌ ${error.message}\n${usage}`
+      : `❌ Error setting budget: ${error.message}`);
+  }
+});
+
+/**
+ * Handle /cancel command - kills the user's running commands
+ */
+bot.onText(/\/cancel/, async (msg) => {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id;
+  
+  const cancelled = cancelCommands({ channel: 'telegram', userId });
+  
+  await bot.sendMessage(chatId, cancelled.length > 0
+    ? `🛑 Cancelled: ${cancelled.map(c => c.command).join(', ')}`
+    : 'Nothing is running.');
+});
+
+/**
+ * Handle /output command - sends a stored command output as a document
+ * Usage: /output <id>
+ */
+bot.onText(/\/output(?:\s+(\S+))?/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id;
+  
+  if (!match[1]) {
+    await bot.sendMessage(chatId, 'Usage: /output <id> (the id is shown under truncated command output)');
+    return;
+  }
+  
+  try {
+    const artifact = await loadOutputArtifact(match[1], { channel: 'telegram', userId }, { withContent: false });
+    await bot.sendDocument(chatId, artifact.path, { caption: `📦 ${artifact.command}`.substring(0, 1000) }, {
+      filename: `${artifact.id}.log`,
+      contentType: 'text/plain'
+    });
+  } catch (error) {
+    await bot.sendMessage(chatId, error instanceof OutputArtifactNotFoundError
+      ? `❌ ${error.message}`
+      : `❌ Error loading output: ${error.message}`);
+  }
+});
+
+/**
+ * Handle /audit command (admins only)
+ * Usage: /audit [verify | user=telegram:123 status=blocked since=2026-10-01 limit=20]
+ */
+bot.onText(/\/audit(?:\s+(.*))?/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id;
+  
+  if (!isAdmin(userId)) {
+    await bot.sendMessage(chatId, '⛔ Only admins can read the audit log.');
+    return;
+  }
+  
+  try {
+    const { verify, filter } = parseAuditArgs(match[1]);
+    const text = verify
+      ? formatAuditVerification(await verifyAuditLog())
+      : formatAuditEntries(await queryAuditLog({ limit: 20, ...filter }));
+    
+    await bot.sendMessage(chatId, `🧾 *Audit Log*\n\n\`\`\`\n${text.substring(0, 3800)}\n\`\`\``, { parse_mode: 'Markdown' });
+  } catch (error) {
+    await bot.sendMessage(chatId, `❌ Error reading audit log: ${error.message}`);
   }
 });
 
@@ -375,9 +558,12 @@ bot.on('callback_query', async (query) => {
   const approval = pendingApprovals.get(approvalId);
   pendingApprovals.delete(approvalId);
   
-  // Resolve the promise
+  // Resolve the promise; whoever pressed the button is recorded as the approver
   const approved = action === 'approve';
-  approval.resolve(approved);
+  approval.resolve({
+    approved,
+    approver: { channel: 'telegram', userId, username: query.from.username, chatId }
+  });
   
   // Update message
   await bot.editMessageText(
@@ -419,20 +605,29 @@ bot.on('message', async (msg) => {
     return;
   }
   
+  // Refuse before doing any work if the user's budget is used up
+  const budget = await checkBudget({ channel: 'telegram', userId });
+  if (budget.action === 'refuse') {
+    await bot.sendMessage(chatId, formatBudgetRefusal(budget.exceeded));
+    return;
+  }
+  
   session.processing = true;
   session.lastActivity = Date.now();
   
-  // Set user context
-  setUserContext(userId);
-  
   try {
     // Send processing message
     const processingMsg = await bot.sendMessage(chatId, '🤖 Processing...');
     
     let iterationCount = 0;
+    const streamPreview = createStreamPreview(chatId, processingMsg.message_id);
+    const outputPreview = createStreamPreview(chatId, processingMsg.message_id, '💻');
     
     // Callbacks for orchestrator
     const callbacks = {
+      caller: { channel: 'telegram', userId, chatId, username: msg.from.username },
+      storage: userStorage(userId),
+      
       askApproval: async (command, reasoning) => {
         return await askApproval(userId, chatId, command, reasoning);
       },
@@ -448,7 +643,22 @@ bot.on('message', async (msg) => {
         );
       },
       
+      onDelta: (field, delta) => {
+        streamPreview.append(delta);
+      },
+      
+      onStreamReset: () => {
+        streamPreview.reset();
+      },
+      
+      onCommandOutput: (stream, chunk) => {
+        outputPreview.append(chunk);
+      },
+      
       onResponse: async (response, iteration) => {
+        streamPreview.reset();
+        outputPreview.reset();
+        
         // Format and send response
         const text = formatResponse(response, iteration);
         
@@ -479,14 +689,17 @@ bot.on('message', async (msg) => {
     }
     
   } catch (error) {
-    console.error('Error processing message:', error);
-    await bot.sendMessage(chatId, 
-      `❌ *Error*\n\n${error.message}`,
-      { parse_mode: 'Markdown' }
-    );
+    if (error instanceof BudgetExceededError) {
+      await bot.sendMessage(chatId, formatBudgetRefusal(error.exceeded));
+    } else {
+      console.error('Error processing message:', error);
+      await bot.sendMessage(chatId, 
+        `❌ *Error*\n\n${error.message}`,
+        { parse_mode: 'Markdown' }
+      );
+    }
   } finally {
     session.processing = false;
-    clearUserContext();
   }
 });
 
@@ -516,7 +729,7 @@ setInterval(() => {
   // Clean up old pending approvals
   for (const [approvalId, approval] of pendingApprovals.entries()) {
     if (now - approval.timestamp > 5 * 60 * 1000) { // 5 minutes
-      approval.resolve(false);
+      approval.resolve({ approved: false, reason: 'Timed out' });
       pendingApprovals.delete(approvalId);
       console.log(`Cleaned up expired approval ${approvalId}`);
     }
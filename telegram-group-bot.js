@@ -6,11 +6,26 @@
  * - Maintains running summary per group
  * - Only responds when mentioned or in DMs
  * - Updates summary continuously
+ * - Live command output and /cancel
  */
 
 import TelegramBot from 'node-telegram-bot-api';
 import dotenv from 'dotenv';
 import { generateResponse, getGroupSummary, addMessage } from './lib/groupChatManager.js';
+import { cancelCommands } from './lib/terminalExecutor.js';
+import { getUsageSummary, formatUsageSummary } from './lib/usageTracker.js';
+import { excerptOutput, formatArtifactHint, loadOutputArtifact, OutputArtifactNotFoundError } from './lib/outputArtifacts.js';
+import { formatRedactionHint } from './lib/secretRedactor.js';
+import { queryAuditLog, verifyAuditLog, parseAuditArgs, formatAuditEntries, formatAuditVerification } from './lib/auditLogger.js';
+import {
+  getBudgetStatus,
+  setBudget,
+  parseBudgetArgs,
+  formatBudgetRefusal,
+  formatBudgetStatus,
+  BudgetExceededError,
+  InvalidBudgetError
+} from './lib/budgetManager.js';
 
 if (!process.env.TELEGRAM_BOT_TOKEN) {
   dotenv.config();
@@ -18,9 +33,19 @@ if (!process.env.TELEGRAM_BOT_TOKEN) {
 
 const bot = new TelegramBot(process.env.TELEGRAM_BOT_TOKEN, { polling: true });
 
+// Telegram user ids allowed to change budgets (comma-separated)
+const ADMIN_IDS = (process.env.TELEGRAM_ADMIN_IDS || '')
+  .split(',')
+  .map(id => id.trim())
+  .filter(Boolean);
+
 // Store per-group approval states
 const pendingApprovals = new Map();
 
+// Minimum time between streaming edits (Telegram rate-limits message edits)
+const STREAM_EDIT_INTERVAL_MS = 1200;
+const STREAM_PREVIEW_LENGTH = 3500;
+
 console.log('[dotenv@17.2.4] injecting env (9) from .env -- tip: 🔑 add access controls to secrets: https://dotenvx.com/ops');
 console.log('🤖 Telegram Group Bot started successfully!');
 
@@ -97,6 +122,9 @@ Your choice: yes or no`;
         required: ["shouldRespond"],
         additionalProperties: false
       },
+      schemaName: 'shouldRespond',
+      role: 'responseDecision',
+      caller: { channel: 'telegram-group', userId: msg.from.id, groupId },
       temperature: 0.3
     });
     
@@ -110,6 +138,50 @@ Your choice: yes or no`;
   }
 }
 
+/**
+ * Progressive preview of streaming command output
+ * The preview message is only sent once output arrives, so quiet replies add
+ * nothing to the chat. Edits are throttled and never overlap; remove() deletes
+ * the preview once the final reply is sent.
+ */
+function createStreamPreview(chatId, replyToId, icon = '💻') {
+  let text = '';
+  let lastEditAt = 0;
+  let editing = false;
+  let message = null;
+  
+  return {
+    append(delta) {
+      text += delta;
+      
+      const now = Date.now();
+      if (editing || now - lastEditAt < STREAM_EDIT_INTERVAL_MS) return;
+      
+      editing = true;
+      lastEditAt = now;
+      const preview = text.length > STREAM_PREVIEW_LENGTH
+        ? '…' + text.substring(text.length - STREAM_PREVIEW_LENGTH)
+        : text;
+      
+      // Plain text: partial Markdown would fail to parse
+      message ||= bot.sendMessage(chatId, `${icon} ▌`, { reply_to_message_id: replyToId });
+      message
+        .then(sent => bot.editMessageText(`${icon} ${preview} ▌`, { chat_id: chatId, message_id: sent.message_id }))
+        .catch(error => console.error('Stream edit failed:', error.message))
+        .finally(() => { editing = false; });
+    },
+    
+    async remove() {
+      if (!message) return;
+      try {
+        await bot.deleteMessage(chatId, (await message).message_id);
+      } catch (error) {
+        console.error('Stream preview cleanup failed:', error.message);
+      }
+    }
+  };
+}
+
 /**
  * Ask for approval with inline keyboard
  */
@@ -140,7 +212,7 @@ async function askApproval(chatId, messageId, command, reasoning) {
     setTimeout(() => {
       if (pendingApprovals.has(approvalId)) {
         pendingApprovals.delete(approvalId);
-        resolve(false);
+        resolve({ approved: false, reason: 'Timed out' });
         bot.sendMessage(chatId, '⏱️ Command approval timed out (declined)');
       }
     }, 60000);
@@ -161,7 +233,11 @@ bot.on('callback_query', async (query) => {
     
     if (resolver) {
       const approved = data.startsWith('approve_');
-      resolver(approved);
+      // The member who pressed the button is recorded as the approver
+      resolver({
+        approved,
+        approver: { channel: 'telegram-group', userId: query.from.id, username: query.from.username, groupId: chatId.toString() }
+      });
       pendingApprovals.delete(approvalId);
       
       // Update message
@@ -222,6 +298,8 @@ bot.on('message', async (msg) => {
     // Send "typing" indicator
     await bot.sendChatAction(chatId, 'typing');
     
+    const outputPreview = createStreamPreview(chatId, msg.message_id);
+    
     // Generate response
     const result = await generateResponse(
       groupId,
@@ -235,9 +313,13 @@ bot.on('message', async (msg) => {
         askApproval: async (command, reasoning) => {
           return await askApproval(chatId, msg.message_id, command, reasoning);
         },
-        autoUpdateSummary: true
+        onCommandOutput: (stream, chunk) => {
+          outputPreview.append(chunk);
+        },
+        autoUpdateSummary: true,
+        caller: { channel: 'telegram-group', userId: msg.from.id, chatId, username: msg.from.username }
       }
-    );
+    ).finally(() => outputPreview.remove());
     
     const response = result.response;
     
@@ -255,8 +337,10 @@ bot.on('message', async (msg) => {
         
       case 'terminalCommand':
         if (response.terminalResult && response.terminalResult.executed) {
-          const output = response.terminalResult.output.substring(0, 2000);
+          const output = excerptOutput(response.terminalResult.output, { limit: 2000 });
           replyText = `⚡ *Command:* \`${response.terminalCommand}\`\n\n*Output:*\n\`\`\`\n${output}\n\`\`\``;
+          replyText += formatArtifactHint(response.terminalResult.artifact);
+          replyText += formatRedactionHint(response.terminalResult.redactions);
           
           if (response.terminalResult.exitCode !== 0) {
             replyText += `\n⚠️ Exit code: ${response.terminalResult.exitCode}`;
@@ -282,6 +366,13 @@ bot.on('message', async (msg) => {
     });
     
   } catch (error) {
+    if (error instanceof BudgetExceededError) {
+      await bot.sendMessage(msg.chat.id, formatBudgetRefusal(error.exceeded), {
+        reply_to_message_id: msg.message_id
+      });
+      return;
+    }
+    
     console.error('Error handling message:', error.message);
     if (error.stack) console.error(error.stack);
     
@@ -321,6 +412,152 @@ bot.onText(/\/summary/, async (msg) => {
   }
 });
 
+/**
+ * Handle /usage command
+ */
+bot.onText(/\/usage/, async (msg) => {
+  try {
+    const groupId = getGroupId(msg);
+    const summary = await getUsageSummary({ groupId });
+    const text = formatUsageSummary(summary, '📈 Group Usage');
+    
+    await bot.sendMessage(msg.chat.id, `\`\`\`\n${text}\n\`\`\``, {
+      parse_mode: 'Markdown',
+      reply_to_message_id: msg.message_id
+    });
+  } catch (error) {
+    console.error('Error handling /usage:', error);
+    await bot.sendMessage(msg.chat.id, `❌ Error: ${error.message}`);
+  }
+});
+
+/**
+ * Handle /budget command
+ */
+bot.onText(/\/budget/, async (msg) => {
+  try {
+    const groupId = getGroupId(msg);
+    const status = await getBudgetStatus({ groupId });
+    
+    await bot.sendMessage(msg.chat.id, `💰 *Group Budget*\n\n\`\`\`\n${formatBudgetStatus(status)}\n\`\`\``, {
+      parse_mode: 'Markdown',
+      reply_to_message_id: msg.message_id
+    });
+  } catch (error) {
+    console.error('Error handling /budget:', error);
+    await bot.sendMessage(msg.chat.id, `❌ Error: ${error.message}`);
+  }
+});
+
+/**
+ * Handle /setbudget command (admins only)
+ * Usage: /setbudget <daily|monthly> <tokens|usd> <amount|off>
+ * Applies to the current group
+ */
+bot.onText(/\/setbudget(?:\s+(.*))?/, async (msg, match) => {
+  if (!ADMIN_IDS.includes(String(msg.from.id))) {
+    await bot.sendMessage(msg.chat.id, '⛔ Only admins can change budgets.', {
+      reply_to_message_id: msg.message_id
+    });
+    return;
+  }
+  
+  const usage = 'Usage: /setbudget <daily|monthly> <tokens|usd> <amount|off>';
+  const args = (match[1] || '').trim().split(/\s+/);
+  if (args.length < 2) {
+    await bot.sendMessage(msg.chat.id, usage);
+    return;
+  }
+  
+  try {
+    const subject = `group:${getGroupId(msg)}`;
+    const [period, unit, amount = unit] = args;
+    const budget = await setBudget(subject, parseBudgetArgs(period, unit, amount));
+    
+    await bot.sendMessage(msg.chat.id, `✅ Budget for this group updated:\n${JSON.stringify(budget, null, 2)}`, {
+      reply_to_message_id: msg.message_id
+    });
+  } catch (error) {
+    if (error instanceof InvalidBudgetError) {
+      await bot.sendMessage(msg.chat.id, `❌ ${error.message}\n${usage}`);
+      return;
+    }
+    console.error('Error handling /setbudget:', error);
+    await bot.sendMessage(msg.chat.id, `❌ Error: ${error.message}`);
+  }
+});
+
+/**
+ * Handle /cancel command - kills the commands running for this group
+ */
+bot.onText(/\/cancel/, async (msg) => {
+  const cancelled = cancelCommands({ groupId: getGroupId(msg) });
+  
+  await bot.sendMessage(msg.chat.id, cancelled.length > 0
+    ? `🛑 Cancelled: ${cancelled.map(c => c.command).join(', ')}`
+    : 'Nothing is running.', {
+    reply_to_message_id: msg.message_id
+  });
+});
+
+/**
+ * Handle /output command - sends a command output stored for this group as a document
+ * Usage: /output <id>
+ */
+bot.onText(/\/output(?:\s+(\S+))?/, async (msg, match) => {
+  if (!match[1]) {
+    await bot.sendMessage(msg.chat.id, 'Usage: /output <id>', {
+      reply_to_message_id: msg.message_id
+    });
+    return;
+  }
+  
+  try {
+    const artifact = await loadOutputArtifact(match[1], { groupId: getGroupId(msg) }, { withContent: false });
+    await bot.sendDocument(msg.chat.id, artifact.path, {
+      caption: `📦 ${artifact.command}`.substring(0, 1000),
+      reply_to_message_id: msg.message_id
+    }, {
+      filename: `${artifact.id}.log`,
+      contentType: 'text/plain'
+    });
+  } catch (error) {
+    if (!(error instanceof OutputArtifactNotFoundError)) {
+      console.error('Error handling /output:', error);
+    }
+    await bot.sendMessage(msg.chat.id, `❌ Error: ${error.message}`);
+  }
+});
+
+/**
+ * Handle /audit command (admins only)
+ * Usage: /audit [verify | status=blocked since=2026-10-01 limit=20]
+ * Lists the commands run for the current group
+ */
+bot.onText(/\/audit(?:\s+(.*))?/, async (msg, match) => {
+  if (!ADMIN_IDS.includes(String(msg.from.id))) {
+    await bot.sendMessage(msg.chat.id, '⛔ Only admins can read the audit log.', {
+      reply_to_message_id: msg.message_id
+    });
+    return;
+  }
+  
+  try {
+    const { verify, filter } = parseAuditArgs(match[1]);
+    const text = verify
+      ? formatAuditVerification(await verifyAuditLog())
+      : formatAuditEntries(await queryAuditLog({ limit: 20, ...filter, user: `group:${getGroupId(msg)}` }));
+    
+    await bot.sendMessage(msg.chat.id, `🧾 *Audit Log*\n\n\`\`\`\n${text.substring(0, 3800)}\n\`\`\``, {
+      parse_mode: 'Markdown',
+      reply_to_message_id: msg.message_id
+    });
+  } catch (error) {
+    console.error('Error handling /audit:', error);
+    await bot.sendMessage(msg.chat.id, `❌ Error: ${error.message}`);
+  }
+});
+
 /**
  * Handle /start command
  */
@@ -330,6 +567,9 @@ bot.onText(/\/start/, async (msg) => {
     `I'll respond when you mention me (@${(await bot.getMe()).username}) or use keywords like "bot" or "lumen".\n\n` +
     `Commands:\n` +
     `/summary - View conversation summary\n` +
+    `/usage - View token usage and cost\n` +
+    `/cancel - Stop the running command\n` +
+    `/output <id> - Get the full output of a command\n` +
     `/help - Show help\n\n` +
     `Just chat naturally - I'm listening and learning!`;
   
@@ -348,6 +588,11 @@ bot.onText(/\/help/, async (msg) => {
     `• Start with: "hey bot" or "bot,"\n\n` +
     `*Commands:*\n` +
     `/summary - View conversation summary\n` +
+    `/usage - View token usage and cost\n` +
+    `/budget - View the group's usage budget\n` +
+    `/cancel - Stop the running command\n` +
+    `/output <id> - Get the full output of a command as a file\n` +
+    `/audit - (admin) Commands run for this group\n` +
     `/help - Show this help\n\n` +
     `*Features:*\n` +
     `✓ Tracks all group messages\n` +
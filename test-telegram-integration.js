@@ -6,6 +6,7 @@
 
 import { addInteraction, getMemoryContextString, clearMemory } from './lib/memorySystem.js';
 import { loadNotes, updateCurrentTask, clearNotes } from './lib/notesManager.js';
+import { runWithStorage, userStorage } from './lib/storageContext.js';
 
 console.log('═══════════════════════════════════════════════════════════');
 console.log('Testing Telegram Bot User Isolation');
@@ -18,21 +19,19 @@ async function testUserIsolation() {
   try {
     // Simulate User 1
     const user1Id = 'user-123';
-    process.env.USER_MEMORY_FILE = `memory-${user1Id}.json`;
-    process.env.USER_NOTES_FILE = `notes-${user1Id}.md`;
-    
-    await clearMemory();
-    await clearNotes();
-    
-    await addInteraction(
-      { query: 'User 1 query', context: 'User 1 context' },
-      { choice: 'response', response: 'User 1 response', continue: false }
-    );
-    
-    await updateCurrentTask('User 1 is working on task A');
-    
-    const user1Memory = await getMemoryContextString();
-    const user1Notes = await loadNotes();
+    const { memory: user1Memory, notes: user1Notes } = await runWithStorage(userStorage(user1Id), async () => {
+      await clearMemory();
+      await clearNotes();
+      
+      await addInteraction(
+        { query: 'User 1 query', context: 'User 1 context' },
+        { choice: 'response', response: 'User 1 response', continue: false }
+      );
+      
+      await updateCurrentTask('User 1 is working on task A');
+      
+      return { memory: await getMemoryContextString(), notes: await loadNotes() };
+    });
     
     console.log('✅ User 1 data created');
     console.log('   Memory length:', user1Memory.length);
@@ -40,21 +39,19 @@ async function testUserIsolation() {
     
     // Simulate User 2
     const user2Id = 'user-456';
-    process.env.USER_MEMORY_FILE = `memory-${user2Id}.json`;
-    process.env.USER_NOTES_FILE = `notes-${user2Id}.md`;
-    
-    await clearMemory();
-    await clearNotes();
-    
-    await addInteraction(
-      { query: 'User 2 query', context: 'User 2 context' },
-      { choice: 'response', response: 'User 2 response', continue: false }
-    );
-    
-    await updateCurrentTask('User 2 is working on task B');
-    
-    const user2Memory = await getMemoryContextString();
-    const user2Notes = await loadNotes();
+    const { memory: user2Memory, notes: user2Notes } = await runWithStorage(userStorage(user2Id), async () => {
+      await clearMemory();
+      await clearNotes();
+      
+      await addInteraction(
+        { query: 'User 2 query', context: 'User 2 context' },
+        { choice: 'response', response: 'User 2 response', continue: false }
+      );
+      
+      await updateCurrentTask('User 2 is working on task B');
+      
+      return { memory: await getMemoryContextString(), notes: await loadNotes() };
+    });
     
     console.log('✅ User 2 data created');
     console.log('   Memory length:', user2Memory.length);
@@ -73,10 +70,6 @@ async function testUserIsolation() {
       throw new Error('User data is not isolated!');
     }
     
-    // Cleanup
-    delete process.env.USER_MEMORY_FILE;
-    delete process.env.USER_NOTES_FILE;
-    
     return true;
   } catch (error) {
     console.error('❌ Test 1 Failed:', error.message);
@@ -0,0 +1,212 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { orchestrate, orchestrateSimple } from '../lib/agentOrchestrator.js';
+import { createFakeProvider } from '../lib/llmProviders.js';
+import { loadNotes } from '../lib/notesManager.js';
+import { getCurrentMemory, getMemoryContextString } from '../lib/memorySystem.js';
+import { registerTool, unregisterTool } from '../lib/toolRegistry.js';
+import { queryAuditLog } from '../lib/auditLogger.js';
+import { useTempStorage, removeTempStorage, baseAgentResponse } from './helpers.js';
+
+let tempDir;
+
+beforeEach(async () => {
+  tempDir = await useTempStorage();
+});
+
+afterEach(async () => {
+  await removeTempStorage(tempDir);
+});
+
+test('stops after one iteration when continue is false', async () => {
+  const provider = createFakeProvider({
+    script: [baseAgentResponse({ response: 'done' })]
+  });
+
+  const result = await orchestrateSimple('hello', { provider });
+
+  assert.equal(result.iterations, 1);
+  assert.equal(result.responses[0].response, 'done');
+  assert.equal(provider.calls.length, 1);
+});
+
+test('follows continue until the model stops', async () => {
+  const provider = createFakeProvider({
+    script: [
+      baseAgentResponse({ response: 'step 1', continue: true }),
+      baseAgentResponse({ response: 'step 2', continue: true }),
+      baseAgentResponse({ response: 'step 3', continue: false })
+    ]
+  });
+  const thinking = [];
+
+  const result = await orchestrateSimple('do three things', {
+    provider,
+    onThinking: (iteration) => thinking.push(iteration)
+  });
+
+  assert.equal(result.iterations, 3);
+  assert.deepEqual(result.responses.map(r => r.response), ['step 1', 'step 2', 'step 3']);
+  assert.deepEqual(thinking, [2, 3]);
+});
+
+test('caps the continue loop at 5 iterations', async () => {
+  const provider = createFakeProvider({
+    fallback: baseAgentResponse({ response: 'still going', continue: true })
+  });
+
+  const result = await orchestrateSimple('never finish', { provider });
+
+  assert.equal(result.iterations, 5);
+  assert.equal(provider.calls.length, 5);
+});
+
+test('stops after the same command is declined twice', async () => {
+  const provider = createFakeProvider({
+    fallback: baseAgentResponse({
+      choice: 'terminalCommand',
+      terminalCommand: 'rm -rf ./tmp',
+      commandReasoning: 'cleanup',
+      requiresApproval: true,
+      continue: true
+    })
+  });
+  const asked = [];
+
+  const result = await orchestrateSimple('clean up', {
+    provider,
+    askApproval: async (command) => {
+      asked.push(command);
+      return false;
+    }
+  });
+
+  assert.equal(result.iterations, 2);
+  assert.deepEqual(asked, ['rm -rf ./tmp', 'rm -rf ./tmp']);
+  assert.ok(result.responses.every(r => r.terminalResult.executed === false));
+  assert.match(await loadNotes(), /Too many command denials/);
+});
+
+test('audit entries name the requester and whoever approved or denied', async () => {
+  const provider = createFakeProvider({
+    script: [
+      baseAgentResponse({ choice: 'terminalCommand', terminalCommand: 'echo approved', commandReasoning: 'check', requiresApproval: true, continue: true }),
+      baseAgentResponse({ choice: 'terminalCommand', terminalCommand: 'echo denied', commandReasoning: 'check', requiresApproval: true, continue: false })
+    ]
+  });
+  const caller = { channel: 'telegram', userId: 42, chatId: 42, username: 'alice' };
+  const approver = { channel: 'telegram', userId: 7, username: 'bob' };
+
+  await orchestrateSimple('check twice', {
+    provider,
+    caller,
+    askApproval: async (command) => ({ approved: command === 'echo approved', approver })
+  });
+
+  const [denied, approved] = await queryAuditLog({ user: 'telegram:42' });
+  assert.equal(approved.status, 'success');
+  assert.deepEqual(approved.caller, { channel: 'telegram', userId: '42', groupId: null, chatId: '42', username: 'alice' });
+  assert.equal(approved.approval.approved, true);
+  assert.deepEqual(approved.approval.approver, { channel: 'telegram', userId: '7', groupId: null, username: 'bob' });
+
+  assert.equal(denied.status, 'security-event');
+  assert.equal(denied.eventType, 'approval-denied');
+  assert.equal(denied.command, 'echo denied');
+  assert.equal(denied.approval.approved, false);
+  assert.equal(denied.approval.approver.userId, '7');
+});
+
+test('runs landscape and plan for complex high-priority queries', async () => {
+  const provider = createFakeProvider({
+    script: [
+      {
+        situationSummary: 'multi-step setup',
+        overallIntent: 'Set up project',
+        suggestedApproach: 'Install then test',
+        messageCount: 1,
+        requiresImmediateAction: false,
+        priority: 'high'
+      },
+      { steps: [{ stepDescription: 'Install dependencies' }], missingContext: [] },
+      baseAgentResponse({ response: 'ok' })
+    ]
+  });
+
+  const result = await orchestrate('First install dependencies and then run the tests', { provider });
+
+  assert.equal(result.landscape.overallIntent, 'Set up project');
+  assert.equal(result.plan.steps.length, 1);
+  assert.equal(result.iterations, 1);
+  assert.match(await loadNotes(), /- \[ \] 1\. Install dependencies/);
+});
+
+test('tool-calling mode loops on tool results until a plain answer', async () => {
+  const provider = createFakeProvider({
+    script: [
+      {
+        toolCalls: [
+          { name: 'run_shell_command', arguments: { command: 'echo one', reasoning: 'first', requiresApproval: false } },
+          { name: 'update_notes', arguments: { section: 'Context', entry: 'ran echo' } }
+        ]
+      },
+      'All done'
+    ]
+  });
+
+  const result = await orchestrateSimple('echo something', { provider, toolCalling: true });
+
+  assert.equal(result.iterations, 2);
+  assert.deepEqual(result.responses.map(r => r.choice), ['toolCalls', 'response']);
+  assert.equal(result.responses[0].toolCalls.length, 2);
+  assert.match(result.responses[0].toolCalls[0].result.output, /one/);
+  assert.equal(result.responses[1].response, 'All done');
+
+  // Second call carries the assistant tool calls and one tool message per call
+  const followUp = provider.calls[1].messages;
+  assert.equal(followUp.filter(m => m.role === 'tool').length, 2);
+  assert.equal(followUp.find(m => m.role === 'assistant').tool_calls.length, 2);
+  assert.ok(provider.calls[1].tools.length > 0);
+});
+
+test('tool-calling mode ends the turn with the question when the user cannot be asked', async () => {
+  const provider = createFakeProvider({
+    script: [{ toolCalls: [{ name: 'ask_user', arguments: { question: 'Which server?' } }] }]
+  });
+
+  const result = await orchestrateSimple('deploy it', { provider, toolCalling: true });
+
+  assert.equal(result.iterations, 1);
+  assert.equal(result.responses[0].questionsForUser, true);
+  assert.deepEqual(result.responses[0].questions, ['Which server?']);
+  assert.equal(provider.calls.length, 1);
+});
+
+test('tool-calling mode exposes registered tools and records results in memory', async () => {
+  registerTool({
+    name: 'lookup_ticket',
+    description: 'Look up a support ticket',
+    parameters: {
+      type: 'object',
+      properties: { id: { type: 'string' } },
+      required: ['id'],
+      additionalProperties: false
+    },
+    target: (args) => args.id,
+    handler: async ({ id }) => ({ id, status: 'open' })
+  });
+  const provider = createFakeProvider({
+    script: [{ toolCalls: [{ name: 'lookup_ticket', arguments: { id: 'T-1' } }] }, 'Ticket T-1 is open']
+  });
+
+  try {
+    await orchestrateSimple('status of T-1?', { provider, toolCalling: true, tools: ['lookup_ticket'] });
+  } finally {
+    unregisterTool('lookup_ticket');
+  }
+
+  assert.deepEqual(provider.calls[0].tools.map(t => t.function.name), ['lookup_ticket']);
+  const memory = await getCurrentMemory();
+  assert.equal(memory.interactions[0].aiResponse.toolCalls[0].summary, 'lookup_ticket T-1 → ok');
+  assert.match(memory.interactions[0].aiResponse.toolCalls[0].result, /"status":"open"/);
+  assert.match(await getMemoryContextString(), /Tool: lookup_ticket T-1 → ok/);
+});
@@ -0,0 +1,76 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { BUILTIN_TOOLS } from '../lib/agentTools.js';
+import { getToolDefinitions, runToolCall } from '../lib/toolRegistry.js';
+import { loadNotes } from '../lib/notesManager.js';
+import { useTempStorage, removeTempStorage } from './helpers.js';
+
+let tempDir;
+
+beforeEach(async () => {
+  tempDir = await useTempStorage();
+});
+
+afterEach(async () => {
+  await removeTempStorage(tempDir);
+});
+
+test('registers the built-in tools as strict Chat Completions tools', () => {
+  const definitions = getToolDefinitions(BUILTIN_TOOLS.map(t => t.name));
+  assert.deepEqual(definitions.map(t => t.function.name), ['run_shell_command', 'read_file', 'write_file', 'update_notes', 'ask_user']);
+  assert.ok(definitions.every(t => t.type === 'function' && t.function.strict === true));
+});
+
+test('runs a shell command without approval when not requested', async () => {
+  const { result } = await runToolCall({
+    name: 'run_shell_command',
+    arguments: JSON.stringify({ command: 'echo tool-ok', reasoning: 'test', requiresApproval: false })
+  });
+
+  assert.equal(result.executed, true);
+  assert.equal(result.exitCode, 0);
+  assert.match(result.output, /tool-ok/);
+});
+
+test('write_file asks for approval and writes only when approved', async () => {
+  const target = path.join(tempDir, 'out', 'hello.txt');
+  const asked = [];
+  const call = {
+    name: 'write_file',
+    arguments: JSON.stringify({ path: target, content: 'hi', reasoning: 'greeting' })
+  };
+
+  const declined = await runToolCall(call, { askApproval: async () => false });
+  assert.equal(declined.result.approved, false);
+  await assert.rejects(fs.access(target));
+
+  const approved = await runToolCall(call, {
+    askApproval: async (description) => {
+      asked.push(description);
+      return true;
+    }
+  });
+  assert.equal(approved.result.written, true);
+  assert.equal(await fs.readFile(target, 'utf-8'), 'hi');
+  assert.deepEqual(asked, [`write_file ${target}`]);
+  assert.equal(approved.summary, `write_file ${target} → 2 bytes written`);
+});
+
+test('update_notes writes to the requested notes section', async () => {
+  await runToolCall({ name: 'update_notes', arguments: { section: 'Context', entry: 'uses pnpm' } });
+
+  assert.match(await loadNotes(), /## Context\n- \[[^\]]+\] uses pnpm/);
+});
+
+test('reports unknown tools, bad arguments and handler failures as errors', async () => {
+  const unknown = await runToolCall({ name: 'launch_rocket', arguments: '{}' });
+  const badJson = await runToolCall({ name: 'read_file', arguments: '{not json' });
+  const missing = await runToolCall({ name: 'read_file', arguments: { path: path.join(tempDir, 'nope.txt') } });
+
+  assert.match(unknown.result.error, /Unknown tool/);
+  assert.match(badJson.result.error, /Invalid JSON arguments/);
+  assert.match(missing.result.error, /ENOENT/);
+  assert.match(missing.summary, /^read_file .*nope\.txt → error: ENOENT/);
+});
@@ -0,0 +1,211 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { useTempStorage, removeTempStorage } from './helpers.js';
+
+// Small files so a few entries trigger rotation (read when the module loads)
+process.env.AUDIT_LOG_MAX_MB = '0.002';
+const {
+  logCommand,
+  verifyAuditLog,
+  queryAuditLog,
+  parseAuditArgs,
+  getAuditStatus,
+  readApproval,
+  formatAuditEntries
+} = await import('../lib/auditLogger.js');
+
+let tempDir;
+
+before(async () => {
+  tempDir = await useTempStorage();
+});
+
+after(async () => {
+  delete process.env.AUDIT_LOG_MAX_MB;
+  await removeTempStorage(tempDir);
+});
+
+/**
+ * Point the audit log at a fresh file in the temp directory
+ */
+function useLog(name) {
+  const file = path.join(tempDir, name, 'audit.log');
+  process.env.AUDIT_LOG_FILE = file;
+  return file;
+}
+
+const alice = { channel: 'telegram', userId: 42 };
+
+test('entries are hash-chained and verify cleanly', async () => {
+  const file = useLog('chain');
+  await fs.mkdir(path.dirname(file));
+
+  await logCommand({ status: 'success', command: 'ls', commandReasoning: 'list', exitCode: 0, stdout: 'a\nb' }, { caller: alice });
+  await logCommand({ status: 'blocked', command: 'rm -rf /', message: 'Blocked' }, { caller: alice });
+
+  const lines = (await fs.readFile(file, 'utf-8')).trim().split('\n').map(line => JSON.parse(line));
+  assert.deepEqual(lines.map(entry => entry.seq), [1, 2]);
+  assert.equal(lines[0].prevHash, '0'.repeat(64));
+  assert.equal(lines[1].prevHash, lines[0].hash);
+  assert.deepEqual(lines[0].caller, { channel: 'telegram', userId: '42', groupId: null });
+
+  const result = await verifyAuditLog();
+  assert.equal(result.ok, true);
+  assert.equal(result.entries, 2);
+});
+
+test('verify reports edited and removed lines', async () => {
+  const file = useLog('tamper');
+  await fs.mkdir(path.dirname(file));
+
+  for (const command of ['echo 1', 'echo 2', 'echo 3']) {
+    await logCommand({ status: 'success', command }, { caller: alice });
+  }
+  const original = await fs.readFile(file, 'utf-8');
+
+  await fs.writeFile(file, original.replace('echo 2', 'echo X'));
+  let result = await verifyAuditLog();
+  assert.equal(result.ok, false);
+  assert.match(result.errors[0].reason, /modified/);
+  assert.equal(result.errors[0].seq, 2);
+
+  const lines = original.trim().split('\n');
+  await fs.writeFile(file, [lines[0], lines[2]].join('\n') + '\n');
+  result = await verifyAuditLog();
+  assert.equal(result.ok, false);
+  assert.ok(result.errors.some(error => /Expected seq 2/.test(error.reason)));
+  assert.ok(result.errors.some(error => /Chain broken/.test(error.reason)));
+});
+
+test('rotation gzips old entries and keeps the chain across files', async () => {
+  const file = useLog('rotate');
+  await fs.mkdir(path.dirname(file));
+
+  for (let i = 0; i < 12; i++) {
+    await logCommand({ status: 'success', command: `echo ${i}`, stdout: 'x'.repeat(400) }, { caller: alice });
+  }
+
+  const rotated = (await fs.readdir(path.dirname(file))).filter(name => name.endsWith('.log.gz'));
+  assert.ok(rotated.length > 0);
+  assert.match(rotated[0], /^audit-\d{4}-\d{2}-\d{2}T[\d-]+Z\.log\.gz$/);
+
+  const result = await verifyAuditLog();
+  assert.equal(result.ok, true, JSON.stringify(result.errors));
+  assert.equal(result.entries, 12);
+  assert.equal(result.files.length, rotated.length + 1);
+
+  const entries = await queryAuditLog({ limit: 100 });
+  assert.deepEqual(entries.map(entry => entry.seq), [12, 11, 10, 9, 8, 7, 6, 5, 4, 3, 2, 1]);
+});
+
+test('processes sharing a log continue one chain', async () => {
+  const file = useLog('shared');
+  await fs.mkdir(path.dirname(file));
+
+  // Two writers like lumen-web and lumen-telegram, rotating the small log as they go
+  const script = `
+    const { logCommand } = await import(${JSON.stringify(new URL('../lib/auditLogger.js', import.meta.url).href)});
+    for (let i = 0; i < 15; i++) await logCommand({ status: 'success', command: process.argv[1] + ' ' + i, stdout: 'x'.repeat(100) });
+  `;
+  await Promise.all(['web', 'telegram'].map(name =>
+    promisify(execFile)(process.execPath, ['--input-type=module', '-e', script, name], { env: process.env, timeout: 60000 })
+  ));
+  await logCommand({ status: 'success', command: 'after' }, { caller: alice });
+
+  const result = await verifyAuditLog();
+  assert.equal(result.ok, true, JSON.stringify(result.errors));
+  assert.equal(result.entries, 31);
+  assert.equal(result.lastSeq, 31);
+  await assert.rejects(fs.access(`${file}.lock`));
+});
+
+test('with AUDIT_LOG_HMAC_KEY the chain cannot be recomputed without the key', async () => {
+  const file = useLog('keyed');
+  await fs.mkdir(path.dirname(file));
+  process.env.AUDIT_LOG_HMAC_KEY = 'test-audit-key';
+
+  try {
+    await logCommand({ status: 'success', command: 'echo 1' }, { caller: alice });
+    await logCommand({ status: 'success', command: 'echo 2' }, { caller: alice });
+    const original = await fs.readFile(file, 'utf-8');
+    assert.equal(JSON.parse(original.split('\n')[0]).alg, 'hmac-sha256');
+    assert.equal((await verifyAuditLog()).ok, true);
+
+    // An edit with a recomputed plain sha256 hash is caught
+    const [first, second] = original.trim().split('\n').map(line => JSON.parse(line));
+    const { hash, alg, ...rest } = { ...second, command: 'echo X' };
+    const forged = { ...rest, hash: crypto.createHash('sha256').update(JSON.stringify(rest)).digest('hex') };
+    await fs.writeFile(file, [JSON.stringify(first), JSON.stringify(forged)].join('\n') + '\n');
+    const result = await verifyAuditLog();
+    assert.equal(result.ok, false);
+    assert.ok(result.errors.some(error => /not keyed/.test(error.reason)));
+
+    await fs.writeFile(file, original);
+    delete process.env.AUDIT_LOG_HMAC_KEY;
+    assert.match((await verifyAuditLog()).errors[0].reason, /without AUDIT_LOG_HMAC_KEY/);
+  } finally {
+    delete process.env.AUDIT_LOG_HMAC_KEY;
+  }
+});
+
+test('query filters by user, status and time, newest first', async () => {
+  const file = useLog('query');
+  await fs.mkdir(path.dirname(file));
+
+  await logCommand({ status: 'success', command: 'whoami' }, { caller: alice });
+  await logCommand({ status: 'denied', command: 'reboot' }, { caller: alice });
+  await logCommand({ status: 'success', command: 'df -h' }, { caller: { channel: 'group', userId: 7, groupId: 'ops' } });
+
+  assert.deepEqual((await queryAuditLog({ user: 'telegram:42' })).map(e => e.command), ['reboot', 'whoami']);
+  assert.deepEqual((await queryAuditLog({ user: 'group:ops' })).map(e => e.command), ['df -h']);
+  assert.deepEqual((await queryAuditLog({ status: 'denied' })).map(e => e.command), ['reboot']);
+  assert.equal((await queryAuditLog({ limit: 1 }))[0].command, 'df -h');
+  assert.equal((await queryAuditLog({ until: '2000-01-01' })).length, 0);
+  await assert.rejects(queryAuditLog({ since: 'yesterday-ish' }), /Invalid date/);
+
+  assert.match(formatAuditEntries(await queryAuditLog({ status: 'denied' })), /^#2 .* ⛔ denied telegram:42: reboot$/);
+});
+
+test('failed writes are kept and written with the next entry', async () => {
+  const file = useLog('retry');
+
+  // The directory does not exist yet, so the write fails
+  await logCommand({ status: 'success', command: 'first' }, { caller: alice });
+  assert.equal(getAuditStatus().pending, 1);
+  assert.ok(getAuditStatus().failures > 0);
+
+  await fs.mkdir(path.dirname(file));
+  await logCommand({ status: 'success', command: 'second' }, { caller: alice });
+  assert.equal(getAuditStatus().pending, 0);
+
+  const entries = await queryAuditLog();
+  assert.deepEqual(entries.map(entry => entry.command), ['second', 'first']);
+  assert.equal((await verifyAuditLog()).ok, true);
+});
+
+test('parseAuditArgs reads verify and key=value filters', () => {
+  assert.deepEqual(parseAuditArgs(' verify '), { verify: true, filter: {} });
+  assert.deepEqual(parseAuditArgs('user=telegram:42 status=blocked limit=5'), {
+    verify: false,
+    filter: { user: 'telegram:42', status: 'blocked', limit: '5' }
+  });
+  assert.throws(() => parseAuditArgs('bogus'), /Unknown audit filter/);
+});
+
+test('readApproval accepts booleans and answers naming the approver', async () => {
+  assert.equal(readApproval(true).approved, true);
+  assert.equal(readApproval(undefined).approved, false);
+
+  const approval = readApproval({ approved: true, approver: { channel: 'web', userId: 'admin', sessionId: 'ws-1' } });
+  assert.deepEqual(approval.approver, { channel: 'web', userId: 'admin', groupId: null, sessionId: 'ws-1' });
+
+  useLog('approval');
+  await fs.mkdir(path.join(tempDir, 'approval'));
+  await logCommand({ status: 'success', command: 'uptime' }, { caller: alice, approval });
+  assert.match(formatAuditEntries(await queryAuditLog()), /telegram:42: uptime \(approved by web:admin\)$/);
+});
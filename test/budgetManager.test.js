@@ -0,0 +1,155 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import {
+  checkBudget,
+  getBudgetStatus,
+  setBudget,
+  parseBudgetArgs,
+  BudgetExceededError,
+  InvalidBudgetError
+} from '../lib/budgetManager.js';
+import { recordUsage } from '../lib/usageTracker.js';
+import { queryOpenAI } from '../lib/openaiWrapper.js';
+import { createFakeProvider } from '../lib/llmProviders.js';
+import { useTempStorage, removeTempStorage } from './helpers.js';
+
+let tempDir;
+
+const alice = { channel: 'telegram', userId: '1' };
+const schema = { type: 'object', properties: { ok: { type: 'boolean' } }, required: ['ok'], additionalProperties: false };
+
+beforeEach(async () => {
+  tempDir = await useTempStorage();
+});
+
+afterEach(async () => {
+  await removeTempStorage(tempDir);
+});
+
+async function writeConfig(config) {
+  await fs.writeFile(process.env.BUDGET_CONFIG_FILE, JSON.stringify(config), 'utf-8');
+}
+
+async function spend(caller, tokens) {
+  await recordUsage({
+    usage: { prompt_tokens: tokens, completion_tokens: 0, total_tokens: tokens },
+    model: 'gpt-4o',
+    role: 'base',
+    caller
+  });
+}
+
+test('allows everything when no budget is configured', async () => {
+  await spend(alice, 1_000_000);
+
+  const decision = await checkBudget(alice, 'gpt-4o');
+  assert.equal(decision.action, 'allow');
+  assert.deepEqual(await getBudgetStatus(alice), []);
+});
+
+test('refuses once the daily token limit is reached', async () => {
+  await writeConfig({ defaults: { user: { daily: { tokens: 1000 } } } });
+
+  await spend(alice, 999);
+  assert.equal((await checkBudget(alice, 'gpt-4o')).action, 'allow');
+
+  await spend(alice, 1);
+  const decision = await checkBudget(alice, 'gpt-4o');
+  assert.equal(decision.action, 'refuse');
+  assert.deepEqual(decision.exceeded.map(e => [e.subject, e.period, e.unit]), [['telegram:1', 'daily', 'tokens']]);
+
+  // Other users are unaffected
+  assert.equal((await checkBudget({ channel: 'telegram', userId: '2' }, 'gpt-4o')).action, 'allow');
+});
+
+test('group budgets apply to every member of the group', async () => {
+  await writeConfig({ overrides: { 'group:g1': { monthly: { usd: 0.001 } } } });
+  await spend({ channel: 'group', userId: '5', groupId: 'g1' }, 1000);
+
+  const decision = await checkBudget({ channel: 'group', userId: '6', groupId: 'g1' }, 'gpt-4o');
+  assert.equal(decision.action, 'refuse');
+  assert.equal(decision.exceeded[0].subject, 'group:g1');
+});
+
+test('downgrades to the cheaper model when configured', async () => {
+  await writeConfig({
+    defaults: { user: { daily: { tokens: 10 } } },
+    onExceeded: 'downgrade',
+    downgradeModel: 'gpt-4o-mini'
+  });
+  await spend(alice, 10);
+
+  assert.deepEqual(
+    [(await checkBudget(alice, 'gpt-4o')).action, (await checkBudget(alice, 'gpt-4o')).model],
+    ['downgrade', 'gpt-4o-mini']
+  );
+  // Already on the cheap model: nothing left to downgrade to
+  assert.equal((await checkBudget(alice, 'gpt-4o-mini')).action, 'refuse');
+});
+
+test('setBudget raises limits at runtime', async () => {
+  await writeConfig({ defaults: { user: { daily: { tokens: 10 } } } });
+  await spend(alice, 10);
+  assert.equal((await checkBudget(alice)).action, 'refuse');
+
+  await setBudget('telegram:1', parseBudgetArgs('daily', 'tokens', '5000'));
+  assert.equal((await checkBudget(alice)).action, 'allow');
+
+  await setBudget('telegram:1', parseBudgetArgs('daily', 'tokens', 'off'));
+  assert.deepEqual(await getBudgetStatus(alice), []);
+});
+
+test('parseBudgetArgs validates input', () => {
+  assert.deepEqual(parseBudgetArgs('monthly', 'usd', '2.5'), { monthly: { usd: 2.5 } });
+  assert.throws(() => parseBudgetArgs('weekly', 'usd', '1'), /Period/);
+  assert.throws(() => parseBudgetArgs('daily', 'euros', '1'), /Unit/);
+  assert.throws(() => parseBudgetArgs('daily', 'usd', '-1'), /Invalid amount/);
+  for (const amount of ['', 'tokens', '0x10', 'Infinity', 'NaN']) {
+    assert.throws(() => parseBudgetArgs('daily', 'usd', amount), InvalidBudgetError);
+  }
+});
+
+test('setBudget rejects limits that are not non-negative numbers and saves nothing', async () => {
+  const invalid = [
+    { daily: { tokens: -1 } },
+    { daily: { tokens: '500' } },
+    { daily: { usd: Infinity } },
+    { daily: { usd: NaN } },
+    { monthly: { usd: null } },
+    { daily: 5 },
+    { daily: { euros: 1 } },
+    { weekly: { tokens: 1 } },
+    { onExceeded: 'ignore' },
+    null
+  ];
+  for (const limits of invalid) {
+    await assert.rejects(setBudget('telegram:1', limits), InvalidBudgetError, JSON.stringify(limits));
+  }
+  await assert.rejects(fs.access(process.env.BUDGET_CONFIG_FILE));
+
+  const budget = await setBudget('telegram:1', { daily: { tokens: 0, usd: 1.5 }, monthly: null });
+  assert.deepEqual(budget, { daily: { tokens: 0, usd: 1.5 }, monthly: null });
+});
+
+test('queryOpenAI refuses without calling the provider when over budget', async () => {
+  await writeConfig({ defaults: { user: { daily: { tokens: 10 } } } });
+  await spend(alice, 10);
+  const provider = createFakeProvider();
+
+  await assert.rejects(
+    queryOpenAI('hello', { schema, provider, caller: alice }),
+    BudgetExceededError
+  );
+  assert.equal(provider.calls.length, 0);
+});
+
+test('queryOpenAI sends downgraded calls to the cheaper model', async () => {
+  await writeConfig({ defaults: { user: { daily: { tokens: 10 } } }, onExceeded: 'downgrade' });
+  await spend(alice, 10);
+  const provider = createFakeProvider({ script: [{ ok: true }] });
+
+  await queryOpenAI('hello', { schema, provider, caller: alice, model: 'gpt-4o' });
+
+  assert.equal(provider.calls[0].model, 'gpt-4o-mini');
+});
@@ -0,0 +1,163 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { useTempStorage, removeTempStorage } from './helpers.js';
+import {
+  createRestrictedBackend,
+  findPathOutsideJail,
+  selectExecutorName,
+  getExecutorBackend,
+  registerExecutorBackend,
+  resetExecutorBackends,
+  resolveCallerPath
+} from '../lib/executorBackends.js';
+import { executeAgentCommand } from '../lib/terminalExecutor.js';
+
+let tempDir;
+
+before(async () => {
+  tempDir = await useTempStorage();
+});
+
+after(async () => {
+  resetExecutorBackends();
+  await removeTempStorage(tempDir);
+});
+
+const alice = { channel: 'telegram', userId: '42' };
+
+test('selects the backend by user, then group, then policy, then default', async () => {
+  const config = {
+    default: 'host',
+    overrides: { 'telegram:42': 'restricted', 'group:ops': 'custom' }
+  };
+
+  assert.equal(await selectExecutorName(alice, null, config), 'restricted');
+  assert.equal(await selectExecutorName({ channel: 'telegram', userId: '7', groupId: 'ops' }, null, config), 'custom');
+  assert.equal(await selectExecutorName({ channel: 'web', userId: '7' }, { executor: 'restricted' }, config), 'restricted');
+  assert.equal(await selectExecutorName({ channel: 'web', userId: '7' }, null, config), 'host');
+  assert.equal(await selectExecutorName(null, null, {}), 'host');
+});
+
+test('policy files can pick the executor for an environment', async () => {
+  await fs.writeFile(process.env.POLICY_CONFIG_FILE, JSON.stringify({
+    environments: { staging: { executor: 'restricted' } }
+  }));
+
+  try {
+    const result = await executeAgentCommand(
+      { command: 'pwd', commandReasoning: 'where am I' },
+      { environment: 'staging', autoApprove: true, caller: alice }
+    );
+    assert.equal(result.status, 'success');
+    assert.equal(result.executor.backend, 'restricted');
+    assert.equal(result.stdout, path.join(process.env.EXECUTOR_JAIL_DIR, 'telegram-42'));
+  } finally {
+    await fs.rm(process.env.POLICY_CONFIG_FILE, { force: true });
+  }
+});
+
+test('restricted backend runs in the jail with a stripped environment', async () => {
+  process.env.LUMEN_TEST_SECRET = 'hunter2';
+  try {
+    const backend = createRestrictedBackend({ cpuSeconds: 5 });
+    const result = await backend.run('echo "$HOME|$LUMEN_TEST_SECRET|$PATH" && touch made.txt', { caller: alice });
+
+    const jail = path.join(process.env.EXECUTOR_JAIL_DIR, 'telegram-42');
+    assert.equal(result.exitCode, 0, result.error);
+    assert.equal(result.stdout, `${jail}||/usr/local/bin:/usr/bin:/bin`);
+    assert.equal(result.cwd, jail);
+    await fs.access(path.join(jail, 'made.txt'));
+    assert.ok(result.isolation.limits.includes('ulimit -t 5'));
+  } finally {
+    delete process.env.LUMEN_TEST_SECRET;
+  }
+});
+
+test('restricted backend refuses paths outside the jail', async () => {
+  const backend = createRestrictedBackend();
+  const result = await backend.run('cat /etc/passwd', { caller: alice });
+  assert.equal(result.exitCode, 126);
+  assert.match(result.error, /Path outside the sandbox: \/etc\/passwd/);
+
+  const jail = '/srv/sandbox/u';
+  assert.equal(findPathOutsideJail('ls ../other', jail, jail), '../other');
+  assert.equal(findPathOutsideJail('cp a.txt sub/b.txt && cd sub/../sub', jail, jail), null);
+  assert.equal(findPathOutsideJail('echo hi > /tmp/x', jail, jail), '/tmp/x');
+  assert.equal(findPathOutsideJail('/usr/bin/env ls ~/notes', jail, jail), null);
+  assert.equal(findPathOutsideJail('grep --file=/etc/shadow x', jail, jail), '/etc/shadow');
+});
+
+test('home and working directory prefixes are checked like other paths', async () => {
+  const jail = '/srv/sandbox/u';
+  assert.equal(findPathOutsideJail('cat ~/../../../../etc/hostname', jail, jail), '~/../../../../etc/hostname');
+  assert.equal(findPathOutsideJail('cd ~/../../..; pwd; ls', jail, jail), '~/../../..');
+  assert.equal(findPathOutsideJail('ls $HOME/..', jail, jail), '$HOME/..');
+  assert.equal(findPathOutsideJail('ls "${HOME}/../x"', jail, jail), '${HOME}/../x');
+  assert.equal(findPathOutsideJail('ls $PWD/../..', `${jail}/sub`, jail), '$PWD/../..');
+  assert.equal(findPathOutsideJail('cat ~root/.ssh/id_rsa', jail, jail), '~root/.ssh/id_rsa');
+  assert.equal(findPathOutsideJail('ls $OTHER/../x', jail, jail), '$OTHER/../x');
+  assert.equal(findPathOutsideJail('ls ~ ~/notes/../a $HOME/sub $PWD', jail, jail), null);
+
+  const backend = createRestrictedBackend();
+  const result = await backend.run('cat ~/../../../../etc/hostname; cd ~/../../..; pwd; ls', { caller: alice });
+  assert.equal(result.exitCode, 126);
+  assert.match(result.error, /Path outside the sandbox: ~\/\.\.\//);
+});
+
+test('interpreters cannot read or write outside the jail', async (t) => {
+  const backend = createRestrictedBackend();
+  const escape = path.join(process.env.EXECUTOR_JAIL_DIR, 'escaped.txt');
+  const script = 'awk \'BEGIN { while ((getline line < "/etc/passwd") > 0) print line; print "x" > "../escaped.txt" }\'';
+
+  // The path check cannot see paths inside an awk program
+  assert.equal(backend.checkCommand(script, { caller: alice }), null);
+
+  const result = await backend.run(script, { caller: alice });
+  if (!result.isolation.filesystem) {
+    t.skip('mount namespaces unavailable');
+    return;
+  }
+  assert.equal(result.stdout, '');
+  await assert.rejects(fs.access(escape));
+  assert.match(await backend.describe(), /filesystem limited to your working directory/);
+});
+
+test('file tools resolve paths inside the caller jail', async () => {
+  await fs.writeFile(process.env.EXECUTOR_CONFIG_FILE, JSON.stringify({ overrides: { 'telegram:42': 'restricted' } }));
+
+  try {
+    const jail = path.join(process.env.EXECUTOR_JAIL_DIR, 'telegram-42');
+    assert.equal(await resolveCallerPath('notes/todo.md', { caller: alice, access: 'write' }), path.join(jail, 'notes/todo.md'));
+    assert.equal(await resolveCallerPath('/usr/share/x', { caller: alice, access: 'read' }), '/usr/share/x');
+    await assert.rejects(resolveCallerPath('/usr/share/x', { caller: alice, access: 'write' }), /outside the sandbox/);
+    await assert.rejects(resolveCallerPath('../../etc/passwd', { caller: alice }), /outside the sandbox/);
+
+    assert.equal(await resolveCallerPath('a.txt', { caller: { channel: 'web', userId: '1' } }), path.resolve('a.txt'));
+  } finally {
+    await fs.rm(process.env.EXECUTOR_CONFIG_FILE, { force: true });
+  }
+});
+
+test('custom backends can be registered and unknown names fail', async () => {
+  const calls = [];
+  registerExecutorBackend('recording', {
+    async run(command, options) {
+      calls.push({ command, caller: options.caller });
+      return { stdout: 'recorded', stderr: '', exitCode: 0, error: null, cwd: '/', isolation: null };
+    }
+  });
+
+  const result = await executeAgentCommand(
+    { command: 'ls', commandReasoning: 'list' },
+    { autoApprove: true, backend: 'recording', caller: alice, environment: 'development' }
+  );
+  assert.equal(result.stdout, 'recorded');
+  assert.equal(result.executor.backend, 'recording');
+  assert.deepEqual(calls, [{ command: 'ls', caller: alice }]);
+
+  await assert.rejects(getExecutorBackend({ backend: 'nope' }), /Unknown executor backend: nope/);
+  assert.equal(await getExecutorBackend({ backend: 'restricted' }), await getExecutorBackend({ backend: 'restricted' }));
+  assert.throws(() => registerExecutorBackend('broken', {}), /must implement run\(\)/);
+});
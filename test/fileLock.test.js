@@ -0,0 +1,49 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { withFileLock } from '../lib/fileLock.js';
+
+let tempDir;
+let file;
+
+beforeEach(async () => {
+  tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'lumen-lock-'));
+  file = path.join(tempDir, 'data.json');
+});
+
+afterEach(async () => {
+  await fs.rm(tempDir, { recursive: true, force: true });
+});
+
+async function makeStaleLock() {
+  await fs.writeFile(file + '.lock', '99999');
+  const old = new Date(Date.now() - 60000);
+  await fs.utimes(file + '.lock', old, old);
+}
+
+test('waiters taking over a stale lock still run one at a time', async () => {
+  await makeStaleLock();
+
+  let active = 0;
+  let most = 0;
+  await Promise.all(Array.from({ length: 5 }, () => withFileLock(file, async () => {
+    active++;
+    most = Math.max(most, active);
+    await new Promise(resolve => setTimeout(resolve, 30));
+    active--;
+  })));
+
+  assert.equal(most, 1);
+  await assert.rejects(fs.access(file + '.lock'));
+  await assert.rejects(fs.access(file + '.lock.lock'));
+});
+
+test('a holder whose lock was taken over leaves the new lock alone', async () => {
+  await withFileLock(file, async () => {
+    await fs.writeFile(file + '.lock', 'another holder');
+  });
+
+  assert.equal(await fs.readFile(file + '.lock', 'utf-8'), 'another holder');
+});
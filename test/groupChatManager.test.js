@@ -0,0 +1,157 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import {
+  addMessage,
+  updateGlobalSummary,
+  generateResponse,
+  getGroupSummary,
+  clearGroupChat
+} from '../lib/groupChatManager.js';
+import { createFakeProvider } from '../lib/llmProviders.js';
+import { useTempStorage, removeTempStorage, baseAgentResponse } from './helpers.js';
+
+const GROUP_ID = 'test-group';
+
+let tempDir;
+
+beforeEach(async () => {
+  tempDir = await useTempStorage();
+});
+
+afterEach(async () => {
+  await removeTempStorage(tempDir);
+});
+
+async function readChat() {
+  return JSON.parse(await fs.readFile(process.env.USER_GROUPCHAT_FILE, 'utf-8'));
+}
+
+test('addMessage numbers messages and tracks participants', async () => {
+  await addMessage(GROUP_ID, { userId: '1', username: 'alice', text: 'hi' });
+  await addMessage(GROUP_ID, { userId: '2', username: 'bob', text: 'hello' });
+  await addMessage(GROUP_ID, { userId: '1', username: 'alice', text: 'again' });
+
+  const chat = await readChat();
+  assert.deepEqual(chat.messages.map(m => m.id), [1, 2, 3]);
+  assert.equal(chat.totalMessages, 3);
+  assert.deepEqual(chat.participants.sort(), ['alice', 'bob']);
+});
+
+test('keeps a sliding window of the last 50 messages', async () => {
+  for (let i = 1; i <= 55; i++) {
+    await addMessage(GROUP_ID, { userId: '1', username: 'alice', text: `message ${i}` });
+  }
+
+  const chat = await readChat();
+  assert.equal(chat.messages.length, 50);
+  assert.equal(chat.messages[0].text, 'message 6');
+  assert.equal(chat.messages[49].text, 'message 55');
+
+  const summary = await getGroupSummary(GROUP_ID);
+  assert.equal(summary.messageCount, 55);
+});
+
+test('generateResponse records both sides and updates the summary', async () => {
+  const provider = createFakeProvider({
+    script: [
+      baseAgentResponse({ response: 'PM2 works well' }),
+      { summary: 'alice asked about deployment' }
+    ]
+  });
+
+  const result = await generateResponse(
+    GROUP_ID,
+    { userId: '1', username: 'alice', text: 'How should I deploy?' },
+    { provider }
+  );
+
+  assert.equal(result.response.response, 'PM2 works well');
+
+  const chat = await readChat();
+  assert.deepEqual(chat.messages.map(m => [m.username, m.text, m.isBot]), [
+    ['alice', 'How should I deploy?', false],
+    ['LumenBot', 'PM2 works well', true]
+  ]);
+  assert.equal(chat.globalSummary, 'alice asked about deployment');
+
+  // The model saw the user's message in its context
+  assert.ok(provider.calls[0].messages[0].content.includes('alice: How should I deploy?'));
+});
+
+test('clearGroupChat resets history', async () => {
+  await addMessage(GROUP_ID, { userId: '1', username: 'alice', text: 'hi' });
+  await clearGroupChat(GROUP_ID);
+
+  const summary = await getGroupSummary(GROUP_ID);
+  assert.equal(summary.messageCount, 0);
+  assert.equal(summary.summary, 'Conversation cleared.');
+  assert.deepEqual(summary.participants, []);
+});
+
+test('concurrent messages are all kept', async () => {
+  await Promise.all(Array.from({ length: 20 }, (_, i) =>
+    addMessage(GROUP_ID, { userId: String(i), username: `user${i}`, text: `message ${i}` })
+  ));
+
+  const chat = await readChat();
+  assert.deepEqual(chat.messages.map(m => m.id), Array.from({ length: 20 }, (_, i) => i + 1));
+  assert.equal(new Set(chat.messages.map(m => m.text)).size, 20);
+  assert.equal(chat.totalMessages, 20);
+});
+
+/**
+ * Provider whose summary arrives once release() is called
+ */
+function slowSummaryProvider(summary) {
+  let release;
+  const released = new Promise(resolve => { release = resolve; });
+  const provider = createFakeProvider({
+    fallback: async () => {
+      await released;
+      return { summary };
+    }
+  });
+  return { provider, release };
+}
+
+test('messages added while the summary is generated are kept', async () => {
+  await addMessage(GROUP_ID, { userId: '1', username: 'alice', text: 'deploy today?' });
+  const { provider, release } = slowSummaryProvider('alice asked about deploying');
+
+  const updating = updateGlobalSummary(GROUP_ID, { provider });
+  await addMessage(GROUP_ID, { userId: '2', username: 'bob', text: 'yes, at 5pm' });
+  await addMessage(GROUP_ID, { userId: '1', username: 'alice', text: 'ok' });
+  release();
+
+  assert.equal(await updating, 'alice asked about deploying');
+  const chat = await readChat();
+  assert.deepEqual(chat.messages.map(m => m.text), ['deploy today?', 'yes, at 5pm', 'ok']);
+  assert.equal(chat.globalSummary, 'alice asked about deploying');
+});
+
+test('a summary generated before a clear is dropped', async () => {
+  await addMessage(GROUP_ID, { userId: '1', username: 'alice', text: 'secret plans' });
+  const { provider, release } = slowSummaryProvider('alice shared secret plans');
+
+  const updating = updateGlobalSummary(GROUP_ID, { provider });
+  await clearGroupChat(GROUP_ID);
+  release();
+
+  assert.equal(await updating, 'Conversation cleared.');
+  assert.equal((await getGroupSummary(GROUP_ID)).summary, 'Conversation cleared.');
+});
+
+test('a summary generated before a clear is dropped even when more messages follow the clear', async () => {
+  await addMessage(GROUP_ID, { userId: '1', username: 'alice', text: 'secret plans' });
+  const { provider, release } = slowSummaryProvider('alice shared secret plans');
+
+  const updating = updateGlobalSummary(GROUP_ID, { provider });
+  await clearGroupChat(GROUP_ID);
+  await addMessage(GROUP_ID, { userId: '2', username: 'bob', text: 'fresh start' });
+  await addMessage(GROUP_ID, { userId: '1', username: 'alice', text: 'agreed' });
+  release();
+
+  assert.equal(await updating, 'Conversation cleared.');
+  assert.equal((await getGroupSummary(GROUP_ID)).summary, 'Conversation cleared.');
+});
@@ -0,0 +1,76 @@
+/**
+ * Shared helpers for the node:test suite
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Point memory, notes, per-user storage, group chat, usage, budget, policy, executor, artifact, host, audit, secret rule and SQLite files at a fresh temp directory
+ * @returns {Promise<string>} Temp directory path
+ */
+export async function useTempStorage() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'lumen-test-'));
+  process.env.USER_MEMORY_FILE = path.join(dir, 'memory.json');
+  process.env.USER_NOTES_FILE = path.join(dir, 'notes.md');
+  process.env.USER_GROUPCHAT_FILE = path.join(dir, 'groupchat.json');
+  process.env.USER_STORAGE_DIR = dir;
+  process.env.USAGE_LOG_FILE = path.join(dir, 'usage.log');
+  process.env.BUDGET_CONFIG_FILE = path.join(dir, 'budgets.json');
+  process.env.POLICY_CONFIG_FILE = path.join(dir, 'policies.json');
+  process.env.EXECUTOR_CONFIG_FILE = path.join(dir, 'executors.json');
+  process.env.EXECUTOR_JAIL_DIR = path.join(dir, 'sandbox');
+  process.env.OUTPUT_ARTIFACTS_DIR = path.join(dir, 'artifacts');
+  process.env.HOSTS_CONFIG_FILE = path.join(dir, 'hosts.json');
+  process.env.HOSTS_SSH_CONFIG_FILE = path.join(dir, 'hosts.ssh_config');
+  process.env.AUDIT_LOG_FILE = path.join(dir, 'audit.log');
+  process.env.SECRET_RULES_FILE = path.join(dir, 'secrets.json');
+  process.env.STORAGE_SQLITE_FILE = path.join(dir, 'lumen.db');
+  return dir;
+}
+
+/**
+ * Remove a temp directory created by useTempStorage()
+ */
+export async function removeTempStorage(dir) {
+  delete process.env.USER_MEMORY_FILE;
+  delete process.env.USER_NOTES_FILE;
+  delete process.env.USER_GROUPCHAT_FILE;
+  delete process.env.USER_STORAGE_DIR;
+  delete process.env.USAGE_LOG_FILE;
+  delete process.env.BUDGET_CONFIG_FILE;
+  delete process.env.POLICY_CONFIG_FILE;
+  delete process.env.EXECUTOR_CONFIG_FILE;
+  delete process.env.EXECUTOR_JAIL_DIR;
+  delete process.env.OUTPUT_ARTIFACTS_DIR;
+  delete process.env.HOSTS_CONFIG_FILE;
+  delete process.env.HOSTS_SSH_CONFIG_FILE;
+  delete process.env.AUDIT_LOG_FILE;
+  delete process.env.SECRET_RULES_FILE;
+  delete process.env.STORAGE_SQLITE_FILE;
+  await fs.rm(dir, { recursive: true, force: true });
+}
+
+/**
+ * Build a complete baseAgentExtendedResponseSchema response
+ * @param {object} overrides - Fields to set
+ */
+export function baseAgentResponse(overrides = {}) {
+  return {
+    choice: 'response',
+    response: '',
+    questionsForUser: false,
+    questions: [],
+    missingContext: [],
+    code: '',
+    language: '',
+    codeExplanation: '',
+    terminalCommand: '',
+    commandReasoning: '',
+    requiresApproval: false,
+    tool: false,
+    continue: false,
+    ...overrides
+  };
+}
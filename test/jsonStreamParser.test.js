@@ -0,0 +1,131 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createJsonFieldStreamer } from '../lib/jsonStreamParser.js';
+import { queryOpenAI } from '../lib/openaiWrapper.js';
+import { orchestrateSimple } from '../lib/agentOrchestrator.js';
+import { createFakeProvider } from '../lib/llmProviders.js';
+import { useTempStorage, removeTempStorage, baseAgentResponse } from './helpers.js';
+
+/**
+ * Feed a JSON string to a streamer in fixed-size chunks, collecting deltas
+ */
+function streamInChunks(json, size, fields) {
+  const deltas = [];
+  const streamer = createJsonFieldStreamer({
+    fields,
+    onField: (field, delta) => deltas.push([field, delta])
+  });
+  for (let i = 0; i < json.length; i += size) {
+    streamer.push(json.substring(i, i + size));
+  }
+  return { deltas, values: streamer.getValues() };
+}
+
+test('decodes watched string fields regardless of chunk boundaries', () => {
+  const value = {
+    choice: 'code',
+    response: 'Line 1\nSays "hi" \\ done é',
+    code: 'console.log("x");\n',
+    questions: ['response', 'not watched']
+  };
+  const json = JSON.stringify(value);
+
+  for (const size of [1, 2, 3, 7, json.length]) {
+    const { values } = streamInChunks(json, size, ['response', 'code']);
+    assert.deepEqual(values, { response: value.response, code: value.code }, `chunk size ${size}`);
+  }
+});
+
+test('decodes \\u escapes split across chunks', () => {
+  const json = '{"response":"caf\\u00e9 \\ud83d\\ude00"}';
+  const { values } = streamInChunks(json, 1, ['response']);
+  assert.equal(values.response, 'café 😀');
+});
+
+test('ignores nested keys with the same name and unwatched fields', () => {
+  const json = JSON.stringify({ meta: { response: 'nested' }, other: 'x', response: 'top' });
+  const { deltas, values } = streamInChunks(json, 4, ['response']);
+
+  assert.deepEqual(values, { response: 'top' });
+  assert.ok(deltas.every(([field]) => field === 'response'));
+});
+
+test('emits text before the object is complete', () => {
+  const seen = [];
+  const streamer = createJsonFieldStreamer({
+    fields: ['response'],
+    onField: (field, delta, soFar) => seen.push(soFar)
+  });
+
+  streamer.push('{"choice":"response","response":"Hel');
+  assert.deepEqual(seen, ['Hel']);
+
+  streamer.push('lo');
+  assert.deepEqual(seen, ['Hel', 'Hello']);
+});
+
+test('queryOpenAI streams deltas and still returns the parsed object', async () => {
+  const tempDir = await useTempStorage();
+  try {
+    const provider = createFakeProvider({ script: [baseAgentResponse({ response: 'streamed answer text' })] });
+    let text = '';
+
+    const result = await queryOpenAI('hello', {
+      provider,
+      onDelta: (field, delta) => { text += delta; }
+    });
+
+    assert.equal(result.response, 'streamed answer text');
+    assert.equal(text, 'streamed answer text');
+    assert.equal(typeof provider.calls[0].onChunk, 'function');
+  } finally {
+    await removeTempStorage(tempDir);
+  }
+});
+
+test('a retry after a partly streamed attempt resets the stream first', async () => {
+  const tempDir = await useTempStorage();
+  try {
+    const failMidStream = (request) => {
+      request.onChunk('{"choice":"response","response":"Half an ans');
+      throw Object.assign(new Error('upstream reset'), { status: 502 });
+    };
+    const provider = createFakeProvider({ script: [failMidStream, baseAgentResponse({ response: 'full answer' })] });
+    let text = '';
+
+    const result = await queryOpenAI('hello', {
+      provider,
+      onDelta: (field, delta) => { text += delta; },
+      onStreamReset: () => { text += '<reset>'; }
+    });
+
+    assert.equal(result.response, 'full answer');
+    assert.equal(text, 'Half an ans<reset>full answer');
+  } finally {
+    await removeTempStorage(tempDir);
+  }
+});
+
+test('orchestrate forwards deltas with the iteration number', async () => {
+  const tempDir = await useTempStorage();
+  try {
+    const provider = createFakeProvider({
+      script: [
+        baseAgentResponse({ response: 'first', continue: true }),
+        baseAgentResponse({ response: 'second' })
+      ]
+    });
+    const byIteration = {};
+
+    await orchestrateSimple('go', {
+      provider,
+      onDelta: (field, delta, iteration) => {
+        byIteration[iteration] = (byIteration[iteration] || '') + delta;
+      }
+    });
+
+    assert.deepEqual(byIteration, { 1: 'first', 2: 'second' });
+  } finally {
+    await removeTempStorage(tempDir);
+  }
+});
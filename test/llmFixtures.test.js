@@ -0,0 +1,89 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { resetFixtures } from '../lib/llmFixtures.js';
+import { queryOpenAI } from '../lib/openaiWrapper.js';
+import { createFakeProvider, getProvider } from '../lib/llmProviders.js';
+import { useTempStorage, removeTempStorage, baseAgentResponse } from './helpers.js';
+
+let tempDir;
+
+beforeEach(async () => {
+  tempDir = await useTempStorage();
+  process.env.LLM_FIXTURE_DIR = path.join(tempDir, 'fixtures');
+  resetFixtures();
+});
+
+afterEach(async () => {
+  delete process.env.LLM_FIXTURE_MODE;
+  delete process.env.LLM_FIXTURE_DIR;
+  resetFixtures();
+  await removeTempStorage(tempDir);
+});
+
+test('recorded responses replay in call order without calling the provider', async () => {
+  process.env.LLM_FIXTURE_MODE = 'record';
+  const recording = createFakeProvider({
+    script: [baseAgentResponse({ response: 'first' }), baseAgentResponse({ response: 'second' })]
+  });
+  await queryOpenAI('status at 2026-01-01T10:00:00.000Z', { provider: recording });
+  await queryOpenAI('status at 2026-01-01T10:00:00.000Z', { provider: recording });
+  assert.equal((await fs.readdir(process.env.LLM_FIXTURE_DIR)).length, 1);
+
+  process.env.LLM_FIXTURE_MODE = 'replay';
+  resetFixtures();
+  const offline = createFakeProvider({ script: [new Error('provider must not be called')] });
+  let streamed = '';
+
+  // The timestamp differs from the recording but is not part of the key
+  const replies = [];
+  for (let i = 0; i < 3; i++) {
+    const result = await queryOpenAI('status at 2026-03-05T08:30:00.000Z', {
+      provider: offline,
+      onDelta: (field, delta) => { streamed += delta; }
+    });
+    replies.push(result.response);
+  }
+
+  assert.deepEqual(replies, ['first', 'second', 'second']);
+  assert.equal(streamed, 'firstsecondsecond');
+  assert.equal(offline.calls.length, 0);
+});
+
+test('replay names the request when no fixture was recorded', async () => {
+  process.env.LLM_FIXTURE_MODE = 'replay';
+
+  await assert.rejects(
+    queryOpenAI('never recorded', { provider: createFakeProvider() }),
+    /No LLM fixture [0-9a-f]{16} for schema ".+" \(model fake-model\) prompt: "never recorded" - run with LLM_FIXTURE_MODE=record first/
+  );
+});
+
+test('a different context is a different request', async () => {
+  process.env.LLM_FIXTURE_MODE = 'record';
+  await queryOpenAI('what next?', {
+    context: { notes: 'deploy on friday' },
+    provider: createFakeProvider({ script: [baseAgentResponse({ response: 'friday' })] })
+  });
+
+  process.env.LLM_FIXTURE_MODE = 'replay';
+  resetFixtures();
+  const result = await queryOpenAI('what next?', { context: { notes: 'deploy on friday' }, provider: createFakeProvider() });
+  assert.equal(result.response, 'friday');
+
+  await assert.rejects(
+    queryOpenAI('what next?', { context: { notes: 'deploy on monday' }, provider: createFakeProvider() }),
+    /No LLM fixture/
+  );
+});
+
+test('replay never sends a request to a network provider', async () => {
+  process.env.LLM_FIXTURE_MODE = 'replay';
+  const provider = getProvider('local');
+
+  await assert.rejects(
+    provider.complete({ model: 'any', messages: [{ role: 'user', content: 'hi' }] }),
+    /LLM_FIXTURE_MODE=replay: refusing to call the local provider/
+  );
+});
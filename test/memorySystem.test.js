@@ -0,0 +1,95 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  addInteraction,
+  getCurrentMemory,
+  getMemoryContextString,
+  getMemoryStats,
+  clearMemory
+} from '../lib/memorySystem.js';
+import { createFakeProvider } from '../lib/llmProviders.js';
+import { useTempStorage, removeTempStorage, baseAgentResponse } from './helpers.js';
+
+let tempDir;
+let provider;
+
+beforeEach(async () => {
+  tempDir = await useTempStorage();
+  provider = createFakeProvider({
+    fallback: () => ({
+      summary: `summary #${provider.calls.length}`,
+      missingContext: [],
+      reasoning: 'test'
+    })
+  });
+  await clearMemory();
+});
+
+afterEach(async () => {
+  await removeTempStorage(tempDir);
+});
+
+async function addInteractions(count) {
+  for (let i = 1; i <= count; i++) {
+    await addInteraction(
+      { query: `query ${i}` },
+      baseAgentResponse({ response: `response ${i}` }),
+      { provider }
+    );
+  }
+}
+
+test('keeps up to 21 interactions without summarizing', async () => {
+  await addInteractions(21);
+
+  const stats = await getMemoryStats();
+  assert.equal(stats.totalInteractionsProcessed, 21);
+  assert.equal(stats.currentInteractionsStored, 21);
+  assert.equal(stats.summariesStored, 0);
+  assert.equal(provider.calls.length, 0);
+});
+
+test('22nd interaction summarizes interactions 2-22 and shifts the window', async () => {
+  await addInteractions(22);
+
+  const memory = await getCurrentMemory();
+  assert.equal(memory.interactions.length, 21);
+  assert.equal(memory.interactions[0].id, 2);
+  assert.equal(memory.interactions[20].id, 22);
+  assert.equal(memory.summaries.length, 1);
+  assert.equal(memory.summaries[0].range.startId, 2);
+  assert.equal(memory.summaries[0].range.endId, 22);
+  assert.equal(memory.summaries[0].text, 'summary #1');
+
+  const prompt = provider.calls[0].messages[1].content;
+  assert.ok(prompt.includes('query 2'));
+  assert.ok(prompt.includes('query 22'));
+});
+
+test('keeps only the 3 most recent summaries', async () => {
+  await addInteractions(25);
+
+  const memory = await getCurrentMemory();
+  assert.equal(memory.summaries.length, 3);
+  assert.deepEqual(memory.summaries.map(s => s.text), ['summary #2', 'summary #3', 'summary #4']);
+  assert.equal(memory.stats.totalCount, 25);
+});
+
+test('still shifts the window when summarization fails', async () => {
+  await addInteractions(21);
+  provider.enqueue(new Error('model unavailable'));
+  await addInteractions(1);
+
+  const memory = await getCurrentMemory();
+  assert.equal(memory.interactions.length, 21);
+  assert.equal(memory.summaries.length, 0);
+});
+
+test('context string includes summaries and recent interactions', async () => {
+  await addInteractions(22);
+
+  const context = await getMemoryContextString();
+  assert.ok(context.includes('CONVERSATION HISTORY (SUMMARIES)'));
+  assert.ok(context.includes('summary #1'));
+  assert.ok(context.includes('User Query: query 22'));
+});
@@ -0,0 +1,100 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  loadNotes,
+  updateCurrentTask,
+  setPlan,
+  completeStep,
+  addContext,
+  addCompleted,
+  addBlocker,
+  appendNote,
+  clearNotes
+} from '../lib/notesManager.js';
+import { useTempStorage, removeTempStorage } from './helpers.js';
+
+let tempDir;
+
+beforeEach(async () => {
+  tempDir = await useTempStorage();
+  await clearNotes();
+});
+
+afterEach(async () => {
+  await removeTempStorage(tempDir);
+});
+
+/**
+ * Extract the body of a "## <name>" section
+ */
+function section(notes, name) {
+  const match = notes.match(new RegExp(`## ${name}\\n([^#]*)`));
+  return match ? match[1].trim() : null;
+}
+
+test('updateCurrentTask replaces only the Current Task section', async () => {
+  await updateCurrentTask('Deploy the API');
+  await updateCurrentTask('Fix the build');
+
+  const notes = await loadNotes();
+  assert.equal(section(notes, 'Current Task'), 'Fix the build');
+  assert.equal(section(notes, 'Plan'), 'No active plan');
+  assert.equal(section(notes, 'Blockers'), 'None');
+});
+
+test('setPlan writes numbered checkboxes and completeStep ticks the right one', async () => {
+  await setPlan([
+    { stepDescription: 'Install deps' },
+    { stepDescription: 'Run tests', reasoning: 'verify' },
+    { stepDescription: 'Deploy' }
+  ]);
+  await completeStep(2);
+
+  const plan = section(await loadNotes(), 'Plan').split('\n');
+  assert.deepEqual(plan, [
+    '- [ ] 1. Install deps',
+    '- [x] 2. Run tests (verify)',
+    '- [ ] 3. Deploy'
+  ]);
+});
+
+test('completeStep ignores checkbox lines outside the Plan section', async () => {
+  await setPlan([{ stepDescription: 'Only step' }]);
+  await appendNote('Checklist', '- [ ] unrelated item');
+  await completeStep(2);
+
+  const notes = await loadNotes();
+  assert.ok(notes.includes('- [ ] unrelated item'));
+  assert.ok(notes.includes('- [ ] 1. Only step'));
+});
+
+test('addContext, addCompleted and addBlocker prepend timestamped entries', async () => {
+  await addContext('first context');
+  await addContext('second context');
+  await addCompleted('ran ls');
+  await addBlocker('missing credentials');
+
+  const notes = await loadNotes();
+  const context = section(notes, 'Context').split('\n');
+  assert.match(context[0], /^- \[\d{4}-\d{2}-\d{2}T[^\]]+\] second context$/);
+  assert.match(context[1], /first context$/);
+  assert.match(section(notes, 'Completed'), /ran ls/);
+  assert.match(section(notes, 'Blockers'), /missing credentials/);
+});
+
+test('appendNote adds a new section or prepends to an existing one', async () => {
+  await appendNote('Ideas', 'cache the results');
+  await appendNote('Ideas', 'add retries');
+
+  const ideas = section(await loadNotes(), 'Ideas');
+  assert.ok(ideas.startsWith('add retries'));
+  assert.ok(ideas.includes('cache the results'));
+});
+
+test('clearNotes restores the empty template', async () => {
+  await updateCurrentTask('Something');
+  const fresh = await clearNotes();
+
+  assert.equal(await loadNotes(), fresh);
+  assert.equal(section(fresh, 'Current Task'), 'None');
+});
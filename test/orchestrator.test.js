@@ -0,0 +1,109 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { AgentOrchestrator } from '../lib/orchestrator.js';
+import { MemoryManager } from '../lib/memoryManager.js';
+import { createFakeProvider } from '../lib/llmProviders.js';
+import { useTempStorage, removeTempStorage, baseAgentResponse } from './helpers.js';
+
+let tempDir;
+
+beforeEach(async () => {
+  tempDir = await useTempStorage();
+});
+
+afterEach(async () => {
+  await removeTempStorage(tempDir);
+});
+
+const universalTask = {
+  taskDescription: 'List JavaScript files',
+  parametersDescription: '{"pattern":"*.js"}',
+  expectedOutputDescription: 'File paths',
+  reasoning: 'User wants an overview',
+  missingContext: []
+};
+
+test('pipeline passes each agent output to the next and shares memory', async () => {
+  const provider = createFakeProvider({
+    script: [
+      universalTask,
+      baseAgentResponse({
+        choice: 'terminalCommand',
+        terminalCommand: 'find . -name "*.js"',
+        commandReasoning: 'search',
+        requiresApproval: false
+      })
+    ]
+  });
+  const orchestrator = new AgentOrchestrator({ provider, verbose: false });
+
+  const results = await orchestrator.pipeline(['universal', 'terminal'], 'what js files are there?');
+
+  assert.deepEqual(results.map(r => r.agent), ['universal', 'terminal']);
+  assert.deepEqual(results[0].output.parameters, { pattern: '*.js' });
+  assert.equal(results[1].input, 'List JavaScript files');
+  assert.equal(results[1].output.command, 'find . -name "*.js"');
+  assert.match(provider.calls[1].messages[0].content, /agent:universal/);
+  assert.equal(orchestrator.getMemory().getStats().totalCount, 2);
+});
+
+test('parallel runs every agent on the same request', async () => {
+  const provider = createFakeProvider({
+    fallback: (request) => {
+      const schema = request.responseFormat.json_schema.schema;
+      return schema.properties.taskDescription
+        ? universalTask
+        : { choice: 'code', reasoning: 'asks for code', missingContext: [] };
+    }
+  });
+  const orchestrator = new AgentOrchestrator({ provider, verbose: false });
+
+  const results = await orchestrator.parallel(['universal', 'schema'], 'write a sort function');
+
+  assert.equal(results.find(r => r.agent === 'schema').result.choice, 'code');
+  assert.equal(results.find(r => r.agent === 'universal').result.taskDescription, 'List JavaScript files');
+});
+
+test('unknown agents fail before any model call', async () => {
+  const provider = createFakeProvider();
+  const orchestrator = new AgentOrchestrator({ provider, verbose: false });
+
+  await assert.rejects(orchestrator.parallel(['base', 'nope'], 'hi'), /Unknown agent: nope/);
+  assert.equal(provider.calls.length, 0);
+});
+
+test('registered agents join pipelines', async () => {
+  const orchestrator = new AgentOrchestrator({ provider: createFakeProvider(), verbose: false });
+  orchestrator.registerAgent('shout', async (input) => ({ response: input.toUpperCase() }));
+
+  const results = await orchestrator.pipeline(['shout', 'shout'], 'hey');
+
+  assert.equal(results[1].output.response, 'HEY');
+  assert.throws(() => orchestrator.registerAgent('bad', 'not a function'), /must be a function/);
+});
+
+test('processRequest maps the base agent decision', async () => {
+  const provider = createFakeProvider({
+    script: [baseAgentResponse({ response: 'Hello!', questionsForUser: true, questions: ['Anything else?'] })]
+  });
+  const orchestrator = new AgentOrchestrator({ provider, verbose: false });
+
+  const result = await orchestrator.processRequest('hi');
+
+  assert.equal(result.type, 'response');
+  assert.equal(result.content, 'Hello!');
+  assert.deepEqual(result.questions, ['Anything else?']);
+  assert.equal(result.memoryStats.totalCount, 2);
+});
+
+test('MemoryManager keeps a rolling window', async () => {
+  const memory = new MemoryManager({ maxEntries: 2, maxEntryLength: 5 });
+
+  await memory.addInteraction({ role: 'user', text: 'one' });
+  await memory.addInteraction({ role: 'agent', agentType: 'base', text: 'two two two' });
+  await memory.addInteraction({ role: 'user', text: 'three' });
+
+  assert.deepEqual(memory.getEntries().map(e => e.id), [2, 3]);
+  assert.match(memory.getContextString(), /agent:base: two t\.\.\./);
+  assert.deepEqual(memory.getStats(), { totalCount: 3, currentEntries: 2, maxEntries: 2 });
+});
@@ -0,0 +1,81 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { useTempStorage, removeTempStorage } from './helpers.js';
+import {
+  excerptOutput,
+  saveOutputArtifact,
+  loadOutputArtifact,
+  pruneOutputArtifacts,
+  OutputArtifactNotFoundError
+} from '../lib/outputArtifacts.js';
+import { executeAgentCommand, executeCommand } from '../lib/terminalExecutor.js';
+
+let tempDir;
+
+before(async () => {
+  tempDir = await useTempStorage();
+});
+
+after(async () => {
+  await removeTempStorage(tempDir);
+});
+
+const alice = { channel: 'telegram', userId: '42' };
+
+test('excerpts keep the head and tail and count the omitted bytes', () => {
+  assert.equal(excerptOutput('short', { limit: 10 }), 'short');
+
+  const text = 'a'.repeat(50) + 'b'.repeat(50);
+  const excerpt = excerptOutput(text, { limit: 20, artifactId: 'out-x-000000000000' });
+  assert.equal(excerpt, `${'a'.repeat(10)}\n… [80 of 100 bytes omitted; full output: /output out-x-000000000000] …\n${'b'.repeat(10)}`);
+});
+
+test('short output has no artifact', async () => {
+  const result = await executeCommand('echo hello', { caller: alice });
+  assert.equal(result.output, 'hello');
+  assert.equal(result.artifact, null);
+});
+
+test('artifacts are private to the caller that ran the command', async () => {
+  const { id } = await saveOutputArtifact({ command: 'ls', stdout: 'x'.repeat(10), caller: { groupId: 'ops' } });
+
+  const loaded = await loadOutputArtifact(id, { channel: 'group', userId: '7', groupId: 'ops' });
+  assert.equal(loaded.content, `${'x'.repeat(10)}\n`);
+  await assert.rejects(loadOutputArtifact(id, alice), OutputArtifactNotFoundError);
+  await assert.rejects(loadOutputArtifact('../etc/passwd', null), OutputArtifactNotFoundError);
+  assert.equal((await loadOutputArtifact(id, null)).id, id);
+});
+
+test('old artifacts are pruned', async () => {
+  const { id } = await saveOutputArtifact({ command: 'old', stdout: 'old output', caller: alice });
+  const old = new Date(Date.now() - 10 * 24 * 60 * 60 * 1000);
+  await fs.utimes(path.join(process.env.OUTPUT_ARTIFACTS_DIR, `${id}.json`), old, old);
+
+  assert.ok(await pruneOutputArtifacts(7) >= 1);
+  await assert.rejects(loadOutputArtifact(id, alice), OutputArtifactNotFoundError);
+});
+
+// Kept last: Node 20's test runner can misread its child stream when more
+// tests report after large multi-line console output
+test('long command output is stored as an artifact and excerpted', async () => {
+  const result = await executeAgentCommand(
+    { command: 'seq 1 5000; echo oops >&2', commandReasoning: 'count' },
+    { autoApprove: true, environment: 'development', caller: alice }
+  );
+
+  assert.equal(result.status, 'success');
+  assert.ok(result.artifact, 'expected an artifact');
+  assert.ok(result.stdout.length < 4200);
+  assert.ok(result.stdout.startsWith('1\n2\n3\n'));
+  assert.ok(result.stdout.endsWith('4999\n5000'));
+  assert.match(result.stdout, new RegExp(`bytes omitted; full output: /output ${result.artifact.id}`));
+  assert.equal(result.stderr, 'oops');
+
+  const artifact = await loadOutputArtifact(result.artifact.id, alice);
+  assert.equal(artifact.command, 'seq 1 5000; echo oops >&2');
+  assert.equal(artifact.stdoutBytes, result.artifact.stdoutBytes);
+  assert.ok(artifact.content.includes('\n2500\n'));
+  assert.ok(artifact.content.endsWith('----- stderr -----\noops\n'));
+});
@@ -0,0 +1,175 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import {
+  parsePipeline,
+  loadPipeline,
+  listPipelines,
+  renderTemplate,
+  evaluateCondition
+} from '../lib/pipelineRunner.js';
+import { AgentOrchestrator } from '../lib/orchestrator.js';
+import { createFakeProvider } from '../lib/llmProviders.js';
+import { useTempStorage, removeTempStorage } from './helpers.js';
+
+let tempDir;
+
+beforeEach(async () => {
+  tempDir = await useTempStorage();
+  process.env.PIPELINES_DIR = path.join(tempDir, 'pipelines');
+  await fs.mkdir(process.env.PIPELINES_DIR);
+});
+
+afterEach(async () => {
+  delete process.env.PIPELINES_DIR;
+  await removeTempStorage(tempDir);
+});
+
+const TRIAGE_YAML = `
+name: triage
+description: task then branch
+steps:
+  - name: task
+    agent: universal
+  - name: kind
+    agent: schema
+    inputs:
+      task: steps.task.taskDescription
+    input: "Kind of {{task}}"
+  - name: command
+    agent: terminal
+    when: "steps.kind.choice == 'terminalCommand'"
+    input: "{{steps.task.taskDescription}}"
+    model: gpt-4o
+    temperature: 0.1
+  - name: plan
+    schema: planSteps
+    when: "steps.kind.choice != 'terminalCommand'"
+    input: "Plan {{steps.task.taskDescription}} for {{input}}"
+output: steps.command.command
+`;
+
+const task = {
+  taskDescription: 'List logs',
+  parametersDescription: '{}',
+  expectedOutputDescription: 'paths',
+  reasoning: 'asked',
+  missingContext: []
+};
+
+test('templates resolve step fields, indices and objects', () => {
+  const scope = { input: 'hi', steps: { a: { list: [{ name: 'x' }], obj: { k: 1 } } } };
+
+  assert.equal(
+    renderTemplate('{{input}} {{ steps.a.list[0].name }} {{steps.a.obj}} {{steps.missing.field}}.', scope),
+    'hi x {"k":1} .'
+  );
+});
+
+test('conditions support comparisons, negation, && and ||', () => {
+  const scope = { steps: { kind: { choice: 'code', count: 2, ok: false } } };
+
+  assert.equal(evaluateCondition("steps.kind.choice == 'code'", scope), true);
+  assert.equal(evaluateCondition("steps.kind.choice != 'code'", scope), false);
+  assert.equal(evaluateCondition('steps.kind.count == 2 && !steps.kind.ok', scope), true);
+  assert.equal(evaluateCondition('steps.kind.ok || steps.nope', scope), false);
+  assert.equal(evaluateCondition('steps.kind.ok || steps.kind.choice', scope), true);
+});
+
+test('conditions keep operators inside quoted literals as text', () => {
+  const scope = { steps: { check: { output: 'a || b', note: 'x && y == z' } } };
+  assert.equal(evaluateCondition('steps.check.output == "a || b"', scope), true);
+  assert.equal(evaluateCondition("steps.check.output != 'a || b'", scope), false);
+  assert.equal(evaluateCondition('steps.check.note == "x && y == z" && steps.check.output', scope), true);
+  assert.equal(evaluateCondition('"a || b" == steps.check.output || steps.nope', scope), true);
+  assert.equal(evaluateCondition("steps.check.output == 'a' || steps.check.output == 'b'", scope), false);
+});
+
+test('validation lists every problem in the definition', () => {
+  assert.throws(
+    () => parsePipeline(JSON.stringify({
+      name: 'bad',
+      steps: [
+        { name: 'a', agent: 'base', schema: 'planSteps' },
+        { name: 'a', schema: 'nope' },
+        { name: '1x', agent: 'base', temperature: 5 }
+      ]
+    }), 'json'),
+    (error) => {
+      assert.match(error.message, /Invalid pipeline "bad"/);
+      assert.match(error.message, /exactly one of agent or schema/);
+      assert.match(error.message, /duplicate step name/);
+      assert.match(error.message, /unknown schema "nope"/);
+      assert.match(error.message, /name must start/);
+      assert.match(error.message, /temperature must be/);
+      return true;
+    }
+  );
+});
+
+test('loads YAML and JSON pipelines by name and lists them', async () => {
+  await fs.writeFile(path.join(process.env.PIPELINES_DIR, 'triage.yaml'), TRIAGE_YAML);
+  await fs.writeFile(path.join(process.env.PIPELINES_DIR, 'echo.json'), JSON.stringify({ steps: [{ name: 'only', agent: 'base' }] }));
+  await fs.writeFile(path.join(process.env.PIPELINES_DIR, 'broken.yml'), 'steps: []');
+
+  assert.equal((await loadPipeline('triage')).steps.length, 4);
+  assert.equal((await loadPipeline('echo')).name, 'echo');
+  await assert.rejects(loadPipeline('missing'), /Pipeline not found/);
+
+  const listed = await listPipelines();
+  assert.deepEqual(listed.map(p => [p.name, p.steps]), [['broken', 0], ['echo', 1], ['triage', 4]]);
+  assert.match(listed[0].error, /non-empty array/);
+});
+
+test('runs steps with mappings, branches and per-step model/temperature', async () => {
+  const provider = createFakeProvider({
+    script: [
+      task,
+      { choice: 'terminalCommand', reasoning: 'shell', missingContext: [] },
+      {
+        choice: 'terminalCommand',
+        response: '',
+        questionsForUser: false,
+        questions: [],
+        missingContext: [],
+        code: '',
+        language: '',
+        codeExplanation: '',
+        terminalCommand: 'ls /var/log',
+        commandReasoning: 'list',
+        requiresApproval: false,
+        tool: false,
+        continue: false
+      }
+    ]
+  });
+  const orchestrator = new AgentOrchestrator({ provider, verbose: false });
+  const steps = [];
+
+  const run = await orchestrator.pipeline(parsePipeline(TRIAGE_YAML), 'show logs', {
+    onStep: (record) => steps.push(`${record.name}:${record.status}`)
+  });
+
+  assert.deepEqual(steps, ['task:ok', 'kind:ok', 'command:ok', 'plan:skipped']);
+  assert.equal(run.result, 'ls /var/log');
+  assert.equal(run.steps[0].input, 'show logs');
+  assert.equal(run.steps[1].input, 'Kind of List logs');
+  assert.equal(provider.calls[2].model, 'gpt-4o');
+  assert.equal(provider.calls[2].temperature, 0.1);
+  assert.equal(provider.calls.length, 3);
+});
+
+test('schema steps query the named schema directly', async () => {
+  const provider = createFakeProvider({
+    script: [task, { choice: 'response', reasoning: 'chat', missingContext: [] }, { steps: [{ stepDescription: 'grep' }], missingContext: [] }]
+  });
+  const orchestrator = new AgentOrchestrator({ provider, verbose: false });
+
+  const run = await orchestrator.pipeline(parsePipeline(TRIAGE_YAML), 'show logs');
+
+  assert.equal(run.outputs.plan.steps[0].stepDescription, 'grep');
+  assert.equal(run.steps[3].input, 'Plan List logs for show logs');
+  assert.equal(run.result, undefined);
+  assert.ok(provider.calls[2].responseFormat.json_schema.schema.properties.steps);
+});
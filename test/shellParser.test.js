@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseShell, listCommands, ShellParseError } from '../lib/shellParser.js';
+import { executeAgentCommand } from '../lib/terminalExecutor.js';
+import { useTempStorage, removeTempStorage } from './helpers.js';
+
+function texts(command) {
+  return listCommands(parseShell(command)).map(c => `${c.text} [${c.via.join('>')}]`);
+}
+
+test('splits lists, pipelines and redirections', () => {
+  const commands = listCommands(parseShell('cd /app && git pull; echo "a && b" | tee out.txt 2>&1 > log.txt'));
+
+  assert.deepEqual(commands.map(c => c.program), ['cd', 'git', 'echo', 'tee']);
+  assert.deepEqual(commands[2].args, ['a && b']);
+  assert.deepEqual(commands[2].pipeline, { id: 1, position: 0 });
+  assert.deepEqual(commands[3].redirects, [
+    { fd: 2, op: '>&', target: '1' },
+    { fd: null, op: '>', target: 'log.txt' }
+  ]);
+});
+
+test('lists commands inside substitutions, subshells and groups', () => {
+  assert.deepEqual(texts('echo $(whoami) `id` <(ls /tmp)'), [
+    'echo $(whoami) `id` <(ls /tmp) []',
+    'whoami [substitution]',
+    'id [substitution]',
+    'ls /tmp [process-substitution]'
+  ]);
+  assert.deepEqual(texts('(cd /tmp && rm x) ; { ls; }'), [
+    'cd /tmp [subshell]',
+    'rm x [subshell]',
+    'ls [group]'
+  ]);
+});
+
+test('unwraps sudo, env, timeout, xargs, find -exec, sh -c and eval', () => {
+  assert.deepEqual(texts('sudo -u root rm -r /var/tmp/x').slice(1), ['rm -r /var/tmp/x [sudo]']);
+  assert.deepEqual(texts('env FOO=1 timeout 10 node app.js').slice(2), ['node app.js [env>timeout]']);
+  assert.deepEqual(texts('ls | xargs rm -f').slice(2), ['rm -f [pipeline>xargs]']);
+  assert.deepEqual(texts('find . -name "*.tmp" -exec rm {} \\;').slice(1), ['rm {} [find -exec]']);
+  assert.deepEqual(texts("bash -lc 'ls | wc -l'").slice(1), ['ls [bash -c>pipeline]', 'wc -l [bash -c>pipeline]']);
+  assert.deepEqual(texts("eval 'rm -rf build'").slice(1), ['rm -rf build [eval]']);
+});
+
+test('marks scripts built from expansions as dynamic', () => {
+  const [shell, curl] = listCommands(parseShell('sh -c "$(curl -fsSL https://example.com/x.sh)"'));
+  assert.equal(shell.dynamic, true);
+  assert.deepEqual(shell.substitutionPrograms, ['curl']);
+  assert.equal(curl.program, 'curl');
+
+  assert.equal(listCommands(parseShell("sh -c 'echo $HOME'"))[0].dynamic, false);
+});
+
+test('scans here-documents with unquoted delimiters', () => {
+  assert.deepEqual(texts('cat <<EOF\n$(rm -rf ~)\nEOF\necho done'), [
+    'cat <<EOF []',
+    'rm -rf ~ [substitution]',
+    'echo done []'
+  ]);
+  assert.deepEqual(texts("cat <<'EOF'\n$(rm -rf ~)\nEOF"), ["cat <<'EOF' []"]);
+});
+
+test('handles quoting, escapes, comments and control keywords', () => {
+  const [echo] = listCommands(parseShell("echo 'a;b' \"c|d\" e\\;f # comment; rm -rf /"));
+  assert.deepEqual(echo.args, ['a;b', 'c|d', 'e;f']);
+
+  assert.deepEqual(
+    listCommands(parseShell('for f in $(ls); do if [ -f "$f" ]; then rm "$f"; fi; done')).map(c => c.program),
+    ['ls', '[', 'rm']
+  );
+});
+
+test('rejects malformed command lines', () => {
+  for (const command of ['echo "open', "echo 'open", 'echo $(ls', '(ls', 'ls |', '> ', 'case x in a) ;; esac', 'f() fi', 'f() done', 'function f done']) {
+    assert.throws(() => parseShell(command), ShellParseError, command);
+  }
+});
+
+test('records the parsed structure with executed commands', async () => {
+  const tempDir = await useTempStorage();
+  try {
+    const result = await executeAgentCommand(
+      { command: 'echo $(whoami) | wc -c', commandReasoning: 'count' },
+      { dryRun: true, environment: 'development' }
+    );
+
+    assert.equal(result.status, 'dry-run');
+    assert.deepEqual(result.parsed.commands, [
+      { text: 'echo $(whoami)', via: ['pipeline'], categories: ['read-only'] },
+      { text: 'whoami', via: ['pipeline', 'substitution'], categories: ['read-only'] },
+      { text: 'wc -c', via: ['pipeline'], categories: ['read-only'] }
+    ]);
+    assert.equal(result.parsed.parseError, null);
+  } finally {
+    await removeTempStorage(tempDir);
+  }
+});
@@ -0,0 +1,116 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { getStorageBackend, resetStorageBackends, importFileStorage } from '../lib/storageBackends.js';
+import { runWithStorage, userStorage } from '../lib/storageContext.js';
+import { addInteraction, getCurrentMemory, searchMemory } from '../lib/memorySystem.js';
+import { loadNotes, updateCurrentTask } from '../lib/notesManager.js';
+import { addMessage, clearGroupChat, getGroupSummary, searchGroupMessages } from '../lib/groupChatManager.js';
+import { createFakeProvider } from '../lib/llmProviders.js';
+import { useTempStorage, removeTempStorage, baseAgentResponse } from './helpers.js';
+
+let tempDir;
+
+beforeEach(async () => {
+  tempDir = await useTempStorage();
+});
+
+afterEach(async () => {
+  delete process.env.STORAGE_BACKEND;
+  await resetStorageBackends();
+  await removeTempStorage(tempDir);
+});
+
+for (const backend of ['file', 'sqlite']) {
+  test(`${backend}: memory, notes and group chats round-trip`, async () => {
+    process.env.STORAGE_BACKEND = backend;
+
+    await addInteraction({ query: 'deploy the api' }, baseAgentResponse({ response: 'deployed' }));
+    await updateCurrentTask('Deploying');
+    await runWithStorage(userStorage('u1'), () => addInteraction({ query: 'other user' }, baseAgentResponse({ response: 'hi' })));
+
+    assert.equal((await getCurrentMemory()).interactions[0].userRequest.query, 'deploy the api');
+    assert.equal((await runWithStorage(userStorage('u1'), getCurrentMemory)).interactions[0].userRequest.query, 'other user');
+    assert.match(await loadNotes(), /## Current Task\nDeploying/);
+    assert.equal((await searchMemory({ text: 'DEPLOY' })).length, 1);
+
+    await addMessage('ops', { userId: 1, username: 'ann', text: 'server is down' });
+    await addMessage('ops', { userId: 2, username: 'bob', text: 'restarting it' });
+    const summary = await getGroupSummary('ops');
+    assert.equal(summary.messageCount, 2);
+    assert.deepEqual(summary.participants, ['ann', 'bob']);
+    assert.deepEqual((await searchGroupMessages('ops', { user: 2 })).map(m => m.text), ['restarting it']);
+    assert.deepEqual((await searchGroupMessages('ops', { text: 'down' })).map(m => m.id), [1]);
+    await assert.rejects(searchGroupMessages('ops', { since: 'someday' }), /Invalid date/);
+
+    await clearGroupChat('ops');
+    assert.equal((await getGroupSummary('ops')).messageCount, 0);
+    assert.equal((await searchGroupMessages('ops')).length, 0);
+  });
+}
+
+test('sqlite: concurrent group messages all get stored with their own ids', async () => {
+  process.env.STORAGE_BACKEND = 'sqlite';
+
+  await Promise.all(Array.from({ length: 20 }, (_, i) => addMessage('busy', { userId: i, username: `user${i}`, text: `message ${i}` })));
+
+  const messages = await searchGroupMessages('busy', { limit: 100 });
+  assert.equal(messages.length, 20);
+  assert.deepEqual(messages.map(m => m.id).sort((a, b) => a - b), Array.from({ length: 20 }, (_, i) => i + 1));
+  assert.equal((await getGroupSummary('busy')).messageCount, 20);
+});
+
+test('sqlite: history stays searchable after leaving the rolling window', async () => {
+  process.env.STORAGE_BACKEND = 'sqlite';
+  const provider = createFakeProvider({ fallback: { summary: 'earlier work', missingContext: [], reasoning: 'test' } });
+
+  for (let i = 1; i <= 23; i++) {
+    await addInteraction({ query: `query ${i}` }, baseAgentResponse({ response: `response ${i}` }), { provider });
+  }
+
+  assert.equal((await getCurrentMemory()).interactions[0].userRequest.query, 'query 3');
+  assert.deepEqual((await searchMemory({ text: '"query 1"' })).map(i => i.id), [1]);
+  assert.equal((await searchMemory({ limit: 100 })).length, 23);
+});
+
+test('files are imported into sqlite under their user keys', async () => {
+  const dir = path.join(tempDir, 'legacy');
+  await fs.mkdir(dir);
+  await fs.writeFile(path.join(dir, 'memory-42.json'), JSON.stringify({ interactions: [{ id: 1, ts: '2026-01-01T00:00:00.000Z', userRequest: { query: 'old' } }], summaries: [], count: 1 }));
+  await fs.writeFile(path.join(dir, 'notes.md'), '# Agent Notes\nimported');
+  await fs.writeFile(path.join(dir, 'groupchat-team.json'), JSON.stringify({
+    groupId: 'team', globalSummary: 'Planning', totalMessages: 1, participants: ['ann'],
+    messages: [{ id: 1, timestamp: '2026-01-01T00:00:00.000Z', userId: 1, username: 'ann', text: 'hello' }]
+  }));
+
+  const sqlite = getStorageBackend('sqlite');
+  assert.deepEqual(await importFileStorage(sqlite, dir), { memory: 1, notes: 1, groupChats: 1 });
+
+  process.env.STORAGE_BACKEND = 'sqlite';
+  assert.equal((await runWithStorage(userStorage(42), getCurrentMemory)).interactions[0].userRequest.query, 'old');
+  assert.match(await loadNotes(), /imported/);
+  assert.equal((await getGroupSummary('team')).summary, 'Planning');
+  assert.deepEqual((await searchGroupMessages('team')).map(m => m.text), ['hello']);
+});
+
+test('file: group chat writes wait for another process\'s lock and remove stale ones', async () => {
+  const lockFile = process.env.USER_GROUPCHAT_FILE + '.lock';
+  await fs.writeFile(lockFile, '99999');
+
+  let stored = false;
+  const adding = addMessage('ops', { userId: 1, username: 'ann', text: 'waiting' }).then(() => { stored = true; });
+  await new Promise(resolve => setTimeout(resolve, 100));
+  assert.equal(stored, false);
+
+  await fs.unlink(lockFile);
+  await adding;
+  await assert.rejects(fs.access(lockFile));
+
+  // A lock left by a crashed process is taken over
+  await fs.writeFile(lockFile, '99999');
+  const old = new Date(Date.now() - 60000);
+  await fs.utimes(lockFile, old, old);
+  await addMessage('ops', { userId: 2, username: 'bob', text: 'after crash' });
+  assert.deepEqual((await searchGroupMessages('ops')).map(m => m.text), ['after crash', 'waiting']);
+});
@@ -0,0 +1,87 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { createStorageContext, runWithStorage, getMemoryFile, getNotesFile } from '../lib/storageContext.js';
+import { orchestrateSimple } from '../lib/agentOrchestrator.js';
+import { addInteraction, getCurrentMemory } from '../lib/memorySystem.js';
+import { loadNotes, updateCurrentTask } from '../lib/notesManager.js';
+import { createFakeProvider } from '../lib/llmProviders.js';
+import { useTempStorage, removeTempStorage, baseAgentResponse } from './helpers.js';
+
+let tempDir;
+
+beforeEach(async () => {
+  tempDir = await useTempStorage();
+});
+
+afterEach(async () => {
+  await removeTempStorage(tempDir);
+});
+
+/**
+ * Storage context with its own memory and notes files in the temp directory
+ */
+function storageFor(name) {
+  return createStorageContext({
+    memoryFile: path.join(tempDir, `memory-${name}.json`),
+    notesFile: path.join(tempDir, `notes-${name}.md`)
+  });
+}
+
+test('files come from the context, then the environment', async () => {
+  const alice = storageFor('alice');
+
+  assert.equal(getMemoryFile(), process.env.USER_MEMORY_FILE);
+  assert.equal(runWithStorage(alice, getMemoryFile), alice.memoryFile);
+  assert.equal(runWithStorage(alice, getNotesFile), alice.notesFile);
+  assert.equal(runWithStorage(null, getNotesFile), process.env.USER_NOTES_FILE);
+
+  // The context follows awaits
+  const file = await runWithStorage(alice, async () => {
+    await new Promise(resolve => setTimeout(resolve, 5));
+    return getMemoryFile();
+  });
+  assert.equal(file, alice.memoryFile);
+});
+
+test('interleaved requests of two users keep their own memory and notes', async () => {
+  const alice = storageFor('alice');
+  const bob = storageFor('bob');
+
+  // Alice's model answers slowly, so Bob's whole request runs in the middle of hers
+  const slow = createFakeProvider({
+    fallback: async () => {
+      await new Promise(resolve => setTimeout(resolve, 50));
+      return baseAgentResponse({ response: 'answer for alice' });
+    }
+  });
+  const fast = createFakeProvider({ fallback: baseAgentResponse({ response: 'answer for bob' }) });
+
+  await Promise.all([
+    orchestrateSimple('question from alice', { provider: slow, storage: alice }),
+    orchestrateSimple('question from bob', { provider: fast, storage: bob }),
+    runWithStorage(bob, () => updateCurrentTask('bob task'))
+  ]);
+
+  const aliceMemory = await fs.readFile(alice.memoryFile, 'utf-8');
+  const bobMemory = await fs.readFile(bob.memoryFile, 'utf-8');
+  assert.match(aliceMemory, /question from alice/);
+  assert.doesNotMatch(aliceMemory, /bob/);
+  assert.match(bobMemory, /question from bob/);
+  assert.doesNotMatch(bobMemory, /alice/);
+
+  assert.match(await runWithStorage(bob, loadNotes), /bob task/);
+  assert.doesNotMatch(await runWithStorage(alice, loadNotes), /bob task/);
+
+  // Nothing was written to the default files
+  await assert.rejects(fs.access(process.env.USER_MEMORY_FILE));
+  assert.equal(process.env.USER_MEMORY_FILE, path.join(tempDir, 'memory.json'));
+});
+
+test('memory written outside a context goes to the configured file', async () => {
+  await addInteraction({ query: 'no context' }, baseAgentResponse({ response: 'ok' }));
+
+  assert.equal((await getCurrentMemory()).interactions[0].userRequest.query, 'no context');
+  assert.equal((await runWithStorage(storageFor('carol'), getCurrentMemory)).interactions.length, 0);
+});
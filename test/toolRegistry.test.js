@@ -0,0 +1,149 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  registerTool,
+  unregisterTool,
+  getToolDefinitions,
+  validateToolArgs,
+  runToolCall
+} from '../lib/toolRegistry.js';
+
+const weatherTool = {
+  name: 'get_weather',
+  description: 'Current weather for a city',
+  parameters: {
+    type: 'object',
+    properties: {
+      city: { type: 'string' },
+      unit: { type: 'string', enum: ['c', 'f'] }
+    },
+    required: ['city'],
+    additionalProperties: false
+  },
+  target: (args) => args.city,
+  summarize: (args, result) => `${result.temperature}°${args.unit || 'c'}`,
+  handler: async ({ city }) => ({ city, temperature: 21 })
+};
+
+afterEach(() => {
+  unregisterTool('get_weather');
+  unregisterTool('deploy');
+});
+
+test('rejects tools with bad names, schemas or permissions', () => {
+  assert.throws(() => registerTool({ ...weatherTool, name: 'get weather' }), /Invalid tool name/);
+  assert.throws(() => registerTool({ ...weatherTool, parameters: { type: 'string' } }), /type "object"/);
+  assert.throws(() => registerTool({ ...weatherTool, permission: 'root' }), /invalid permission/);
+  assert.throws(() => registerTool({ ...weatherTool, handler: null }), /handler/);
+});
+
+test('exposes registered tools, strict only when every property is required', () => {
+  registerTool(weatherTool);
+
+  const [definition] = getToolDefinitions(['get_weather']);
+  assert.equal(definition.function.name, 'get_weather');
+  assert.equal(definition.function.strict, false);
+  assert.deepEqual(getToolDefinitions(['nope']), []);
+});
+
+test('validateToolArgs reports type, enum, required and unknown property errors', () => {
+  const schema = {
+    type: 'object',
+    properties: {
+      name: { type: 'string' },
+      count: { type: 'integer' },
+      tags: { type: 'array', items: { type: 'string' } },
+      mode: { type: 'string', enum: ['a', 'b'] }
+    },
+    required: ['name'],
+    additionalProperties: false
+  };
+
+  assert.deepEqual(validateToolArgs(schema, { name: 'x', count: 2, tags: ['t'], mode: 'a' }), []);
+  assert.deepEqual(validateToolArgs(schema, { count: 1.5, tags: [1], mode: 'c', extra: true }), [
+    'arguments.name: is required',
+    'arguments.count: expected integer, got number',
+    'arguments.tags[0]: expected string, got integer',
+    'arguments.mode: must be one of "a", "b"',
+    'arguments.extra: is not allowed'
+  ]);
+});
+
+test('runToolCall validates arguments before calling the handler', async () => {
+  let called = false;
+  registerTool({ ...weatherTool, handler: async () => { called = true; return {}; } });
+
+  const record = await runToolCall({ name: 'get_weather', arguments: { unit: 'k' } });
+
+  assert.equal(called, false);
+  assert.match(record.result.error, /arguments\.city: is required/);
+  assert.match(record.result.error, /arguments\.unit: must be one of/);
+});
+
+test('runToolCall summarizes results with the tool target and outcome', async () => {
+  registerTool(weatherTool);
+
+  const record = await runToolCall({ name: 'get_weather', arguments: '{"city":"Oslo"}' });
+
+  assert.deepEqual(record.result, { city: 'Oslo', temperature: 21 });
+  assert.equal(record.summary, 'get_weather Oslo → 21°c');
+});
+
+test('approve permission goes through askApproval every time', async () => {
+  const asked = [];
+  registerTool({
+    name: 'deploy',
+    description: 'Deploy a service',
+    parameters: {
+      type: 'object',
+      properties: { service: { type: 'string' }, reasoning: { type: 'string' } },
+      required: ['service', 'reasoning'],
+      additionalProperties: false
+    },
+    permission: 'approve',
+    target: (args) => args.service,
+    handler: async ({ service }) => ({ deployed: service })
+  });
+  const call = { name: 'deploy', arguments: { service: 'api', reasoning: 'release' } };
+
+  const declined = await runToolCall(call, { askApproval: async () => false });
+  const approved = await runToolCall(call, {
+    askApproval: async (action, reasoning) => {
+      asked.push([action, reasoning]);
+      return true;
+    }
+  });
+  const unattended = await runToolCall(call);
+
+  assert.equal(declined.result.approved, false);
+  assert.equal(declined.summary, 'deploy api → declined');
+  assert.deepEqual(approved.result, { deployed: 'api' });
+  assert.deepEqual(asked, [['deploy api', 'release']]);
+  assert.equal(unattended.result.approved, false);
+});
+
+test('ask permission only asks when the call requests approval', async () => {
+  registerTool({
+    ...weatherTool,
+    permission: 'ask',
+    parameters: {
+      ...weatherTool.parameters,
+      properties: { ...weatherTool.parameters.properties, requiresApproval: { type: 'boolean' } }
+    }
+  });
+  let asked = 0;
+  const askApproval = async () => { asked++; return true; };
+
+  await runToolCall({ name: 'get_weather', arguments: { city: 'Oslo', requiresApproval: false } }, { askApproval });
+  await runToolCall({ name: 'get_weather', arguments: { city: 'Oslo', requiresApproval: true } }, { askApproval });
+
+  assert.equal(asked, 1);
+});
+
+test('runToolCall refuses tools outside allowedTools', async () => {
+  registerTool(weatherTool);
+
+  const record = await runToolCall({ name: 'get_weather', arguments: { city: 'Oslo' } }, { allowedTools: ['read_file'] });
+
+  assert.match(record.result.error, /Unknown tool/);
+});
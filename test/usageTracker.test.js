@@ -0,0 +1,118 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import {
+  estimateCost,
+  recordUsage,
+  loadUsage,
+  getUsageSummary,
+  formatUsageSummary
+} from '../lib/usageTracker.js';
+import { queryOpenAI } from '../lib/openaiWrapper.js';
+import { orchestrateSimple } from '../lib/agentOrchestrator.js';
+import { createFakeProvider } from '../lib/llmProviders.js';
+import { useTempStorage, removeTempStorage, baseAgentResponse } from './helpers.js';
+
+let tempDir;
+
+beforeEach(async () => {
+  tempDir = await useTempStorage();
+});
+
+afterEach(async () => {
+  await removeTempStorage(tempDir);
+});
+
+const usage = { prompt_tokens: 1000, completion_tokens: 500, total_tokens: 1500 };
+
+test('estimateCost uses the longest matching model prefix', () => {
+  assert.equal(estimateCost('gpt-4o-mini', 1_000_000, 0), 0.15);
+  assert.equal(estimateCost('gpt-4o-2024-08-06', 0, 1_000_000), 10);
+  assert.equal(estimateCost('llama3.1', 1_000_000, 1_000_000), 0);
+});
+
+test('recordUsage persists attributed entries', async () => {
+  await recordUsage({
+    usage,
+    model: 'gpt-4o-mini',
+    provider: 'openai',
+    role: 'base',
+    caller: { channel: 'telegram', userId: 42 }
+  });
+
+  const [entry] = await loadUsage();
+  assert.equal(entry.channel, 'telegram');
+  assert.equal(entry.userId, '42');
+  assert.equal(entry.groupId, null);
+  assert.equal(entry.role, 'base');
+  assert.equal(entry.totalTokens, 1500);
+  assert.ok(entry.costUsd > 0);
+});
+
+test('recordUsage skips calls without usage data', async () => {
+  assert.equal(await recordUsage({ usage: null, model: 'gpt-4o-mini' }), null);
+  assert.deepEqual(await loadUsage(), []);
+});
+
+test('loadUsage picks up lines appended by other processes and re-reads a rewritten log', async () => {
+  const line = (role) => JSON.stringify({ timestamp: new Date().toISOString(), channel: 'cli', role, promptTokens: 1, completionTokens: 1, totalTokens: 2, costUsd: 0 });
+  await recordUsage({ usage, model: 'gpt-4o-mini', role: 'base', caller: { channel: 'cli' } });
+  assert.equal((await loadUsage()).length, 1);
+
+  // A line still being written is not parsed until it is complete
+  const partial = line('landscape');
+  await fs.appendFile(process.env.USAGE_LOG_FILE, line('plan') + '\n' + partial.slice(0, 20));
+  assert.deepEqual((await loadUsage()).map(e => e.role), ['base', 'plan']);
+  await fs.appendFile(process.env.USAGE_LOG_FILE, partial.slice(20) + '\n');
+  assert.deepEqual((await loadUsage()).map(e => e.role), ['base', 'plan', 'landscape']);
+
+  await fs.writeFile(process.env.USAGE_LOG_FILE, line('summarizer') + '\n');
+  assert.deepEqual((await loadUsage()).map(e => e.role), ['summarizer']);
+});
+
+test('getUsageSummary filters and groups by role and model', async () => {
+  const web = { channel: 'web', userId: 'web-user' };
+  await recordUsage({ usage, model: 'gpt-4o-mini', role: 'base', caller: web });
+  await recordUsage({ usage, model: 'gpt-4o-mini', role: 'landscape', caller: web });
+  await recordUsage({ usage, model: 'gpt-4o', role: 'base', caller: { channel: 'group', userId: '7', groupId: 'g1' } });
+
+  const mine = await getUsageSummary({ channel: 'web', userId: 'web-user' });
+  assert.equal(mine.totals.calls, 2);
+  assert.equal(mine.totals.totalTokens, 3000);
+  assert.deepEqual(Object.keys(mine.byRole).sort(), ['base', 'landscape']);
+
+  const group = await getUsageSummary({ groupId: 'g1' });
+  assert.equal(group.totals.calls, 1);
+  assert.deepEqual(Object.keys(group.byModel), ['gpt-4o']);
+
+  const future = await getUsageSummary({ since: new Date(Date.now() + 60_000).toISOString() });
+  assert.equal(future.totals.calls, 0);
+
+  assert.match(formatUsageSummary(mine, 'Usage'), /Total: 2 calls, 3,000 tokens/);
+});
+
+test('queryOpenAI records usage with role and caller', async () => {
+  const provider = createFakeProvider({ script: [{ summary: 'ok' }] });
+
+  await queryOpenAI('summarize this', {
+    schema: { type: 'object', properties: { summary: { type: 'string' } }, required: ['summary'], additionalProperties: false },
+    role: 'summarizer',
+    caller: { channel: 'cli', userId: 'alice' },
+    provider
+  });
+
+  const [entry] = await loadUsage();
+  assert.equal(entry.role, 'summarizer');
+  assert.equal(entry.provider, 'fake');
+  assert.equal(entry.userId, 'alice');
+  assert.ok(entry.totalTokens > 0);
+});
+
+test('orchestrate attributes base agent calls to the caller', async () => {
+  const provider = createFakeProvider({ script: [baseAgentResponse({ response: 'hi' })] });
+
+  await orchestrateSimple('hello', { provider, caller: { channel: 'web', userId: 'u1' } });
+
+  const summary = await getUsageSummary({ channel: 'web', userId: 'u1' });
+  assert.deepEqual(Object.keys(summary.byRole), ['base']);
+});